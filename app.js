@@ -4,7 +4,6 @@ const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
 const path = require("path");
 const authRoutes = require("./routes/auth.route");
 const userRoutes = require("./routes/user.route");
@@ -14,7 +13,10 @@ const uploadRoutes = require("./routes/upload.route");
 const adminRoutes = require("./routes/admin.route");
 // const mcpRoutes = require('./routes/mcp');
 const chatRoutes = require('./routes/chat.route');
+// Job types, so jobs queued here get their retry settings
+const { jobQueue, scheduleRecurringJobs } = require("./jobs");
 const cookieParser = require("cookie-parser");
+const { apiIpLimiter, apiUserLimiter } = require("./middleware/rateLimit");
 
 const errorHandler = require("./middleware/errorHandler");
 const logger = require("./middleware/logger");
@@ -66,19 +68,26 @@ app.use(
       "Cache-Control",
       "X-Requested-With",
     ],
-    exposedHeaders: ["Content-Type", "Cache-Control"],
+    exposedHeaders: [
+      "Content-Type",
+      "Cache-Control",
+      "RateLimit",
+      "RateLimit-Policy",
+      "Retry-After",
+      "X-Usage-Budget",
+    ],
   })
 );
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later.",
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-// app.use(limiter);
+// Behind a load balancer or reverse proxy, set TRUST_PROXY to the number of
+// proxies so rate limits count per client IP rather than per proxy
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Rate limiting (policies in services/rateLimit); route groups such as auth,
+// chat streaming and uploads have their own limiters as well
+app.use("/api", apiIpLimiter, apiUserLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }));
@@ -136,6 +145,13 @@ mongoose
       console.log(`Sawyer.AI Backend is running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV}`);
     });
+
+    // Background jobs normally run in a separate worker (npm run worker)
+    if (process.env.RUN_JOBS_IN_APP === "true") {
+      scheduleRecurringJobs()
+        .then(() => jobQueue.start())
+        .catch((error) => console.error("Failed to start job worker:", error));
+    }
   })
   .catch((error) => {
     console.error("Database connection failed:", error);
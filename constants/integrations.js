@@ -49,7 +49,8 @@ const MCP_SERVERS = {
     oauth: {
       authUrl: 'https://auth.atlassian.com/authorize',
       tokenUrl: 'https://auth.atlassian.com/oauth/token',
-      scopes: ['read:jira-work', 'write:jira-work', 'read:jira-user'],
+      // offline_access: Atlassian only issues refresh tokens with it
+      scopes: ['read:jira-work', 'write:jira-work', 'read:jira-user', 'offline_access'],
       clientIdRequired: true,
       clientSecretRequired: true
     },
@@ -60,6 +61,8 @@ const MCP_SERVERS = {
       'search_issues',
       'create_issue',
       'update_issue',
+      'transition_issue',
+      'sprint_summary',
       'get_project',
       'list_projects'
     ]
@@ -83,6 +86,8 @@ const MCP_SERVERS = {
       authUrl: 'https://github.com/login/oauth/authorize',
       tokenUrl: 'https://github.com/login/oauth/access_token',
       scopes: ['repo', 'user:email', 'read:org'],
+      // Send a PKCE challenge (S256) and verifier with the authorization
+      pkce: true,
       clientIdRequired: true,
       clientSecretRequired: true
     },
@@ -134,168 +139,6 @@ const MCP_SERVERS = {
 //   }
 };
 
-// API Provider configurations
-const API_PROVIDERS = {
-  OPENAI: {
-    id: 'openai',
-    name: 'OpenAI',
-    description: 'Access to GPT models, DALL-E, and other OpenAI services',
-    icon: '/assets/openai.png',
-    category: 'ai',
-    website: 'https://openai.com',
-    models: [
-      {
-        id: 'gpt-4',
-        name: 'GPT-4',
-        description: 'Most capable model for complex tasks',
-        type: 'text',
-        inputCost: 0.03,
-        outputCost: 0.06,
-        contextWindow: 8192
-      },
-      {
-        id: 'gpt-4-turbo',
-        name: 'GPT-4 Turbo',
-        description: 'Faster and more cost-effective GPT-4',
-        type: 'text',
-        inputCost: 0.01,
-        outputCost: 0.03,
-        contextWindow: 128000
-      },
-      {
-        id: 'gpt-3.5-turbo',
-        name: 'GPT-3.5 Turbo',
-        description: 'Fast and cost-effective for most tasks',
-        type: 'text',
-        inputCost: 0.001,
-        outputCost: 0.002,
-        contextWindow: 16384
-      },
-      {
-        id: 'dall-e-3',
-        name: 'DALL-E 3',
-        description: 'Latest image generation model',
-        type: 'image',
-        inputCost: 0.04,
-        outputCost: 0,
-        contextWindow: 0
-      }
-    ],
-    authentication: {
-      type: 'api_key',
-      keyFormat: 'sk-...',
-      keyLength: 51,
-      required: true,
-      testEndpoint: '/v1/models'
-    },
-    features: [
-      'Text generation',
-      'Code generation',
-      'Image generation',
-      'Function calling',
-      'JSON mode',
-      'Vision capabilities'
-    ],
-    status: 'active',
-    documentation: 'https://platform.openai.com/docs',
-    rateLimit: {
-      requests: 3500,
-      tokens: 180000,
-      period: 'minute'
-    }
-  },
-  
-  ANTHROPIC: {
-    id: 'anthropic',
-    name: 'Anthropic',
-    description: 'Access to Claude models for advanced reasoning and analysis',
-    icon: '/icons/anthropic.svg',
-    category: 'ai',
-    website: 'https://anthropic.com',
-    models: [
-      {
-        id: 'claude-3-opus',
-        name: 'Claude 3 Opus',
-        description: 'Most powerful model for complex tasks',
-        type: 'text',
-        inputCost: 0.015,
-        outputCost: 0.075,
-        contextWindow: 200000
-      },
-      {
-        id: 'claude-3-sonnet',
-        name: 'Claude 3 Sonnet',
-        description: 'Balanced performance and speed',
-        type: 'text',
-        inputCost: 0.003,
-        outputCost: 0.015,
-        contextWindow: 200000
-      }
-    ],
-    authentication: {
-      type: 'api_key',
-      keyFormat: 'sk-ant-...',
-      keyLength: 108,
-      required: true,
-      testEndpoint: '/v1/messages'
-    },
-    features: [
-      'Advanced reasoning',
-      'Long context understanding',
-      'Code analysis',
-      'Document analysis',
-      'Mathematical reasoning'
-    ],
-    status: 'coming_soon',
-    documentation: 'https://docs.anthropic.com/',
-    rateLimit: {
-      requests: 1000,
-      tokens: 100000,
-      period: 'minute'
-    }
-  },
-  
-  GOOGLE: {
-    id: 'google',
-    name: 'Google AI',
-    description: 'Access to Gemini models and Google AI services',
-    icon: '/icons/google.svg',
-    category: 'ai',
-    website: 'https://ai.google.dev',
-    models: [
-      {
-        id: 'gemini-pro',
-        name: 'Gemini Pro',
-        description: 'Advanced multimodal capabilities',
-        type: 'multimodal',
-        inputCost: 0.0005,
-        outputCost: 0.0015,
-        contextWindow: 32000
-      }
-    ],
-    authentication: {
-      type: 'api_key',
-      keyFormat: 'AIza...',
-      keyLength: 39,
-      required: true,
-      testEndpoint: '/v1/models'
-    },
-    features: [
-      'Multimodal understanding',
-      'Vision and text',
-      'Code generation',
-      'Reasoning'
-    ],
-    status: 'coming_soon',
-    documentation: 'https://ai.google.dev/docs',
-    rateLimit: {
-      requests: 60,
-      tokens: 32000,
-      period: 'minute'
-    }
-  }
-};
-
 // Integration categories for organization
 const INTEGRATION_CATEGORIES = {
   PRODUCTIVITY: {
@@ -351,12 +194,14 @@ const getActiveMCPServers = () => {
   return Object.values(MCP_SERVERS).filter(server => server.status === 'active');
 };
 
+// API providers are described by their adapters in services/providers.
+// Required lazily so this constants module stays free of service dependencies at load time.
 const getAvailableAPIProviders = () => {
-  return Object.values(API_PROVIDERS);
+  return require('../services/providers').list().map(provider => provider.catalog);
 };
 
 const getActiveAPIProviders = () => {
-  return Object.values(API_PROVIDERS).filter(provider => provider.status === 'active');
+  return getAvailableAPIProviders().filter(provider => provider.status === 'active');
 };
 
 const getMCPServerById = (id) => {
@@ -364,12 +209,12 @@ const getMCPServerById = (id) => {
 };
 
 const getAPIProviderById = (id) => {
-  return API_PROVIDERS[id.toUpperCase()];
+  return require('../services/providers').get(id.toLowerCase())?.catalog;
 };
 
 const getIntegrationsByCategory = (categoryId) => {
   const mcpServers = Object.values(MCP_SERVERS).filter(server => server.category === categoryId);
-  const apiProviders = Object.values(API_PROVIDERS).filter(provider => provider.category === categoryId);
+  const apiProviders = getAvailableAPIProviders().filter(provider => provider.category === categoryId);
   
   return {
     mcpServers,
@@ -379,7 +224,6 @@ const getIntegrationsByCategory = (categoryId) => {
 
 module.exports = {
   MCP_SERVERS,
-  API_PROVIDERS,
   INTEGRATION_CATEGORIES,
   getAvailableMCPServers,
   getActiveMCPServers,
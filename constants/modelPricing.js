@@ -0,0 +1,67 @@
+// List prices in USD per million tokens, used to estimate what LLM usage
+// costs (services/usage.service.js). Models are matched by the longest prefix,
+// so dated versions (e.g. "gpt-4o-mini-2024-07-18") use their family's price.
+// Models missing here fall back to the provider catalog's per-1K prices.
+const MODEL_PRICING = {
+  openai: {
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'o4-mini': { input: 1.1, output: 4.4 },
+    'o3-mini': { input: 1.1, output: 4.4 },
+    'o3': { input: 2, output: 8 },
+    'o1-mini': { input: 1.1, output: 4.4 },
+    'o1': { input: 15, output: 60 },
+    'text-embedding-3-small': { input: 0.02, output: 0 },
+    'text-embedding-3-large': { input: 0.13, output: 0 }
+  },
+  anthropic: {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 }
+  },
+  'google-ai': {
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+  },
+  mistral: {
+    'mistral-large': { input: 2, output: 6 },
+    'mistral-medium': { input: 0.4, output: 2 },
+    'mistral-small': { input: 0.1, output: 0.3 },
+    'codestral': { input: 0.3, output: 0.9 }
+  }
+};
+
+// Model id without a resource prefix: Google AI ids look like `models/gemini-1.5-pro`
+const normalizeModelId = (model) => model.replace(/^models\//, '');
+
+// Price of a model ({ input, output } per million tokens), or null
+const getModelPrice = (provider, model) => {
+  const prices = MODEL_PRICING[provider];
+  if (!prices || !model) return null;
+
+  const modelId = normalizeModelId(model);
+  const match = Object.keys(prices)
+    .filter(prefix => modelId.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+};
+
+module.exports = {
+  MODEL_PRICING,
+  getModelPrice,
+  normalizeModelId
+};
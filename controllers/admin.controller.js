@@ -2,7 +2,9 @@ const bcrypt = require("bcryptjs");
 const User = require("../models/User");
 const authService = require("../services/auth.service");
 const responseHandler = require("../utils/response.handler");
-const nodemailer = require("nodemailer");
+const emailService = require("../services/email.service");
+const jobQueue = require("../services/jobQueue.service");
+const rateLimitService = require("../services/rateLimit");
 
 // Helper: check default admin credentials
 function isDefaultCredentials(email, password) {
@@ -269,23 +271,15 @@ class AdminController {
 
       const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetRaw}`;
 
-      const transporter = nodemailer.createTransport({
-        service: "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
+      await emailService.queueMail(
+        {
+          to: user.email,
+          subject: "Password Reset Request",
+          html: `<p>Hello ${user.name},</p><p>Reset your password: <a href="${resetUrl}">${resetUrl}</a></p><p>This link expires in 1 hour.</p>`,
+          text: `Reset your password: ${resetUrl} (expires in 1 hour)`,
         },
-      });
-
-      await transporter.sendMail({
-        from: `"${process.env.EMAIL_FROM_NAME || "App"}" <${
-          process.env.EMAIL_USER
-        }>`,
-        to: user.email,
-        subject: "Password Reset Request",
-        html: `<p>Hello ${user.name},</p><p>Reset your password: <a href="${resetUrl}">${resetUrl}</a></p><p>This link expires in 1 hour.</p>`,
-        text: `Reset your password: ${resetUrl} (expires in 1 hour)`,
-      });
+        { userId: user._id }
+      );
 
       return responseHandler.success(
         res,
@@ -407,6 +401,136 @@ class AdminController {
       return responseHandler.error(res, error.message);
     }
   }
+
+  // Background jobs (see services/jobQueue.service.js)
+  async getJobs(req, res) {
+    try {
+      const { status, type, userId, page = 1, limit = 20 } = req.query;
+
+      const { jobs, total } = await jobQueue.listJobs({
+        status,
+        type,
+        userId,
+        page: parseInt(page),
+        limit: parseInt(limit),
+      });
+
+      return responseHandler.paginated(
+        res,
+        jobs.map((job) => jobQueue.toJSON(job, { includePayload: true })),
+        parseInt(page),
+        parseInt(limit),
+        total,
+        "Jobs fetched successfully"
+      );
+    } catch (error) {
+      console.error("Get jobs error:", error);
+      return responseHandler.error(res, "Failed to fetch jobs", 500, error);
+    }
+  }
+
+  async getJob(req, res) {
+    try {
+      const job = await jobQueue.getJob(req.params.jobId);
+      if (!job) {
+        return responseHandler.notFound(res, "Job not found");
+      }
+
+      return responseHandler.success(
+        res,
+        { job: jobQueue.toJSON(job, { includePayload: true }) },
+        "Job fetched successfully"
+      );
+    } catch (error) {
+      console.error("Get job error:", error);
+      return responseHandler.error(res, "Failed to fetch job", 500, error);
+    }
+  }
+
+  async retryJob(req, res) {
+    try {
+      const job = await jobQueue.retry(req.params.jobId);
+      if (!job) {
+        return responseHandler.notFound(res, "No failed or cancelled job with that ID");
+      }
+
+      return responseHandler.success(
+        res,
+        { job: jobQueue.toJSON(job, { includePayload: true }) },
+        "Job queued again"
+      );
+    } catch (error) {
+      console.error("Retry job error:", error);
+      return responseHandler.error(
+        res,
+        error.statusCode ? error.message : "Failed to retry job",
+        error.statusCode || 500,
+        error
+      );
+    }
+  }
+
+  async cancelJob(req, res) {
+    try {
+      const job = await jobQueue.cancel(req.params.jobId);
+      if (!job) {
+        return responseHandler.notFound(res, "No queued job with that ID");
+      }
+
+      return responseHandler.success(
+        res,
+        { job: jobQueue.toJSON(job, { includePayload: true }) },
+        "Job cancelled"
+      );
+    } catch (error) {
+      console.error("Cancel job error:", error);
+      return responseHandler.error(res, "Failed to cancel job", 500, error);
+    }
+  }
+
+  // Rate limits as they apply to a user (see services/rateLimit)
+  async getUserRateLimits(req, res) {
+    try {
+      const user = await User.findById(req.params.userId).select("_id");
+      if (!user) {
+        return responseHandler.notFound(res, "User not found");
+      }
+
+      return responseHandler.success(
+        res,
+        { policies: await rateLimitService.describe(user._id) },
+        "Rate limits fetched successfully"
+      );
+    } catch (error) {
+      console.error("Get user rate limits error:", error);
+      return responseHandler.error(res, "Failed to fetch rate limits", 500, error);
+    }
+  }
+
+  // Override limits for a user; `limits` maps policy names to a limit, or to
+  // null to go back to the default
+  async setUserRateLimits(req, res) {
+    try {
+      const overrides = await rateLimitService.setOverrides(req.params.userId, req.body.limits);
+      if (!overrides) {
+        return responseHandler.notFound(res, "User not found");
+      }
+
+      return responseHandler.success(
+        res,
+        { policies: await rateLimitService.describe(req.params.userId) },
+        "Rate limits updated"
+      );
+    } catch (error) {
+      console.error("Set user rate limits error:", error);
+      return responseHandler.error(
+        res,
+        error.statusCode ? error.message : "Failed to update rate limits",
+        error.statusCode || 500,
+        error
+      );
+    }
+  }
 }
 
 module.exports = AdminController;
@@ -1,7 +1,7 @@
 const User = require("../models/User");
 const authService = require("../services/auth.service");
 const responseHandler = require("../utils/response.handler");
-const nodemailer = require("nodemailer");
+const emailService = require("../services/email.service");
 const bcrypt = require("bcryptjs");
 
 // Pre-compute a fake hash to mitigate timing attacks when user not found
@@ -79,31 +79,21 @@ class AuthController {
         REFRESH_TOKEN_COOKIE_OPTIONS
       );
 
-      // Send verification email (use your existing transporter config or a transactional provider)
-      const transporter = nodemailer.createTransport({
-        service: process.env.EMAIL_SERVICE || "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        },
-      });
-
+      // Queue the verification email (sent by the job worker)
       const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationRaw}`;
 
-      const mailOptions = {
-        from: `"${process.env.EMAIL_FROM_NAME || "App"}" <${
-          process.env.EMAIL_USER
-        }>`,
-        to: email,
-        subject: "Verify your email",
-        html: `<p>Hello ${user.name},</p>
+      await emailService.queueMail(
+        {
+          to: email,
+          subject: "Verify your email",
+          html: `<p>Hello ${user.name},</p>
                <p>Verify your email by clicking the link below:</p>
                <a href="${verifyUrl}">Verify Email</a>
                <p>This link expires in 24 hours.</p>`,
-        text: `Verify your email: ${verifyUrl}`,
-      };
-
-      await transporter.sendMail(mailOptions);
+          text: `Verify your email: ${verifyUrl}`,
+        },
+        { userId: user._id }
+      );
 
       // Respond with access token in body
       return responseHandler.created(
@@ -390,28 +380,18 @@ class AuthController {
 
       const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetRaw}`;
 
-      const transporter = nodemailer.createTransport({
-        service: process.env.EMAIL_SERVICE || "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        },
-      });
-
-      const mailOptions = {
-        from: `"${process.env.EMAIL_FROM_NAME || "App"}" <${
-          process.env.EMAIL_USER
-        }>`,
-        to: user.email,
-        subject: "Password Reset Request",
-        html: `<p>Hello ${user.name},</p>
+      await emailService.queueMail(
+        {
+          to: user.email,
+          subject: "Password Reset Request",
+          html: `<p>Hello ${user.name},</p>
                <p>You requested a password reset. Click the link below to reset your password:</p>
                <a href="${resetUrl}">Reset Password</a>
                <p>This link will expire in 1 hour.</p>`,
-        text: `Reset your password: ${resetUrl}\nThis link will expire in 1 hour.`,
-      };
-
-      await transporter.sendMail(mailOptions);
+          text: `Reset your password: ${resetUrl}\nThis link will expire in 1 hour.`,
+        },
+        { userId: user._id }
+      );
 
       return responseHandler.success(
         res,
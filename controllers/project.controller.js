@@ -1,9 +1,12 @@
 const Project = require('../models/Project');
+const Chat = require('../models/Chat');
 const UserIntegration = require('../models/UserIntegration');
+const ApiKey = require('../models/ApiKey');
 const responseHandler = require('../utils/response.handler');
 const githubService = require('../services/github.service');
 const jiraService = require('../services/jira.service');
 const notionService = require('../services/notion.service');
+const documentIndexService = require('../services/documentIndex.service');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -48,6 +51,9 @@ class ProjectController {
             const project = new Project(projectData);
             await project.save();
 
+            // Extract and embed PDF text in the background; see getAttachmentStatus
+            documentIndexService.indexPendingAttachments(project);
+
             return responseHandler.created(res, { project }, 'Project created successfully');
         } catch (error) {
             console.error('Create project error:', error);
@@ -119,6 +125,7 @@ class ProjectController {
             const { projectId } = req.params;
             const userId = req.user._id;
             const updateData = req.body;
+            let removedFilenames = [];
 
             const project = await Project.findByUserIdAndProjectId(userId, projectId);
             if (!project) {
@@ -145,15 +152,47 @@ class ProjectController {
                     return responseHandler.error(res, 'All attachments must be PDF files', 400);
                 }
                 
-                updateData.attachments = updateData.attachments.map(file => ({
-                    ...file,
-                    uploadedAt: file.uploadedAt || new Date()
-                }));
+                // Keep the id and indexing state of attachments the project
+                // already has; new files start out pending
+                const existing = new Map(project.attachments.map(attachment => [attachment.filename, attachment]));
+                updateData.attachments = updateData.attachments.map(file => {
+                    const current = existing.get(file.filename);
+                    return {
+                        ...file,
+                        ...(current && { _id: current._id }),
+                        uploadedAt: file.uploadedAt || new Date(),
+                        indexing: current ? current.toObject().indexing : undefined
+                    };
+                });
+
+                const kept = new Set(updateData.attachments.map(file => file.filename));
+                removedFilenames = [...existing.keys()].filter(filename => !kept.has(filename));
+            }
+
+            // Keys billed for the project's chats, by provider; null clears one
+            if (updateData.apiKeys) {
+                const apiKeys = Object.entries(updateData.apiKeys).filter(([, apiKeyId]) => apiKeyId);
+                if (apiKeys.length > 0) {
+                    const owned = await ApiKey.countDocuments({
+                        userId,
+                        isActive: true,
+                        $or: apiKeys.map(([provider, apiKeyId]) => ({ _id: apiKeyId, provider }))
+                    });
+                    if (owned !== apiKeys.length) {
+                        return responseHandler.error(res, 'Each API key must be one of your active keys for its provider', 400);
+                    }
+                }
+                updateData.apiKeys = Object.fromEntries(apiKeys);
             }
 
             Object.assign(project, updateData);
             await project.save();
 
+            await Promise.all(removedFilenames.map(filename =>
+                documentIndexService.removeAttachment(project._id, filename)
+            ));
+            documentIndexService.indexPendingAttachments(project);
+
             return responseHandler.success(res, { project }, 'Project updated successfully');
         } catch (error) {
             console.error('Update project error:', error);
@@ -172,6 +211,7 @@ class ProjectController {
             }
 
             await project.softDelete();
+            await documentIndexService.removeProject(project._id);
 
             return responseHandler.success(res, null, 'Project deleted successfully');
         } catch (error) {
@@ -204,6 +244,7 @@ class ProjectController {
 
             project.attachments.pull(attachmentId);
             await project.save();
+            await documentIndexService.removeAttachment(project._id, attachment.filename);
 
             return responseHandler.success(res, null, 'Attachment removed successfully');
         } catch (error) {
@@ -212,7 +253,81 @@ class ProjectController {
         }
     }
 
+    async getAttachmentStatus(req, res) {
+        try {
+            const { projectId, attachmentId } = req.params;
+            const userId = req.user._id;
+
+            const project = await Project.findByUserIdAndProjectId(userId, projectId);
+            if (!project) {
+                return responseHandler.notFound(res, 'Project not found');
+            }
+
+            const attachment = project.attachments.id(attachmentId);
+            if (!attachment) {
+                return responseHandler.notFound(res, 'Attachment not found');
+            }
+
+            const indexing = attachment.indexing || {};
+            const totalPages = indexing.totalPages || 0;
+            const status = indexing.status || 'pending';
+
+            return responseHandler.success(res, {
+                attachmentId: attachment._id,
+                name: attachment.originalName || attachment.filename,
+                status,
+                totalPages,
+                processedPages: indexing.processedPages || 0,
+                progress: status === 'indexed' ? 100 : (totalPages ? Math.floor((indexing.processedPages || 0) / totalPages * 100) : 0),
+                chunkCount: indexing.chunkCount || 0,
+                error: indexing.error || null,
+                indexedAt: indexing.indexedAt || null
+            }, 'Attachment status retrieved successfully');
+        } catch (error) {
+            console.error('Get attachment status error:', error);
+            return responseHandler.error(res, 'Failed to get attachment status', 500, error);
+        }
+    }
+
+
 
+    async getProjectChats(req, res) {
+        try {
+            const { projectId } = req.params;
+            const userId = req.user._id;
+            const { page = 1, limit = 20 } = req.query;
+
+            const project = await Project.findByUserIdAndProjectId(userId, projectId);
+            if (!project) {
+                return responseHandler.notFound(res, 'Project not found');
+            }
+
+            const [chats, total] = await Promise.all([
+                Chat.findByProject(userId, projectId, {
+                    select: 'title projectId selectedModel createdAt updatedAt messageStats',
+                    limit: parseInt(limit),
+                    skip: (parseInt(page) - 1) * parseInt(limit)
+                }),
+                Chat.countDocuments({ userId, projectId, isActive: true })
+            ]);
+
+            const items = chats.map(chat => ({
+                _id: chat._id,
+                title: chat.title,
+                projectId: chat.projectId,
+                selectedModel: chat.selectedModel,
+                createdAt: chat.createdAt,
+                updatedAt: chat.updatedAt,
+                messageCount: chat.messageCount,
+                lastMessage: chat.lastMessage
+            }));
+
+            return responseHandler.paginated(res, items, parseInt(page), parseInt(limit), total, 'Project chats retrieved successfully');
+        } catch (error) {
+            console.error('Get project chats error:', error);
+            return responseHandler.error(res, 'Failed to retrieve project chats', 500, error);
+        }
+    }
 
     async getProjectResources(req, res) {
         try {
@@ -1,5 +1,6 @@
 const User = require("../models/User");
 const responseHandler = require("../utils/response.handler");
+const usageService = require("../services/usage.service");
 
 class UserController {
   async getProfile(req, res) {
@@ -151,6 +152,61 @@ class UserController {
       );
     }
   }
+
+  async getUsage(req, res) {
+    try {
+      const { from, to, groupBy } = req.query;
+
+      const [usage, budget] = await Promise.all([
+        usageService.getUsage(req.user._id, { from, to, groupBy }),
+        usageService.getBudgetStatus(req.user._id),
+      ]);
+
+      return responseHandler.success(
+        res,
+        { usage, budget },
+        "Usage retrieved successfully"
+      );
+    } catch (error) {
+      console.error("Get usage error:", error);
+      return responseHandler.error(
+        res,
+        error.statusCode ? error.message : "Failed to get usage",
+        error.statusCode || 500,
+        error
+      );
+    }
+  }
+
+  async updateUsageBudget(req, res) {
+    try {
+      const { monthlyLimit, warnAt, hardLimit } = req.body;
+
+      const budget = await usageService.setBudget(req.user._id, {
+        monthlyLimit,
+        warnAt,
+        hardLimit,
+      });
+
+      if (!budget) {
+        return responseHandler.notFound(res, "User not found");
+      }
+
+      return responseHandler.success(
+        res,
+        { budget },
+        "Usage budget updated successfully"
+      );
+    } catch (error) {
+      console.error("Update usage budget error:", error);
+      return responseHandler.error(
+        res,
+        "Failed to update usage budget",
+        500,
+        error
+      );
+    }
+  }
 }
 
 module.exports = UserController;
@@ -0,0 +1,59 @@
+// Job types run by the worker (worker.js) and the recurring jobs it keeps
+// scheduled. See services/jobQueue.service.js.
+const jobQueue = require('../services/jobQueue.service');
+const emailService = require('../services/email.service');
+const integrationSyncService = require('../services/integrationSync.service');
+const tokenRefreshService = require('../services/tokenRefresh.service');
+const apiKeyVerificationService = require('../services/apiKeyVerification.service');
+const secretRotationService = require('../services/secretRotation.service');
+
+jobQueue.register('send_email', (mail) => emailService.sendMail(mail), {
+  maxAttempts: 5,
+  backoffMs: 60 * 1000,
+  // Verification and reset links must not linger in the jobs collection
+  redactPayload: true
+});
+
+jobQueue.register('integration_sync', ({ userId, integrationId }) =>
+  integrationSyncService.syncIntegration(userId, integrationId), {
+  maxAttempts: 3,
+  backoffMs: 2 * 60 * 1000
+});
+
+jobQueue.register('integration_sync_scheduler', async () => ({
+  queued: await integrationSyncService.scheduleDueSyncs()
+}));
+
+jobQueue.register('oauth_token_refresh', ({ userId, integrationId }) =>
+  tokenRefreshService.refreshIntegration(userId, integrationId), {
+  maxAttempts: 3,
+  backoffMs: 60 * 1000
+});
+
+jobQueue.register('oauth_token_scheduler', () => tokenRefreshService.scheduleDueRefreshes());
+
+jobQueue.register('api_key_verification', ({ apiKeyId }) =>
+  apiKeyVerificationService.verifyKey(apiKeyId), {
+  maxAttempts: 3,
+  backoffMs: 10 * 60 * 1000
+});
+
+jobQueue.register('api_key_verification_scheduler', () => apiKeyVerificationService.scheduleDueVerifications());
+
+jobQueue.register('secret_reencryption', () => secretRotationService.reEncryptAll());
+
+const recurringJobs = [
+  { name: 'integration_sync_scheduler', type: 'integration_sync_scheduler', everyMs: 60 * 1000 },
+  { name: 'oauth_token_scheduler', type: 'oauth_token_scheduler', everyMs: 5 * 60 * 1000 },
+  { name: 'api_key_verification_scheduler', type: 'api_key_verification_scheduler', everyMs: 60 * 60 * 1000 },
+  { name: 'secret_reencryption', type: 'secret_reencryption', everyMs: 24 * 60 * 60 * 1000 }
+];
+
+const scheduleRecurringJobs = () => Promise.all(
+  recurringJobs.map(({ name, type, payload, everyMs }) => jobQueue.schedule(name, type, payload, everyMs))
+);
+
+module.exports = {
+  jobQueue,
+  scheduleRecurringJobs
+};
@@ -191,8 +191,23 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
+// User id from a valid access token, without loading the user. For
+// middleware that runs before `auth` (rate limiting).
+const getTokenUserId = (req) => {
+  const token = extractBearerToken(req);
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, { algorithms: ["HS256"] });
+    return decoded?.userId || null;
+  } catch (err) {
+    return null;
+  }
+};
+
 module.exports = {
   auth,
   optionalAuth,
   adminAuth,
+  getTokenUserId,
 };
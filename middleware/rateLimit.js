@@ -0,0 +1,53 @@
+// middleware/rateLimit.js
+const { rateLimit, ipKeyGenerator } = require("express-rate-limit");
+const { getTokenUserId } = require("./auth");
+const rateLimitService = require("../services/rateLimit");
+
+// Signed-in user of a request: set by `auth`, or read from the access token
+// for limiters that run before it
+const requestUserId = (req) => {
+  if (req.user) return String(req.user._id);
+  if (req.rateLimitUserId === undefined) {
+    req.rateLimitUserId = getTokenUserId(req);
+  }
+  return req.rateLimitUserId;
+};
+
+// A limiter for a policy of services/rateLimit. Responses carry the standard
+// `RateLimit` and `RateLimit-Policy` headers (one entry per policy applied).
+const createLimiter = (policyName) => {
+  const policy = rateLimitService.getPolicy(policyName);
+  const perUser = policy.key === "user";
+
+  return rateLimit({
+    windowMs: policy.windowMs,
+    limit: (req) => rateLimitService.getLimit(policyName, perUser ? requestUserId(req) : null),
+    keyGenerator: (req) =>
+      perUser ? `user:${requestUserId(req)}` : `ip:${ipKeyGenerator(req.ip)}`,
+    // Anonymous requests only count against IP policies
+    skip: (req) => perUser && !requestUserId(req),
+    skipSuccessfulRequests: Boolean(policy.skipSuccessfulRequests),
+    store: rateLimitService.createStore(policyName),
+    // Don't turn requests away because the store is unavailable
+    passOnStoreError: true,
+    standardHeaders: "draft-8",
+    identifier: policyName,
+    legacyHeaders: false,
+    message: {
+      status: "error",
+      message: policy.message,
+    },
+  });
+};
+
+module.exports = {
+  createLimiter,
+  apiIpLimiter: createLimiter("api_ip"),
+  apiUserLimiter: createLimiter("api_user"),
+  authLimiter: createLimiter("auth"),
+  registerLimiter: createLimiter("auth_register"),
+  loginLimiter: createLimiter("auth_login"),
+  forgotPasswordLimiter: createLimiter("auth_forgot_password"),
+  chatStreamLimiter: createLimiter("chat_stream"),
+  uploadLimiter: createLimiter("uploads"),
+};
@@ -0,0 +1,37 @@
+// middleware/usageBudget.js
+const usageService = require("../services/usage.service");
+
+// Check the signed-in user's monthly LLM budget before a reply is generated.
+// Past a hard limit the request is refused with 402; otherwise the status is
+// left on `req.usageBudget` and, once it isn't "ok", sent in the
+// `X-Usage-Budget` header so clients can warn the user.
+const checkUsageBudget = async (req, res, next) => {
+  try {
+    const budget = await usageService.getBudgetStatus(req.user._id);
+    req.usageBudget = budget;
+
+    if (budget.status === "exceeded" && budget.hardLimit) {
+      return res.status(402).json({
+        status: "error",
+        code: "BUDGET_EXCEEDED",
+        message: "Monthly usage budget exceeded. Raise your budget to keep chatting.",
+        budget,
+      });
+    }
+
+    if (budget.status !== "ok") {
+      res.setHeader(
+        "X-Usage-Budget",
+        `${budget.status}; spent=${budget.spent}; limit=${budget.monthlyLimit}`
+      );
+    }
+    next();
+  } catch (error) {
+    // Don't turn requests away because usage can't be read
+    console.error("Usage budget check error:", error.message);
+    req.usageBudget = null;
+    next();
+  }
+};
+
+module.exports = { checkUsageBudget };
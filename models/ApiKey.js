@@ -10,8 +10,12 @@ const apiKeySchema = new mongoose.Schema(
     provider: {
       type: String,
       required: true,
-      enum: ["openai", "anthropic"],
       default: "openai",
+      validate: {
+        // Required lazily: provider adapters depend on this model
+        validator: (value) => require("../services/providers").has(value),
+        message: (props) => `${props.value} is not a supported provider`,
+      },
     },
     keyName: {
       type: String,
@@ -19,6 +23,12 @@ const apiKeySchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Key name cannot exceed 100 characters"],
     },
+    // Order in which a user's keys for a provider are tried (lowest first);
+    // requests fail over to the next key when a key is rejected or rate limited
+    priority: {
+      type: Number,
+      default: 0,
+    },
     encryptedApiKey: {
       type: String,
       required: true,
@@ -44,10 +54,21 @@ const apiKeySchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // Verifications failed in a row; the scheduled re-verification
+    // deactivates keys that keep failing
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
     lastUsedAt: {
       type: Date,
       default: null,
     },
+    // Rate limited by the provider: tried after the user's other keys until then
+    cooldownUntil: {
+      type: Date,
+      default: null,
+    },
     usageCount: {
       type: Number,
       default: 0,
@@ -67,6 +88,8 @@ const apiKeySchema = new mongoose.Schema(
           id: String,
           name: String,
           provider: String,
+          context: Number,
+          maxTokens: Number,
         },
       ],
       limits: {
@@ -115,9 +138,11 @@ apiKeySchema.index({ userId: 1, isActive: 1 });
 apiKeySchema.index({ provider: 1, isActive: 1 });
 apiKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-// Ensure only one active API key per provider per user
+apiKeySchema.index({ userId: 1, provider: 1, isActive: 1, priority: 1 });
+
+// Users can have several active keys per provider, each with its own name
 apiKeySchema.index(
-  { userId: 1, provider: 1, isActive: 1 },
+  { userId: 1, provider: 1, keyName: 1 },
   {
     unique: true,
     partialFilterExpression: { isActive: true },
@@ -140,6 +165,8 @@ apiKeySchema.methods.recordValidationError = function (error) {
   }
   this.verificationError = error.toString();
   this.isVerified = false;
+  this.consecutiveFailures += 1;
+  this.metadata.lastValidation = new Date();
   return this.save();
 };
 
@@ -148,6 +175,7 @@ apiKeySchema.methods.markAsVerified = function (metadata = {}) {
   this.isVerified = true;
   this.verifiedAt = new Date();
   this.verificationError = null;
+  this.consecutiveFailures = 0;
   this.metadata.lastValidation = new Date();
 
   // Update metadata if provided
@@ -157,28 +185,38 @@ apiKeySchema.methods.markAsVerified = function (metadata = {}) {
   if (metadata.permissions) {
     this.metadata.permissions = metadata.permissions;
   }
+  if (metadata.models) {
+    this.metadata.models = metadata.models;
+  }
   if (metadata.limits) {
-    this.metadata.limits = { ...this.metadata.limits, ...metadata.limits };
+    Object.entries(metadata.limits).forEach(([field, value]) => {
+      this.set(`metadata.limits.${field}`, value);
+    });
   }
 
   return this.save();
 };
 
+// Method to rest a rate limited key for `durationMs`
+apiKeySchema.methods.startCooldown = function (durationMs) {
+  this.cooldownUntil = new Date(Date.now() + durationMs);
+  return this.save();
+};
+
 // Method to deactivate API key
 apiKeySchema.methods.deactivate = function () {
   this.isActive = false;
   return this.save();
 };
 
-// Static method to find active API key by user and provider
+// Static method to find the user's first active API key (by priority) for a provider
 apiKeySchema.statics.findActiveByUserAndProvider = function (
   userId,
   provider = "openai"
 ) {
-  return this.findOne({ userId, provider, isActive: true }).populate(
-    "userId",
-    "name email"
-  );
+  return this.findOne({ userId, provider, isActive: true })
+    .sort({ priority: 1, createdAt: 1 })
+    .populate("userId", "name email");
 };
 
 // Static method to deactivate all keys for a user and provider
@@ -198,4 +236,38 @@ apiKeySchema.pre("save", function (next) {
   next();
 });
 
+// Cached agents hold the user's decrypted OpenAI key, so drop them when a key
+// is added, replaced, deactivated or fails verification. Required lazily: the
+// agent service depends on this model.
+const invalidateAgents = (userId) => {
+  if (!mongoose.isValidObjectId(userId)) return;
+  require("../services/agent.service").invalidateUser(userId);
+};
+
+apiKeySchema.pre("save", function (next) {
+  this.$locals.invalidatesAgents =
+    this.isNew ||
+    this.isModified("encryptedApiKey") ||
+    this.isModified("isActive") ||
+    this.isModified("isVerified");
+  next();
+});
+
+apiKeySchema.post("save", function (doc) {
+  if (doc.$locals.invalidatesAgents) {
+    invalidateAgents(doc.userId);
+  }
+});
+
+apiKeySchema.post("deleteOne", { document: true, query: false }, function (doc) {
+  invalidateAgents(doc.userId);
+});
+
+apiKeySchema.post(
+  ["findOneAndUpdate", "findOneAndDelete", "updateOne", "updateMany", "deleteOne", "deleteMany"],
+  function (result) {
+    invalidateAgents(result?.userId || this.getFilter().userId);
+  }
+);
+
 module.exports = mongoose.model("ApiKey", apiKeySchema);
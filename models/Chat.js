@@ -1,37 +1,7 @@
 const { tool } = require('@openai/agents');
 const mongoose = require('mongoose');
-
-const chatMessageSchema = new mongoose.Schema({
-  content: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  role: {
-    type: String,
-    required: true,
-    enum: ['user', 'assistant', 'system']
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now
-  },
-  metadata: {
-    tokens: Number,
-    model: String,
-    toolCalls: [{
-      name: String,
-      output: mongoose.Schema.Types.Mixed,
-    }],
-    mcpContext: [{
-      serverId: String,
-      serverName: String,
-      resourceType: String,
-      resourceId: String,
-      resourceName: String
-    }]
-  }
-}, { _id: true });
+const ChatMessage = require('./ChatMessage');
+const { getBranchPath, findLatestLeaf } = require('../utils/messageTree');
 
 const chatSchema = new mongoose.Schema({
   userId: {
@@ -46,11 +16,44 @@ const chatSchema = new mongoose.Schema({
     trim: true,
     maxlength: 200
   },
-  messages: [chatMessageSchema],
+  // Chats in a project get its description and attachments as context, and
+  // the agent's tools are limited to the project's selected resources
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Tip of the branch shown to the user and sent to the model
+  activeLeafId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    default: null
+  },
+  // Messages live in the ChatMessage collection; these describe the active
+  // branch and are kept in step so chat lists don't need to load messages
+  messageStats: {
+    count: {
+      type: Number,
+      default: 0
+    },
+    lastMessage: {
+      messageId: mongoose.Schema.Types.ObjectId,
+      content: String,
+      role: String,
+      timestamp: Date
+    }
+  },
   selectedModel: {
     id: String,
     name: String,
-    provider: String
+    provider: String,
+    // The user's key for `provider` that this chat is billed to; by default
+    // the project's key for the provider, else the user's keys by priority
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: undefined
+    }
   },
   selectedDocument: {
     type: String,
@@ -67,6 +70,15 @@ const chatSchema = new mongoose.Schema({
       content: String
     }]
   }],
+  // Rolling summary of the messages that no longer fit in the model's
+  // context window, up to and including `lastMessageId`
+  contextSummary: {
+    content: String,
+    lastMessageId: mongoose.Schema.Types.ObjectId,
+    summarizedMessageCount: Number,
+    tokens: Number,
+    updatedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -78,11 +90,24 @@ const chatSchema = new mongoose.Schema({
       min: 0,
       max: 2
     },
+    // Unset means the provider's default; upper bounds depend on the
+    // model and are validated against its limits when settings are updated
     maxTokens: {
       type: Number,
-      default: 150,
-      min: 1,
-      max: 4000
+      min: 1
+    },
+    topP: {
+      type: Number,
+      min: 0,
+      max: 1
+    },
+    stopSequences: [{
+      type: String
+    }],
+    responseFormat: {
+      type: String,
+      enum: ['text', 'json_object'],
+      default: 'text'
     },
     systemPrompt: {
       type: String,
@@ -98,15 +123,24 @@ const chatSchema = new mongoose.Schema({
 // Indexes
 chatSchema.index({ userId: 1, createdAt: -1 });
 chatSchema.index({ userId: 1, isActive: 1, updatedAt: -1 });
+chatSchema.index({ projectId: 1, isActive: 1, updatedAt: -1 });
 
 // Virtual for message count
 chatSchema.virtual('messageCount').get(function() {
-  return this?.messages?.length || 0;
+  return this?.messageStats?.count || 0;
 });
 
 // Virtual for last message
 chatSchema.virtual('lastMessage').get(function() {
-  return this?.messages?.length > 0 ? this.messages[this.messages.length - 1] : null;
+  const lastMessage = this?.messageStats?.lastMessage;
+  if (!lastMessage?.messageId) return null;
+
+  return {
+    _id: lastMessage.messageId,
+    content: lastMessage.content,
+    role: lastMessage.role,
+    timestamp: lastMessage.timestamp
+  };
 });
 
 // Static methods
@@ -118,30 +152,119 @@ chatSchema.statics.findByUserId = function(userId, options = {}) {
     .select(options.select || '');
 };
 
+chatSchema.statics.findByProject = function(userId, projectId, options = {}) {
+  const query = { userId, projectId, isActive: true };
+  return this.find(query)
+    .sort({ updatedAt: -1 })
+    .skip(options.skip || 0)
+    .limit(options.limit || 50)
+    .select(options.select || '');
+};
+
 chatSchema.statics.findByUserIdAndChatId = function(userId, chatId) {
   return this.findOne({ _id: chatId, userId, isActive: true });
 };
 
 // Instance methods
-chatSchema.methods.addMessage = function(messageData) {
-  this.messages.push({
+
+// Add a message after `messageData.parentId`, or after the end of the active
+// branch when no parent is given, and make it the active branch's tip
+chatSchema.methods.addMessage = async function(messageData) {
+  const isFirstMessage = this.messageCount === 0;
+  const parentId = messageData.parentId !== undefined ? messageData.parentId : this.activeLeafId;
+
+  const message = await ChatMessage.create({
+    chatId: this._id,
+    userId: this.userId,
+    parentId: parentId || null,
     content: messageData.content,
     role: messageData.role,
+    status: messageData.status,
     timestamp: messageData.timestamp || new Date(),
     metadata: messageData.metadata || {}
   });
-  
+
+  // Replying on the active branch only adds one message to it; anything else
+  // starts a new branch whose length has to be counted
+  let count = this.messageCount + 1;
+  if (String(parentId || '') !== String(this.activeLeafId || '')) {
+    const tree = await ChatMessage.loadTree(this._id);
+    count = getBranchPath(tree, message._id).length;
+  }
+
+  this.setActiveLeaf(message, count);
+
   // Update chat title if it's the first user message
-  if (this.messages.length === 1 && messageData.role === 'user') {
+  if (isFirstMessage && messageData.role === 'user') {
     const title = messageData.content.length > 50 
       ? messageData.content.substring(0, 50) + '...'
       : messageData.content;
     this.title = title;
   }
-  
+
+  await this.save();
+  return message;
+};
+
+chatSchema.methods.setActiveLeaf = function(message, count) {
+  this.activeLeafId = message._id;
+  this.messageStats = {
+    count,
+    lastMessage: {
+      messageId: message._id,
+      content: message.content,
+      role: message.role,
+      timestamp: message.timestamp
+    }
+  };
+};
+
+// Make `messageId` the tip of the active branch. Returns null if the message
+// is not part of this chat.
+chatSchema.methods.setActiveMessage = async function(messageId, tree = null) {
+  tree = tree || await ChatMessage.loadTree(this._id);
+  if (!tree.parents.has(String(messageId))) return null;
+
+  const message = await ChatMessage.findById(messageId);
+  this.setActiveLeaf(message, getBranchPath(tree, messageId).length);
   return this.save();
 };
 
+// Switch to the branch containing `messageId`, following its newest replies
+// to the tip. Returns null if the message is not part of this chat.
+chatSchema.methods.switchBranch = async function(messageId) {
+  const tree = await ChatMessage.loadTree(this._id);
+  if (!tree.parents.has(String(messageId))) return null;
+
+  return this.setActiveMessage(findLatestLeaf(tree, messageId), tree);
+};
+
+// Messages on the active branch in chronological order
+chatSchema.methods.getMessages = function() {
+  return ChatMessage.findBranch(this._id, this.activeLeafId);
+};
+
+// A page of the active branch (see ChatMessage.findPage)
+chatSchema.methods.getMessagePage = function(options = {}) {
+  return ChatMessage.findPage(this._id, { ...options, leafId: this.activeLeafId });
+};
+
+// Generation options for provider/agent calls, built from the chat's model and settings
+chatSchema.methods.getGenerationOptions = function() {
+  const settings = this.settings || {};
+
+  return {
+    model: this.selectedModel?.id,
+    apiKeyId: this.selectedModel?.apiKeyId || undefined,
+    temperature: settings.temperature,
+    maxTokens: settings.maxTokens || undefined,
+    topP: settings.topP === null ? undefined : settings.topP,
+    stopSequences: settings.stopSequences?.length ? [...settings.stopSequences] : undefined,
+    responseFormat: settings.responseFormat,
+    systemPrompt: settings.systemPrompt || undefined
+  };
+};
+
 chatSchema.methods.updateSettings = function(settings) {
   this.settings = { ...this.settings, ...settings };
   return this.save();
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { buildMessageTree, getBranchPath, getSiblingIds } = require('../utils/messageTree');
+
+const chatMessageSchema = new mongoose.Schema({
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // The message this one follows; null for the first message. Edits and
+  // regenerations create siblings that share a parent.
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    default: null
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['user', 'assistant', 'system']
+  },
+  // Replies cut short are `cancelled` when the user stopped them and
+  // `incomplete` when the client went away mid-stream
+  status: {
+    type: String,
+    enum: ['complete', 'incomplete', 'cancelled'],
+    default: 'complete'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  metadata: {
+    tokens: Number,
+    promptTokens: Number,
+    completionTokens: Number,
+    model: String,
+    // One entry per tool invocation (see utils/toolCallTracer)
+    toolCalls: [{
+      callId: String,
+      name: String,
+      arguments: mongoose.Schema.Types.Mixed,
+      server: String,
+      status: {
+        type: String,
+        enum: ['running', 'success', 'error', 'cancelled']
+      },
+      error: String,
+      startedAt: Date,
+      endedAt: Date,
+      durationMs: Number,
+      output: mongoose.Schema.Types.Mixed,
+    }],
+    mcpContext: [{
+      serverId: String,
+      serverName: String,
+      resourceType: String,
+      resourceId: String,
+      resourceName: String
+    }]
+  }
+});
+
+// Messages are ordered by _id, which also serves as the pagination cursor
+chatMessageSchema.index({ chatId: 1, _id: -1 });
+
+// Static methods
+// Load the parent pointers of every message in a chat (see utils/messageTree)
+chatMessageSchema.statics.loadTree = async function(chatId) {
+  const nodes = await this.find({ chatId })
+    .select('_id parentId')
+    .sort({ _id: 1 })
+    .lean();
+
+  return buildMessageTree(nodes);
+};
+
+// Messages on the branch ending at `leafId`, oldest first
+chatMessageSchema.statics.findBranch = async function(chatId, leafId) {
+  const tree = await this.loadTree(chatId);
+  return this.findInOrder(getBranchPath(tree, leafId));
+};
+
+// Fetch messages by id, preserving the order of `ids`
+chatMessageSchema.statics.findInOrder = async function(ids) {
+  if (ids.length === 0) return [];
+
+  const messages = await this.find({ _id: { $in: ids } });
+  const byId = new Map(messages.map(msg => [String(msg._id), msg]));
+
+  return ids.map(id => byId.get(String(id))).filter(Boolean);
+};
+
+// Page backwards through the branch ending at `leafId`. Returns the page in
+// chronological order; pass `nextCursor` as `before` to get older messages.
+// Each message lists its `siblingIds` so clients can offer the other branches.
+chatMessageSchema.statics.findPage = async function(chatId, options = {}) {
+  const limit = options.limit || 50;
+  const tree = await this.loadTree(chatId);
+  const path = getBranchPath(tree, options.leafId);
+
+  let end = path.length;
+  if (options.before) {
+    end = path.indexOf(String(options.before));
+    if (end === -1) {
+      return { messages: [], hasMore: false, nextCursor: null };
+    }
+  }
+
+  const start = Math.max(end - limit, 0);
+  const messages = await this.findInOrder(path.slice(start, end));
+
+  return {
+    messages: messages.map(msg => ({
+      ...msg.toJSON(),
+      siblingIds: getSiblingIds(tree, msg._id)
+    })),
+    hasMore: start > 0,
+    nextCursor: start > 0 ? messages[0]._id : null
+  };
+};
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Local copy of a resource pulled from a connected integration by the
+// background sync (services/integrationSync.service.js), e.g. a Notion page,
+// a GitHub repository or issue, or a Jira project or board
+const integrationSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  integrationId: {
+    type: String,
+    required: true
+  },
+  resourceType: {
+    type: String,
+    required: true // e.g. 'page', 'repository', 'issue', 'board'
+  },
+  resourceId: {
+    type: String,
+    required: true
+  },
+  name: String,
+  url: String,
+  // The resource as returned by the integration's service
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+integrationSnapshotSchema.index(
+  { userId: 1, integrationId: 1, resourceType: 1, resourceId: 1 },
+  { unique: true }
+);
+integrationSnapshotSchema.index({ userId: 1, integrationId: 1, syncedAt: 1 });
+
+module.exports = mongoose.model('IntegrationSnapshot', integrationSnapshotSchema);
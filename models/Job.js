@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// A unit of background work run by the job worker (services/jobQueue.service.js)
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true // e.g. 'integration_sync', 'send_email'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // User the job was queued for, if any
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Not run before this time (scheduled jobs, retries)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Base delay before a retry; doubles with every failed attempt
+  backoffMs: {
+    type: Number,
+    default: 30000
+  },
+  // How long a worker may hold the job without renewing its lock
+  visibilityTimeoutMs: {
+    type: Number,
+    default: 5 * 60 * 1000
+  },
+  // Recurring jobs are queued again this long after each run
+  repeatEveryMs: {
+    type: Number,
+    default: null
+  },
+  // Set while the job is queued or running so the same work isn't queued
+  // twice (unique); cleared when it finishes
+  activeKey: {
+    type: String,
+    default: undefined
+  },
+  dedupeKey: String,
+  // Worker holding the job and until when. A running job whose lock expired
+  // (its worker crashed) is picked up again.
+  lockedBy: String,
+  lockedUntil: Date,
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  startedAt: Date,
+  finishedAt: Date,
+  // Finished jobs are removed after a while
+  expireAt: Date
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ activeKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+jobSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', jobSchema);
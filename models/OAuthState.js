@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A pending OAuth authorization, stored by the MongoDB OAuth state store
+// (services/oauthState/mongo.store.js) from the moment the user is sent to
+// the provider until its callback consumes it
+const oauthStateSchema = new mongoose.Schema({
+  // The `state` parameter sent to the provider
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  integrationId: {
+    type: String,
+    required: true
+  },
+  redirectUri: String,
+  // PKCE code verifier (encrypted), for providers that use PKCE
+  codeVerifier: String,
+  // Removed by MongoDB once expired
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
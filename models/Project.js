@@ -43,10 +43,40 @@ const projectSchema = new mongoose.Schema({
       uploadedAt: {
         type: Date,
         default: Date.now
+      },
+      // Text extraction and embedding for search_project_documents (see
+      // services/documentIndex.service.js)
+      indexing: {
+        status: {
+          type: String,
+          enum: ['pending', 'processing', 'indexed', 'failed'],
+          default: 'pending'
+        },
+        totalPages: Number,
+        processedPages: {
+          type: Number,
+          default: 0
+        },
+        chunkCount: {
+          type: Number,
+          default: 0
+        },
+        error: String,
+        indexedAt: Date
       }
     }],
     default: []
   },
+  // Key billed for the project's chats, by provider id (a chat's own key
+  // choice takes precedence)
+  apiKeys: {
+    type: Map,
+    of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    default: undefined
+  },
   mcpResources: {
     type: {
       notion: {
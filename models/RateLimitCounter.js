@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Hits of one client in the current window of a rate limit, kept by the
+// MongoDB rate limit store (services/rateLimit/mongo.store.js) so all
+// instances share the same counts
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Policy name and client, e.g. "chat_stream:user:<id>" or "api_ip:ip:<ip>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  // End of the current window; the counter is removed by MongoDB after it
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Tokens used by one LLM request (a completion, an agent run, a history
+// summary or an embedding batch) and its estimated cost. Written by
+// services/usage.service.js.
+const usageRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Key the request was made with
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['chat', 'agent', 'summary', 'embedding'],
+    default: 'chat'
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Estimated from the price table (constants/modelPricing.js), in USD
+  cost: {
+    type: Number,
+    default: 0
+  },
+  // Whether the model had a known price
+  priced: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+usageRecordSchema.index({ userId: 1, createdAt: -1 });
+usageRecordSchema.index({ chatId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -69,6 +69,19 @@ const userSchema = new mongoose.Schema(
     // For OAuth-only accounts
     oauthOnly: { type: Boolean, default: false },
 
+    // Per-user limits set by admins, by rate limit policy name (see
+    // services/rateLimit); requests per window
+    rateLimits: { type: Map, of: Number, default: undefined },
+
+    // Monthly LLM spend budget in USD (see services/usage.service.js).
+    // `warnAt` is the share of the limit after which replies carry a warning;
+    // with `hardLimit` off, replies are still generated past the limit.
+    usageBudget: {
+      monthlyLimit: { type: Number, min: 0, default: null },
+      warnAt: { type: Number, min: 0, max: 1, default: 0.8 },
+      hardLimit: { type: Boolean, default: true },
+    },
+
     preferences: {
       notifications: {
         email: { type: Boolean, default: true },
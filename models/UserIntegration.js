@@ -102,7 +102,7 @@ const userIntegrationSchema = new mongoose.Schema({
         type: Boolean,
         default: true
       },
-      events: [String] // e.g., ['sync_error', 'new_data']
+      events: [String] // e.g., ['token_expired', 'sync_error']; empty means all
     }
   }
 }, {
@@ -122,6 +122,7 @@ userIntegrationSchema.index({ userId: 1, integrationId: 1 }, { unique: true });
 userIntegrationSchema.index({ userId: 1, integrationType: 1 });
 userIntegrationSchema.index({ status: 1 });
 userIntegrationSchema.index({ 'metadata.lastSyncAt': 1 });
+userIntegrationSchema.index({ status: 1, 'connectionData.tokenExpiresAt': 1 });
 
 // Virtual for connection status
 userIntegrationSchema.virtual('isConnected').get(function() {
@@ -135,6 +136,7 @@ userIntegrationSchema.virtual('isTokenValid').get(function() {
 });
 
 // Methods
+// Store refreshed tokens; callers pass them encrypted
 userIntegrationSchema.methods.updateToken = function(tokenData) {
   this.connectionData.accessToken = tokenData.access_token;
   if (tokenData.refresh_token) {
@@ -144,11 +146,14 @@ userIntegrationSchema.methods.updateToken = function(tokenData) {
     this.connectionData.tokenExpiresAt = new Date(Date.now() + tokenData.expires_in * 1000);
   }
   this.status = 'connected';
-  this.metadata.lastSyncAt = new Date();
 };
 
-userIntegrationSchema.methods.markError = function(error) {
-  this.status = 'error';
+// Record a failure. With `disconnect: false` the integration stays usable
+// (e.g. a sync that failed for a reason other than its token).
+userIntegrationSchema.methods.markError = function(error, { disconnect = true } = {}) {
+  if (disconnect) {
+    this.status = 'error';
+  }
   this.metadata.errorCount += 1;
   this.metadata.lastError = {
     message: error.message,
@@ -186,4 +191,38 @@ userIntegrationSchema.statics.findByIntegration = function(userId, integrationId
   return this.findOne({ userId, integrationId });
 };
 
+// Cached agents are built from the user's connected integrations, so drop
+// them when an integration changes. Required lazily: the agent service
+// depends on this model.
+const invalidateAgents = (userId) => {
+  if (!mongoose.isValidObjectId(userId)) return;
+  require('../services/agent.service').invalidateUser(userId);
+};
+
+// Agent function tools look up tokens on every call, so a refreshed token
+// only matters for Notion, whose MCP server is started with it.
+userIntegrationSchema.pre('save', function(next) {
+  this.$locals.invalidatesAgents = this.isNew ||
+    this.isModified('status') ||
+    (this.integrationId === 'notion' && this.isModified('connectionData.accessToken'));
+  next();
+});
+
+userIntegrationSchema.post('save', function(doc) {
+  if (doc.$locals.invalidatesAgents) {
+    invalidateAgents(doc.userId);
+  }
+});
+
+userIntegrationSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  invalidateAgents(doc.userId);
+});
+
+userIntegrationSchema.post(
+  ['findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'],
+  function(result) {
+    invalidateAgents(result?.userId || this.getFilter().userId);
+  }
+);
+
 module.exports = mongoose.model('UserIntegration', userIntegrationSchema);
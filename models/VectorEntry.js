@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A chunk of text and its embedding, stored by the MongoDB vector store
+// (services/vectorStore/mongo.store.js)
+const vectorEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the entry belongs to, e.g. "project:<id>" or "chat:<id>"
+  namespace: {
+    type: String,
+    required: true
+  },
+  // Id of the entry within its namespace
+  entryId: {
+    type: String,
+    required: true
+  },
+  // What the text came from, e.g. "attachment:<filename>"; entries of a
+  // source are replaced together
+  source: {
+    type: String,
+    required: true
+  },
+  // Version of the source the entry was made from (e.g. its last edit time)
+  sourceVersion: {
+    type: String,
+    default: null
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  embedding: {
+    type: [Number],
+    required: true,
+    select: false
+  },
+  embeddingModel: String
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+vectorEntrySchema.index({ namespace: 1, entryId: 1 }, { unique: true });
+vectorEntrySchema.index({ namespace: 1, source: 1 });
+vectorEntrySchema.index({ userId: 1 });
+
+module.exports = mongoose.model('VectorEntry', vectorEntrySchema);
@@ -9,39 +9,11 @@ const {
   forgotPasswordValidation,
   changePasswordValidationAdmin,
 } = require("../validators/authValidators");
-const { default: rateLimit } = require("express-rate-limit");
+const { loginLimiter, forgotPasswordLimiter } = require("../middleware/rateLimit");
+const { query, param, body } = require("express-validator");
 
 const adminController = new AdminController();
 
-const createLimiter = (opts) =>
-  rateLimit({
-    windowMs: opts.windowMs,
-    max: opts.max,
-    message: {
-      status: "error",
-      message: opts.message,
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-  });
-
-const loginLimiter = createLimiter({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 500000, // limit each IP to 5 login attempts per windowMs
-  message: {
-    status: "error",
-    message: "Too many login attempts, please try again later.",
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-const forgotPasswordLimiter = createLimiter({
-  windowMs: 60 * 60 * 1000,
-  max: 5, // 5 forgot-password requests per hour per IP
-  message: "Too many password reset requests, please try again later.",
-});
-
 // Admin login with auto-creation of first admin
 router.post(
   "/login",
@@ -85,4 +57,54 @@ router.post(
 
 router.get("/user/get-users", adminAuth, adminController.getAllUsers);
 
+// Background jobs
+const jobIdValidation = [param("jobId").isMongoId().withMessage("Invalid job ID")];
+
+router.get(
+  "/jobs",
+  adminAuth,
+  [
+    query("status")
+      .optional()
+      .isIn(["queued", "running", "completed", "failed", "cancelled"])
+      .withMessage("Invalid job status"),
+    query("userId").optional().isMongoId().withMessage("Invalid user ID"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
+  ],
+  validateRequest,
+  adminController.getJobs
+);
+
+router.get("/jobs/:jobId", adminAuth, jobIdValidation, validateRequest, adminController.getJob);
+
+router.post("/jobs/:jobId/retry", adminAuth, jobIdValidation, validateRequest, adminController.retryJob);
+
+router.post("/jobs/:jobId/cancel", adminAuth, jobIdValidation, validateRequest, adminController.cancelJob);
+
+// Per-user rate limits
+const userIdValidation = [param("userId").isMongoId().withMessage("Invalid user ID")];
+
+router.get(
+  "/user/:userId/rate-limits",
+  adminAuth,
+  userIdValidation,
+  validateRequest,
+  adminController.getUserRateLimits
+);
+
+router.put(
+  "/user/:userId/rate-limits",
+  adminAuth,
+  [
+    ...userIdValidation,
+    body("limits").isObject().withMessage("Limits must be an object of policy names to limits"),
+    body("limits.*")
+      .custom((limit) => limit === null || (Number.isInteger(limit) && limit >= 1))
+      .withMessage("A limit must be a positive integer, or null to use the default"),
+  ],
+  validateRequest,
+  adminController.setUserRateLimits
+);
+
 module.exports = router;
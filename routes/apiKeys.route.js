@@ -3,17 +3,29 @@ const { auth } = require("../middleware/auth");
 const validateRequest = require("../middleware/validation");
 const responseHandler = require("../utils/response.handler");
 const apiKeyService = require("../services/apiKey.service");
+const providerRegistry = require("../services/providers");
 const { body, param } = require("express-validator");
 
 const router = express.Router();
 
 // Reusable validations
-const providers = ["openai", "anthropic", "google-ai", "mistral", "cohere"];
+const providers = providerRegistry.ids();
 
 const providerValidation = [
   param("provider").isIn(providers).withMessage("Invalid provider"),
 ];
 
+const keyIdValidation = [
+  param("keyId").isMongoId().withMessage("Invalid API key id"),
+];
+
+const priorityValidation = (field) =>
+  body(field)
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Priority must be a non-negative integer")
+    .toInt();
+
 const saveApiKeyValidation = [
   body("provider").isIn(providers).withMessage("Invalid provider"),
   body("apiKey").notEmpty().withMessage("API key is required"),
@@ -31,6 +43,7 @@ const saveApiKeysValidation = [
     .notEmpty()
     .withMessage("API key is required for each provider"),
   body("keys.*.keyName").optional().isString(),
+  priorityValidation("keys.*.priority"),
 ];
 // ----------------------------
 // Validate API key without saving
@@ -62,7 +75,7 @@ router.post(
 );
 
 // ----------------------------
-// Save new API key (both )
+// Save API keys (a key named like an existing key of the provider replaces it)
 // ----------------------------
 router.post(
   "/",
@@ -81,7 +94,8 @@ router.post(
           userId,
           k.provider,
           k.apiKey,
-          k.keyName
+          k.keyName,
+          k.priority
         );
         results.push({ provider: k.provider, result: saved });
       }
@@ -126,7 +140,7 @@ router.get("/", auth, async (req, res) => {
 });
 
 // ----------------------------
-// Get API key for specific provider (masked)
+// Get API keys for specific provider (masked), first key first
 // ----------------------------
 router.get(
   "/:provider",
@@ -138,12 +152,12 @@ router.get(
       const userId = req.user._id;
       const { provider } = req.params;
 
-      const apiKey = await apiKeyService.getUserApiKeyForProvider(
+      const apiKeys = await apiKeyService.getUserApiKeysForProvider(
         userId,
         provider
       );
 
-      if (!apiKey) {
+      if (apiKeys.length === 0) {
         return responseHandler.error(
           res,
           `No API key found for ${provider}`,
@@ -151,15 +165,26 @@ router.get(
         );
       }
 
-      const masked = apiKey.apiKey ? `${apiKey.apiKey.slice(0, 4)}****` : null;
+      const keys = apiKeys.map((apiKey) => ({
+        _id: apiKey._id,
+        keyName: apiKey.keyName,
+        priority: apiKey.priority,
+        maskedKey: apiKey.keyPrefix,
+        isVerified: apiKey.isVerified,
+        lastUsedAt: apiKey.lastUsedAt,
+        cooldownUntil: apiKey.cooldownUntil,
+        createdAt: apiKey.createdAt,
+      }));
 
       return responseHandler.success(
         res,
         {
-          provider: apiKey.provider,
-          keyName: apiKey.keyName,
-          maskedKey: masked,
-          createdAt: apiKey.createdAt,
+          provider,
+          // The first key, as returned before keys had priorities
+          keyName: keys[0].keyName,
+          maskedKey: keys[0].maskedKey,
+          createdAt: keys[0].createdAt,
+          keys,
         },
         `API key for ${provider} retrieved`
       );
@@ -203,7 +228,7 @@ router.post(
 );
 
 // ----------------------------
-// Update API key (replaces old one)
+// Update API key (replaces the key with the same name, or adds one)
 // ----------------------------
 router.put(
   "/:provider",
@@ -212,19 +237,21 @@ router.put(
     ...providerValidation,
     body("apiKey").notEmpty().withMessage("API key is required"),
     body("keyName").optional().isString(),
+    priorityValidation("priority"),
   ],
   validateRequest,
   async (req, res) => {
     try {
       const userId = req.user._id;
       const { provider } = req.params;
-      const { apiKey, keyName } = req.body;
+      const { apiKey, keyName, priority } = req.body;
 
       const result = await apiKeyService.saveApiKey(
         userId,
         provider,
         apiKey,
-        keyName
+        keyName,
+        priority
       );
 
       return responseHandler.success(
@@ -245,7 +272,7 @@ router.put(
 );
 
 // ----------------------------
-// Delete API key
+// Delete all API keys of a provider
 // ----------------------------
 router.delete(
   "/:provider",
@@ -276,4 +303,175 @@ router.delete(
   }
 );
 
+// ----------------------------
+// Set the order a provider's keys are tried in
+// ----------------------------
+router.put(
+  "/:provider/priority",
+  auth,
+  [
+    ...providerValidation,
+    body("keyIds")
+      .isArray({ min: 1 })
+      .withMessage("keyIds must be a non-empty array"),
+    body("keyIds.*").isMongoId().withMessage("Invalid API key id"),
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const apiKeys = await apiKeyService.reorderApiKeys(
+        req.user._id,
+        req.params.provider,
+        req.body.keyIds
+      );
+
+      return responseHandler.success(
+        res,
+        {
+          keys: apiKeys.map((apiKey) => ({
+            _id: apiKey._id,
+            keyName: apiKey.keyName,
+            priority: apiKey.priority,
+          })),
+        },
+        `${req.params.provider} API key order updated successfully`
+      );
+    } catch (error) {
+      console.error("Reorder API keys error:", error);
+      return responseHandler.error(
+        res,
+        error.statusCode ? error.message : "Failed to reorder API keys",
+        error.statusCode || 500,
+        error
+      );
+    }
+  }
+);
+
+// ----------------------------
+// Rename an API key or change its priority
+// ----------------------------
+router.patch(
+  "/keys/:keyId",
+  auth,
+  [
+    ...keyIdValidation,
+    body("keyName")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Key name must be between 1 and 100 characters"),
+    priorityValidation("priority"),
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { keyName, priority } = req.body;
+      const apiKey = await apiKeyService.updateApiKey(
+        req.user._id,
+        req.params.keyId,
+        { keyName, priority }
+      );
+
+      if (!apiKey) {
+        return responseHandler.notFound(res, "API key not found");
+      }
+
+      return responseHandler.success(
+        res,
+        {
+          _id: apiKey._id,
+          provider: apiKey.provider,
+          keyName: apiKey.keyName,
+          priority: apiKey.priority,
+        },
+        "API key updated successfully"
+      );
+    } catch (error) {
+      console.error("Update API key error:", error);
+      return responseHandler.error(
+        res,
+        error.statusCode ? error.message : "Failed to update API key",
+        error.statusCode || 500,
+        error
+      );
+    }
+  }
+);
+
+// ----------------------------
+// Test one API key
+// ----------------------------
+router.post(
+  "/keys/:keyId/test",
+  auth,
+  keyIdValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const apiKey = await apiKeyService.getUserApiKeyById(
+        req.user._id,
+        req.params.keyId
+      );
+
+      if (!apiKey) {
+        return responseHandler.notFound(res, "API key not found");
+      }
+
+      const result = await apiKeyService.testApiKey(
+        req.user._id,
+        apiKey.provider,
+        apiKey._id
+      );
+
+      return responseHandler.success(
+        res,
+        result,
+        `${apiKey.provider} API key tested successfully`
+      );
+    } catch (error) {
+      console.error("Test API key error:", error);
+      return responseHandler.error(
+        res,
+        error.message || "Failed to test API key",
+        500,
+        error
+      );
+    }
+  }
+);
+
+// ----------------------------
+// Delete one API key
+// ----------------------------
+router.delete(
+  "/keys/:keyId",
+  auth,
+  keyIdValidation,
+  validateRequest,
+  async (req, res) => {
+    try {
+      const deleted = await apiKeyService.deleteApiKeyById(
+        req.user._id,
+        req.params.keyId
+      );
+
+      if (!deleted) {
+        return responseHandler.notFound(res, "API key not found");
+      }
+
+      return responseHandler.success(res, null, "API key deleted successfully");
+    } catch (error) {
+      console.error("Delete API key error:", error);
+      return responseHandler.error(
+        res,
+        error.message || "Failed to delete API key",
+        500,
+        error
+      );
+    }
+  }
+);
+
 module.exports = router;
@@ -1,6 +1,5 @@
 // routes/auth.js
 const express = require("express");
-const rateLimit = require("express-rate-limit");
 const validateRequest = require("../middleware/validation");
 const {
   registerValidation,
@@ -11,53 +10,17 @@ const {
   // refreshTokenValidation, // <-- removed: refresh will prefer cookie
 } = require("../validators/authValidators");
 const { auth } = require("../middleware/auth");
+const {
+  authLimiter,
+  registerLimiter,
+  loginLimiter,
+  forgotPasswordLimiter,
+} = require("../middleware/rateLimit");
 const AuthController = require("../controllers/auth.controller");
 
 const router = express.Router();
 const authController = new AuthController();
 
-// ---------------------
-const createLimiter = (opts) =>
-  rateLimit({
-    windowMs: opts.windowMs,
-    max: opts.max,
-    message: {
-      status: "error",
-      message: opts.message,
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-  });
-
-const registerLimiter = createLimiter({
-  windowMs: 15 * 60 * 1000,
-  max: 10, // 10 registrations per 15 minutes per IP
-  message: "Too many accounts created from this IP, please try again later.",
-});
-
-const loginLimiter = createLimiter({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 500000, // limit each IP to 5 login attempts per windowMs
-  message: {
-    status: "error",
-    message: "Too many login attempts, please try again later.",
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-const forgotPasswordLimiter = createLimiter({
-  windowMs: 60 * 60 * 1000,
-  max: 5, // 5 forgot-password requests per hour per IP
-  message: "Too many password reset requests, please try again later.",
-});
-
-const genericLimiter = createLimiter({
-  windowMs: 15 * 60 * 1000,
-  max: 100, // generic fallback
-  message: "Too many requests, please try again later.",
-});
-
 // ---------------------
 // Routes
 // ---------------------
@@ -72,7 +35,7 @@ router.post(
 );
 
 // Verify email (token-based)
-router.post("/verify-email", genericLimiter, authController.verifyEmail);
+router.post("/verify-email", authLimiter, authController.verifyEmail);
 
 // Login
 router.post(
@@ -85,7 +48,7 @@ router.post(
 
 // Refresh tokens - public; prefers cookie but accepts body fallback.
 // NOTE: We intentionally DO NOT require refreshTokenValidation here because we read cookie first.
-router.post("/refresh", genericLimiter, authController.refresh);
+router.post("/refresh", authLimiter, authController.refresh);
 
 // Logout (authenticated)
 router.post("/logout", auth, authController.logout);
@@ -105,7 +68,7 @@ router.post(
 // Reset password
 router.post(
   "/reset-password",
-  genericLimiter,
+  authLimiter,
   resetPasswordValidation,
   validateRequest,
   authController.resetPassword
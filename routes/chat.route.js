@@ -1,20 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const Chat = require('../models/Chat');
+const ChatMessage = require('../models/ChatMessage');
 const { auth } = require('../middleware/auth');
+const { chatStreamLimiter } = require('../middleware/rateLimit');
+const { checkUsageBudget } = require('../middleware/usageBudget');
 const responseHandler = require('../utils/response.handler');
-const openaiService = require('../services/openai.service');
 const agentService = require('../services/agent.service');
-const { body, validationResult } = require('express-validator');
+const contextManager = require('../services/contextManager.service');
+const chatRunService = require('../services/chatRun.service');
+const projectContextService = require('../services/projectContext.service');
+const Project = require('../models/Project');
+const providerRegistry = require('../services/providers');
+const { body, param, query, validationResult } = require('express-validator');
+const { getBranchPath, getLeafIds } = require('../utils/messageTree');
+const ToolCallTracer = require('../utils/toolCallTracer');
 
 
 
 
 
-// Stream messages to a chat (for real-time responses)
+// Validators for per-chat generation settings, either nested under
+// `settings.` (chat create/update, one-off streams) or at the top level.
+// Upper bounds depend on the model and are checked by validateSettingsForModel.
+const buildSettingsValidation = (prefix = '') => [
+  body(`${prefix}temperature`).optional().isFloat({ min: 0, max: 2 }),
+  body(`${prefix}maxTokens`).optional().isInt({ min: 1 }),
+  body(`${prefix}topP`).optional().isFloat({ min: 0, max: 1 }),
+  body(`${prefix}stopSequences`).optional().isArray({ max: 16 }),
+  body(`${prefix}stopSequences.*`).isString().isLength({ min: 1, max: 100 }),
+  body(`${prefix}responseFormat`).optional().isIn(['text', 'json_object']),
+  body(`${prefix}systemPrompt`).optional({ nullable: true }).isString().isLength({ max: 10000 })
+];
+
+const settingsValidation = [
+  body('settings').optional().isObject(),
+  ...buildSettingsValidation('settings.')
+];
+
+// Stream a one-off message without a chat (for real-time responses)
 router.post('/stream', [
   auth,
+  chatStreamLimiter,
+  checkUsageBudget,
   body('message').notEmpty().trim(),
+  body('model').optional().isObject(),
+  body('model.id').optional().notEmpty(),
+  body('model.provider').optional().notEmpty(),
+  body('model.apiKeyId').optional().isMongoId(),
+  ...settingsValidation
 ], async (req, res) => {
   // Set CORS headers first, before any other processing
   res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
@@ -32,9 +66,34 @@ router.post('/stream', [
       });
     }
 
-    const { message } = req.body;
+    const { message, model, settings = {} } = req.body;
     const user = req.user;
 
+    // Unsaved chat: reuses the schema defaults and the settings-to-options mapping
+    const draftChat = new Chat({
+      userId: user._id,
+      title: 'Stream',
+      selectedModel: model || { id: 'gpt-3.5-turbo', provider: 'openai' },
+      settings
+    });
+
+    const provider = providerRegistry.get(draftChat.selectedModel.provider || 'openai');
+    if (!provider?.capabilities.streaming) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Streaming is not supported for provider: ${draftChat.selectedModel.provider}`
+      });
+    }
+
+    const settingsErrors = await validateSettingsForModel(user._id, draftChat.selectedModel, settings);
+    if (settingsErrors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: settingsErrors
+      });
+    }
+
     // Set up Server-Sent Events headers (CORS already set above)
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
@@ -43,54 +102,22 @@ router.post('/stream', [
       'X-Accel-Buffering': 'no' // Disable nginx buffering for streaming
     });
 
-    try {
-      // Get user's OpenAI API key
-      const ApiKey = require('../models/ApiKey');
-      const encryptionService = require('../services/encryption.service');
-      
-      const apiKeyDoc = await ApiKey.findOne({ 
-        userId: user._id, 
-        provider: 'openai', 
-        isActive: true 
-      }).select('+encryptedApiKey');
-
-      if (!apiKeyDoc) {
-        res.write(`data: ${JSON.stringify({
-          type: 'error',
-          message: 'No OpenAI API key found. Please add your OpenAI API key first.'
-        })}\n\n`);
-        res.write('data: [DONE]\n\n');
-        return res.end();
-      }
-
-      // Decrypt the API key
-      const openaiApiKey = encryptionService.decrypt(apiKeyDoc.encryptedApiKey);
-
-      // Use OpenAI API directly for streaming
-      const { ChatOpenAI } = require('@langchain/openai');
-      
-      const model = new ChatOpenAI({
-        openAIApiKey: openaiApiKey,
-        modelName: 'gpt-3.5-turbo',
-        streaming: true,
-        temperature: 0.7,
-      });
-
-      // System prompt for Sawyer
-      const systemPrompt = `You are Sawyer, an intelligent AI assistant designed to help users with their projects and tasks. You are knowledgeable, helpful, and always aim to provide clear and actionable responses. You have access to various integrations and tools to assist users in their workflow. Be concise but thorough in your responses.`;
+    if (req.usageBudget && req.usageBudget.status !== 'ok') {
+      res.write(`data: ${JSON.stringify({ type: 'budget', ...req.usageBudget })}\n\n`);
+    }
 
-      // Stream the response
-      const stream = await model.stream([
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: message }
-      ]);
+    try {
+      const stream = provider.stream(
+        user._id,
+        [{ role: 'user', content: message }],
+        draftChat.getGenerationOptions()
+      );
 
-      for await (const chunk of stream) {
-        const content = chunk.content;
-        if (content) {
+      for await (const event of stream) {
+        if (event.type === 'text_delta') {
           res.write(`data: ${JSON.stringify({
             type: 'token',
-            content: content
+            content: event.content
           })}\n\n`);
         }
       }
@@ -132,13 +159,14 @@ router.post('/stream', [
 router.get('/', auth, async (req, res) => {
   try {
     const chats = await Chat.findByUserId(req.user._id, {
-      select: 'title selectedModel createdAt updatedAt messageCount lastMessage'
+      select: 'title projectId selectedModel createdAt updatedAt messageStats'
     });
 
     return responseHandler.success(res, {
       chats: chats.map(chat => ({
         _id: chat._id,
         title: chat.title,
+        projectId: chat.projectId,
         selectedModel: chat.selectedModel,
         createdAt: chat.createdAt,
         updatedAt: chat.updatedAt,
@@ -161,13 +189,62 @@ router.get('/:chatId', auth, async (req, res) => {
       return responseHandler.notFound(res, 'Chat not found');
     }
 
-    return responseHandler.success(res, { chat }, 'Chat retrieved successfully');
+    // Only the most recent messages; older ones come from GET /:chatId/messages
+    const page = await chat.getMessagePage();
+
+    return responseHandler.success(res, {
+      chat,
+      messages: page.messages,
+      pagination: {
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+      }
+    }, 'Chat retrieved successfully');
   } catch (error) {
     console.error('Error fetching chat:', error);
     return responseHandler.error(res, 'Failed to fetch chat', 500, error);
   }
 });
 
+// Get a page of a chat's messages, newest page first. Pass the returned
+// `nextCursor` as `before` to fetch older messages.
+router.get('/:chatId/messages', [
+  auth,
+  query('before').optional().isMongoId().withMessage('before must be a message id'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return responseHandler.validationError(res, errors.array(), 'Validation failed');
+    }
+
+    const chat = await Chat.findByUserIdAndChatId(req.user._id, req.params.chatId);
+
+    if (!chat) {
+      return responseHandler.notFound(res, 'Chat not found');
+    }
+
+    const limit = req.query.limit || 50;
+    const page = await chat.getMessagePage({
+      before: req.query.before,
+      limit
+    });
+
+    return responseHandler.success(res, {
+      messages: page.messages,
+      pagination: {
+        limit,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+      }
+    }, 'Messages retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    return responseHandler.error(res, 'Failed to fetch messages', 500, error);
+  }
+});
+
 // Create a new chat
 router.post('/', [
   auth,
@@ -175,7 +252,10 @@ router.post('/', [
   body('selectedModel').optional().isObject(),
   body('selectedModel.id').optional().notEmpty(),
   body('selectedModel.name').optional().notEmpty(),
-  body('selectedModel.provider').optional().notEmpty()
+  body('selectedModel.provider').optional().notEmpty(),
+  body('selectedModel.apiKeyId').optional({ nullable: true }).isMongoId(),
+  body('projectId').optional({ nullable: true }).isMongoId().withMessage('Invalid project ID'),
+  ...settingsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -183,19 +263,34 @@ router.post('/', [
       return responseHandler.validationError(res, errors.array(), 'Validation failed');
     }
 
-    const { title, selectedModel } = req.body;
+    const { title, selectedModel, settings, projectId } = req.body;
+
+    if (projectId) {
+      const project = await Project.findByUserIdAndProjectId(req.user._id, projectId);
+      if (!project) {
+        return responseHandler.notFound(res, 'Project not found');
+      }
+    }
 
     const chat = new Chat({
       userId: req.user._id,
+      projectId: projectId || null,
       title: title || 'New Chat',
       selectedModel: selectedModel || {
         id: 'gpt-3.5-turbo',
         name: 'GPT-3.5 Turbo',
         provider: 'openai'
       },
-      messages: []
+      settings
     });
 
+    if (settings) {
+      const settingsErrors = await validateSettingsForModel(req.user._id, chat.selectedModel, settings);
+      if (settingsErrors.length > 0) {
+        return responseHandler.validationError(res, settingsErrors, 'Validation failed');
+      }
+    }
+
     const savedChat = await chat.save();
 
     return responseHandler.created(res, { chat: savedChat }, 'Chat created successfully');
@@ -208,11 +303,14 @@ router.post('/', [
 // Send a message to a chat
 router.post('/:chatId/messages', [
   auth,
+  chatStreamLimiter,
   body('content').notEmpty().trim(),
   body('model').optional().isObject(),
   body('model.id').optional().notEmpty(),
   body('model.name').optional().notEmpty(),
-  body('model.provider').optional().notEmpty()
+  body('model.provider').optional().notEmpty(),
+  body('model.apiKeyId').optional().isMongoId(),
+  checkUsageBudget
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -228,7 +326,7 @@ router.post('/:chatId/messages', [
     const { chatId } = req.params;
 
     // Find the chat
-    let chat = await Chat.findByUserIdAndChatId(req.user._id, chatId);
+    const chat = await Chat.findByUserIdAndChatId(req.user._id, chatId);
     if (!chat) {
       return res.status(404).json({
         status: 'error',
@@ -239,6 +337,15 @@ router.post('/:chatId/messages', [
     // Update model if provided
     if (model) {
       chat.selectedModel = model;
+
+      const apiKeyErrors = await validateSelectedApiKey(req.user._id, chat.selectedModel);
+      if (apiKeyErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: apiKeyErrors
+        });
+      }
     }
 
     // Add user message
@@ -250,53 +357,7 @@ router.post('/:chatId/messages', [
       }
     });
 
-    try {
-      // Generate AI response based on selected model
-      const aiResponse = await generateAIResponse(
-        req.user._id,
-        chat.messages,
-        chat.selectedModel || { id: 'gpt-3.5-turbo', provider: 'openai' }
-      );
-
-      // Add AI response message
-      await chat.addMessage({
-        content: aiResponse.content,
-        role: 'assistant',
-        metadata: {
-          model: chat.selectedModel?.id || 'gpt-3.5-turbo',
-          tokens: aiResponse.usage?.total_tokens
-        }
-      });
-
-      // Reload chat to get updated data
-      chat = await Chat.findByUserIdAndChatId(req.user._id, chatId);
-
-      res.json({
-        status: 'success',
-        data: { 
-          chat,
-          lastMessage: chat.lastMessage
-        }
-      });
-    } catch (aiError) {
-      console.error('AI response error:', aiError);
-      
-      // Add error message
-      await chat.addMessage({
-        content: 'Sorry, I encountered an error while processing your message. Please try again.',
-        role: 'assistant',
-        metadata: {
-          model: chat.selectedModel?.id || 'gpt-3.5-turbo',
-          error: true
-        }
-      });
-
-      res.status(500).json({
-        status: 'error',
-        message: 'Failed to generate AI response',
-        error: aiError.message
-      });
-    }
+    return await replyToChat(req, res, chat);
   } catch (error) {
     console.error('Error sending message:', error);
     res.status(500).json({
@@ -306,29 +367,227 @@ router.post('/:chatId/messages', [
   }
 });
 
+// Get the tool-call trace of an assistant message: every tool the agent
+// called with its arguments, timing, outcome and MCP server
+router.get('/:chatId/messages/:messageId/trace', [
+  auth,
+  param('messageId').isMongoId().withMessage('Invalid message id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return responseHandler.validationError(res, errors.array(), 'Validation failed');
+    }
+
+    const chat = await Chat.findByUserIdAndChatId(req.user._id, req.params.chatId);
+    if (!chat) {
+      return responseHandler.notFound(res, 'Chat not found');
+    }
+
+    const message = await ChatMessage.findOne({ _id: req.params.messageId, chatId: chat._id });
+    if (!message) {
+      return responseHandler.notFound(res, 'Message not found');
+    }
+
+    const toolCalls = message.metadata?.toolCalls || [];
+
+    return responseHandler.success(res, {
+      messageId: message._id,
+      role: message.role,
+      status: message.status,
+      model: message.metadata?.model,
+      usage: {
+        prompt_tokens: message.metadata?.promptTokens,
+        completion_tokens: message.metadata?.completionTokens,
+        total_tokens: message.metadata?.tokens
+      },
+      toolCalls,
+      totalToolDurationMs: toolCalls.reduce((total, call) => total + (call.durationMs || 0), 0)
+    }, 'Message trace retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching message trace:', error);
+    return responseHandler.error(res, 'Failed to fetch message trace', 500, error);
+  }
+});
+
+// Edit a user message. The edited message is added next to the original as a
+// new branch, which becomes active and gets a fresh reply.
+router.patch('/:chatId/messages/:messageId', [
+  auth,
+  chatStreamLimiter,
+  checkUsageBudget,
+  param('messageId').isMongoId().withMessage('Invalid message id'),
+  body('content').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return responseHandler.validationError(res, errors.array(), 'Validation failed');
+    }
+
+    const chat = await Chat.findByUserIdAndChatId(req.user._id, req.params.chatId);
+    if (!chat) {
+      return responseHandler.notFound(res, 'Chat not found');
+    }
+
+    const original = await ChatMessage.findOne({ _id: req.params.messageId, chatId: chat._id });
+    if (!original) {
+      return responseHandler.notFound(res, 'Message not found');
+    }
+    if (original.role !== 'user') {
+      return responseHandler.error(res, 'Only user messages can be edited', 400);
+    }
+
+    await chat.addMessage({
+      content: req.body.content,
+      role: 'user',
+      parentId: original.parentId,
+      metadata: {
+        model: chat.selectedModel?.id || 'gpt-3.5-turbo'
+      }
+    });
+
+    return await replyToChat(req, res, chat);
+  } catch (error) {
+    console.error('Error editing message:', error);
+    return responseHandler.error(res, 'Failed to edit message', 500, error);
+  }
+});
+
+// Regenerate an assistant reply. The new reply is added next to the original
+// as a new branch, which becomes active.
+router.post('/:chatId/messages/:messageId/regenerate', [
+  auth,
+  chatStreamLimiter,
+  checkUsageBudget,
+  param('messageId').isMongoId().withMessage('Invalid message id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return responseHandler.validationError(res, errors.array(), 'Validation failed');
+    }
+
+    const chat = await Chat.findByUserIdAndChatId(req.user._id, req.params.chatId);
+    if (!chat) {
+      return responseHandler.notFound(res, 'Chat not found');
+    }
+
+    const original = await ChatMessage.findOne({ _id: req.params.messageId, chatId: chat._id });
+    if (!original) {
+      return responseHandler.notFound(res, 'Message not found');
+    }
+    if (original.role !== 'assistant' || !original.parentId) {
+      return responseHandler.error(res, 'Only assistant replies can be regenerated', 400);
+    }
+
+    // Reply again to the message the original reply answered
+    await chat.setActiveMessage(original.parentId);
+
+    return await replyToChat(req, res, chat);
+  } catch (error) {
+    console.error('Error regenerating message:', error);
+    return responseHandler.error(res, 'Failed to regenerate message', 500, error);
+  }
+});
+
+// List the conversation branches of a chat, one per branch tip
+router.get('/:chatId/branches', auth, async (req, res) => {
+  try {
+    const chat = await Chat.findByUserIdAndChatId(req.user._id, req.params.chatId);
+    if (!chat) {
+      return responseHandler.notFound(res, 'Chat not found');
+    }
+
+    const tree = await ChatMessage.loadTree(chat._id);
+    const leaves = await ChatMessage.findInOrder(getLeafIds(tree));
+
+    const branches = leaves.map(leaf => ({
+      leafId: leaf._id,
+      messageCount: getBranchPath(tree, leaf._id).length,
+      lastMessage: {
+        _id: leaf._id,
+        content: leaf.content,
+        role: leaf.role,
+        timestamp: leaf.timestamp
+      },
+      isActive: String(leaf._id) === String(chat.activeLeafId)
+    }));
+
+    return responseHandler.success(res, {
+      branches,
+      activeLeafId: chat.activeLeafId
+    }, 'Branches retrieved successfully');
+  } catch (error) {
+    console.error('Error fetching branches:', error);
+    return responseHandler.error(res, 'Failed to fetch branches', 500, error);
+  }
+});
+
+// Switch the active branch to the one containing `messageId`. When the
+// message has replies, the branch continues along its newest replies.
+router.put('/:chatId/branches/active', [
+  auth,
+  body('messageId').isMongoId().withMessage('Invalid message id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return responseHandler.validationError(res, errors.array(), 'Validation failed');
+    }
+
+    const chat = await Chat.findByUserIdAndChatId(req.user._id, req.params.chatId);
+    if (!chat) {
+      return responseHandler.notFound(res, 'Chat not found');
+    }
+
+    const updatedChat = await chat.switchBranch(req.body.messageId);
+    if (!updatedChat) {
+      return responseHandler.notFound(res, 'Message not found');
+    }
+
+    const page = await updatedChat.getMessagePage();
+
+    return responseHandler.success(res, {
+      chat: updatedChat,
+      messages: page.messages,
+      pagination: {
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor
+      }
+    }, 'Active branch updated successfully');
+  } catch (error) {
+    console.error('Error switching branch:', error);
+    return responseHandler.error(res, 'Failed to switch branch', 500, error);
+  }
+});
+
 // Handle preflight requests for streaming endpoint
 router.options('/:chatId/messages/stream', (req, res) => {
   res.header('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cache-Control, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cache-Control, X-Requested-With, Last-Event-ID');
   res.sendStatus(200);
 });
 
 // Stream messages to a chat (for real-time responses)
 router.post('/:chatId/messages/stream', [
   auth,
+  chatStreamLimiter,
+  checkUsageBudget,
   body('content').notEmpty().trim(),
   body('model').optional().isObject(),
   body('model.id').optional().notEmpty(),
   body('model.name').optional().notEmpty(),
-  body('model.provider').optional().notEmpty()
+  body('model.provider').optional().notEmpty(),
+  body('model.apiKeyId').optional().isMongoId()
 ], async (req, res) => {
   // Set CORS headers first, before any other processing
   res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cache-Control, X-Requested-With');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cache-Control, X-Requested-With, Last-Event-ID');
   
   try {
     const errors = validationResult(req);
@@ -355,6 +614,15 @@ router.post('/:chatId/messages/stream', [
     // Update model if provided
     if (model) {
       chat.selectedModel = model;
+
+      const apiKeyErrors = await validateSelectedApiKey(req.user._id, chat.selectedModel);
+      if (apiKeyErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: apiKeyErrors
+        });
+      }
     }
 
     // Add user message
@@ -374,31 +642,62 @@ router.post('/:chatId/messages/stream', [
       'X-Accel-Buffering': 'no' // Disable nginx buffering for streaming
     });
 
+    // Events are buffered on the run so a client can reconnect and replay them
+    const run = chatRunService.createRun({ chatId: chat._id, userId: req.user._id });
+    chatRunService.attach(run, res);
+
+    // First frame: the run id, used to cancel the run
+    run.send({ type: 'run', runId: run.id });
+
+    // Nearing or past the monthly budget (when it isn't a hard limit)
+    if (req.usageBudget && req.usageBudget.status !== 'ok') {
+      run.send({ type: 'budget', ...req.usageBudget });
+    }
+
+    let fullResponse = '';
+    const toolTracer = new ToolCallTracer();
+
     try {
-      // Use agent service for OpenAI models (with or without Notion integration)
-      if (chat.selectedModel?.provider === 'openai') {
+      const provider = providerRegistry.get(chat.selectedModel?.provider || 'openai');
+      const generationOptions = { ...(await getChatGenerationOptions(chat)), signal: run.signal };
+
+      // Fit the history into the model's context window and tell the client
+      // how much of it was summarised or dropped
+      const { messages, context } = await buildChatContext(
+        req.user._id,
+        chat,
+        chat.selectedModel || { id: 'gpt-4o-mini', provider: 'openai' },
+        generationOptions
+      );
+      if (context) {
+        run.send({ type: 'context', ...context });
+      }
+
+      // Cancelled while the history was being prepared
+      run.signal.throwIfAborted();
+
+      // Use agent service for agent-capable providers (with or without Notion integration)
+      if (shouldUseAgent(provider, generationOptions)) {
         console.log('Using streaming agent service for user:', req.user._id);
         
         // Use agent service with streaming
         const streamResult = await agentService.sendMessageStreaming(
           req.user._id,
-          chat.messages,
-          chat.selectedModel.id
+          messages,
+          chat.selectedModel.id,
+          { ...generationOptions, toolTracer }
         );
 
-        let fullResponse = '';
-        let toolCalls = [];
-
         // Process streaming events - streamResult is already async iterable
         for await (const event of streamResult) {
           if (event.type === 'raw_model_stream_event') {
             // Send text deltas
             if (event.data?.type === 'output_text_delta' && event.data?.delta) {
               fullResponse += event.data.delta;
-              res.write(`data: ${JSON.stringify({
+              run.send({
                 type: 'text_delta',
                 content: event.data.delta
-              })}\n\n`);
+              });
             }
           } else if (event.type === 'run_item_stream_event') {
             // console.log('Tool event:', JSON.stringify(event, null, 2)); // Debug log
@@ -406,62 +705,128 @@ router.post('/:chatId/messages/stream', [
             if (event.item?.type === 'tool_call_item') {
               // Tool call started
               const toolName = event.item?.name || event.item?.rawItem?.name || 'unknown tool';
-              res.write(`data: ${JSON.stringify({
+              run.send({
                 type: 'tool_call_start',
+                callId: event.item?.rawItem?.callId,
                 tool: toolName,
                 details: event.item?.rawItem?.arguments || {}
-              })}\n\n`);
+              });
             } else if (event.item?.type === 'tool_call_output_item') {
-              // Tool call completed
+              // Tool call completed; the tracer has its outcome and timing
               const toolName = event.item?.name || event.item?.rawItem?.name || 'unknown tool';
-              toolCalls.push({
-                name: toolName,
-                output: event.item?.rawItem?.output || event.item?.output
-              });
-              res.write(`data: ${JSON.stringify({
+              const trace = toolTracer.get(event.item?.rawItem?.callId);
+              run.send({
                 type: 'tool_call_end',
+                callId: event.item?.rawItem?.callId,
                 tool: toolName,
-                success: true
-              })}\n\n`);
+                success: trace?.status !== 'error',
+                error: trace?.error || undefined,
+                durationMs: trace?.durationMs
+              });
             }
           }
         }
 
+        // An aborted run ends the event stream early and never completes
+        run.signal.throwIfAborted();
+
+        await streamResult.completed;
+        const usage = agentService.summarizeUsage(streamResult.rawResponses);
+
         // Add AI response to chat
         await chat.addMessage({
           content: fullResponse,
           role: 'assistant',
           metadata: {
             model: chat.selectedModel?.id || 'gpt-4o-mini',
-            toolCalls: toolCalls.length > 0 ? toolCalls : undefined
+            tokens: usage.total_tokens,
+            promptTokens: usage.prompt_tokens,
+            completionTokens: usage.completion_tokens,
+            toolCalls: toolTracer.calls.size > 0 ? toolTracer.toJSON() : undefined
           }
         });
 
         // Send completion event
-        res.write(`data: ${JSON.stringify({
+        run.send({
           type: 'completion',
           content: fullResponse,
-          toolCalls
-        })}\n\n`);
+          toolCalls: toolTracer.toJSON(),
+          context
+        });
+
+      } else if (provider?.capabilities.streaming) {
+        const stream = provider.stream(req.user._id, messages, generationOptions);
+
+        for await (const event of stream) {
+          if (event.type === 'text_delta') {
+            fullResponse += event.content;
+            run.send({
+              type: 'text_delta',
+              content: event.content
+            });
+          } else if (event.type === 'completion') {
+            await chat.addMessage({
+              content: event.content,
+              role: 'assistant',
+              metadata: {
+                model: chat.selectedModel.id,
+                tokens: event.usage.total_tokens,
+                promptTokens: event.usage.prompt_tokens,
+                completionTokens: event.usage.completion_tokens
+              }
+            });
+
+            run.send({
+              type: 'completion',
+              content: event.content,
+              toolCalls: [],
+              usage: event.usage,
+              context
+            });
+          }
+        }
 
       } else {
-        // For non-OpenAI models, use regular streaming (implement if needed)
-        res.write(`data: ${JSON.stringify({
+        run.send({
           type: 'error',
-          message: 'Streaming only available for OpenAI models'
-        })}\n\n`);
+          message: `Unsupported provider: ${chat.selectedModel?.provider}`
+        });
       }
 
     } catch (streamError) {
-      console.error('Streaming error:', streamError);
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        message: 'Failed to generate streaming response'
-      })}\n\n`);
-    }
+      if (run.signal.aborted) {
+        // Stopped by the user, or nobody reconnected: keep what was generated so far
+        toolTracer.finishPending('cancelled');
+        let message = null;
+        try {
+          message = await savePartialReply(
+            chat,
+            fullResponse,
+            run.cancelled ? 'cancelled' : 'incomplete',
+            toolTracer.toJSON()
+          );
+        } catch (saveError) {
+          console.error('Failed to save partial reply:', saveError);
+        }
 
-    res.write('data: [DONE]\n\n');
-    res.end();
+        if (run.cancelled) {
+          run.send({
+            type: 'cancelled',
+            content: fullResponse,
+            messageId: message?._id || null
+          });
+        }
+      } else {
+        console.error('Streaming error:', streamError);
+        run.send({
+          type: 'error',
+          message: 'Failed to generate streaming response'
+        });
+      }
+    } finally {
+      // Always close the run, so clients get their final frame
+      chatRunService.finish(run);
+    }
 
   } catch (error) {
     console.error('Error in streaming endpoint:', error);
@@ -483,6 +848,66 @@ router.post('/:chatId/messages/stream', [
   }
 });
 
+// Resume a streamed reply after a dropped connection. Replays the events
+// after `Last-Event-ID` (header, or `lastEventId` query parameter for clients
+// that cannot set it) and then follows the run live.
+router.get('/:chatId/messages/stream', auth, async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:5173');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+
+  try {
+    const lastEventId = chatRunService.parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+    const run = chatRunService.findRun(req.user._id, req.params.chatId, lastEventId?.runId);
+
+    if (!run) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No stream to resume for this chat'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    chatRunService.attach(run, res, lastEventId?.seq || 0);
+  } catch (error) {
+    console.error('Error resuming stream:', error);
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        status: 'error',
+        message: 'Failed to resume stream'
+      });
+    }
+  }
+});
+
+// Cancel an in-flight streamed reply. The stream ends with a `cancelled`
+// event once the text generated so far has been saved.
+router.post('/:chatId/runs/:runId/cancel', auth, async (req, res) => {
+  try {
+    const run = chatRunService.findRun(req.user._id, req.params.chatId, req.params.runId);
+
+    if (!run) {
+      return responseHandler.notFound(res, 'Run not found');
+    }
+    if (run.done) {
+      return responseHandler.conflict(res, 'Run has already finished');
+    }
+
+    chatRunService.cancel(run);
+
+    return responseHandler.success(res, { runId: run.id }, 'Run cancelled successfully');
+  } catch (error) {
+    console.error('Error cancelling run:', error);
+    return responseHandler.error(res, 'Failed to cancel run', 500, error);
+  }
+});
+
 // Check agent capabilities and integration status
 router.get('/integrations/agent/capabilities', auth, async (req, res) => {
   try {
@@ -529,9 +954,9 @@ router.patch('/:chatId', [
   auth,
   body('title').optional().trim().isLength({ max: 200 }),
   body('selectedModel').optional().isObject(),
-  body('settings').optional().isObject(),
-  body('settings.temperature').optional().isFloat({ min: 0, max: 2 }),
-  body('settings.maxTokens').optional().isInt({ min: 1, max: 4000 })
+  body('selectedModel.apiKeyId').optional({ nullable: true }).isMongoId(),
+  body('projectId').optional({ nullable: true }).isMongoId().withMessage('Invalid project ID'),
+  ...settingsValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -551,11 +976,35 @@ router.patch('/:chatId', [
       });
     }
 
-    const { title, selectedModel, settings } = req.body;
+    const { title, selectedModel, settings, projectId } = req.body;
+
+    // Move the chat into a project, or out of it with null
+    if (projectId) {
+      const project = await Project.findByUserIdAndProjectId(req.user._id, projectId);
+      if (!project) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Project not found'
+        });
+      }
+    }
+    if (projectId !== undefined) chat.projectId = projectId || null;
 
     if (title !== undefined) chat.title = title;
     if (selectedModel) chat.selectedModel = selectedModel;
-    if (settings) chat.settings = { ...chat.settings, ...settings };
+    if (settings) applySettings(chat, settings);
+
+    // Re-check settings whenever they or the model they apply to change
+    if (settings || selectedModel) {
+      const settingsErrors = await validateSettingsForModel(req.user._id, chat.selectedModel, chat.settings);
+      if (settingsErrors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Validation failed',
+          errors: settingsErrors
+        });
+      }
+    }
 
     const updatedChat = await chat.save();
 
@@ -572,6 +1021,38 @@ router.patch('/:chatId', [
   }
 });
 
+// Update generation settings for a chat
+router.patch('/:chatId/settings', [
+  auth,
+  ...buildSettingsValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return responseHandler.validationError(res, errors.array(), 'Validation failed');
+    }
+
+    const chat = await Chat.findByUserIdAndChatId(req.user._id, req.params.chatId);
+    if (!chat) {
+      return responseHandler.notFound(res, 'Chat not found');
+    }
+
+    applySettings(chat, req.body);
+
+    const settingsErrors = await validateSettingsForModel(req.user._id, chat.selectedModel, chat.settings);
+    if (settingsErrors.length > 0) {
+      return responseHandler.validationError(res, settingsErrors, 'Validation failed');
+    }
+
+    await chat.save();
+
+    return responseHandler.success(res, { settings: chat.settings }, 'Chat settings updated successfully');
+  } catch (error) {
+    console.error('Error updating chat settings:', error);
+    return responseHandler.error(res, 'Failed to update chat settings', 500, error);
+  }
+});
+
 // Delete a chat
 router.delete('/:chatId', auth, async (req, res) => {
   try {
@@ -599,20 +1080,24 @@ router.get('/models/available', auth, async (req, res) => {
       userId: req.user._id,
       isActive: true,
       isVerified: true
-    });
+    }).sort({ priority: 1, createdAt: 1 });
 
     let allModels = [];
 
-    // Collect models from each API key's metadata
+    // Collect models from each chat-capable API key's metadata
     for (const apiKey of apiKeys) {
+      const provider = providerRegistry.get(apiKey.provider);
+      if (!provider?.capabilities.chat) continue;
+
       if (apiKey.metadata && apiKey.metadata.models) {
         // Add provider context to each model and ensure they have the right structure
         const providerModels = apiKey.metadata.models.map(model => ({
           id: model.id,
           name: model.name || model.id,
           provider: apiKey.provider,
-          context: model.context || getDefaultContext(model.id, apiKey.provider),
-          maxTokens: model.maxTokens
+          context: model.context || provider.getContextWindow(model.id),
+          maxTokens: model.maxTokens,
+          apiKeys: [{ id: apiKey._id, keyName: apiKey.keyName }]
         }));
         allModels.push(...providerModels);
       }
@@ -626,10 +1111,14 @@ router.get('/models/available', auth, async (req, res) => {
       }, 'Available models retrieved successfully');
     }
 
-    // Remove duplicates and sort by provider then name
+    // Remove duplicates (listing every key that offers the model, by
+    // priority) and sort by provider then name
     const uniqueModels = allModels.reduce((acc, model) => {
       const key = `${model.provider}-${model.id}`;
-      if (!acc.some(m => `${m.provider}-${m.id}` === key)) {
+      const existing = acc.find(m => `${m.provider}-${m.id}` === key);
+      if (existing) {
+        existing.apiKeys.push(...model.apiKeys);
+      } else {
         acc.push(model);
       }
       return acc;
@@ -649,105 +1138,221 @@ router.get('/models/available', auth, async (req, res) => {
   }
 });
 
-// Helper function to get default context window for known models
-function getDefaultContext(modelId, provider) {
-  const defaults = {
-    openai: {
-      'gpt-4': 8192,
-      'gpt-4-32k': 32768,
-      'gpt-4-1106-preview': 128000,
-      'gpt-4-turbo-preview': 128000,
-      'gpt-3.5-turbo': 4096,
-      'gpt-3.5-turbo-16k': 16384,
-      'gpt-3.5-turbo-1106': 16384
-    },
-    anthropic: {
-      'claude-3-opus-20240229': 200000,
-      'claude-3-sonnet-20240229': 200000,
-      'claude-3-haiku-20240307': 200000
-    },
-    google: {
-      'gemini-pro': 30720,
-      'gemini-pro-vision': 30720
-    },
-    mistral: {
-      'mistral-tiny': 32000,
-      'mistral-small': 32000,
-      'mistral-medium': 32000,
-      'mistral-large': 32000
+// Settings fields a client may change; anything else in the body is ignored
+const EDITABLE_SETTINGS = ['temperature', 'maxTokens', 'topP', 'stopSequences', 'responseFormat', 'systemPrompt'];
+
+// Helper function to copy editable settings onto a chat (null clears a setting)
+function applySettings(chat, settings) {
+  for (const field of EDITABLE_SETTINGS) {
+    if (settings[field] !== undefined) {
+      chat.set(`settings.${field}`, settings[field] === null ? undefined : settings[field]);
     }
+  }
+}
+
+// Helper function to check settings against the provider's and model's limits
+async function validateSettingsForModel(userId, selectedModel, settings = {}) {
+  const provider = providerRegistry.get(selectedModel?.provider || 'openai');
+  if (!provider) {
+    return [{
+      field: 'selectedModel.provider',
+      message: `Unsupported provider: ${selectedModel?.provider}`,
+      value: selectedModel?.provider
+    }];
+  }
+
+  // Model limits reported by the provider when the user's key was verified
+  const apiKey = await findSelectedApiKey(userId, provider, selectedModel);
+  if (!apiKey && selectedModel.apiKeyId) {
+    return [selectedApiKeyError(selectedModel)];
+  }
+  const modelInfo = apiKey?.metadata?.models?.find(model => model.id === selectedModel.id) || null;
+
+  return provider.validateSettings(selectedModel.id, settings, modelInfo);
+}
+
+// Helper function to find the key a chat's model selection uses: the chosen
+// key when it is one of the user's active keys for the provider, else the
+// user's first key for the provider by priority
+async function findSelectedApiKey(userId, provider, selectedModel) {
+  const ApiKey = require('../models/ApiKey');
+  const filter = { userId, provider: provider.id, isActive: true };
+  if (selectedModel.apiKeyId) filter._id = selectedModel.apiKeyId;
+
+  return ApiKey.findOne(filter).sort({ priority: 1, createdAt: 1 });
+}
+
+// Helper function to check the key a model selection chooses, if any
+async function validateSelectedApiKey(userId, selectedModel) {
+  const provider = providerRegistry.get(selectedModel?.provider || 'openai');
+  if (!selectedModel?.apiKeyId || !provider) return [];
+
+  const apiKey = await findSelectedApiKey(userId, provider, selectedModel);
+  return apiKey ? [] : [selectedApiKeyError(selectedModel)];
+}
+
+function selectedApiKeyError(selectedModel) {
+  return {
+    field: 'selectedModel.apiKeyId',
+    message: `API key must be one of your active ${selectedModel.provider || 'openai'} keys`,
+    value: selectedModel.apiKeyId
   };
+}
+
+// Helper function to decide whether a request goes through the agent service.
+// The agent runs on the Responses API, which has no stop sequences, so chats
+// that set them use a direct completion instead.
+function shouldUseAgent(provider, options = {}) {
+  return Boolean(provider?.capabilities.agent) && !options.stopSequences;
+}
+
+// Helper function to get a chat's generation options, with its project's
+// description and resource scope when the chat belongs to a project. The chat
+// id attributes the reply's token usage to the chat.
+async function getChatGenerationOptions(chat) {
+  return projectContextService.applyToOptions(chat, { ...chat.getGenerationOptions(), chatId: chat._id });
+}
 
-  return defaults[provider]?.[modelId] || 4096;
+// Helper function to fit a chat's history into the selected model's context
+// window. Providers that cannot chat get the history unchanged; the request
+// fails later with an unsupported provider error.
+async function buildChatContext(userId, chat, selectedModel, options = {}) {
+  const provider = providerRegistry.get(selectedModel.provider || 'openai');
+  const messages = await chat.getMessages();
+
+  if (!provider?.capabilities.chat) {
+    return { messages, context: null };
+  }
+
+  return contextManager.prepareMessages(userId, chat, messages, provider, {
+    ...options,
+    model: selectedModel.id
+  });
+}
+
+// Helper function to generate, save and send the assistant's reply to the
+// end of the chat's active branch
+async function replyToChat(req, res, chat) {
+  try {
+    const selectedModel = chat.selectedModel?.id
+      ? chat.selectedModel
+      : { id: 'gpt-3.5-turbo', provider: 'openai' };
+    const generationOptions = await getChatGenerationOptions(chat);
+
+    // Fit the history into the model's context window
+    const { messages, context } = await buildChatContext(
+      req.user._id,
+      chat,
+      selectedModel,
+      generationOptions
+    );
+
+    // Generate AI response based on selected model
+    const aiResponse = await generateAIResponse(
+      req.user._id,
+      messages,
+      selectedModel,
+      generationOptions
+    );
+
+    // Add AI response message
+    await chat.addMessage({
+      content: aiResponse.content,
+      role: 'assistant',
+      metadata: {
+        model: chat.selectedModel?.id || 'gpt-3.5-turbo',
+        tokens: aiResponse.usage?.total_tokens,
+        promptTokens: aiResponse.usage?.prompt_tokens,
+        completionTokens: aiResponse.usage?.completion_tokens,
+        toolCalls: aiResponse.toolCalls?.length ? aiResponse.toolCalls : undefined
+      }
+    });
+
+    // Reload chat to get updated data
+    const updatedChat = await Chat.findByUserIdAndChatId(req.user._id, chat._id);
+
+    return res.json({
+      status: 'success',
+      data: { 
+        chat: updatedChat,
+        lastMessage: updatedChat.lastMessage,
+        context,
+        budget: req.usageBudget && req.usageBudget.status !== 'ok' ? req.usageBudget : undefined
+      }
+    });
+  } catch (aiError) {
+    console.error('AI response error:', aiError);
+    
+    // Add error message
+    await chat.addMessage({
+      content: 'Sorry, I encountered an error while processing your message. Please try again.',
+      role: 'assistant',
+      metadata: {
+        model: chat.selectedModel?.id || 'gpt-3.5-turbo',
+        error: true
+      }
+    });
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to generate AI response',
+      error: aiError.message
+    });
+  }
+}
+
+// Helper function to keep the text of a reply whose generation was stopped.
+// Returns the saved message, or null when nothing was generated.
+async function savePartialReply(chat, content, status, toolCalls = []) {
+  if (!content.trim()) return null;
+
+  return chat.addMessage({
+    content,
+    role: 'assistant',
+    status,
+    metadata: {
+      model: chat.selectedModel?.id,
+      toolCalls: toolCalls.length > 0 ? toolCalls : undefined
+    }
+  });
 }
 
 // Helper function to generate AI response
-async function generateAIResponse(userId, messages, selectedModel) {
-  const provider = selectedModel.provider || 'openai';
-  
-  // Use agent service for OpenAI models (with or without Notion MCP integration)
-  if (provider === 'openai') {
+async function generateAIResponse(userId, messages, selectedModel, options = {}) {
+  const provider = providerRegistry.get(selectedModel.provider || 'openai');
+
+  if (!provider?.capabilities.chat) {
+    throw new Error(`Unsupported provider: ${selectedModel.provider}`);
+  }
+
+  // Use agent service for agent-capable providers (with or without Notion MCP integration)
+  if (shouldUseAgent(provider, options)) {
     try {
       console.log('Using agent service for user:', userId);
-      
+
       // Use agent service (will automatically detect Notion integration)
       const agentResponse = await agentService.sendMessage(
-        userId, 
-        messages, 
-        selectedModel.id
+        userId,
+        messages,
+        selectedModel.id,
+        options
       );
-      
+
       return {
         content: agentResponse.content,
         usage: agentResponse.usage,
         toolCalls: agentResponse.toolCalls
       };
     } catch (agentError) {
-      console.warn('Agent service failed, falling back to OpenAI API:', agentError.message);
-      // Fall through to regular OpenAI API call
+      console.warn('Agent service failed, falling back to direct provider call:', agentError.message);
+      // Fall through to a direct provider call
     }
   }
-  
-  switch (provider) {
-    case 'openai':
-      // Convert messages to OpenAI format
-      const openaiMessages = messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
-
-      const response = await openaiService.makeOpenAIApiCall(
-        userId,
-        '/chat/completions',
-        'POST',
-        {
-          model: selectedModel.id,
-          messages: openaiMessages,
-          max_tokens: 1500,
-          temperature: 0.7
-        }
-      );
 
-      return {
-        content: response.choices[0].message.content,
-        usage: response.usage
-      };
-
-    case 'anthropic':
-      // TODO: Implement Anthropic service
-      throw new Error('Anthropic provider not yet implemented');
-
-    case 'google':
-      // TODO: Implement Google service
-      throw new Error('Google provider not yet implemented');
-
-    case 'mistral':
-      // TODO: Implement Mistral service
-      throw new Error('Mistral provider not yet implemented');
-
-    default:
-      throw new Error(`Unsupported provider: ${provider}`);
-  }
+  return await provider.complete(userId, messages, {
+    ...options,
+    model: selectedModel.id
+  });
 }
 
 module.exports = router;
\ No newline at end of file
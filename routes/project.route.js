@@ -88,6 +88,14 @@ const updateProjectValidation = [
     .optional()
     .isObject()
     .withMessage('MCP resources must be an object'),
+  body('apiKeys')
+    .optional()
+    .isObject()
+    .withMessage('API keys must be an object of key ids by provider'),
+  body('apiKeys.*')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid API key id'),
   body('icon')
     .optional()
     .isObject()
@@ -208,7 +216,38 @@ router.delete('/:projectId/attachments/:attachmentId',
   projectController.removeAttachment
 );
 
+/**
+ * @route   GET /api/projects/:projectId/attachments/:attachmentId/status
+ * @desc    Get the text indexing progress of an attachment
+ * @access  Private
+ */
+router.get('/:projectId/attachments/:attachmentId/status',
+  auth,
+  [
+    ...projectIdValidation,
+    param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+  ],
+  validateRequest,
+  projectController.getAttachmentStatus
+);
+
+
 
+/**
+ * @route   GET /api/projects/:projectId/chats
+ * @desc    Get the chats of a project, most recently updated first
+ * @access  Private
+ */
+router.get('/:projectId/chats',
+  auth,
+  [
+    ...projectIdValidation,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  projectController.getProjectChats
+);
 
 /**
  * @route   GET /api/projects/:projectId/resources
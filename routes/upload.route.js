@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
+const { uploadLimiter } = require('../middleware/rateLimit');
 const { uploadFiles, handleUploadError, cleanupOnError } = require('../middleware/upload');
 const UploadController = require('../controllers/upload.controller');
 
@@ -14,6 +15,7 @@ const uploadController = new UploadController();
  */
 router.post('/', 
   auth,
+  uploadLimiter,
   cleanupOnError,
   uploadFiles,
   handleUploadError,
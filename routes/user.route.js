@@ -1,7 +1,11 @@
 const express = require("express");
 const { auth, adminAuth } = require("../middleware/auth");
 const validateRequest = require("../middleware/validation");
-const { updateProfileValidation } = require("../validators/userValidators");
+const {
+  updateProfileValidation,
+  usageQueryValidation,
+  usageBudgetValidation,
+} = require("../validators/userValidators");
 const UserController = require("../controllers/user.controller");
 
 const router = express.Router();
@@ -33,4 +37,26 @@ router.delete("/account", auth, userController.deleteAccount);
 // @access  Private
 router.get("/stats", auth, userController.getStats);
 
+// @route   GET /api/user/usage?from=&to=&groupBy=model
+// @desc    Get LLM token usage and estimated spend, with the monthly budget
+// @access  Private
+router.get(
+  "/usage",
+  auth,
+  usageQueryValidation,
+  validateRequest,
+  userController.getUsage
+);
+
+// @route   PUT /api/user/usage/budget
+// @desc    Set the monthly LLM spend budget
+// @access  Private
+router.put(
+  "/usage/budget",
+  auth,
+  usageBudgetValidation,
+  validateRequest,
+  userController.updateUsageBudget
+);
+
 module.exports = router;
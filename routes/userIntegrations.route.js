@@ -8,6 +8,8 @@ const githubService = require('../services/github.service');
 const jiraService = require('../services/jira.service');
 const notionService = require('../services/notion.service');
 const encryptionService = require('../services/encryption.service');
+const integrationSyncService = require('../services/integrationSync.service');
+const jobQueue = require('../services/jobQueue.service');
 const { getMCPServerById } = require('../constants/integrations');
 
 /**
@@ -330,7 +332,7 @@ router.post('/:integrationId/refresh-token', auth, async (req, res) => {
 
 /**
  * @route   POST /api/user-integrations/:integrationId/sync
- * @desc    Manual sync for integration
+ * @desc    Queue a sync of the integration's resources; poll the returned job
  * @access  Private
  */
 router.post('/:integrationId/sync', auth, async (req, res) => {
@@ -354,16 +356,21 @@ router.post('/:integrationId/sync', auth, async (req, res) => {
       });
     }
 
-    // Update sync metadata
-    integration.metadata.lastSyncAt = new Date();
-    integration.metadata.syncCount += 1;
-    await integration.save();
+    if (!integrationSyncService.isSupported(integrationId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Sync is not supported for ${integration.integrationName}`
+      });
+    }
 
-    res.json({
+    const job = await integrationSyncService.enqueueSync(userId, integrationId);
+
+    res.status(202).json({
       status: 'success',
       data: {
-        integration,
-        message: 'Sync completed successfully'
+        jobId: job._id,
+        job: jobQueue.toJSON(job),
+        message: 'Sync queued'
       }
     });
   } catch (error) {
@@ -375,6 +382,40 @@ router.post('/:integrationId/sync', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/user-integrations/:integrationId/sync/:jobId
+ * @desc    Get the status of a sync job
+ * @access  Private
+ */
+router.get('/:integrationId/sync/:jobId', auth, async (req, res) => {
+  try {
+    const { integrationId, jobId } = req.params;
+    const userId = req.user.id;
+
+    const job = await jobQueue.getJob(jobId, userId);
+
+    if (!job || job.type !== 'integration_sync' || job.payload.integrationId !== integrationId) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Sync job not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        job: jobQueue.toJSON(job)
+      }
+    });
+  } catch (error) {
+    console.error('Error getting sync job:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get sync job'
+    });
+  }
+});
+
 /**
  * @route   GET /api/user-integrations/summary
  * @desc    Get user integrations summary
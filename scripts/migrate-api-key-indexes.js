@@ -0,0 +1,31 @@
+// Drops the unique index that allowed only one active API key per provider
+// (`userId_1_provider_1_isActive_1`) and builds the current ApiKey indexes,
+// including the unique key name per provider. Users can then store several
+// keys per provider. Safe to re-run.
+//
+// Usage: npm run migrate:api-key-indexes
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const ApiKey = require('../models/ApiKey');
+
+const LEGACY_INDEX = 'userId_1_provider_1_isActive_1';
+
+async function migrate() {
+  await connectDB();
+
+  const indexes = await ApiKey.collection.indexes();
+  if (indexes.some(index => index.name === LEGACY_INDEX)) {
+    await ApiKey.collection.dropIndex(LEGACY_INDEX);
+    console.log(`Dropped index ${LEGACY_INDEX}`);
+  }
+
+  await ApiKey.createIndexes();
+  console.log('Done: ApiKey indexes are up to date');
+}
+
+migrate()
+  .catch((error) => {
+    console.error('API key index migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -0,0 +1,131 @@
+// Moves messages embedded in Chat documents (`chat.messages`) into the
+// ChatMessage collection, keeping their original ids, and fills in
+// `messageStats`. Existing history becomes a single branch: each message's
+// parent is the one before it and the last message is the active leaf.
+// Chats whose messages were moved before branching existed are linked the
+// same way. Safe to re-run: chats are only unset once their messages have
+// been copied, and already-copied messages are skipped.
+//
+// Usage: npm run migrate:chat-messages
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const Chat = require('../models/Chat');
+const ChatMessage = require('../models/ChatMessage');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+async function migrateChat(chat) {
+  const messages = (chat.messages || []).map((msg, i, all) => ({
+    _id: msg._id,
+    chatId: chat._id,
+    userId: chat.userId,
+    parentId: i > 0 ? all[i - 1]._id : null,
+    content: msg.content,
+    role: msg.role,
+    timestamp: msg.timestamp,
+    metadata: msg.metadata || {}
+  }));
+
+  if (messages.length > 0) {
+    try {
+      await ChatMessage.insertMany(messages, { ordered: false });
+    } catch (error) {
+      // Messages copied by an earlier, interrupted run
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(e => e.code !== DUPLICATE_KEY_ERROR)) {
+        throw error;
+      }
+    }
+  }
+
+  const last = messages[messages.length - 1];
+
+  // Raw collection update: `messages` is no longer part of the Chat schema
+  await Chat.collection.updateOne(
+    { _id: chat._id },
+    {
+      $set: {
+        activeLeafId: last ? last._id : null,
+        'messageStats.count': messages.length,
+        'messageStats.lastMessage': last ? {
+          messageId: last._id,
+          content: last.content,
+          role: last.role,
+          timestamp: last.timestamp
+        } : null
+      },
+      $unset: { messages: '' }
+    }
+  );
+
+  return messages.length;
+}
+
+// Link messages of chats migrated without parent pointers into one branch
+async function linkChat(chat) {
+  const messages = await ChatMessage.find({ chatId: chat._id })
+    .select('_id parentId')
+    .sort({ _id: 1 })
+    .lean();
+
+  if (messages.length === 0) return 0;
+
+  if (messages.length > 1) {
+    await ChatMessage.bulkWrite(messages.slice(1).map((msg, i) => ({
+      updateOne: {
+        filter: { _id: msg._id, parentId: null },
+        update: { $set: { parentId: messages[i]._id } }
+      }
+    })));
+  }
+
+  await Chat.collection.updateOne(
+    { _id: chat._id },
+    { $set: { activeLeafId: messages[messages.length - 1]._id } }
+  );
+
+  return messages.length;
+}
+
+async function migrate() {
+  await connectDB();
+
+  const cursor = Chat.collection.find(
+    { messages: { $exists: true } },
+    { projection: { userId: 1, messages: 1 } }
+  );
+
+  let chats = 0;
+  let messages = 0;
+
+  for await (const chat of cursor) {
+    messages += await migrateChat(chat);
+    chats += 1;
+
+    if (chats % 100 === 0) {
+      console.log(`Migrated ${chats} chats (${messages} messages)`);
+    }
+  }
+
+  console.log(`Done: migrated ${chats} chats (${messages} messages)`);
+
+  const unlinked = Chat.collection.find(
+    { activeLeafId: { $exists: false }, 'messageStats.count': { $gt: 0 } },
+    { projection: { _id: 1 } }
+  );
+
+  let linked = 0;
+  for await (const chat of unlinked) {
+    await linkChat(chat);
+    linked += 1;
+  }
+
+  console.log(`Done: linked ${linked} chats into branches`);
+}
+
+migrate()
+  .catch((error) => {
+    console.error('Chat message migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -0,0 +1,30 @@
+// Re-encrypts stored API keys and integration tokens with the current
+// encryption key (the first entry of ENCRYPTION_KEYS). Run it after adding a
+// new key, and remove the old key once no secret failed. Safe to re-run.
+//
+// Usage: npm run reencrypt:secrets
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const secretRotationService = require('../services/secretRotation.service');
+
+async function reEncrypt() {
+  await connectDB();
+
+  const { keyId, ...results } = await secretRotationService.reEncryptAll();
+  Object.entries(results).forEach(([modelName, { documents, reEncrypted, failed }]) => {
+    console.log(`${modelName}: ${reEncrypted} secrets in ${documents} documents re-encrypted, ${failed} failed`);
+  });
+
+  const failed = Object.values(results).reduce((total, result) => total + result.failed, 0);
+  if (failed > 0) {
+    throw new Error(`${failed} secrets could not be decrypted with the keyring`);
+  }
+  console.log(`Done: stored secrets use encryption key ${keyId}`);
+}
+
+reEncrypt()
+  .catch((error) => {
+    console.error('Secret re-encryption failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -1,33 +1,57 @@
-const { Agent, Runner, MCPServerStdio, run } = require('@openai/agents');
+const { Agent, MCPServerStdio, run } = require('@openai/agents');
 const UserIntegration = require('../models/UserIntegration');
-const ApiKey = require('../models/ApiKey');
 const encryptionService = require('./encryption.service');
+const providerRegistry = require('./providers');
+const ToolCallTracer = require('../utils/toolCallTracer');
+const { getIntegrationTools, getProjectTools } = require('./tools');
+
+// Make a streamed run iterable again from the event already read off it
+function resumeStream(stream, events, first) {
+  stream[Symbol.asyncIterator] = async function* () {
+    let next = first;
+    try {
+      while (!next.done) {
+        yield next.value;
+        next = await events.next();
+      }
+    } finally {
+      // Consumers that stop early cancel the run, as with the stream itself
+      if (!next.done) await events.return?.();
+    }
+  };
+  return stream;
+}
 
 class AgentService {
   constructor() {
-    this.activeAgents = new Map(); // Cache active agents by user ID
+    // Cached agents by user, model and connected integrations. Map keeps
+    // insertion order, so re-inserting on use makes the first key the least
+    // recently used one.
+    this.activeAgents = new Map();
+    // Agents being built, so concurrent requests share one MCP server
+    this.pendingAgents = new Map();
+    this.maxAgents = parseInt(process.env.AGENT_CACHE_MAX_SIZE, 10) || 100;
+    this.idleTtlMs = parseInt(process.env.AGENT_CACHE_IDLE_TTL_MS, 10) || 30 * 60 * 1000;
+
+    this.sweepTimer = setInterval(() => this.evictIdle(), 60 * 1000);
+    this.sweepTimer.unref();
   }
 
   /**
-   * Get user's OpenAI API key from ApiKey table
+   * Get user's OpenAI API key records in the order agents try them: the key
+   * chosen for the chat (`options.apiKeyId`), or all usable keys by priority
+   */
+  getOpenAIApiKeyRecords(userId, options = {}) {
+    return providerRegistry.get('openai').getApiKeyCandidates(userId, options);
+  }
+
+  /**
+   * Get user's OpenAI API key (the first one by priority)
    */
   async getUserOpenAIApiKey(userId) {
     try {
-      // Find user's OpenAI API key
-      const openaiApiKey = await ApiKey.findOne({
-        userId,
-        provider: 'openai',
-        isActive: true,
-        isVerified: true
-      }).select("+encryptedApiKey");
-
-      if (!openaiApiKey || !openaiApiKey.encryptedApiKey) {
-        throw new Error('OpenAI API key not found or not verified');
-      }
-
-      // Decrypt the API key
-      const decryptedKey = encryptionService.decryptApiKey(openaiApiKey.encryptedApiKey);
-      return decryptedKey;
+      const [apiKeyRecord] = await this.getOpenAIApiKeyRecords(userId);
+      return encryptionService.decryptApiKey(apiKeyRecord.encryptedApiKey);
     } catch (error) {
       console.error('Error getting user OpenAI API key:', error);
       throw error;
@@ -77,17 +101,15 @@ class AgentService {
   }
 
   /**
-   * Get or create an agent for a user (with or without Notion MCP integration)
+   * Create an agent for a user (with or without Notion MCP integration), with
+   * function tools for their other connected integrations
    */
-  async getOrCreateAgent(userId, model = 'gpt-4o-mini') {
+  async createAgent(userId, model, integrationIds = [], apiKeyRecord = null) {
     try {
-      // Check if agent already exists for this user
-      if (this.activeAgents.has(userId)) {
-        return this.activeAgents.get(userId);
-      }
-
       // Get user's OpenAI API key (required for all agents)
-      const openaiApiKey = await this.getUserOpenAIApiKey(userId);
+      const openaiApiKey = apiKeyRecord
+        ? encryptionService.decryptApiKey(apiKeyRecord.encryptedApiKey)
+        : await this.getUserOpenAIApiKey(userId);
 
       let mcpServer = null;
       let hasNotion = false;
@@ -117,9 +139,13 @@ class AgentService {
         6. Assist with programming and development
         7. Analyze data and create visualizations
         8. Access and manage Notion workspace (if available)
+        9. Work with GitHub repositories, issues, commits and pull requests (if available)
+        10. Search, create and update Jira issues and summarize sprints (if available)
         
         Use your available tools to help users with their tasks.
         When users ask about their Notion content, use the Notion tools if they're available.
+        When users ask about their code or GitHub projects, use the GitHub tools if they're available.
+        When users ask about tickets, sprints or Jira projects, use the Jira tools if they're available.
         Always be helpful, accurate, and provide detailed assistance.`,
         apiKey: openaiApiKey
       };
@@ -129,15 +155,16 @@ class AgentService {
         agentConfig.mcpServers = [mcpServer];
       }
 
+      const tools = getIntegrationTools(integrationIds);
+      if (tools.length > 0) {
+        agentConfig.tools = tools;
+      }
+
       const agent = new Agent(agentConfig);
 
       console.log(`✅ Created ${hasNotion ? 'Notion-enhanced' : 'general-purpose'} agent for user: ${userId}`);
-       
-      const agentData = { agent, mcpServer, hasNotion };
-      this.activeAgents.set(userId, agentData);
 
-      return agentData;
-      
+      return { agent, mcpServer, hasNotion };
     } catch (error) {
       console.error('Error creating agent:', error);
       throw error;
@@ -145,40 +172,311 @@ class AgentService {
   }
 
   /**
-   * Send message to agent and get response
+   * IDs of the integrations a user has connected; part of the agent cache key
+   * so connecting or disconnecting one builds a new agent
+   */
+  async getConnectedIntegrationIds(userId) {
+    const integrationIds = await UserIntegration.find({ userId, status: 'connected' })
+      .distinct('integrationId');
+    return integrationIds.sort();
+  }
+
+  getCacheKey(userId, model, integrationIds, apiKeyId = null) {
+    return `${userId}:${model}:${integrationIds.join(',')}:${apiKeyId || ''}`;
+  }
+
+  /**
+   * Get or create an agent for a user, model, set of connected integrations
+   * and OpenAI key (default: the user's first key by priority)
+   */
+  async getOrCreateAgent(userId, model = 'gpt-4o-mini', apiKeyRecord = null) {
+    const integrationIds = await this.getConnectedIntegrationIds(userId);
+    const key = this.getCacheKey(userId, model, integrationIds, apiKeyRecord?._id);
+
+    const cached = this.activeAgents.get(key);
+    if (cached) {
+      // Move to the most recently used end
+      this.activeAgents.delete(key);
+      this.activeAgents.set(key, cached);
+      cached.lastUsedAt = Date.now();
+      return cached;
+    }
+
+    if (!this.pendingAgents.has(key)) {
+      const pending = this.createAgent(userId, model, integrationIds, apiKeyRecord)
+        .then(agentData => {
+          Object.assign(agentData, { userId: String(userId), lastUsedAt: Date.now(), activeRuns: 0 });
+
+          // The user's keys or integrations changed while building; serve
+          // the waiting requests but don't cache it
+          if (this.pendingAgents.get(key) !== pending) {
+            agentData.retired = true;
+            return agentData;
+          }
+
+          this.activeAgents.set(key, agentData);
+          this.evictOverflow();
+          return agentData;
+        })
+        .finally(() => {
+          if (this.pendingAgents.get(key) === pending) {
+            this.pendingAgents.delete(key);
+          }
+        });
+
+      this.pendingAgents.set(key, pending);
+    }
+
+    return this.pendingAgents.get(key);
+  }
+
+  /**
+   * Mark an agent as in use by a run so eviction doesn't close its MCP server
+   * under it. Returns a function that releases it (safe to call twice).
    */
-  async sendMessage(userId, messages, model = 'gpt-4o-mini') {
+  retainAgent(agentData) {
+    agentData.activeRuns += 1;
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      agentData.activeRuns -= 1;
+      agentData.lastUsedAt = Date.now();
+      if (agentData.retired && agentData.activeRuns === 0) {
+        this.closeAgent(agentData);
+      }
+    };
+  }
+
+  /**
+   * Drop an agent from the cache and close it once its runs finish
+   */
+  retireAgent(key) {
+    const agentData = this.activeAgents.get(key);
+    if (!agentData) return;
+
+    this.activeAgents.delete(key);
+    agentData.retired = true;
+    if (agentData.activeRuns === 0) {
+      this.closeAgent(agentData);
+    }
+  }
+
+  async closeAgent(agentData) {
     try {
-      const { agent } = await this.getOrCreateAgent(userId, model);
+      if (agentData.mcpServer) {
+        // Close MCP server connection
+        await agentData.mcpServer.close();
+      }
+    } catch (error) {
+      console.error('Error closing agent MCP server:', error);
+    }
+  }
 
-      // Convert chat messages to agent format
-      const agentMessages = messages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+  /**
+   * Evict least recently used agents beyond `maxAgents`
+   */
+  evictOverflow() {
+    for (const key of this.activeAgents.keys()) {
+      if (this.activeAgents.size <= this.maxAgents) break;
+      this.retireAgent(key);
+    }
+  }
 
-      // Run the agent
-      const result = await Runner.run(agent, {
-        input: agentMessages
-      });
+  /**
+   * Evict agents that haven't been used for `idleTtlMs`
+   */
+  evictIdle() {
+    const now = Date.now();
 
-      return {
-        content: result.content,
-        usage: result.usage,
-        toolCalls: result.toolCalls || []
+    for (const [key, agentData] of this.activeAgents) {
+      if (agentData.activeRuns === 0 && now - agentData.lastUsedAt > this.idleTtlMs) {
+        this.retireAgent(key);
+      }
+    }
+  }
+
+  /**
+   * Drop every cached agent of a user, e.g. after their API keys or
+   * integrations changed
+   */
+  invalidateUser(userId) {
+    const prefix = `${userId}:`;
+
+    for (const [key, agentData] of this.activeAgents) {
+      if (agentData.userId === String(userId)) {
+        this.retireAgent(key);
+      }
+    }
+    for (const key of this.pendingAgents.keys()) {
+      if (key.startsWith(prefix)) {
+        this.pendingAgents.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Map each MCP tool of a cached agent to the name of the server providing it
+   */
+  async getToolServers(agentData) {
+    if (agentData.toolServers) {
+      return agentData.toolServers;
+    }
+
+    const toolServers = new Map();
+    const servers = agentData.mcpServer ? [agentData.mcpServer] : [];
+
+    try {
+      for (const server of servers) {
+        const tools = await server.listTools();
+        tools.forEach(tool => toolServers.set(tool.name, server.name));
+      }
+      agentData.toolServers = toolServers;
+    } catch (error) {
+      // The server may still be connecting; try again on the next run
+      console.warn('Could not list MCP tools:', error.message);
+    }
+
+    return toolServers;
+  }
+
+  /**
+   * Apply per-chat generation settings (see Chat#getGenerationOptions) and
+   * project scope to an agent for a single run, without touching the cached
+   * agent
+   */
+  configureAgent(agent, options = {}) {
+    const modelSettings = { ...agent.modelSettings };
+
+    if (options.temperature !== undefined) modelSettings.temperature = options.temperature;
+    if (options.topP !== undefined) modelSettings.topP = options.topP;
+    if (options.maxTokens) modelSettings.maxTokens = options.maxTokens;
+    if (options.responseFormat && options.responseFormat !== 'text') {
+      modelSettings.providerData = {
+        ...modelSettings.providerData,
+        text: { format: { type: options.responseFormat } }
       };
+    }
+
+    const config = { modelSettings };
+    if (options.systemPrompt) {
+      config.instructions = `${agent.instructions}\n\nAdditional instructions for this conversation:\n${options.systemPrompt}`;
+    }
+
+    // Project chats only reach the project's resources. The Notion MCP server
+    // sees the whole workspace, so unless the project selected the workspace
+    // it is swapped for tools that check the project's pages.
+    if (options.projectScope) {
+      const keepNotionServer = Boolean(options.projectScope.notion?.workspace);
+      config.mcpServers = keepNotionServer ? agent.mcpServers : [];
+      config.tools = getProjectTools(
+        agent.tools,
+        options.projectScope,
+        !keepNotionServer && agent.mcpServers.length > 0
+      );
+    }
+
+    return agent.clone(config);
+  }
+
+  /**
+   * Sum token usage across the model responses of a run (OpenAI usage shape)
+   */
+  summarizeUsage(rawResponses = []) {
+    return rawResponses.reduce((usage, response) => ({
+      prompt_tokens: usage.prompt_tokens + (response.usage?.inputTokens || 0),
+      completion_tokens: usage.completion_tokens + (response.usage?.outputTokens || 0),
+      total_tokens: usage.total_tokens + (response.usage?.totalTokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+  }
+
+  /**
+   * Record a finished run on the key it ran on, with its token usage
+   */
+  recordKeyUse(apiKeyRecord, model, rawResponses, options = {}) {
+    return providerRegistry.get('openai').recordKeyUse(apiKeyRecord, {
+      options: { ...options, model, usageSource: 'agent' },
+      usage: this.summarizeUsage(rawResponses)
+    });
+  }
+
+  /**
+   * Send message to agent and get response. A run the key is rejected or
+   * rate limited on is retried with the user's next OpenAI key.
+   */
+  async sendMessage(userId, messages, model = 'gpt-4o-mini', options = {}) {
+    const toolTracer = options.toolTracer || new ToolCallTracer();
+    const openaiProvider = providerRegistry.get('openai');
+
+    // Convert chat messages to agent format
+    const agentMessages = messages.map(msg => ({
+      role: msg.role,
+      content: msg.content
+    }));
+
+    try {
+      const apiKeyRecords = await this.getOpenAIApiKeyRecords(userId, options);
+
+      for (const [index, apiKeyRecord] of apiKeyRecords.entries()) {
+        let release = () => {};
+
+        try {
+          const agentData = await this.getOrCreateAgent(userId, model, apiKeyRecord);
+          release = this.retainAgent(agentData);
+          const agent = toolTracer.attach(
+            this.configureAgent(agentData.agent, options),
+            await this.getToolServers(agentData)
+          );
+
+          // Run the agent
+          const result = await run(agent, agentMessages, {
+            signal: options.signal,
+            context: { userId, signal: options.signal, projectScope: options.projectScope }
+          });
+
+          await this.recordKeyUse(apiKeyRecord, model, result.rawResponses, options);
+
+          return {
+            content: result.finalOutput,
+            usage: this.summarizeUsage(result.rawResponses),
+            toolCalls: toolTracer.toJSON()
+          };
+        } catch (error) {
+          await openaiProvider.recordKeyFailure(apiKeyRecord, error);
+
+          const hasNextKey = index < apiKeyRecords.length - 1;
+          if (!hasNextKey || !openaiProvider.shouldFailover(error) || options.signal?.aborted) {
+            throw error;
+          }
+          console.warn(`OpenAI API key "${apiKeyRecord.keyName}" failed, retrying the agent run with the next key`);
+        } finally {
+          release();
+        }
+      }
     } catch (error) {
+      toolTracer.finishPending('error', error.message);
       console.error('Error sending message to agent:', error);
       throw error;
     }
   }
 
   /**
-   * Send message with streaming response
+   * Send message with streaming response. Pass `options.toolTracer` to
+   * collect the run's tool calls. Like sendMessage, a run whose key is
+   * rejected or rate limited before its first event is retried with the
+   * next key; once events have streamed the run can't be retried.
    */
-  async sendMessageStreaming(userId, messages, model = 'gpt-4o-mini') {
+  async sendMessageStreaming(userId, messages, model = 'gpt-4o-mini', options = {}) {
+    const openaiProvider = providerRegistry.get('openai');
+
     try {
-      const { agent } = await this.getOrCreateAgent(userId, model);
+      // Validate that we have at least one message and the last one is from user
+      const lastMessage = messages[messages.length - 1];
+      if (!lastMessage || lastMessage.role !== 'user') {
+        throw new Error('No user message found');
+      }
 
       // Convert chat messages to agent format (same as non-streaming method)
       const agentMessages = messages.map(msg => ({
@@ -186,17 +484,53 @@ class AgentService {
         content: msg.content
       }));
 
-      // Validate that we have at least one message and the last one is from user
-      const lastMessage = messages[messages.length - 1];
-      if (!lastMessage || lastMessage.role !== 'user') {
-        throw new Error('No user message found');
+      const apiKeyRecords = await this.getOpenAIApiKeyRecords(userId, options);
+
+      for (const [index, apiKeyRecord] of apiKeyRecords.entries()) {
+        let release = () => {};
+
+        try {
+          const agentData = await this.getOrCreateAgent(userId, model, apiKeyRecord);
+          release = this.retainAgent(agentData);
+          const agent = this.configureAgent(agentData.agent, options);
+
+          if (options.toolTracer) {
+            options.toolTracer.attach(agent, await this.getToolServers(agentData));
+          }
+
+          // Run the agent with streaming enabled, passing full conversation history
+          // The streaming run function expects the messages array directly, not wrapped in an object
+          // Tools can read the signal from the run context to stop their own work
+          const stream = await run(agent, agentMessages, {
+            stream: true,
+            signal: options.signal,
+            context: { userId, signal: options.signal, projectScope: options.projectScope }
+          });
+
+          // A key the provider refuses fails the stream before its first event
+          const events = stream[Symbol.asyncIterator]();
+          const first = await events.next();
+
+          // Aborted runs never settle `completed`, so also release on abort
+          stream.completed.then(release, release);
+          stream.completed.then(
+            () => this.recordKeyUse(apiKeyRecord, model, stream.rawResponses, options),
+            (error) => openaiProvider.recordKeyFailure(apiKeyRecord, error)
+          );
+          options.signal?.addEventListener('abort', release, { once: true });
+
+          return resumeStream(stream, events, first);
+        } catch (error) {
+          release();
+          await openaiProvider.recordKeyFailure(apiKeyRecord, error);
+
+          const hasNextKey = index < apiKeyRecords.length - 1;
+          if (!hasNextKey || !openaiProvider.shouldFailover(error) || options.signal?.aborted) {
+            throw error;
+          }
+          console.warn(`OpenAI API key "${apiKeyRecord.keyName}" failed, retrying the streamed agent run with the next key`);
+        }
       }
-
-      // Run the agent with streaming enabled, passing full conversation history
-      // The streaming run function expects the messages array directly, not wrapped in an object
-      const stream = await run(agent, agentMessages, { stream: true });
-
-      return stream;
     } catch (error) {
       console.error('Error sending streaming message to agent:', error);
       throw error;
@@ -227,6 +561,9 @@ class AgentService {
   async getAgentCapabilities(userId) {
     try {
       const hasNotion = await this.hasNotionIntegration(userId);
+      const integrationIds = await this.getConnectedIntegrationIds(userId);
+      const hasGitHub = integrationIds.includes('github');
+      const hasJira = integrationIds.includes('jira');
       
       const baseCapabilities = [
         'Web browsing and search',
@@ -246,16 +583,39 @@ class AgentService {
         'Access workspace data'
       ];
 
+      const githubCapabilities = [
+        'List GitHub repositories and branches',
+        'Read issues, commits and pull requests',
+        'Create GitHub issues',
+        'Search code'
+      ];
+
+      const jiraCapabilities = [
+        'Search Jira issues with JQL',
+        'Create and update issues',
+        'Move issues through their workflow',
+        'Summarize sprint progress'
+      ];
+
       return {
         hasNotionIntegration: hasNotion,
+        hasGitHubIntegration: hasGitHub,
+        hasJiraIntegration: hasJira,
         hasAgentTools: true, // Always true since we now provide agent tools to everyone
-        capabilities: hasNotion ? [...notionCapabilities, ...baseCapabilities] : baseCapabilities,
+        capabilities: [
+          ...(hasNotion ? notionCapabilities : []),
+          ...(hasGitHub ? githubCapabilities : []),
+          ...(hasJira ? jiraCapabilities : []),
+          ...baseCapabilities
+        ],
         agentType: hasNotion ? 'notion_enhanced' : 'general_purpose'
       };
     } catch (error) {
       console.error('Error getting agent capabilities:', error);
       return {
         hasNotionIntegration: false,
+        hasGitHubIntegration: false,
+        hasJiraIntegration: false,
         hasAgentTools: true,
         capabilities: [
           'Web browsing and search',
@@ -271,16 +631,12 @@ class AgentService {
   }
 
   /**
-   * Cleanup agent resources for a user
+   * Cleanup agent resources for a user. Idle agents are closed now, agents
+   * with a run in progress once the run finishes.
    */
   async cleanupAgent(userId) {
     try {
-      const agentData = this.activeAgents.get(userId);
-      if (agentData?.mcpServer) {
-        // Close MCP server connection
-        await agentData.mcpServer.close();
-      }
-      this.activeAgents.delete(userId);
+      this.invalidateUser(userId);
     } catch (error) {
       console.error('Error cleaning up agent:', error);
     }
@@ -291,10 +647,12 @@ class AgentService {
    */
   async cleanupAllAgents() {
     try {
-      const promises = Array.from(this.activeAgents.keys()).map(userId => 
-        this.cleanupAgent(userId)
-      );
-      await Promise.all(promises);
+      clearInterval(this.sweepTimer);
+
+      const agents = Array.from(this.activeAgents.values());
+      this.activeAgents.clear();
+      this.pendingAgents.clear();
+      await Promise.all(agents.map(agentData => this.closeAgent(agentData)));
     } catch (error) {
       console.error('Error cleaning up all agents:', error);
     }
@@ -1,302 +1,27 @@
-const axios = require("axios");
 const ApiKey = require("../models/ApiKey");
 const encryptionService = require("./encryption.service");
+const providerRegistry = require("./providers");
 
 class ApiKeyService {
-  constructor() {
-    this.providers = {
-      openai: {
-        baseURL: "https://api.openai.com/v1",
-        verifyEndpoint: "/models",
-        authHeader: (key) => ({ Authorization: `Bearer ${key}` }),
-      },
-      anthropic: {
-        baseURL: "https://api.anthropic.com/v1",
-        verifyEndpoint: "/messages",
-        authHeader: (key) => ({
-          "x-api-key": key,
-          "anthropic-version": "2023-06-01",
-        }),
-      },
-      "google-ai": {
-        baseURL: "https://generativelanguage.googleapis.com/v1beta",
-        verifyEndpoint: "/models",
-        authHeader: (key) => ({}),
-        queryParam: (key) => ({ key }),
-      },
-      mistral: {
-        baseURL: "https://api.mistral.ai/v1",
-        verifyEndpoint: "/models",
-        authHeader: (key) => ({ Authorization: `Bearer ${key}` }),
-      },
-      cohere: {
-        baseURL: "https://api.cohere.ai/v1",
-        verifyEndpoint: "/models",
-        authHeader: (key) => ({ Authorization: `Bearer ${key}` }),
-      },
-    };
-  }
-
-  // Verify API key for any provider
+  // Verify API key for any registered provider
   async verifyApiKey(provider, apiKey) {
-    const providerConfig = this.providers[provider];
-    if (!providerConfig) {
+    const providerAdapter = providerRegistry.get(provider);
+    if (!providerAdapter) {
       throw new Error(`Unsupported provider: ${provider}`);
     }
 
     try {
-      let verification;
-
-      switch (provider) {
-        case "openai":
-          verification = await this.verifyOpenAI(apiKey);
-          break;
-        case "anthropic":
-          verification = await this.verifyAnthropic(apiKey);
-          break;
-        case "google-ai":
-          verification = await this.verifyGoogleAI(apiKey);
-          break;
-        case "mistral":
-          verification = await this.verifyMistral(apiKey);
-          break;
-        case "cohere":
-          verification = await this.verifyCohere(apiKey);
-          break;
-        default:
-          throw new Error(
-            `Verification not implemented for provider: ${provider}`
-          );
-      }
-
-      return verification;
+      return await providerAdapter.verify(apiKey);
     } catch (error) {
       console.error(`${provider} API key verification error:`, error.message);
       throw error;
     }
   }
 
-  // OpenAI verification
-  async verifyOpenAI(apiKey) {
-    try {
-      const response = await axios.get("https://api.openai.com/v1/models", {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 10000,
-      });
-
-      const models = response.data.data || [];
-      const gptModels = models.filter((m) => m.id.includes("gpt"));
-
-      return {
-        valid: true,
-        organizationId: response.headers["openai-organization"] || null,
-        models: gptModels.map((m) => ({
-          id: m.id,
-          name: m.id,
-          provider: "openai",
-        })),
-        permissions: this.extractOpenAIPermissions(models),
-      };
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error("Invalid OpenAI API key");
-      } else if (error.response?.status === 429) {
-        throw new Error("Rate limit exceeded. Please try again later.");
-      }
-      throw new Error("Failed to verify OpenAI API key");
-    }
-  }
-
-  // Anthropic verification
-  async verifyAnthropic(apiKey) {
-    try {
-      // Test with a minimal message request
-      const response = await axios.post(
-        "https://api.anthropic.com/v1/messages",
-        {
-          model: "claude-3-haiku-20240307",
-          messages: [{ role: "user", content: "Test" }],
-          max_tokens: 1,
-        },
-        {
-          headers: {
-            "x-api-key": apiKey,
-            "anthropic-version": "2023-06-01",
-            "Content-Type": "application/json",
-          },
-          timeout: 10000,
-        }
-      );
-
-      // If we get here or get a 400 (bad request but auth worked), key is valid
-      return {
-        valid: true,
-        models: [
-          {
-            id: "claude-3-opus-20240229",
-            name: "Claude 3 Opus",
-            provider: "anthropic",
-          },
-          {
-            id: "claude-3-sonnet-20240229",
-            name: "Claude 3 Sonnet",
-            provider: "anthropic",
-          },
-          {
-            id: "claude-3-haiku-20240307",
-            name: "Claude 3 Haiku",
-            provider: "anthropic",
-          },
-        ],
-        permissions: ["chat", "completion"],
-      };
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error("Invalid Anthropic API key");
-      } else if (error.response?.status === 400) {
-        // Bad request likely means key is valid but request format is wrong
-        return {
-          valid: true,
-          models: [
-            {
-              id: "claude-3-opus-20240229",
-              name: "Claude 3 Opus",
-              provider: "anthropic",
-            },
-            {
-              id: "claude-3-sonnet-20240229",
-              name: "Claude 3 Sonnet",
-              provider: "anthropic",
-            },
-            {
-              id: "claude-3-haiku-20240307",
-              name: "Claude 3 Haiku",
-              provider: "anthropic",
-            },
-          ],
-          permissions: ["chat", "completion"],
-        };
-      }
-      throw new Error("Failed to verify Anthropic API key");
-    }
-  }
-
-  // Google AI verification
-  async verifyGoogleAI(apiKey) {
-    try {
-      const response = await axios.get(
-        `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`,
-        { timeout: 10000 }
-      );
-
-      const models = response.data.models || [];
-      const geminiModels = models.filter((m) => m.name.includes("gemini"));
-
-      return {
-        valid: true,
-        models: geminiModels.map((m) => ({
-          id: m.name,
-          name: m.displayName || m.name,
-          provider: "google-ai",
-        })),
-        permissions: ["chat", "completion"],
-      };
-    } catch (error) {
-      if (error.response?.status === 400 || error.response?.status === 401) {
-        throw new Error("Invalid Google AI API key");
-      }
-      throw new Error("Failed to verify Google AI API key");
-    }
-  }
-
-  // Mistral verification
-  async verifyMistral(apiKey) {
-    try {
-      const response = await axios.get("https://api.mistral.ai/v1/models", {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 10000,
-      });
-
-      const models = response.data.data || [];
-
-      return {
-        valid: true,
-        models: models.map((m) => ({
-          id: m.id,
-          name: m.id,
-          provider: "mistral",
-        })),
-        permissions: ["chat", "completion"],
-      };
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error("Invalid Mistral API key");
-      }
-      throw new Error("Failed to verify Mistral API key");
-    }
-  }
-
-  // Cohere verification
-  async verifyCohere(apiKey) {
-    try {
-      const response = await axios.get("https://api.cohere.ai/v1/models", {
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 10000,
-      });
-
-      const models = response.data.models || [];
-
-      return {
-        valid: true,
-        models: models.map((m) => ({
-          id: m.name,
-          name: m.name,
-          provider: "cohere",
-        })),
-        permissions: ["chat", "completion", "embed"],
-      };
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error("Invalid Cohere API key");
-      }
-      throw new Error("Failed to verify Cohere API key");
-    }
-  }
-
-  // Extract OpenAI permissions from models
-  extractOpenAIPermissions(models) {
-    const permissions = [];
-
-    if (models.some((model) => model.id.includes("gpt"))) {
-      permissions.push("chat", "completion");
-    }
-    if (models.some((model) => model.id.includes("dall-e"))) {
-      permissions.push("image-generation");
-    }
-    if (models.some((model) => model.id.includes("whisper"))) {
-      permissions.push("audio-transcription");
-    }
-    if (models.some((model) => model.id.includes("tts"))) {
-      permissions.push("text-to-speech");
-    }
-    if (models.some((model) => model.id.includes("embedding"))) {
-      permissions.push("embeddings");
-    }
-
-    return permissions;
-  }
-
-  // Save API key for user (one per provider)
-  async saveApiKey(userId, provider, apiKey, keyName = null) {
+  // Save API key for user. A key with the same name as one of the user's
+  // active keys for the provider replaces it (keeping its priority); other
+  // keys are added after the existing ones unless `priority` is given.
+  async saveApiKey(userId, provider, apiKey, keyName = null, priority = null) {
     try {
       // Verify the API key first
       const verification = await this.verifyApiKey(provider, apiKey);
@@ -305,8 +30,22 @@ class ApiKeyService {
         throw new Error(verification.error || "Invalid API key");
       }
 
-      // Deactivate any existing API keys for this user and provider
-      await ApiKey.deactivateForUserAndProvider(userId, provider);
+      // Use provider name as default key name if not provided
+      const finalKeyName =
+        keyName || `${providerRegistry.get(provider).name} API Key`;
+
+      const activeKeys = await ApiKey.find({ userId, provider, isActive: true });
+      const replaced = activeKeys.find((k) => k.keyName === finalKeyName);
+      const finalPriority =
+        priority ??
+        replaced?.priority ??
+        (activeKeys.length > 0
+          ? Math.max(...activeKeys.map((k) => k.priority)) + 1
+          : 0);
+
+      if (replaced) {
+        await replaced.deactivate();
+      }
 
       // Encrypt the API key
       const encryptedApiKey = encryptionService.encryptApiKey(apiKey);
@@ -314,16 +53,12 @@ class ApiKeyService {
       // Generate key prefix for identification
       const keyPrefix = apiKey.substring(0, 7) + "...";
 
-      // Use provider name as default key name if not provided
-      const finalKeyName =
-        keyName ||
-        `${provider.charAt(0).toUpperCase() + provider.slice(1)} API Key`;
-
       // Create new API key record
       const apiKeyRecord = new ApiKey({
         userId,
         provider,
         keyName: finalKeyName,
+        priority: finalPriority,
         encryptedApiKey,
         keyPrefix,
         isVerified: true,
@@ -332,6 +67,7 @@ class ApiKeyService {
           organizationId: verification.organizationId,
           permissions: verification.permissions,
           models: verification.models,
+          limits: verification.limits,
           lastValidation: new Date(),
         },
       });
@@ -344,6 +80,7 @@ class ApiKeyService {
           _id: savedApiKey._id,
           provider: savedApiKey.provider,
           keyName: savedApiKey.keyName,
+          priority: savedApiKey.priority,
           keyPrefix: savedApiKey.keyPrefix,
           isVerified: savedApiKey.isVerified,
           createdAt: savedApiKey.createdAt,
@@ -367,13 +104,21 @@ class ApiKeyService {
       const apiKeys = await ApiKey.find({
         userId,
         isActive: true,
-      }).select("+encryptedApiKey"); // include encryptedApiKey
+      })
+        .sort({ provider: 1, priority: 1, createdAt: 1 })
+        .select("+encryptedApiKey"); // include encryptedApiKey
 
       // Decrypt each key before returning
       const decryptedKeys = apiKeys.map((k) => ({
+        _id: k._id,
         provider: k.provider,
         keyName: k.keyName,
+        priority: k.priority,
         apiKey: encryptionService.decryptApiKey(k.encryptedApiKey), // decrypt
+        isVerified: k.isVerified,
+        verificationError: k.verificationError,
+        lastUsedAt: k.lastUsedAt,
+        cooldownUntil: k.cooldownUntil,
         createdAt: k.createdAt,
       }));
 
@@ -384,30 +129,31 @@ class ApiKeyService {
     }
   }
 
-  // Get API key for specific provider
-  async getUserApiKeyForProvider(userId, provider) {
+  // Get API keys for specific provider, in priority order
+  async getUserApiKeysForProvider(userId, provider) {
     try {
-      const apiKey = await ApiKey.findOne({
+      return await ApiKey.find({
         userId,
         provider,
         isActive: true,
-      }).select("-encryptedApiKey");
-
-      return apiKey;
+      }).sort({ priority: 1, createdAt: 1 });
     } catch (error) {
-      console.error("Error fetching API key:", error);
-      throw new Error("Failed to fetch API key");
+      console.error("Error fetching API keys:", error);
+      throw new Error("Failed to fetch API keys");
     }
   }
 
-  // Test API key connection
-  async testApiKey(userId, provider) {
+  // Test API key connection: one key by id, or the provider's first key
+  async testApiKey(userId, provider, keyId = null) {
     try {
       const apiKeyRecord = await ApiKey.findOne({
         userId,
         provider,
         isActive: true,
-      }).select("+encryptedApiKey");
+        ...(keyId && { _id: keyId }),
+      })
+        .sort({ priority: 1, createdAt: 1 })
+        .select("+encryptedApiKey");
 
       if (!apiKeyRecord) {
         throw new Error("No API key found for this provider");
@@ -421,8 +167,10 @@ class ApiKeyService {
       // Update verification status
       if (verification.valid) {
         await apiKeyRecord.markAsVerified({
+          organizationId: verification.organizationId,
           models: verification.models,
           permissions: verification.permissions,
+          limits: verification.limits,
         });
         await apiKeyRecord.updateLastUsed();
       } else {
@@ -445,18 +193,10 @@ class ApiKeyService {
     }
   }
 
-  // Delete API key
+  // Delete all API keys of a provider
   async deleteApiKey(userId, provider) {
     try {
-      const apiKeyRecord = await ApiKey.findOne({
-        userId,
-        provider,
-        isActive: true,
-      });
-
-      if (apiKeyRecord) {
-        await apiKeyRecord.deactivate();
-      }
+      await ApiKey.deactivateForUserAndProvider(userId, provider);
 
       return { success: true };
     } catch (error) {
@@ -465,6 +205,68 @@ class ApiKeyService {
     }
   }
 
+  // Get one of the user's active API keys, or null
+  getUserApiKeyById(userId, keyId) {
+    return ApiKey.findOne({ _id: keyId, userId, isActive: true });
+  }
+
+  // Delete one API key; returns false if the user has no such key
+  async deleteApiKeyById(userId, keyId) {
+    const apiKeyRecord = await this.getUserApiKeyById(userId, keyId);
+    if (!apiKeyRecord) return false;
+
+    await apiKeyRecord.deactivate();
+    return true;
+  }
+
+  // Rename an API key or change its priority; returns null if the user has
+  // no such key
+  async updateApiKey(userId, keyId, { keyName, priority }) {
+    const apiKeyRecord = await this.getUserApiKeyById(userId, keyId);
+    if (!apiKeyRecord) return null;
+
+    if (keyName !== undefined) apiKeyRecord.keyName = keyName;
+    if (priority !== undefined) apiKeyRecord.priority = priority;
+
+    try {
+      return await apiKeyRecord.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw Object.assign(
+          new Error(`You already have a ${apiKeyRecord.provider} key named "${keyName}"`),
+          { statusCode: 409 }
+        );
+      }
+      throw error;
+    }
+  }
+
+  // Set the order a provider's keys are tried in: `keyIds` lists all of the
+  // user's active keys for the provider, first to last
+  async reorderApiKeys(userId, provider, keyIds) {
+    const apiKeys = await ApiKey.find({ userId, provider, isActive: true });
+    const byId = new Map(apiKeys.map((k) => [String(k._id), k]));
+
+    if (
+      keyIds.length !== apiKeys.length ||
+      new Set(keyIds).size !== keyIds.length ||
+      !keyIds.every((keyId) => byId.has(String(keyId)))
+    ) {
+      throw Object.assign(
+        new Error(`keyIds must list each of your active ${provider} keys once`),
+        { statusCode: 400 }
+      );
+    }
+
+    await ApiKey.bulkWrite(
+      keyIds.map((keyId, priority) => ({
+        updateOne: { filter: { _id: keyId, userId }, update: { $set: { priority } } },
+      }))
+    );
+
+    return this.getUserApiKeysForProvider(userId, provider);
+  }
+
   // Validate API key (for validation endpoint)
   async validateApiKey(provider, apiKey) {
     try {
@@ -0,0 +1,93 @@
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('./apiKey.service');
+const encryptionService = require('./encryption.service');
+const jobQueue = require('./jobQueue.service');
+
+// Re-verifies stored API keys, so revoked keys stop being used and the models
+// offered in chats follow what providers currently serve. The recurring
+// `api_key_verification_scheduler` job (see jobs/index.js) queues an
+// `api_key_verification` job for every active key last verified more than
+// `verifyEveryMs` ago. A verified key gets its models, permissions and limits
+// refreshed. A key the provider rejects is marked unverified
+// (ApiKey.recordValidationError), and deactivated after `maxFailures`
+// rejections in a row. Provider outages and rate limits don't count against
+// the key: the job fails and is retried.
+
+class ApiKeyVerificationService {
+  constructor() {
+    this.verifyEveryMs = 24 * 60 * 60 * 1000;
+    this.maxFailures = 3;
+    // Keys queued per scheduler run; the rest are queued by the next runs
+    this.batchSize = 500;
+  }
+
+  enqueueVerification(apiKeyId, userId) {
+    return jobQueue.enqueue('api_key_verification', { apiKeyId: String(apiKeyId) }, {
+      userId,
+      dedupeKey: `api_key_verification:${apiKeyId}`
+    });
+  }
+
+  // Verify one key with its provider and record the outcome
+  async verifyKey(apiKeyId) {
+    const apiKeyRecord = await ApiKey.findOne({ _id: apiKeyId, isActive: true }).select('+encryptedApiKey');
+    if (!apiKeyRecord) {
+      return { verified: false, reason: 'not_active' };
+    }
+
+    let verification;
+    try {
+      verification = await apiKeyService.verifyApiKey(
+        apiKeyRecord.provider,
+        encryptionService.decryptApiKey(apiKeyRecord.encryptedApiKey)
+      );
+    } catch (error) {
+      if (!error.keyRejected) throw error;
+      verification = { valid: false, error: error.message };
+    }
+
+    if (verification.valid) {
+      await apiKeyRecord.markAsVerified({
+        organizationId: verification.organizationId,
+        models: verification.models,
+        permissions: verification.permissions,
+        limits: verification.limits
+      });
+      return { verified: true, models: verification.models?.length || 0 };
+    }
+
+    await apiKeyRecord.recordValidationError(verification.error || 'Invalid API key');
+
+    const deactivated = apiKeyRecord.consecutiveFailures >= this.maxFailures;
+    if (deactivated) {
+      await apiKeyRecord.deactivate();
+    }
+
+    return {
+      verified: false,
+      error: apiKeyRecord.verificationError,
+      consecutiveFailures: apiKeyRecord.consecutiveFailures,
+      deactivated
+    };
+  }
+
+  // Queue verifications for the active keys that are due, oldest first
+  async scheduleDueVerifications(now = new Date()) {
+    const due = await ApiKey.find({
+      isActive: true,
+      $or: [
+        { 'metadata.lastValidation': null },
+        { 'metadata.lastValidation': { $lte: new Date(now.getTime() - this.verifyEveryMs) } }
+      ]
+    })
+      .sort({ 'metadata.lastValidation': 1 })
+      .limit(this.batchSize)
+      .select('_id userId');
+
+    await Promise.all(due.map(apiKey => this.enqueueVerification(apiKey._id, apiKey.userId)));
+
+    return { queued: due.length };
+  }
+}
+
+module.exports = new ApiKeyVerificationService();
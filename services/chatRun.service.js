@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+// A single streamed generation. Every SSE frame is sent with an
+// `id: <runId>:<seq>` and buffered so a client that reconnects with
+// `Last-Event-ID` can replay what it missed, and the generation keeps running
+// while no client is attached for up to `disconnectGraceMs`. Consecutive
+// `text_delta` events are buffered as one entry and replayed as one frame
+// holding the text the client hasn't seen.
+class ChatRun {
+  constructor({ chatId, userId }) {
+    this.id = crypto.randomUUID();
+    this.chatId = String(chatId);
+    this.userId = String(userId);
+    this.seq = 0;
+    // { firstSeq, seq, data }, or for merged text deltas
+    // { firstSeq, seq, content, ends } where ends[i] is the length of
+    // `content` after event `firstSeq + i`
+    this.entries = [];
+    this.clients = new Set();
+    this.done = false;
+    // Set when the user stopped the run, as opposed to abandoning it
+    this.cancelled = false;
+    this.abortController = new AbortController();
+    this.graceTimer = null;
+  }
+
+  // Aborted on cancel or when nobody reconnects in time; pass to model and
+  // tool calls
+  get signal() {
+    return this.abortController.signal;
+  }
+
+  formatFrame(seq, data) {
+    return `id: ${this.id}:${seq}\ndata: ${data}\n\n`;
+  }
+
+  // Buffer an event and forward it to every attached client
+  send(payload) {
+    const data = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const seq = ++this.seq;
+
+    const last = this.entries[this.entries.length - 1];
+    if (payload?.type === 'text_delta') {
+      if (last?.content !== undefined) {
+        last.content += payload.content;
+        last.ends.push(last.content.length);
+        last.seq = seq;
+      } else {
+        this.entries.push({ firstSeq: seq, seq, content: payload.content, ends: [payload.content.length] });
+      }
+    } else {
+      this.entries.push({ firstSeq: seq, seq, data });
+    }
+
+    const frame = this.formatFrame(seq, data);
+    for (const res of this.clients) {
+      res.write(frame);
+    }
+  }
+
+  // Frames for the events after `afterSeq`
+  replay(afterSeq = 0) {
+    return this.entries
+      .filter(entry => entry.seq > afterSeq)
+      .map((entry) => {
+        if (entry.content === undefined) {
+          return this.formatFrame(entry.seq, entry.data);
+        }
+
+        const seen = afterSeq >= entry.firstSeq ? entry.ends[afterSeq - entry.firstSeq] : 0;
+        return this.formatFrame(entry.seq, JSON.stringify({ type: 'text_delta', content: entry.content.slice(seen) }));
+      });
+  }
+}
+
+class ChatRunService {
+  constructor() {
+    this.runs = new Map();
+    this.latestRunByChat = new Map();
+    // How long a run keeps generating after its last client disconnects
+    this.disconnectGraceMs = 15000;
+    // How long a finished run stays available for replay
+    this.retentionMs = 60000;
+  }
+
+  createRun({ chatId, userId }) {
+    const run = new ChatRun({ chatId, userId });
+
+    this.runs.set(run.id, run);
+    this.latestRunByChat.set(run.chatId, run.id);
+
+    return run;
+  }
+
+  // Find a run owned by the user, by id or as the chat's most recent run
+  findRun(userId, chatId, runId = null) {
+    const run = this.runs.get(runId || this.latestRunByChat.get(String(chatId)));
+
+    if (!run || run.userId !== String(userId) || run.chatId !== String(chatId)) {
+      return null;
+    }
+
+    return run;
+  }
+
+  // Split a `Last-Event-ID` value into its run id and sequence number
+  parseEventId(eventId) {
+    const match = /^([0-9a-f-]+):(\d+)$/i.exec(eventId || '');
+    return match ? { runId: match[1], seq: Number(match[2]) } : null;
+  }
+
+  // Stream a run to a response, replaying the frames after `afterSeq` first.
+  // The response must already have SSE headers.
+  attach(run, res, afterSeq = 0) {
+    for (const frame of run.replay(afterSeq)) {
+      res.write(frame);
+    }
+
+    if (run.done) {
+      res.end();
+      return;
+    }
+
+    clearTimeout(run.graceTimer);
+    run.graceTimer = null;
+    run.clients.add(res);
+
+    res.on('close', () => {
+      run.clients.delete(res);
+
+      if (run.clients.size === 0 && !run.done) {
+        run.graceTimer = setTimeout(() => {
+          console.log(`No client reconnected to chat run ${run.id}, aborting`);
+          run.abortController.abort();
+        }, this.disconnectGraceMs);
+      }
+    });
+  }
+
+  // Stop a run at the user's request
+  cancel(run) {
+    run.cancelled = true;
+    run.abortController.abort();
+  }
+
+  // Send the final frame, close attached clients and schedule cleanup
+  finish(run) {
+    run.send('[DONE]');
+    run.done = true;
+
+    clearTimeout(run.graceTimer);
+    for (const res of run.clients) {
+      res.end();
+    }
+    run.clients.clear();
+
+    const cleanup = setTimeout(() => {
+      this.runs.delete(run.id);
+      if (this.latestRunByChat.get(run.chatId) === run.id) {
+        this.latestRunByChat.delete(run.chatId);
+      }
+    }, this.retentionMs);
+    cleanup.unref();
+  }
+}
+
+module.exports = new ChatRunService();
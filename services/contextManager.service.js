@@ -0,0 +1,255 @@
+const vectorStore = require('./vectorStore');
+const providerRegistry = require('./providers');
+
+const SUMMARY_INSTRUCTIONS = `You maintain a running summary of a conversation between a user and Sawyer, an AI assistant. Merge the new conversation turns into the existing summary. Keep facts, decisions, names, open questions and anything the user asked Sawyer to remember. Write plain prose in the third person, without preamble.`;
+
+class ContextManagerService {
+  constructor() {
+    // Upper bound on the length of the rolling summary
+    this.summaryMaxTokens = 512;
+    // When history has to be trimmed, trim it to this share of the budget so
+    // the next few turns fit without summarising again
+    this.targetRatio = 0.75;
+    // Headroom for agent instructions, tool schemas and message formatting
+    this.overheadTokens = 1000;
+    // Earlier messages recalled from chat memory per turn, and how similar
+    // to the latest message they have to be
+    this.memoryResults = 3;
+    this.memoryMinScore = 0.3;
+  }
+
+  // Tokens available for conversation history once the model's output,
+  // the system prompt and formatting overhead are reserved
+  getHistoryBudget(provider, options = {}) {
+    const contextWindow = provider.getContextWindow(options.model);
+    const reservedOutput = options.maxTokens ||
+      Math.min(provider.getMaxOutputTokens(options.model), Math.floor(contextWindow / 4));
+    const systemTokens = provider.countTokens(provider.resolveSystemPrompt(options));
+
+    return Math.max(contextWindow - reservedOutput - systemTokens - this.overheadTokens, 0);
+  }
+
+  // Index of the first message not yet covered by the chat's rolling summary.
+  // Returns null when the summary no longer matches the history (e.g. the
+  // message it ends at was removed).
+  getSummaryBoundary(chat, messages) {
+    const summary = chat.contextSummary;
+    if (!summary?.content || !summary.lastMessageId) return 0;
+
+    const index = messages.findIndex(msg => String(msg._id) === String(summary.lastMessageId));
+    return index === -1 ? null : index + 1;
+  }
+
+  // Pick the newest messages that fit in `budget` tokens. The latest message is
+  // always kept, and the selection never starts with an assistant turn.
+  selectRecentMessages(provider, messages, budget) {
+    let used = 0;
+    let start = messages.length;
+
+    while (start > 0) {
+      const tokens = provider.countTokens([messages[start - 1]]);
+      if (used + tokens > budget && start < messages.length) break;
+      used += tokens;
+      start -= 1;
+    }
+
+    while (start < messages.length - 1 && messages[start].role === 'assistant') {
+      start += 1;
+    }
+
+    return messages.slice(start);
+  }
+
+  // Split messages into transcripts small enough to summarise in one call
+  buildTranscriptBatches(provider, messages, batchBudget) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const msg of messages) {
+      const line = `${msg.role.toUpperCase()}: ${msg.content}`;
+      const tokens = provider.countTokens(line);
+
+      if (current.length > 0 && currentTokens + tokens > batchBudget) {
+        batches.push(current.join('\n\n'));
+        current = [];
+        currentTokens = 0;
+      }
+
+      current.push(line);
+      currentTokens += tokens;
+    }
+
+    if (current.length > 0) {
+      batches.push(current.join('\n\n'));
+    }
+
+    return batches;
+  }
+
+  // Fold messages into the rolling summary using the chat's own model
+  async summarize(userId, provider, options, previousSummary, messages) {
+    const batchBudget = Math.max(Math.floor(this.getHistoryBudget(provider, options) / 2), 1000);
+    let summary = previousSummary;
+
+    for (const transcript of this.buildTranscriptBatches(provider, messages, batchBudget)) {
+      const prompt = [
+        summary ? `Existing summary:\n${summary}` : 'There is no existing summary yet.',
+        `New conversation turns:\n${transcript}`,
+        'Return the updated summary.'
+      ].join('\n\n');
+
+      const response = await provider.complete(userId, [{ role: 'user', content: prompt }], {
+        model: options.model,
+        maxTokens: this.summaryMaxTokens,
+        temperature: 0.2,
+        systemPrompt: SUMMARY_INSTRUCTIONS,
+        chatId: options.chatId,
+        usageSource: 'summary',
+        // Billed to the key chosen for the chat, and cancelled with its reply
+        apiKeyId: options.apiKeyId,
+        signal: options.signal
+      });
+
+      if (!response.content) {
+        throw new Error('Summary response was empty');
+      }
+      summary = response.content.trim();
+    }
+
+    return summary;
+  }
+
+  // Store messages leaving the verbatim history in the chat's memory (its
+  // vector store namespace) so they can be recalled by content later
+  async rememberMessages(userId, chat, messages) {
+    const documents = messages.flatMap(msg => vectorStore.chunkText(msg.content).map((chunk, index) => ({
+      id: `message:${msg._id}#${index}`,
+      source: `message:${msg._id}`,
+      text: chunk,
+      metadata: { type: 'message', messageId: String(msg._id), role: msg.role }
+    })));
+
+    await vectorStore.addDocuments(userId, vectorStore.chatNamespace(chat._id), documents);
+  }
+
+  // Earlier messages of the chat (among `earlier`, the part of the active
+  // branch outside the verbatim history) related to the latest message
+  async recallMessages(userId, chat, earlier, latest) {
+    if (earlier.length === 0 || !latest?.content) return [];
+
+    // Searching embeds the latest message with the user's OpenAI key, so skip
+    // chats with nothing remembered yet and users without a key
+    const namespace = vectorStore.chatNamespace(chat._id);
+    if (!await vectorStore.hasEntries(namespace) || !await providerRegistry.get('openai').hasApiKey(userId)) {
+      return [];
+    }
+
+    const messageIds = new Set(earlier.map(msg => String(msg._id)));
+    const results = await vectorStore.search(userId, namespace, latest.content, {
+      // Other branches share the namespace; ask for more and keep this branch's
+      topK: this.memoryResults * 3,
+      minScore: this.memoryMinScore
+    });
+
+    return results
+      .filter(result => messageIds.has(result.metadata.messageId))
+      .slice(0, this.memoryResults);
+  }
+
+  // Build the history to send for the next turn of a chat from its messages
+  // (oldest first).
+  //
+  // Messages already folded into the chat's rolling summary are replaced by a
+  // system message holding the summary. When the remaining history exceeds the
+  // model's budget, the oldest turns are folded into the summary (persisted on
+  // the chat) or, if summarising fails, dropped. Either way they are added to
+  // the chat's memory, and earlier messages related to the latest one are
+  // recalled from it word for word.
+  async prepareMessages(userId, chat, messages, provider, options = {}) {
+    const budget = this.getHistoryBudget(provider, options);
+
+    let boundary = this.getSummaryBoundary(chat, messages);
+    if (boundary === null) {
+      chat.contextSummary = undefined;
+      boundary = 0;
+    }
+
+    let summary = boundary > 0 ? chat.contextSummary.content : null;
+    const candidates = messages.slice(boundary);
+    const summaryTokens = summary ? provider.countTokens(summary) + 4 : 0;
+
+    let kept = candidates;
+    let folded = [];
+    if (summaryTokens + provider.countTokens(candidates) > budget) {
+      const target = Math.max(Math.floor(budget * this.targetRatio) - this.summaryMaxTokens, 0);
+      kept = this.selectRecentMessages(provider, candidates, target);
+      folded = candidates.slice(0, candidates.length - kept.length);
+    }
+
+    let summarizedMessages = boundary;
+    let droppedMessages = 0;
+
+    if (folded.length > 0) {
+      try {
+        summary = await this.summarize(userId, provider, options, summary, folded);
+        summarizedMessages = boundary + folded.length;
+
+        chat.contextSummary = {
+          content: summary,
+          lastMessageId: folded[folded.length - 1]._id,
+          summarizedMessageCount: summarizedMessages,
+          tokens: provider.countTokens(summary),
+          updatedAt: new Date()
+        };
+        await chat.save();
+      } catch (error) {
+        console.warn('Failed to summarise chat history, dropping older messages:', error.message);
+        droppedMessages = folded.length;
+      }
+    }
+
+    if (folded.length > 0) {
+      this.rememberMessages(userId, chat, folded)
+        .catch(error => console.warn('Failed to add messages to chat memory:', error.message));
+    }
+
+    const earlier = messages.slice(0, messages.length - kept.length);
+    const recalled = await this.recallMessages(userId, chat, earlier, kept[kept.length - 1])
+      .catch(error => {
+        console.warn('Failed to recall chat memory:', error.message);
+        return [];
+      });
+
+    const contextMessages = kept.map(msg => ({ role: msg.role, content: msg.content }));
+    if (recalled.length > 0) {
+      contextMessages.unshift({
+        role: 'system',
+        content: `Earlier messages related to the latest one:\n${recalled
+          .map(result => `[${result.metadata.role}] ${result.text}`)
+          .join('\n\n')}`
+      });
+    }
+    if (summary) {
+      contextMessages.unshift({
+        role: 'system',
+        content: `Summary of the earlier conversation:\n${summary}`
+      });
+    }
+
+    return {
+      messages: contextMessages,
+      context: {
+        totalMessages: messages.length,
+        includedMessages: kept.length,
+        summarizedMessages,
+        droppedMessages,
+        recalledMessages: recalled.length,
+        historyTokens: provider.countTokens(contextMessages),
+        budgetTokens: budget
+      }
+    };
+  }
+}
+
+module.exports = new ContextManagerService();
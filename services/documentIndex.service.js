@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+const Project = require('../models/Project');
+const vectorStore = require('./vectorStore');
+
+// Makes project PDF attachments searchable: extracts the text of each page
+// and stores its chunks in the project's vector store namespace (source
+// "attachment:<filename>"). Progress is kept on the attachment
+// (`attachments.indexing`) so clients can poll it.
+
+// Where the upload middleware stores files (see middleware/upload.js)
+const UPLOAD_DIR = path.join(__dirname, '../uploads/files');
+
+class DocumentIndexService {
+  getSource(filename) {
+    return `attachment:${filename}`;
+  }
+
+  // Text of each page of a stored attachment. Files are looked up by their
+  // stored name only; the path sent by the client is not trusted.
+  async extractPages(attachment) {
+    const data = await fs.readFile(path.join(UPLOAD_DIR, path.basename(attachment.filename)));
+    const parser = new PDFParse({ data });
+
+    try {
+      const result = await parser.getText();
+      return result.pages.map(page => ({ page: page.num, text: page.text || '' }));
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  // Update an attachment's indexing state; false when the attachment is gone
+  async setProgress(projectId, attachmentId, fields) {
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      update[`attachments.$.indexing.${key}`] = value;
+    });
+
+    const result = await Project.updateOne(
+      { _id: projectId, 'attachments._id': attachmentId },
+      { $set: update }
+    );
+    return result.matchedCount > 0;
+  }
+
+  // Extract, chunk and embed one attachment, replacing its previous entries
+  async indexAttachment(project, attachment) {
+    const projectId = project._id;
+    const namespace = vectorStore.projectNamespace(projectId);
+    const source = this.getSource(attachment.filename);
+    const name = attachment.originalName || attachment.filename;
+
+    try {
+      await vectorStore.deleteBySource(namespace, source);
+      const pages = await this.extractPages(attachment);
+
+      await this.setProgress(projectId, attachment._id, {
+        status: 'processing',
+        totalPages: pages.length,
+        processedPages: 0,
+        chunkCount: 0,
+        error: null
+      });
+
+      let chunkCount = 0;
+      for (const { page, text } of pages) {
+        chunkCount += await vectorStore.addDocuments(project.userId, namespace,
+          vectorStore.chunkText(text).map((chunk, chunkIndex) => ({
+            id: `${source}#${page}.${chunkIndex}`,
+            source,
+            text: chunk,
+            metadata: { type: 'attachment', name, page, chunkIndex }
+          }))
+        );
+
+        const exists = await this.setProgress(projectId, attachment._id, { processedPages: page, chunkCount });
+        if (!exists) {
+          // Removed while indexing
+          await vectorStore.deleteBySource(namespace, source);
+          return;
+        }
+      }
+
+      await this.setProgress(projectId, attachment._id, { status: 'indexed', indexedAt: new Date() });
+    } catch (error) {
+      console.error(`Failed to index attachment ${attachment.filename}:`, error.message);
+      await this.setProgress(projectId, attachment._id, { status: 'failed', error: error.message })
+        .catch(err => console.error('Failed to record indexing error:', err.message));
+    }
+  }
+
+  // Index the project's attachments that haven't been indexed yet, one at a
+  // time, in the background
+  indexPendingAttachments(project) {
+    const pending = project.attachments.filter(attachment =>
+      !attachment.indexing || attachment.indexing.status === 'pending'
+    );
+    if (pending.length === 0) return;
+
+    (async () => {
+      for (const attachment of pending) {
+        await this.indexAttachment(project, attachment);
+      }
+    })().catch(error => console.error('Attachment indexing error:', error));
+  }
+
+  async removeAttachment(projectId, filename) {
+    await vectorStore.deleteBySource(vectorStore.projectNamespace(projectId), this.getSource(filename));
+  }
+
+  // Removes the attachments' entries along with the rest of the project's
+  // namespace (e.g. Notion page snapshots)
+  async removeProject(projectId) {
+    await vectorStore.deleteNamespace(vectorStore.projectNamespace(projectId));
+  }
+}
+
+module.exports = new DocumentIndexService();
@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+const jobQueue = require('./jobQueue.service');
+
+// Sends email through the transport configured in the environment. Requests
+// queue mail (a `send_email` job) rather than waiting on the mail server.
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE || 'gmail',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS
+        }
+      });
+    }
+    return this.transporter;
+  }
+
+  getSender() {
+    return `"${process.env.EMAIL_FROM_NAME || 'App'}" <${process.env.EMAIL_USER}>`;
+  }
+
+  // Send now; `mail` is { to, subject, html, text }
+  async sendMail(mail) {
+    const info = await this.getTransporter().sendMail({ from: this.getSender(), ...mail });
+    return { messageId: info.messageId };
+  }
+
+  // Send in the background with retries
+  queueMail(mail, { userId = null } = {}) {
+    return jobQueue.enqueue('send_email', mail, { userId });
+  }
+}
+
+module.exports = new EmailService();
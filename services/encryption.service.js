@@ -1,37 +1,107 @@
 const crypto = require('crypto');
 
+// Secrets are encrypted with envelope encryption: each value gets its own
+// random data key, and the data key is encrypted ("wrapped") with a key from
+// the keyring. Stored values name the keyring key they were wrapped with
+// (`kid`), so several keys can decrypt while only the newest one encrypts.
+//
+// The keyring comes from ENCRYPTION_KEYS, a comma separated list of
+// `<id>:<key>` entries with the current key first. ENCRYPTION_KEY is the key
+// with id `1`: values written before keys had ids are decrypted with it. To
+// rotate, put a new key first in ENCRYPTION_KEYS, let the `secret_reencryption`
+// job (services/secretRotation.service.js) move stored secrets to it, then
+// remove the old key.
+
+// Key id of values encrypted before the keyring existed
+const LEGACY_KEY_ID = '1';
+const DEFAULT_KEY = 'swayer_encryption_key_32_chars_long!';
+
 class EncryptionService {
   constructor() {
     this.algorithm = 'aes-256-gcm';
-    this.keyString = process.env.ENCRYPTION_KEY || 'swayer_encryption_key_32_chars_long!';
-    
-    // Ensure key is exactly 32 bytes for AES-256
-    this.key = Buffer.from(this.keyString.padEnd(32, '0').slice(0, 32), 'utf8');
-    
-    // If no encryption key is set, warn
-    if (!process.env.ENCRYPTION_KEY) {
-      console.warn('No ENCRYPTION_KEY found in environment. Using default key.');
-      console.warn('Set ENCRYPTION_KEY in .env for production security.');
+    this.loadKeyring();
+  }
+
+  // Ensure key is exactly 32 bytes for AES-256
+  toKey(keyString) {
+    return Buffer.from(keyString.padEnd(32, '0').slice(0, 32), 'utf8');
+  }
+
+  // Read the keyring from the environment
+  loadKeyring(env = process.env) {
+    const keyring = new Map();
+
+    (env.ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator < 1 || separator === entry.length - 1) {
+        throw new Error('ENCRYPTION_KEYS entries must look like <id>:<key>');
+      }
+      keyring.set(entry.slice(0, separator), this.toKey(entry.slice(separator + 1)));
+    });
+
+    if (!keyring.has(LEGACY_KEY_ID) && (env.ENCRYPTION_KEY || keyring.size === 0)) {
+      // If no encryption key is set, warn
+      if (!env.ENCRYPTION_KEY) {
+        console.warn('No ENCRYPTION_KEY found in environment. Using default key.');
+        console.warn('Set ENCRYPTION_KEY in .env for production security.');
+      }
+      keyring.set(LEGACY_KEY_ID, this.toKey(env.ENCRYPTION_KEY || DEFAULT_KEY));
     }
+
+    this.keyring = keyring;
+    this.currentKeyId = keyring.keys().next().value;
+    this.key = keyring.get(this.currentKeyId);
+  }
+
+  getKey(keyId) {
+    const key = this.keyring.get(keyId);
+    if (!key) {
+      throw new Error(`Encryption key ${keyId} is not in the keyring`);
+    }
+    return key;
+  }
+
+  // AES-256-GCM with a fresh IV; returns hex strings
+  seal(key, data) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(this.algorithm, key, iv);
+
+    let encrypted = cipher.update(data, undefined, 'hex');
+    encrypted += cipher.final('hex');
+
+    return { encrypted, iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex') };
+  }
+
+  open(key, { encrypted, iv, authTag }) {
+    const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+    return Buffer.concat([decipher.update(encrypted, 'hex'), decipher.final()]);
+  }
+
+  // Wrapped data keys are stored as `<iv>:<authTag>:<encrypted>`
+  wrapDataKey(dataKey, keyId = this.currentKeyId) {
+    const { encrypted, iv, authTag } = this.seal(this.getKey(keyId), dataKey);
+    return `${iv}:${authTag}:${encrypted}`;
+  }
+
+  unwrapDataKey(wrappedKey, keyId) {
+    const [iv, authTag, encrypted] = wrappedKey.split(':');
+    return this.open(this.getKey(keyId), { encrypted, iv, authTag });
   }
 
   encrypt(text) {
     if (!text) return null;
     
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipheriv(this.algorithm, this.key, iv);
-      
-      let encrypted = cipher.update(text, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      const authTag = cipher.getAuthTag();
-      
+      const dataKey = crypto.randomBytes(32);
+      const sealed = this.seal(dataKey, Buffer.from(text, 'utf8'));
+
       // Return as JSON string for database storage
       return JSON.stringify({
-        encrypted,
-        iv: iv.toString('hex'),
-        authTag: authTag.toString('hex')
+        kid: this.currentKeyId,
+        dataKey: this.wrapDataKey(dataKey),
+        ...sealed
       });
     } catch (error) {
       console.error('Encryption error:', error);
@@ -39,50 +109,71 @@ class EncryptionService {
     }
   }
 
-  decrypt(encryptedData) {
-    if (!encryptedData) return null;
-    
-    // Handle backwards compatibility - if it's just a plain string, return it as-is
+  // Parse a stored value; null for values that aren't encrypted
+  parseEncrypted(encryptedData) {
+    let parsed = encryptedData;
     if (typeof encryptedData === 'string') {
       try {
-        // Try to parse as JSON first (new format)
-        const parsed = JSON.parse(encryptedData);
-        if (parsed.encrypted && parsed.iv && parsed.authTag) {
-          // This is our new encrypted format
-          const iv = Buffer.from(parsed.iv, 'hex');
-          const decipher = crypto.createDecipheriv(this.algorithm, this.key, iv);
-          decipher.setAuthTag(Buffer.from(parsed.authTag, 'hex'));
-          
-          let decrypted = decipher.update(parsed.encrypted, 'hex', 'utf8');
-          decrypted += decipher.final('utf8');
-          
-          return decrypted;
-        }
+        parsed = JSON.parse(encryptedData);
       } catch (parseError) {
-        // If JSON parsing fails, treat as unencrypted legacy data
+        return null;
+      }
+    }
+
+    return parsed?.encrypted && parsed.iv && parsed.authTag ? parsed : null;
+  }
+
+  decrypt(encryptedData) {
+    if (!encryptedData) return null;
+
+    const parsed = this.parseEncrypted(encryptedData);
+    if (!parsed) {
+      // Handle backwards compatibility - if it's just a plain string, return it as-is
+      if (typeof encryptedData === 'string') {
         console.warn('Found unencrypted data, consider re-encrypting for security');
         return encryptedData;
       }
+      return null;
     }
-    
-    // Handle object format (shouldn't happen anymore but just in case)
-    if (typeof encryptedData === 'object' && encryptedData.encrypted) {
-      try {
-        const iv = Buffer.from(encryptedData.iv, 'hex');
-        const decipher = crypto.createDecipheriv(this.algorithm, this.key, iv);
-        decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-        
-        let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        
-        return decrypted;
-      } catch (error) {
-        console.error('Decryption error:', error);
-        throw new Error('Failed to decrypt data');
-      }
+
+    try {
+      // Values without a key id were encrypted directly with the legacy key
+      const key = parsed.kid
+        ? this.unwrapDataKey(parsed.dataKey, parsed.kid)
+        : this.getKey(LEGACY_KEY_ID);
+
+      return this.open(key, parsed).toString('utf8');
+    } catch (error) {
+      console.error('Decryption error:', error.message);
+      throw new Error('Failed to decrypt data');
+    }
+  }
+
+  // Whether a stored value is not (yet) encrypted with the current key
+  needsReEncryption(encryptedData) {
+    if (!encryptedData) return false;
+
+    const parsed = this.parseEncrypted(encryptedData);
+    return !parsed?.kid || parsed.kid !== this.currentKeyId;
+  }
+
+  // Move a stored value to the current key. Enveloped values only get their
+  // data key re-wrapped; legacy and unencrypted values are encrypted afresh.
+  reEncrypt(encryptedData) {
+    if (!this.needsReEncryption(encryptedData)) return encryptedData;
+
+    const parsed = this.parseEncrypted(encryptedData);
+    if (!parsed?.kid) {
+      return this.encrypt(this.decrypt(encryptedData));
+    }
+
+    try {
+      const dataKey = this.unwrapDataKey(parsed.dataKey, parsed.kid);
+      return JSON.stringify({ ...parsed, kid: this.currentKeyId, dataKey: this.wrapDataKey(dataKey) });
+    } catch (error) {
+      console.error('Re-encryption error:', error.message);
+      throw new Error('Failed to re-encrypt data');
     }
-    
-    return null;
   }
 
   // Simple hash for non-sensitive data
@@ -401,6 +401,134 @@ class GitHubService {
         }
     }
 
+    /**
+     * Create an issue in a repository
+     */
+    async createIssue(accessToken, owner, repo, issueData) {
+        try {
+            const { title, body, labels, assignees } = issueData;
+
+            const response = await axios.post(`${this.baseURL}/repos/${owner}/${repo}/issues`, {
+                title,
+                body,
+                labels,
+                assignees
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/vnd.github.v3+json'
+                }
+            });
+
+            return {
+                id: response.data.id,
+                number: response.data.number,
+                title: response.data.title,
+                state: response.data.state,
+                htmlUrl: response.data.html_url,
+                createdAt: response.data.created_at
+            };
+        } catch (error) {
+            console.error('GitHub create issue error:', error);
+            throw new Error(`Failed to create issue: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Get repository pull requests
+     */
+    async getPullRequests(accessToken, owner, repo, options = {}) {
+        try {
+            const {
+                state = 'open', // open, closed, all
+                head, // Filter by head user or org and branch name (user:ref-name)
+                base, // Filter by base branch name
+                sort = 'created', // created, updated, popularity, long-running
+                direction = 'desc', // asc, desc
+                per_page = 30,
+                page = 1
+            } = options;
+
+            const params = new URLSearchParams({
+                state,
+                sort,
+                direction,
+                per_page: per_page.toString(),
+                page: page.toString()
+            });
+
+            if (head) params.append('head', head);
+            if (base) params.append('base', base);
+
+            const response = await axios.get(`${this.baseURL}/repos/${owner}/${repo}/pulls?${params.toString()}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/vnd.github.v3+json'
+                }
+            });
+
+            return response.data.map(pull => ({
+                id: pull.id,
+                number: pull.number,
+                title: pull.title,
+                body: pull.body,
+                state: pull.state,
+                draft: pull.draft,
+                head: pull.head.ref,
+                base: pull.base.ref,
+                createdAt: pull.created_at,
+                updatedAt: pull.updated_at,
+                closedAt: pull.closed_at,
+                mergedAt: pull.merged_at,
+                htmlUrl: pull.html_url,
+                user: {
+                    id: pull.user.id,
+                    login: pull.user.login,
+                    avatarUrl: pull.user.avatar_url
+                }
+            }));
+        } catch (error) {
+            console.error('GitHub get pull requests error:', error);
+            throw new Error('Failed to get repository pull requests');
+        }
+    }
+
+    /**
+     * Search code across the repositories the token can access
+     */
+    async searchCode(accessToken, options = {}) {
+        try {
+            const { q, per_page = 30, page = 1 } = options;
+
+            const params = new URLSearchParams({
+                q,
+                per_page: per_page.toString(),
+                page: page.toString()
+            });
+
+            const response = await axios.get(`${this.baseURL}/search/code?${params.toString()}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/vnd.github.v3+json'
+                }
+            });
+
+            return {
+                totalCount: response.data.total_count,
+                items: response.data.items.map(item => ({
+                    name: item.name,
+                    path: item.path,
+                    sha: item.sha,
+                    htmlUrl: item.html_url,
+                    repository: item.repository.full_name
+                }))
+            };
+        } catch (error) {
+            console.error('GitHub search code error:', error);
+            throw new Error('Failed to search code');
+        }
+    }
+
     /**
      * Get user organizations
      */
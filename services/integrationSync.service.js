@@ -0,0 +1,200 @@
+const UserIntegration = require('../models/UserIntegration');
+const IntegrationSnapshot = require('../models/IntegrationSnapshot');
+const oauthService = require('./oauth.service');
+const githubService = require('./github.service');
+const jiraService = require('./jira.service');
+const notionService = require('./notion.service');
+const jobQueue = require('./jobQueue.service');
+
+// Pulls the resources of connected integrations into IntegrationSnapshots and
+// `metadata.availableResources`. Syncs run as `integration_sync` jobs (see
+// jobs/index.js): on request from the sync route, and every
+// `settings.syncInterval` seconds for integrations with `settings.autoSync`
+// (queued by the recurring `integration_sync_scheduler` job).
+
+class IntegrationSyncService {
+  constructor() {
+    // Shortest interval honoured, whatever the integration's settings say
+    this.minSyncIntervalSeconds = 300;
+    // Repositories (most recently updated first) whose open issues are synced
+    this.githubIssueRepositories = 10;
+
+    // Resources per integration: { resourceType, resourceId, name, url, data,
+    // selectable }. Selectable ones can be added to projects and are listed
+    // in `metadata.availableResources`.
+    this.fetchers = {
+      notion: (accessToken) => this.fetchNotion(accessToken),
+      github: (accessToken) => this.fetchGitHub(accessToken),
+      jira: (accessToken, integration) => this.fetchJira(accessToken, integration)
+    };
+  }
+
+  isSupported(integrationId) {
+    return Boolean(this.fetchers[integrationId]);
+  }
+
+  // Queue a sync; returns the queued or already running job for it
+  enqueueSync(userId, integrationId, trigger = 'manual') {
+    return jobQueue.enqueue('integration_sync', { userId: String(userId), integrationId, trigger }, {
+      userId,
+      dedupeKey: `integration_sync:${userId}:${integrationId}`
+    });
+  }
+
+  async fetchNotion(accessToken) {
+    const [pages, databases] = await Promise.all([
+      notionService.getPages(accessToken, { page_size: 100 }),
+      notionService.getDatabases(accessToken, { page_size: 100 })
+    ]);
+
+    return [
+      ...pages.map(page => ({ resourceType: 'page', resourceId: page.id, name: page.title, url: page.url, data: page, selectable: true })),
+      ...databases.map(database => ({ resourceType: 'database', resourceId: database.id, name: database.title, url: database.url, data: database, selectable: true }))
+    ];
+  }
+
+  async fetchGitHub(accessToken) {
+    const repositories = await githubService.getRepositories(accessToken, { per_page: 100, sort: 'updated' });
+
+    const issues = [];
+    for (const repository of repositories.slice(0, this.githubIssueRepositories)) {
+      const repoIssues = await githubService.getIssues(accessToken, repository.owner.login, repository.name, {
+        state: 'open',
+        per_page: 50
+      });
+      repoIssues
+        // The issues endpoint also returns pull requests
+        .filter(issue => !issue.htmlUrl?.includes('/pull/'))
+        .forEach(issue => issues.push({
+          resourceType: 'issue',
+          resourceId: `${repository.fullName}#${issue.number}`,
+          name: issue.title,
+          url: issue.htmlUrl,
+          data: { ...issue, repository: repository.fullName },
+          selectable: false
+        }));
+    }
+
+    return [
+      ...repositories.map(repository => ({
+        resourceType: 'repository',
+        resourceId: String(repository.id),
+        name: repository.name,
+        url: repository.htmlUrl,
+        data: repository,
+        selectable: true
+      })),
+      ...issues
+    ];
+  }
+
+  async fetchJira(accessToken, integration) {
+    const cloudId = integration.connectionData?.resources?.[0]?.id;
+    if (!cloudId) {
+      throw new Error('No Jira cloud ID available');
+    }
+
+    const [projects, { boards }] = await Promise.all([
+      jiraService.getProjects(accessToken, cloudId, { recent: 50 }),
+      jiraService.getBoards(accessToken, cloudId, { maxResults: 50 })
+    ]);
+
+    return [
+      ...projects.map(project => ({ resourceType: 'project', resourceId: project.id, name: project.name, url: project.url, data: project, selectable: true })),
+      ...boards.map(board => ({ resourceType: 'board', resourceId: String(board.id), name: board.name, url: board.self, data: board, selectable: true }))
+    ];
+  }
+
+  // Record a failed sync on the integration, leaving it connected
+  async recordError(integration, error, code) {
+    error.code = error.code || code;
+    integration.markError(error, { disconnect: false });
+    await integration.save();
+  }
+
+  // Sync one integration now; returns counts per resource type
+  async syncIntegration(userId, integrationId) {
+    if (!this.isSupported(integrationId)) {
+      throw Object.assign(new Error(`Sync is not supported for ${integrationId}`), { retryable: false });
+    }
+
+    const integration = await UserIntegration.findByIntegration(userId, integrationId);
+    if (!integration) {
+      throw Object.assign(new Error('Integration not found'), { retryable: false });
+    }
+
+    let accessToken;
+    try {
+      accessToken = await oauthService.getValidAccessToken(userId, integrationId);
+    } catch (error) {
+      // oauthService disconnects integrations whose token expired or was
+      // revoked; retrying only helps when a refresh failed for another reason
+      if (error.code !== 'TOKEN_REFRESH_FAILED') {
+        error.retryable = false;
+      }
+      throw error;
+    }
+
+    const syncedAt = new Date();
+    let resources;
+    try {
+      resources = await this.fetchers[integrationId](accessToken, integration);
+    } catch (error) {
+      await this.recordError(integration, error, 'SYNC_FAILED');
+      throw error;
+    }
+
+    if (resources.length > 0) {
+      await IntegrationSnapshot.bulkWrite(resources.map(({ resourceType, resourceId, name, url, data }) => ({
+        updateOne: {
+          filter: { userId: integration.userId, integrationId, resourceType, resourceId },
+          update: { $set: { name, url, data, syncedAt } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+    // Resources that no longer exist (or are no longer shared)
+    await IntegrationSnapshot.deleteMany({ userId: integration.userId, integrationId, syncedAt: { $lt: syncedAt } });
+
+    integration.metadata.availableResources = resources
+      .filter(resource => resource.selectable)
+      .map(({ resourceType, resourceId, name, url }) => ({ resourceType, resourceId, name, url }));
+    integration.metadata.lastSyncAt = syncedAt;
+    integration.metadata.syncCount += 1;
+    await integration.save();
+
+    const counts = {};
+    resources.forEach(resource => {
+      counts[resource.resourceType] = (counts[resource.resourceType] || 0) + 1;
+    });
+    return { integrationId, syncedAt, resourceCount: resources.length, counts };
+  }
+
+  // Queue syncs for connected integrations with auto sync on whose interval
+  // has passed since their last sync (or last failed attempt)
+  async scheduleDueSyncs(now = new Date()) {
+    const due = await UserIntegration.find({
+      integrationId: { $in: Object.keys(this.fetchers) },
+      status: 'connected',
+      'settings.autoSync': true,
+      $expr: {
+        $lte: [
+          { $max: ['$metadata.lastSyncAt', '$metadata.lastError.timestamp'] },
+          {
+            $subtract: [
+              now,
+              { $multiply: [{ $max: ['$settings.syncInterval', this.minSyncIntervalSeconds] }, 1000] }
+            ]
+          }
+        ]
+      }
+    }).select('userId integrationId');
+
+    await Promise.all(due.map(integration =>
+      this.enqueueSync(integration.userId, integration.integrationId, 'auto')
+    ));
+    return due.length;
+  }
+}
+
+module.exports = new IntegrationSyncService();
@@ -67,37 +67,6 @@ class JiraService {
         }
     }
 
-    /**
-     * Refresh access token
-     */
-    async refreshAccessToken(refreshToken) {
-        try {
-            const params = new URLSearchParams({
-                grant_type: 'refresh_token',
-                client_id: process.env.JIRA_CLIENT_ID,
-                client_secret: process.env.JIRA_CLIENT_SECRET,
-                refresh_token: refreshToken
-            });
-
-            const response = await axios.post(this.tokenURL, params, {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            });
-
-            return {
-                accessToken: response.data.access_token,
-                refreshToken: response.data.refresh_token,
-                tokenType: response.data.token_type,
-                expiresIn: response.data.expires_in,
-                scope: response.data.scope
-            };
-        } catch (error) {
-            console.error('Jira token refresh error:', error);
-            throw new Error('Failed to refresh access token');
-        }
-    }
-
     /**
      * Get accessible resources (Jira sites)
      */
@@ -410,6 +379,280 @@ class JiraService {
         }
     }
 
+    /**
+     * Wrap plain text in an Atlassian Document Format document, as the v3 API
+     * requires for rich text fields like descriptions
+     */
+    toDocument(text) {
+        return {
+            type: 'doc',
+            version: 1,
+            content: String(text).split(/\n{2,}/).map(paragraph => ({
+                type: 'paragraph',
+                content: paragraph ? [{ type: 'text', text: paragraph }] : []
+            }))
+        };
+    }
+
+    /**
+     * Reduce an issue from the search or agile API to the fields chat needs
+     */
+    formatIssue(issue) {
+        const fields = issue.fields || {};
+
+        return {
+            id: issue.id,
+            key: issue.key,
+            summary: fields.summary,
+            status: fields.status?.name || null,
+            statusCategory: fields.status?.statusCategory?.key || null, // new, indeterminate, done
+            assignee: fields.assignee ? {
+                accountId: fields.assignee.accountId,
+                displayName: fields.assignee.displayName
+            } : null,
+            priority: fields.priority?.name || null,
+            issueType: fields.issuetype?.name || null,
+            labels: fields.labels || [],
+            created: fields.created,
+            updated: fields.updated
+        };
+    }
+
+    /**
+     * Search issues with JQL
+     */
+    async searchIssues(accessToken, cloudId, options = {}) {
+        try {
+            const {
+                jql,
+                maxResults = 50,
+                nextPageToken,
+                fields = ['summary', 'status', 'assignee', 'priority', 'issuetype', 'labels', 'created', 'updated']
+            } = options;
+
+            const response = await axios.post(`${this.apiURL}/ex/jira/${cloudId}/rest/api/3/search/jql`, {
+                jql,
+                maxResults,
+                fields,
+                nextPageToken
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            return {
+                issues: response.data.issues.map(issue => this.formatIssue(issue)),
+                nextPageToken: response.data.nextPageToken || null,
+                isLast: response.data.isLast
+            };
+        } catch (error) {
+            console.error('Jira search issues error:', error);
+            throw new Error(`Failed to search issues: ${this.getErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Create an issue
+     */
+    async createIssue(accessToken, cloudId, issueData) {
+        try {
+            const {
+                projectKey,
+                summary,
+                description,
+                issueType = 'Task',
+                priority,
+                assigneeAccountId,
+                labels
+            } = issueData;
+
+            const fields = {
+                project: { key: projectKey },
+                summary,
+                issuetype: { name: issueType }
+            };
+
+            if (description) fields.description = this.toDocument(description);
+            if (priority) fields.priority = { name: priority };
+            if (assigneeAccountId) fields.assignee = { accountId: assigneeAccountId };
+            if (labels) fields.labels = labels;
+
+            const response = await axios.post(`${this.apiURL}/ex/jira/${cloudId}/rest/api/3/issue`, { fields }, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            return {
+                id: response.data.id,
+                key: response.data.key,
+                self: response.data.self
+            };
+        } catch (error) {
+            console.error('Jira create issue error:', error);
+            throw new Error(`Failed to create issue: ${this.getErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Update fields of an issue
+     */
+    async updateIssue(accessToken, cloudId, issueKey, updates = {}) {
+        try {
+            const { summary, description, priority, assigneeAccountId, labels } = updates;
+            const fields = {};
+
+            if (summary) fields.summary = summary;
+            if (description) fields.description = this.toDocument(description);
+            if (priority) fields.priority = { name: priority };
+            if (assigneeAccountId !== undefined) {
+                fields.assignee = assigneeAccountId ? { accountId: assigneeAccountId } : null;
+            }
+            if (labels) fields.labels = labels;
+
+            await axios.put(`${this.apiURL}/ex/jira/${cloudId}/rest/api/3/issue/${encodeURIComponent(issueKey)}`, { fields }, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            return { key: issueKey, updatedFields: Object.keys(fields) };
+        } catch (error) {
+            console.error('Jira update issue error:', error);
+            throw new Error(`Failed to update issue: ${this.getErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Get the workflow transitions available for an issue
+     */
+    async getTransitions(accessToken, cloudId, issueKey) {
+        try {
+            const response = await axios.get(`${this.apiURL}/ex/jira/${cloudId}/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json'
+                }
+            });
+
+            return response.data.transitions.map(transition => ({
+                id: transition.id,
+                name: transition.name,
+                to: transition.to?.name || null
+            }));
+        } catch (error) {
+            console.error('Jira get transitions error:', error);
+            throw new Error(`Failed to get issue transitions: ${this.getErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Move an issue through its workflow
+     */
+    async transitionIssue(accessToken, cloudId, issueKey, transitionId) {
+        try {
+            await axios.post(`${this.apiURL}/ex/jira/${cloudId}/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`, {
+                transition: { id: transitionId }
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            return { key: issueKey, transitionId };
+        } catch (error) {
+            console.error('Jira transition issue error:', error);
+            throw new Error(`Failed to transition issue: ${this.getErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Get a sprint
+     */
+    async getSprint(accessToken, cloudId, sprintId) {
+        try {
+            const response = await axios.get(`${this.apiURL}/ex/jira/${cloudId}/rest/agile/1.0/sprint/${sprintId}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json'
+                }
+            });
+
+            const sprint = response.data;
+            return {
+                id: sprint.id,
+                name: sprint.name,
+                state: sprint.state,
+                startDate: sprint.startDate,
+                endDate: sprint.endDate,
+                completeDate: sprint.completeDate,
+                originBoardId: sprint.originBoardId,
+                goal: sprint.goal
+            };
+        } catch (error) {
+            console.error('Jira get sprint error:', error);
+            throw new Error(`Failed to get sprint: ${this.getErrorMessage(error)}`);
+        }
+    }
+
+    /**
+     * Get issues in a sprint
+     */
+    async getSprintIssues(accessToken, cloudId, sprintId, options = {}) {
+        try {
+            const {
+                startAt = 0,
+                maxResults = 100,
+                fields = ['summary', 'status', 'assignee', 'priority', 'issuetype', 'labels', 'created', 'updated']
+            } = options;
+
+            const params = new URLSearchParams({
+                startAt: startAt.toString(),
+                maxResults: maxResults.toString(),
+                fields: fields.join(',')
+            });
+
+            const response = await axios.get(`${this.apiURL}/ex/jira/${cloudId}/rest/agile/1.0/sprint/${sprintId}/issue?${params.toString()}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json'
+                }
+            });
+
+            return {
+                issues: response.data.issues.map(issue => this.formatIssue(issue)),
+                startAt: response.data.startAt,
+                maxResults: response.data.maxResults,
+                total: response.data.total
+            };
+        } catch (error) {
+            console.error('Jira get sprint issues error:', error);
+            throw new Error('Failed to get sprint issues');
+        }
+    }
+
+    /**
+     * Pull the most useful message out of a Jira API error response
+     */
+    getErrorMessage(error) {
+        const data = error.response?.data;
+        const messages = [
+            ...(data?.errorMessages || []),
+            ...Object.entries(data?.errors || {}).map(([field, message]) => `${field}: ${message}`)
+        ];
+
+        return messages.length > 0 ? messages.join('; ') : error.message;
+    }
+
     /**
      * Validate access token
      */
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+// Background jobs stored in MongoDB. Any process can queue a job; workers
+// (worker.js) claim due jobs one at a time and run the handler registered for
+// their type. Failed jobs are retried with exponential backoff, recurring jobs
+// are queued again after each run, and a job whose worker died while running
+// it is picked up again once its lock (visibility timeout) expires.
+//
+// Job types are registered in jobs/index.js.
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 3,
+  backoffMs: 30 * 1000,
+  // How long a worker may hold a job without renewing its lock
+  visibilityTimeoutMs: 5 * 60 * 1000,
+  // Drop the payload once the job has finished and hide it from admins (e.g.
+  // emails carrying sign-in links)
+  redactPayload: false
+};
+
+class JobQueueService {
+  constructor() {
+    this.definitions = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    // Longest wait before a failed job is retried
+    this.maxBackoffMs = 60 * 60 * 1000;
+    // How long finished jobs are kept
+    this.retentionMs = 7 * 24 * 60 * 60 * 1000;
+    this.running = false;
+    this.currentJob = null;
+    this.loop = null;
+  }
+
+  // Register the handler for a job type. `handler(payload, job)` returns the
+  // job's result; throw an error with `retryable = false` to fail the job
+  // without retrying.
+  register(type, handler, options = {}) {
+    this.definitions.set(type, { handler, ...DEFAULT_OPTIONS, ...options });
+  }
+
+  getDefinition(type) {
+    return this.definitions.get(type) || { handler: null, ...DEFAULT_OPTIONS };
+  }
+
+  // Queue a job. With `dedupeKey`, a job with the same key that is still
+  // queued or running is returned instead of adding another.
+  async enqueue(type, payload = {}, options = {}) {
+    const definition = this.getDefinition(type);
+    const {
+      userId = null,
+      dedupeKey = null,
+      runAt = new Date(Date.now() + (options.delayMs || 0)),
+      priority = 0,
+      maxAttempts = definition.maxAttempts,
+      backoffMs = definition.backoffMs,
+      visibilityTimeoutMs = definition.visibilityTimeoutMs,
+      repeatEveryMs = null
+    } = options;
+
+    const job = {
+      type,
+      payload,
+      userId,
+      status: 'queued',
+      priority,
+      runAt,
+      maxAttempts,
+      backoffMs,
+      visibilityTimeoutMs,
+      repeatEveryMs,
+      dedupeKey
+    };
+
+    if (!dedupeKey) {
+      return Job.create(job);
+    }
+
+    try {
+      return await Job.findOneAndUpdate(
+        { activeKey: dedupeKey },
+        { $setOnInsert: { ...job, activeKey: dedupeKey } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two processes queued the same key at once; the other one won
+      if (error.code === 11000) {
+        return Job.findOne({ activeKey: dedupeKey });
+      }
+      throw error;
+    }
+  }
+
+  // Queue a recurring job under a fixed name. Its first run is due now; later
+  // runs every `everyMs`. Changing `everyMs` takes effect from its next run.
+  async schedule(name, type, payload = {}, everyMs) {
+    const job = await this.enqueue(type, payload, {
+      dedupeKey: `recurring:${name}`,
+      repeatEveryMs: everyMs,
+      maxAttempts: 1
+    });
+
+    if (job.repeatEveryMs !== everyMs) {
+      await Job.updateOne({ _id: job._id }, { $set: { repeatEveryMs: everyMs } });
+    }
+    return job;
+  }
+
+  // A job by id; with `userId`, only that user's jobs
+  async getJob(jobId, userId = null) {
+    if (!mongoose.isValidObjectId(jobId)) return null;
+    return Job.findOne({ _id: jobId, ...(userId && { userId }) });
+  }
+
+  // Jobs for the admin API, newest first
+  async listJobs({ status, type, userId, page = 1, limit = 20 } = {}) {
+    const query = {
+      ...(status && { status }),
+      ...(type && { type }),
+      ...(userId && { userId })
+    };
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Job.countDocuments(query)
+    ]);
+    return { jobs, total };
+  }
+
+  // Queue a failed or cancelled job again with fresh attempts
+  async retry(jobId) {
+    const job = await Job.findOne({ _id: jobId, status: { $in: ['failed', 'cancelled'] } });
+    if (!job) return null;
+
+    job.set({
+      status: 'queued',
+      runAt: new Date(),
+      attempts: 0,
+      lastError: null,
+      finishedAt: null,
+      expireAt: null,
+      activeKey: job.dedupeKey || undefined
+    });
+    try {
+      return await job.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw Object.assign(new Error('A job with the same key is already queued'), { statusCode: 409 });
+      }
+      throw error;
+    }
+  }
+
+  // Cancel a job that hasn't started yet
+  async cancel(jobId) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      {
+        $set: { status: 'cancelled', finishedAt: new Date(), expireAt: new Date(Date.now() + this.retentionMs) },
+        $unset: { activeKey: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  getBackoffDelay(job) {
+    return Math.min(job.backoffMs * 2 ** Math.max(job.attempts - 1, 0), this.maxBackoffMs);
+  }
+
+  // Take the next due job: a queued one, or a running one whose worker's lock
+  // expired
+  async claim() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: [...this.definitions.keys()] },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lte: now } }
+        ]
+      },
+      [{
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedUntil: { $add: [now, '$visibilityTimeoutMs'] },
+          startedAt: now,
+          attempts: { $add: ['$attempts', 1] }
+        }
+      }],
+      { sort: { priority: -1, runAt: 1 }, new: true }
+    );
+  }
+
+  // Store the outcome of a run, unless another worker has taken the job over
+  async finish(job, update) {
+    await Job.updateOne({ _id: job._id, lockedBy: this.workerId }, {
+      ...update,
+      $unset: { lockedBy: 1, lockedUntil: 1, ...update.$unset }
+    });
+  }
+
+  async runJob(job) {
+    const definition = this.getDefinition(job.type);
+    const now = () => new Date();
+
+    // Keep the job locked while it runs
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { lockedUntil: new Date(Date.now() + job.visibilityTimeoutMs) } }
+      ).catch(error => console.error(`Failed to renew lock of job ${job._id}:`, error.message));
+    }, job.visibilityTimeoutMs / 2);
+    heartbeat.unref?.();
+
+    try {
+      if (!definition.handler) {
+        throw Object.assign(new Error(`No handler registered for job type: ${job.type}`), { retryable: false });
+      }
+      if (job.attempts > job.maxAttempts) {
+        throw Object.assign(new Error('Worker stopped while running the job'), { retryable: false });
+      }
+
+      const result = await definition.handler(job.payload, job);
+
+      if (job.repeatEveryMs) {
+        await this.finish(job, {
+          $set: { status: 'queued', runAt: new Date(Date.now() + job.repeatEveryMs), attempts: 0, result, lastError: null, finishedAt: now() }
+        });
+      } else {
+        await this.finish(job, {
+          $set: {
+            status: 'completed',
+            result,
+            finishedAt: now(),
+            expireAt: new Date(Date.now() + this.retentionMs),
+            ...(definition.redactPayload && { payload: {} })
+          },
+          $unset: { activeKey: 1 }
+        });
+      }
+    } catch (error) {
+      console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+      if (job.repeatEveryMs) {
+        await this.finish(job, {
+          $set: { status: 'queued', runAt: new Date(Date.now() + job.repeatEveryMs), attempts: 0, lastError: error.message, finishedAt: now() }
+        });
+      } else if (error.retryable !== false && job.attempts < job.maxAttempts) {
+        await this.finish(job, {
+          $set: { status: 'queued', runAt: new Date(Date.now() + this.getBackoffDelay(job)), lastError: error.message }
+        });
+      } else {
+        await this.finish(job, {
+          $set: {
+            status: 'failed',
+            lastError: error.message,
+            finishedAt: now(),
+            expireAt: new Date(Date.now() + this.retentionMs),
+            ...(definition.redactPayload && { payload: {} })
+          },
+          $unset: { activeKey: 1 }
+        });
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Run due jobs until stopped, polling when there are none
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.loop = (async () => {
+      while (this.running) {
+        try {
+          this.currentJob = await this.claim();
+          if (this.currentJob) {
+            await this.runJob(this.currentJob);
+            this.currentJob = null;
+            continue;
+          }
+        } catch (error) {
+          console.error('Job worker error:', error.message);
+          this.currentJob = null;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+      }
+    })();
+  }
+
+  // Stop taking jobs and wait for the current one to finish
+  async stop() {
+    this.running = false;
+    await this.loop;
+    this.loop = null;
+  }
+
+  // Public view of a job. Admins also see the payload unless its type is
+  // redacted.
+  toJSON(job, { includePayload = false } = {}) {
+    const { redactPayload } = this.getDefinition(job.type);
+    return {
+      id: job._id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      runAt: job.runAt,
+      ...(includePayload && { payload: redactPayload ? null : job.payload, userId: job.userId }),
+      repeatEveryMs: job.repeatEveryMs,
+      result: job.result ?? null,
+      error: job.lastError || null,
+      lockedBy: includePayload ? job.lockedBy || null : undefined,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || null,
+      finishedAt: job.finishedAt || null
+    };
+  }
+}
+
+module.exports = new JobQueueService();
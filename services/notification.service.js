@@ -0,0 +1,47 @@
+const User = require('../models/User');
+const emailService = require('./email.service');
+
+// Emails users about events on their integrations. An integration's
+// `settings.notifications` decides which events are sent (an empty `events`
+// list means all of them), and the user's `preferences.notifications.email`
+// can turn them off altogether.
+
+const integrationsUrl = () => `${process.env.FRONTEND_URL}/integrations`;
+
+const templates = {
+  // The integration's tokens expired or were revoked and it was disconnected
+  token_expired: (integration, user) => ({
+    subject: `Reconnect ${integration.integrationName}`,
+    html: `<p>Hello ${user.name},</p>
+           <p>Your ${integration.integrationName} connection has expired and was disconnected: ${integration.metadata?.lastError?.message}</p>
+           <p>Reconnect it to keep using it in your chats and projects:</p>
+           <a href="${integrationsUrl()}">Manage integrations</a>`,
+    text: `Your ${integration.integrationName} connection has expired and was disconnected. Reconnect it at ${integrationsUrl()}`
+  })
+};
+
+class NotificationService {
+  wantsIntegrationEvent(integration, event) {
+    const { enabled = true, events = [] } = integration.settings?.notifications || {};
+    return enabled && (events.length === 0 || events.includes(event));
+  }
+
+  // Queue the email for an integration event; returns whether one was sent
+  async notifyIntegration(integration, event) {
+    if (!templates[event]) {
+      throw new Error(`Unknown integration event: ${event}`);
+    }
+    if (!this.wantsIntegrationEvent(integration, event)) return false;
+
+    const user = await User.findById(integration.userId).select('name email isActive preferences');
+    if (!user || !user.isActive || user.preferences?.notifications?.email === false) return false;
+
+    await emailService.queueMail(
+      { to: user.email, ...templates[event](integration, user) },
+      { userId: user._id }
+    );
+    return true;
+  }
+}
+
+module.exports = new NotificationService();
@@ -252,6 +252,88 @@ class NotionService {
     }
   }
 
+  // Get a page and the plain text of its top-level blocks
+  async getPageContent(accessToken, pageId) {
+    try {
+      const headers = {
+        'Authorization': `Bearer ${accessToken}`,
+        'Notion-Version': '2022-06-28'
+      };
+
+      const [pageResponse, blocksResponse] = await Promise.all([
+        axios.get(`${this.baseURL}/pages/${pageId}`, { headers }),
+        axios.get(`${this.baseURL}/blocks/${pageId}/children?page_size=100`, { headers })
+      ]);
+
+      const page = pageResponse.data;
+      const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+
+      return {
+        id: page.id,
+        title: this.extractTitle(titleProperty?.title),
+        url: page.url,
+        parent: page.parent,
+        lastEditedTime: page.last_edited_time,
+        content: blocksResponse.data.results
+          .map(block => this.extractBlockText(block))
+          .filter(Boolean)
+          .join('\n')
+      };
+    } catch (error) {
+      console.error('Notion get page content error:', error.response?.data || error);
+      throw new Error(`Failed to get page content: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Query the rows of a database
+  async queryDatabase(accessToken, databaseId, options = {}) {
+    try {
+      const { page_size = 50, start_cursor, filter, sorts } = options;
+
+      const response = await axios.post(`${this.baseURL}/databases/${databaseId}/query`, {
+        page_size,
+        start_cursor,
+        filter,
+        sorts
+      }, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          'Notion-Version': '2022-06-28'
+        }
+      });
+
+      return {
+        results: response.data.results.map(page => {
+          const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+          return {
+            id: page.id,
+            title: this.extractTitle(titleProperty?.title),
+            url: page.url,
+            lastEditedTime: page.last_edited_time
+          };
+        }),
+        nextCursor: response.data.next_cursor,
+        hasMore: response.data.has_more
+      };
+    } catch (error) {
+      console.error('Notion query database error:', error.response?.data || error);
+      throw new Error(`Failed to query database: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  // Helper method to extract the plain text of a block
+  extractBlockText(block) {
+    const value = block[block.type];
+    if (!value?.rich_text) return '';
+
+    const text = value.rich_text.map(part => part.plain_text).join('');
+    if (block.type.startsWith('heading_')) return `# ${text}`;
+    if (block.type === 'bulleted_list_item' || block.type === 'numbered_list_item') return `- ${text}`;
+    if (block.type === 'to_do') return `[${value.checked ? 'x' : ' '}] ${text}`;
+    return text;
+  }
+
   // Helper method to extract title from Notion title property
   extractTitle(titleProperty) {
     if (!titleProperty) return 'Untitled';
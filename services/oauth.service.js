@@ -1,14 +1,11 @@
 const axios = require('axios');
-const crypto = require('crypto');
 const UserIntegration = require('../models/UserIntegration');
 const { getMCPServerById } = require('../constants/integrations');
 const encryptionService = require('./encryption.service');
+const notificationService = require('./notification.service');
+const oauthStateService = require('./oauthState');
 
 class OAuthService {
-  constructor() {
-    this.stateStorage = new Map(); // In production, use Redis
-  }
-
   /**
    * Generate OAuth authorization URL for MCP server
    */
@@ -24,20 +21,6 @@ class OAuthService {
         throw new Error('Integration does not support OAuth');
       }
 
-      // Generate state parameter for security
-      const state = crypto.randomBytes(32).toString('hex');
-      
-      // Store state with user info (expires in 10 minutes)
-      this.stateStorage.set(state, {
-        userId,
-        integrationId,
-        redirectUri,
-        timestamp: Date.now()
-      });
-
-      // Clean up expired states
-      this.cleanupExpiredStates();
-
       // Get OAuth config from environment or database
       const clientId = process.env[`${integrationId.toUpperCase()}_CLIENT_ID`];
       
@@ -45,6 +28,14 @@ class OAuthService {
         throw new Error(`OAuth client ID not configured for ${integrationId}`);
       }
 
+      // Generate state parameter for security (single-use, expires in 10 minutes)
+      const { state, expiresAt, codeChallenge } = await oauthStateService.create({
+        userId,
+        integrationId,
+        redirectUri,
+        pkce: Boolean(mcpServer.oauth.pkce)
+      });
+
       // Build authorization URL
       const authUrl = new URL(mcpServer.oauth.authUrl);
       authUrl.searchParams.set('client_id', clientId);
@@ -56,6 +47,11 @@ class OAuthService {
         authUrl.searchParams.set('scope', mcpServer.oauth.scopes.join(' '));
       }
 
+      if (codeChallenge) {
+        authUrl.searchParams.set('code_challenge', codeChallenge);
+        authUrl.searchParams.set('code_challenge_method', 'S256');
+      }
+
       // Integration-specific parameters
       if (integrationId === 'notion') {
         authUrl.searchParams.set('owner', 'user');
@@ -64,7 +60,7 @@ class OAuthService {
       return {
         authUrl: authUrl.toString(),
         state,
-        expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+        expiresAt
       };
     } catch (error) {
       console.error('Error generating OAuth URL:', error);
@@ -87,20 +83,16 @@ class OAuthService {
         throw new Error('Missing authorization code or state parameter');
       }
 
-      // Verify state parameter
-      const stateData = this.stateStorage.get(state);
+      // Verify state parameter; consuming it means a replayed callback fails
+      const stateData = await oauthStateService.consume(state);
       if (!stateData) {
-        console.error('Invalid state parameter:', state);
-        console.error('Available states:', Array.from(this.stateStorage.keys()));
+        console.error('Invalid state parameter:', String(state).substring(0, 10) + '...');
         throw new Error('Invalid or expired state parameter');
       }
 
       console.log('State verified successfully for user:', stateData.userId);
 
-      // Clean up state
-      this.stateStorage.delete(state);
-
-      const { userId, integrationId, redirectUri } = stateData;
+      const { userId, integrationId, redirectUri, codeVerifier } = stateData;
       console.log(`Processing OAuth callback for ${integrationId}, user: ${userId}`);
       
       const mcpServer = getMCPServerById(integrationId);
@@ -110,7 +102,7 @@ class OAuthService {
       }
 
       // Exchange code for tokens
-      const tokenData = await this.exchangeCodeForTokens(integrationId, code, redirectUri);
+      const tokenData = await this.exchangeCodeForTokens(integrationId, code, redirectUri, codeVerifier);
 
       // Create or update user integration
       const integration = await this.createOrUpdateIntegration(userId, integrationId, tokenData);
@@ -127,9 +119,10 @@ class OAuthService {
   }
 
   /**
-   * Exchange authorization code for access tokens
+   * Exchange authorization code for access tokens. `codeVerifier` is the PKCE
+   * verifier for providers that use PKCE.
    */
-  async exchangeCodeForTokens(integrationId, code, redirectUri) {
+  async exchangeCodeForTokens(integrationId, code, redirectUri, codeVerifier = null) {
     try {
       const mcpServer = getMCPServerById(integrationId);
       const clientId = process.env[`${integrationId.toUpperCase()}_CLIENT_ID`];
@@ -144,6 +137,9 @@ class OAuthService {
       console.log(`[${integrationId}] Token URL: ${tokenUrl}`);
       console.log(`[${integrationId}] Client ID: ${clientId.substring(0, 10)}...`);
 
+      // PKCE providers get the verifier of the challenge sent with the auth URL
+      const pkceParams = codeVerifier ? { code_verifier: codeVerifier } : {};
+
       // Integration-specific token exchange
       let response;
       if (integrationId === 'notion') {
@@ -153,7 +149,8 @@ class OAuthService {
         const tokenData = {
           grant_type: 'authorization_code',
           code,
-          redirect_uri: redirectUri
+          redirect_uri: redirectUri,
+          ...pkceParams
         };
 
         console.log(`[${integrationId}] Making Notion token request`);
@@ -174,7 +171,8 @@ class OAuthService {
           client_id: clientId,
           client_secret: clientSecret,
           code: code,
-          redirect_uri: redirectUri
+          redirect_uri: redirectUri,
+          ...pkceParams
         };
 
         console.log(`[${integrationId}] Making Jira token request`);
@@ -192,7 +190,8 @@ class OAuthService {
           code,
           redirect_uri: redirectUri,
           client_id: clientId,
-          client_secret: clientSecret
+          client_secret: clientSecret,
+          ...pkceParams
         });
 
         console.log(`[${integrationId}] Making GitHub token request`);
@@ -210,7 +209,8 @@ class OAuthService {
           code,
           redirect_uri: redirectUri,
           client_id: clientId,
-          client_secret: clientSecret
+          client_secret: clientSecret,
+          ...pkceParams
         });
 
         console.log(`[${integrationId}] Making standard OAuth token request`);
@@ -332,15 +332,17 @@ class OAuthService {
   }
 
   /**
-   * Refresh access token using refresh token
+   * Refresh access token using refresh token. Errors carry a `code`:
+   * REFRESH_TOKEN_EXPIRED when the provider rejected the refresh token (the
+   * user has to reconnect), TOKEN_REFRESH_FAILED otherwise (worth retrying).
    */
   async refreshToken(integrationId, refreshToken) {
-    try {
-      const mcpServer = getMCPServerById(integrationId);
-      const clientId = process.env[`${integrationId.toUpperCase()}_CLIENT_ID`];
-      const clientSecret = process.env[`${integrationId.toUpperCase()}_CLIENT_SECRET`];
+    const mcpServer = getMCPServerById(integrationId);
+    const clientId = process.env[`${integrationId.toUpperCase()}_CLIENT_ID`];
+    const clientSecret = process.env[`${integrationId.toUpperCase()}_CLIENT_SECRET`];
 
-      let response;
+    let response;
+    try {
       if (integrationId === 'notion') {
         // Notion requires Basic auth with base64 encoded client credentials
         const encoded = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
@@ -359,26 +361,120 @@ class OAuthService {
           }
         });
       } else {
-        // Standard OAuth2 flow for other providers
-        const tokenData = {
+        // Standard OAuth2 flow for other providers (Jira, GitHub)
+        const tokenData = new URLSearchParams({
           grant_type: 'refresh_token',
           refresh_token: refreshToken,
           client_id: clientId,
           client_secret: clientSecret
-        };
+        });
 
-        response = await axios.post(mcpServer.oauth.tokenUrl, tokenData, {
+        response = await axios.post(mcpServer.oauth.tokenUrl, tokenData.toString(), {
           headers: {
+            'Accept': 'application/json',
             'Content-Type': 'application/x-www-form-urlencoded'
           }
         });
       }
+    } catch (error) {
+      console.error(`[${integrationId}] Error refreshing token:`, error.response?.data || error.message);
+      const status = error.response?.status;
+      if (status === 400 || status === 401) {
+        throw Object.assign(
+          new Error(`${mcpServer.name} rejected the refresh token: ${error.response.data?.error_description || error.response.data?.error || 'invalid_grant'}`),
+          { code: 'REFRESH_TOKEN_EXPIRED', retryable: false }
+        );
+      }
+      throw Object.assign(new Error('Failed to refresh access token'), { code: 'TOKEN_REFRESH_FAILED' });
+    }
 
-      return response.data;
+    // GitHub answers 200 with an error body
+    if (response.data.error || !response.data.access_token) {
+      throw Object.assign(
+        new Error(`${mcpServer.name} rejected the refresh token: ${response.data.error_description || response.data.error || 'no access token returned'}`),
+        { code: 'REFRESH_TOKEN_EXPIRED', retryable: false }
+      );
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Refresh an integration's tokens and store them encrypted. An integration
+   * whose refresh token was rejected is disconnected, unless another refresh
+   * renewed its tokens meanwhile (providers that rotate refresh tokens reject
+   * the old one); the renewed access token is returned then.
+   */
+  async refreshIntegrationToken(integration) {
+    const refreshToken = encryptionService.decrypt(integration.connectionData.refreshToken);
+
+    let tokenData;
+    try {
+      tokenData = await this.refreshToken(integration.integrationId, refreshToken);
     } catch (error) {
-      console.error('Error refreshing token:', error);
-      throw new Error('Failed to refresh access token');
+      if (error.code === 'REFRESH_TOKEN_EXPIRED' && !(await this.markTokenFailure(integration, error))) {
+        const renewed = await UserIntegration.findById(integration._id).select('+connectionData.accessToken');
+        if (renewed?.status === 'connected' && renewed.connectionData?.accessToken) {
+          return encryptionService.decrypt(renewed.connectionData.accessToken);
+        }
+      }
+      throw error;
     }
+
+    integration.updateToken({
+      ...tokenData,
+      access_token: encryptionService.encrypt(tokenData.access_token),
+      // Providers that rotate refresh tokens return a new one
+      refresh_token: tokenData.refresh_token ? encryptionService.encrypt(tokenData.refresh_token) : null
+    });
+    await integration.save();
+
+    return tokenData.access_token;
+  }
+
+  /**
+   * Disconnect an integration whose tokens can no longer be used and tell the
+   * user to reconnect it. Only done while the stored tokens are still the ones
+   * that failed, so tokens a concurrent refresh just stored are kept; returns
+   * whether the integration was disconnected.
+   */
+  async markTokenFailure(integration, error) {
+    const { accessToken = null, refreshToken = null } = integration.connectionData;
+
+    integration.markError(error);
+    integration.status = 'disconnected';
+    integration.connectionData.accessToken = null;
+    integration.connectionData.refreshToken = null;
+    integration.connectionData.tokenExpiresAt = null;
+
+    const { matchedCount } = await UserIntegration.updateOne(
+      {
+        _id: integration._id,
+        'connectionData.accessToken': accessToken,
+        'connectionData.refreshToken': refreshToken
+      },
+      {
+        $set: {
+          status: 'disconnected',
+          'connectionData.accessToken': null,
+          'connectionData.refreshToken': null,
+          'connectionData.tokenExpiresAt': null,
+          'metadata.lastError': integration.metadata.lastError
+        },
+        $inc: { 'metadata.errorCount': 1 }
+      }
+    );
+    if (matchedCount === 0) {
+      console.warn(`[${integration.integrationId}] Tokens were renewed meanwhile; not disconnecting`);
+      return false;
+    }
+
+    try {
+      await notificationService.notifyIntegration(integration, 'token_expired');
+    } catch (notifyError) {
+      console.error(`[${integration.integrationId}] Failed to notify user of expired token:`, notifyError.message);
+    }
+    return true;
   }
 
   /**
@@ -390,7 +486,7 @@ class OAuthService {
         .select('+connectionData.accessToken +connectionData.refreshToken');
 
       if (!integration || integration.status !== 'connected') {
-        throw new Error('Integration not connected');
+        throw Object.assign(new Error('Integration not connected'), { code: 'NOT_CONNECTED' });
       }
 
       // Decrypt tokens
@@ -403,17 +499,12 @@ class OAuthService {
 
       // Refresh token if available
       if (integration.connectionData.refreshToken) {
-        const refreshToken = encryptionService.decrypt(integration.connectionData.refreshToken);
-        const newTokenData = await this.refreshToken(integrationId, refreshToken);
-        
-        // Update integration with new tokens
-        integration.updateToken(newTokenData);
-        await integration.save();
-        
-        return newTokenData.access_token;
+        return await this.refreshIntegrationToken(integration);
       }
 
-      throw new Error('Access token expired and no refresh token available');
+      const error = Object.assign(new Error('Access token expired and no refresh token available'), { code: 'TOKEN_EXPIRED' });
+      await this.markTokenFailure(integration, error);
+      throw error;
     } catch (error) {
       console.error('Error getting valid access token:', error);
       throw error;
@@ -447,20 +538,6 @@ class OAuthService {
     }
   }
 
-  /**
-   * Clean up expired state parameters
-   */
-  cleanupExpiredStates() {
-    const now = Date.now();
-    const expireTime = 10 * 60 * 1000; // 10 minutes
-    
-    for (const [state, data] of this.stateStorage.entries()) {
-      if (now - data.timestamp > expireTime) {
-        this.stateStorage.delete(state);
-      }
-    }
-  }
-
   /**
    * Test integration connection
    */
@@ -0,0 +1,28 @@
+/**
+ * Base class for OAuth state store backends.
+ *
+ * A state is saved when the user is sent to a provider's authorization page
+ * and consumed by the provider's callback. A backend implements:
+ *  - save(state, data, expiresAt) -> stores `data` under `state`
+ *  - consume(state)               -> the data saved under `state`, or null if
+ *                                    it is unknown, expired or was already
+ *                                    consumed. A state must be returned at
+ *                                    most once, even to concurrent callers.
+ *
+ * Data is { userId, integrationId, redirectUri, codeVerifier }.
+ */
+class BaseOAuthStateStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async save(state, data, expiresAt) {
+    throw new Error(`save not implemented for OAuth state store: ${this.name}`);
+  }
+
+  async consume(state) {
+    throw new Error(`consume not implemented for OAuth state store: ${this.name}`);
+  }
+}
+
+module.exports = BaseOAuthStateStore;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const encryptionService = require('../encryption.service');
+const MemoryOAuthStateStore = require('./memory.store');
+const MongoOAuthStateStore = require('./mongo.store');
+
+const stores = {
+  memory: () => new MemoryOAuthStateStore(),
+  mongodb: () => new MongoOAuthStateStore()
+};
+
+// The `state` of pending OAuth authorizations and, for providers that use
+// PKCE, their code verifier. States expire after `ttlMs` and can be consumed
+// once, so a replayed callback is rejected. Kept in a backend (see
+// base.store.js) chosen with OAUTH_STATE_STORE (default "mongodb").
+class OAuthStateService {
+  constructor(store) {
+    this.store = store;
+    this.ttlMs = 10 * 60 * 1000;
+  }
+
+  // S256 PKCE challenge for a code verifier
+  codeChallenge(codeVerifier) {
+    return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  }
+
+  // Start an authorization. Returns { state, expiresAt } and, with `pkce`,
+  // the `codeChallenge` to send to the provider.
+  async create({ userId, integrationId, redirectUri, pkce = false }) {
+    const state = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.ttlMs);
+    const codeVerifier = pkce ? crypto.randomBytes(32).toString('base64url') : null;
+
+    await this.store.save(state, {
+      userId: String(userId),
+      integrationId,
+      redirectUri,
+      codeVerifier: codeVerifier && encryptionService.encrypt(codeVerifier)
+    }, expiresAt);
+
+    return {
+      state,
+      expiresAt,
+      ...(codeVerifier && { codeChallenge: this.codeChallenge(codeVerifier) })
+    };
+  }
+
+  // The authorization started with `state`, or null if it is unknown, expired
+  // or was already used
+  async consume(state) {
+    // Query parameters can also be arrays or objects
+    if (typeof state !== 'string' || !state) return null;
+
+    const data = await this.store.consume(state);
+    if (!data) return null;
+
+    return {
+      ...data,
+      codeVerifier: data.codeVerifier ? encryptionService.decrypt(data.codeVerifier) : null
+    };
+  }
+}
+
+const createStore = (name = 'mongodb') => {
+  if (!stores[name]) {
+    throw new Error(`Unknown OAuth state store: ${name}. Use one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return stores[name]();
+};
+
+module.exports = new OAuthStateService(createStore(process.env.OAUTH_STATE_STORE || 'mongodb'));
+module.exports.OAuthStateService = OAuthStateService;
+module.exports.createStore = createStore;
@@ -0,0 +1,35 @@
+const BaseOAuthStateStore = require('./base.store');
+
+// Keeps states in process memory. Callbacks fail after a restart or when they
+// reach another instance, so it is meant for tests and local development
+// (OAUTH_STATE_STORE=memory).
+class MemoryOAuthStateStore extends BaseOAuthStateStore {
+  constructor() {
+    super('memory');
+    // state -> { data, expiresAt }
+    this.states = new Map();
+  }
+
+  removeExpired(now = Date.now()) {
+    for (const [state, { expiresAt }] of this.states) {
+      if (expiresAt.getTime() <= now) {
+        this.states.delete(state);
+      }
+    }
+  }
+
+  async save(state, data, expiresAt) {
+    this.removeExpired();
+    this.states.set(state, { data: { ...data }, expiresAt });
+  }
+
+  async consume(state) {
+    const stored = this.states.get(state);
+    this.states.delete(state);
+
+    if (!stored || stored.expiresAt.getTime() <= Date.now()) return null;
+    return stored.data;
+  }
+}
+
+module.exports = MemoryOAuthStateStore;
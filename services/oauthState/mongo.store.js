@@ -0,0 +1,27 @@
+const OAuthState = require('../../models/OAuthState');
+const BaseOAuthStateStore = require('./base.store');
+
+// Stores states in the OAuthState collection, so a callback can be handled by
+// any instance and survives restarts. Expired states are removed by the
+// collection's TTL index.
+class MongoOAuthStateStore extends BaseOAuthStateStore {
+  constructor() {
+    super('mongodb');
+  }
+
+  async save(state, data, expiresAt) {
+    await OAuthState.create({ state, ...data, expiresAt });
+  }
+
+  async consume(state) {
+    // Deleting while reading makes the state single-use, even when the same
+    // callback arrives twice at once
+    const stored = await OAuthState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+    if (!stored) return null;
+
+    const { userId, integrationId, redirectUri, codeVerifier } = stored;
+    return { userId: String(userId), integrationId, redirectUri, codeVerifier: codeVerifier || null };
+  }
+}
+
+module.exports = MongoOAuthStateStore;
@@ -241,11 +241,13 @@ class OpenAIService {
     }
   }
 
-  // Make authenticated API call to OpenAI
+  // Make authenticated API call to OpenAI with the user's OpenAI keys, in
+  // priority order (see BaseProvider#requestWithFailover)
   async makeOpenAIApiCall(userId, endpoint, method = 'GET', data = null) {
-    try {
-      const apiKey = await this.getDecryptedApiKey(userId);
-      
+    // Required here: the OpenAI provider depends on this service
+    const openaiProvider = require('./providers').get('openai');
+
+    const { response, apiKeyRecord } = await openaiProvider.requestWithFailover(userId, {}, (apiKey) => {
       const config = {
         method,
         url: `${this.baseURL}${endpoint}`,
@@ -260,34 +262,17 @@ class OpenAIService {
         config.data = data;
       }
 
-      const response = await axios(config);
-      
-      // Update last used timestamp
-      const apiKeyRecord = await ApiKey.findOne({
-        userId,
-        provider: 'openai',
-        isActive: true
-      });
-      if (apiKeyRecord) {
-        await apiKeyRecord.updateLastUsed();
-      }
+      return axios(config);
+    });
 
-      return response.data;
-    } catch (error) {
-      console.error('OpenAI API call error:', error.response?.data || error.message);
-      
-      // Record error in API key record
-      const apiKeyRecord = await ApiKey.findOne({
-        userId,
-        provider: 'openai',
-        isActive: true
-      });
-      if (apiKeyRecord) {
-        await apiKeyRecord.recordValidationError(error.response?.data || error.message);
-      }
+    // Update last used timestamp, with the token usage of requests that report it
+    const { usage } = response.data;
+    await openaiProvider.recordKeyUse(apiKeyRecord, usage && data?.model ? {
+      options: { model: data.model, usageSource: endpoint === '/embeddings' ? 'embedding' : 'chat' },
+      usage
+    } : null);
 
-      throw new Error(`OpenAI API error: ${error.response?.data?.error?.message || error.message}`);
-    }
+    return response.data;
   }
 
   // Test API key connection
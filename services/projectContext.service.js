@@ -0,0 +1,112 @@
+const Project = require('../models/Project');
+
+// Turns the project a chat belongs to into model context: a system prompt
+// describing the project, and a scope that limits the agent's tools to the
+// resources selected in `Project.mcpResources`.
+
+class ProjectContextService {
+  constructor() {
+    // Longest project description included in the system prompt
+    this.maxDescriptionLength = 4000;
+  }
+
+  // Notion ids come with and without dashes
+  normalizeNotionId(id) {
+    return String(id || '').replace(/-/g, '').toLowerCase();
+  }
+
+  // The chat's project, or null for chats outside a project (or whose
+  // project was deleted)
+  async getProject(chat) {
+    if (!chat.projectId) return null;
+    return Project.findByUserIdAndProjectId(chat.userId, chat.projectId);
+  }
+
+  // Which resources the agent may touch, per integration. An integration
+  // that is not enabled on the project is null: its tools are removed.
+  buildScope(project) {
+    const resources = project.getAllResources();
+    const ofService = (service, ...types) => resources.filter(resource =>
+      resource.service === service && (types.length === 0 || types.includes(resource.resourceType))
+    );
+    const isEnabled = (service) => Boolean(project.mcpResources?.[service]?.enabled);
+
+    return {
+      projectId: String(project._id),
+      // Attachments or Notion page snapshots to search (see documents.tools.js)
+      hasDocuments: project.attachments?.length > 0 || isEnabled('notion'),
+      notion: isEnabled('notion') ? {
+        workspace: ofService('notion', 'workspace').length > 0,
+        pageIds: ofService('notion', 'page').map(resource => this.normalizeNotionId(resource.resourceId)),
+        databaseIds: ofService('notion', 'database').map(resource => this.normalizeNotionId(resource.resourceId)),
+        resources: ofService('notion').map(({ resourceType, resourceId, name, url }) => ({ resourceType, resourceId, name, url }))
+      } : null,
+      github: isEnabled('github') ? {
+        repositories: ofService('github', 'repository')
+          .map(resource => resource.fullName || resource.name)
+          .filter(Boolean)
+      } : null,
+      jira: isEnabled('jira') ? {
+        projectKeys: [
+          ...ofService('jira', 'project').map(resource => resource.key),
+          // Boards are stored with their location when the client sends it
+          ...ofService('jira', 'board').map(resource => resource.metadata?.location?.projectKey)
+        ].filter(Boolean),
+        boardIds: ofService('jira', 'board').map(resource => String(resource.resourceId))
+      } : null
+    };
+  }
+
+  // System prompt with the project's name, description, attachments and
+  // selected resources
+  buildSystemPrompt(project) {
+    const lines = [`You are helping with the project "${project.name}".`];
+
+    if (project.description) {
+      const description = project.description.length > this.maxDescriptionLength
+        ? `${project.description.slice(0, this.maxDescriptionLength)}…`
+        : project.description;
+      lines.push('', 'Project description:', description);
+    }
+
+    if (project.attachments?.length) {
+      lines.push('', 'Documents attached to the project:');
+      project.attachments.forEach(attachment => {
+        const status = attachment.indexing?.status;
+        const note = status && status !== 'indexed' ? ` (${status === 'failed' ? 'could not be indexed' : 'still being indexed'})` : '';
+        lines.push(`- ${attachment.originalName || attachment.filename}${note}`);
+      });
+      lines.push(
+        'Use search_project_documents to look things up in these documents, and cite the document name and page for what you take from them, e.g. (spec.pdf, p. 3).'
+      );
+    }
+
+    const resources = project.getAllResources();
+    if (resources.length > 0) {
+      lines.push('', 'Resources selected for the project (your tools only reach these):');
+      resources.forEach(resource => {
+        const name = resource.fullName || (resource.key ? `${resource.key} ${resource.name}` : resource.name);
+        lines.push(`- ${resource.service} ${resource.resourceType}: ${name}${resource.url ? ` (${resource.url})` : ''}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  // Add the project's context to a chat's generation options (see
+  // Chat#getGenerationOptions). The chat's own system prompt comes last so it
+  // can refine the project's.
+  async applyToOptions(chat, options = {}) {
+    const project = await this.getProject(chat);
+    if (!project) return options;
+
+    return {
+      ...options,
+      systemPrompt: [this.buildSystemPrompt(project), options.systemPrompt].filter(Boolean).join('\n\n'),
+      projectScope: this.buildScope(project),
+      apiKeyId: options.apiKeyId || project.apiKeys?.get(chat.selectedModel?.provider || 'openai') || undefined
+    };
+  }
+}
+
+module.exports = new ProjectContextService();
@@ -0,0 +1,249 @@
+const axios = require('axios');
+const BaseProvider = require('./base.provider');
+const { parseSSEStream } = require('../../utils/sse');
+
+class AnthropicProvider extends BaseProvider {
+  constructor() {
+    super({
+      id: 'anthropic',
+      name: 'Anthropic',
+      // Every current Claude model has a 200K token context window
+      defaultContext: 200000,
+      knownOutputLimits: {
+        'claude-3-5-sonnet-20240620': 8192,
+        'claude-3-5-sonnet-20241022': 8192,
+        'claude-3-5-haiku-20241022': 8192,
+        'claude-3-7-sonnet-20250219': 64000,
+        'claude-sonnet-4-20250514': 64000,
+        'claude-opus-4-20250514': 32000
+      },
+      settingsLimits: {
+        temperature: { min: 0, max: 1 },
+        maxStopSequences: 8
+      },
+      catalog: {
+        description: 'Access to Claude models for advanced reasoning and analysis',
+        icon: '/icons/anthropic.svg',
+        website: 'https://anthropic.com',
+        models: [
+          {
+            id: 'claude-3-opus',
+            name: 'Claude 3 Opus',
+            description: 'Most powerful model for complex tasks',
+            type: 'text',
+            inputCost: 0.015,
+            outputCost: 0.075,
+            contextWindow: 200000
+          },
+          {
+            id: 'claude-3-sonnet',
+            name: 'Claude 3 Sonnet',
+            description: 'Balanced performance and speed',
+            type: 'text',
+            inputCost: 0.003,
+            outputCost: 0.015,
+            contextWindow: 200000
+          }
+        ],
+        authentication: {
+          type: 'api_key',
+          keyFormat: 'sk-ant-...',
+          keyLength: 108,
+          required: true,
+          testEndpoint: '/v1/models'
+        },
+        features: [
+          'Advanced reasoning',
+          'Long context understanding',
+          'Code analysis',
+          'Document analysis',
+          'Mathematical reasoning'
+        ],
+        status: 'active',
+        documentation: 'https://docs.anthropic.com/',
+        rateLimit: {
+          requests: 1000,
+          tokens: 100000,
+          period: 'minute'
+        }
+      }
+    });
+
+    this.baseURL = process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1';
+    this.apiVersion = '2023-06-01';
+    this.defaultMaxTokens = 1024;
+  }
+
+  // Build request headers for the Anthropic API
+  getHeaders(apiKey) {
+    return {
+      'x-api-key': apiKey,
+      'anthropic-version': this.apiVersion,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async listModels(apiKey) {
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: this.getHeaders(apiKey),
+      params: { limit: 100 },
+      timeout: 10000
+    });
+
+    return (response.data.data || []).map((m) => ({
+      id: m.id,
+      name: m.display_name || m.id,
+      provider: this.id,
+      context: this.getContextWindow(m.id)
+    }));
+  }
+
+  // Convert chat messages into the Messages API format.
+  // System messages are lifted into the top-level `system` field and
+  // consecutive turns from the same role are merged, since the API
+  // requires strictly alternating user/assistant turns.
+  buildMessages(messages, systemPrompt = null) {
+    const systemParts = systemPrompt ? [systemPrompt] : [];
+    const anthropicMessages = [];
+
+    for (const msg of messages) {
+      if (!msg.content) continue;
+
+      if (msg.role === 'system') {
+        systemParts.push(msg.content);
+        continue;
+      }
+
+      const last = anthropicMessages[anthropicMessages.length - 1];
+      if (last && last.role === msg.role) {
+        last.content += `\n\n${msg.content}`;
+      } else {
+        anthropicMessages.push({ role: msg.role, content: msg.content });
+      }
+    }
+
+    // The first turn must come from the user
+    while (anthropicMessages.length > 0 && anthropicMessages[0].role !== 'user') {
+      anthropicMessages.shift();
+    }
+
+    return {
+      system: systemParts.join('\n\n') || undefined,
+      messages: anthropicMessages
+    };
+  }
+
+  // Build the request body for a Messages API call
+  buildRequestBody(messages, options = {}) {
+    const { system, messages: anthropicMessages } = this.buildMessages(
+      messages,
+      this.resolveSystemPrompt(options)
+    );
+
+    if (anthropicMessages.length === 0) {
+      throw new Error('No user message found');
+    }
+
+    const data = {
+      model: options.model,
+      messages: anthropicMessages,
+      max_tokens: options.maxTokens || this.defaultMaxTokens
+    };
+
+    if (system) data.system = system;
+    if (options.temperature !== undefined) data.temperature = options.temperature;
+    if (options.topP !== undefined) data.top_p = options.topP;
+    if (options.stopSequences?.length) data.stop_sequences = options.stopSequences;
+
+    return data;
+  }
+
+  // Normalise Anthropic usage into the OpenAI-style usage shape
+  normalizeUsage(usage = {}) {
+    const promptTokens = usage.input_tokens || 0;
+    const completionTokens = usage.output_tokens || 0;
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+
+  async complete(userId, messages, options = {}) {
+    const data = this.buildRequestBody(messages, options);
+
+    const { response, apiKeyRecord } = await this.requestWithFailover(userId, options, apiKey =>
+      axios.post(`${this.baseURL}/messages`, data, {
+        headers: this.getHeaders(apiKey),
+        timeout: 60000,
+        signal: options.signal
+      })
+    );
+
+    const usage = this.normalizeUsage(response.data.usage);
+    await this.recordKeyUse(apiKeyRecord, { options, usage });
+
+    const content = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      usage,
+      stopReason: response.data.stop_reason
+    };
+  }
+
+  async *stream(userId, messages, options = {}) {
+    const data = { ...this.buildRequestBody(messages, options), stream: true };
+
+    const { response, apiKeyRecord } = await this.requestWithFailover(userId, options, apiKey =>
+      axios.post(`${this.baseURL}/messages`, data, {
+        headers: this.getHeaders(apiKey),
+        responseType: 'stream',
+        timeout: 60000,
+        signal: options.signal
+      })
+    );
+
+    let fullResponse = '';
+    let usage = {};
+    let stopReason = null;
+
+    for await (const { event, data: payload } of parseSSEStream(response.data)) {
+      switch (event) {
+        case 'message_start':
+          usage = { ...usage, ...(payload.message?.usage || {}) };
+          break;
+        case 'content_block_delta':
+          if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+            fullResponse += payload.delta.text;
+            yield { type: 'text_delta', content: payload.delta.text };
+          }
+          break;
+        case 'message_delta':
+          usage = { ...usage, ...(payload.usage || {}) };
+          stopReason = payload.delta?.stop_reason || stopReason;
+          break;
+        case 'error':
+          throw new Error(`Anthropic API error: ${payload.error?.message || 'stream error'}`);
+        default:
+          break;
+      }
+    }
+
+    const completionUsage = this.normalizeUsage(usage);
+    await this.recordKeyUse(apiKeyRecord, { options, usage: completionUsage });
+
+    yield {
+      type: 'completion',
+      content: fullResponse,
+      usage: completionUsage,
+      stopReason
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,315 @@
+const ApiKey = require('../../models/ApiKey');
+const encryptionService = require('../encryption.service');
+const usageService = require('../usage.service');
+
+const DEFAULT_SYSTEM_PROMPT = `You are Sawyer, an intelligent AI assistant designed to help users with their projects and tasks. You are knowledgeable, helpful, and always aim to provide clear and actionable responses. Be concise but thorough in your responses.`;
+
+/**
+ * Base class for LLM provider adapters.
+ *
+ * Every provider registered with the provider registry implements:
+ *  - verify(apiKey)                        -> { valid, models, permissions, organizationId, limits }
+ *  - listModels(apiKey)                    -> [{ id, name, provider, context, maxTokens }]
+ *  - complete(userId, messages, options)   -> { content, usage, stopReason }
+ *  - stream(userId, messages, options)     -> async iterable of `text_delta` events
+ *                                             followed by one `completion` event
+ *  - countTokens(messagesOrText)           -> number
+ *
+ * Generation `options` are { model, temperature, maxTokens, topP,
+ * stopSequences, responseFormat, systemPrompt } (see Chat#getGenerationOptions),
+ * plus `apiKeyId` to use one specific key of the user's instead of trying
+ * their keys in priority order, and `chatId`/`usageSource` for usage records.
+ *
+ * `usage` is always in the OpenAI shape ({ prompt_tokens, completion_tokens, total_tokens }).
+ */
+class BaseProvider {
+  constructor({
+    id,
+    name,
+    aliases = [],
+    capabilities = {},
+    permissions = ['chat', 'completion'],
+    knownContexts = {},
+    defaultContext = 4096,
+    knownOutputLimits = {},
+    settingsLimits = {},
+    catalog = {}
+  }) {
+    this.id = id;
+    this.name = name;
+    this.aliases = aliases;
+    this.capabilities = { chat: true, streaming: true, agent: false, ...capabilities };
+    this.permissions = permissions;
+    this.knownContexts = knownContexts;
+    this.defaultContext = defaultContext;
+    this.knownOutputLimits = knownOutputLimits;
+    // Ranges accepted for per-chat generation settings
+    this.settingsLimits = {
+      temperature: { min: 0, max: 2 },
+      topP: { min: 0, max: 1 },
+      maxStopSequences: 4,
+      responseFormats: ['text'],
+      maxOutputTokens: 4096,
+      ...settingsLimits
+    };
+    this.catalog = { id, name, category: 'ai', ...catalog };
+    // How long a rate limited key rests when the provider doesn't say
+    this.rateLimitCooldownMs = 60 * 1000;
+    // How long a key the provider rejected rests while it is re-verified
+    this.authFailureCooldownMs = 5 * 60 * 1000;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Provider interface
+  // ---------------------------------------------------------------------------
+
+  // Fetch the chat models available to an API key
+  async listModels(apiKey) {
+    throw new Error(`listModels not implemented for provider: ${this.id}`);
+  }
+
+  // Verify an API key and return the models it can access
+  async verify(apiKey) {
+    try {
+      const models = await this.listModels(apiKey);
+
+      return {
+        valid: true,
+        models,
+        permissions: this.permissions
+      };
+    } catch (error) {
+      throw this.toVerificationError(error);
+    }
+  }
+
+  // Generate a (non-streaming) chat completion
+  async complete(userId, messages, options = {}) {
+    throw new Error(`Chat is not supported for provider: ${this.id}`);
+  }
+
+  // Stream a chat completion
+  async *stream(userId, messages, options = {}) {
+    throw new Error(`Streaming is not supported for provider: ${this.id}`);
+  }
+
+  // Estimate the number of tokens in a string or list of chat messages.
+  // Uses the ~4 characters per token rule of thumb plus a small per-message
+  // overhead for role/formatting tokens.
+  countTokens(input) {
+    if (!input) return 0;
+
+    if (typeof input === 'string') {
+      return Math.ceil(input.length / 4);
+    }
+
+    return input.reduce(
+      (total, msg) => total + 4 + this.countTokens(msg.content || ''),
+      0
+    );
+  }
+
+  // Get the context window for a model, falling back to the provider default
+  getContextWindow(modelId) {
+    return this.knownContexts[modelId] || this.defaultContext;
+  }
+
+  // Get the maximum number of output tokens for a model. `modelInfo` is the
+  // model entry stored on the user's API key, when one is available.
+  getMaxOutputTokens(modelId, modelInfo = null) {
+    const limit = modelInfo?.maxTokens || this.knownOutputLimits[modelId] || this.settingsLimits.maxOutputTokens;
+    return Math.min(limit, modelInfo?.context || this.getContextWindow(modelId));
+  }
+
+  // Validate per-chat generation settings against this provider's and the
+  // model's limits. Returns a list of `{ field, message, value }` errors.
+  validateSettings(modelId, settings = {}, modelInfo = null) {
+    const errors = [];
+    const limits = this.settingsLimits;
+    const addError = (field, message, value) => errors.push({ field: `settings.${field}`, message, value });
+
+    for (const field of ['temperature', 'topP']) {
+      const value = settings[field];
+      if (value === undefined || value === null) continue;
+      if (value < limits[field].min || value > limits[field].max) {
+        addError(field, `${field} must be between ${limits[field].min} and ${limits[field].max} for ${this.name}`, value);
+      }
+    }
+
+    if (settings.maxTokens !== undefined && settings.maxTokens !== null) {
+      const maxOutputTokens = this.getMaxOutputTokens(modelId, modelInfo);
+      if (settings.maxTokens > maxOutputTokens) {
+        addError('maxTokens', `maxTokens cannot exceed ${maxOutputTokens} for ${modelId}`, settings.maxTokens);
+      }
+    }
+
+    if (settings.stopSequences && settings.stopSequences.length > limits.maxStopSequences) {
+      addError('stopSequences', `${this.name} supports at most ${limits.maxStopSequences} stop sequences`, settings.stopSequences);
+    }
+
+    if (settings.responseFormat && !limits.responseFormats.includes(settings.responseFormat)) {
+      addError('responseFormat', `${this.name} does not support the ${settings.responseFormat} response format`, settings.responseFormat);
+    }
+
+    return errors;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Shared helpers
+  // ---------------------------------------------------------------------------
+
+  // Whether the user has a usable key for this provider
+  async hasApiKey(userId) {
+    return Boolean(await ApiKey.exists({ userId, provider: this.id, isActive: true, isVerified: true }));
+  }
+
+  // The user's usable keys for this provider, in the order they are tried:
+  // by priority, with keys resting after a rate limit last. A key chosen for
+  // the chat or project (`options.apiKeyId`) is the only one used.
+  async getApiKeyCandidates(userId, options = {}) {
+    const filter = { userId, provider: this.id, isActive: true, isVerified: true };
+    if (options.apiKeyId) filter._id = options.apiKeyId;
+
+    const apiKeyRecords = await ApiKey.find(filter)
+      .sort({ priority: 1, createdAt: 1 })
+      .select('+encryptedApiKey');
+
+    if (apiKeyRecords.length === 0) {
+      throw new Error(options.apiKeyId
+        ? `The ${this.name} API key selected for this chat is not available`
+        : `No active verified ${this.name} API key found`);
+    }
+
+    const now = new Date();
+    const isResting = (apiKeyRecord) => apiKeyRecord.cooldownUntil > now;
+    return [
+      ...apiKeyRecords.filter(apiKeyRecord => !isResting(apiKeyRecord)),
+      ...apiKeyRecords.filter(isResting)
+    ];
+  }
+
+  // Make a request (`request(apiKey)`) with the user's keys in turn, moving
+  // on to the next key when the provider rejects one (401/403) or rate limits
+  // it (429). Returns the response and the key record that made it.
+  async requestWithFailover(userId, options, request) {
+    const apiKeyRecords = await this.getApiKeyCandidates(userId, options);
+    let requestError;
+
+    for (const apiKeyRecord of apiKeyRecords) {
+      try {
+        const apiKey = encryptionService.decryptApiKey(apiKeyRecord.encryptedApiKey);
+        return { response: await request(apiKey), apiKeyRecord };
+      } catch (error) {
+        requestError = await this.handleRequestError(apiKeyRecord, error);
+        if (!this.shouldFailover(error) || options.signal?.aborted) break;
+        console.warn(`${this.name} API key "${apiKeyRecord.keyName}" failed, trying the next key`);
+      }
+    }
+
+    throw requestError;
+  }
+
+  // Update the key's last used timestamp and record the token usage of a
+  // successful request (`completion`: { options, usage })
+  async recordKeyUse(apiKeyRecord, completion = null) {
+    try {
+      await apiKeyRecord.updateLastUsed();
+
+      if (completion) {
+        await usageService.record({
+          userId: apiKeyRecord.userId,
+          apiKeyId: apiKeyRecord._id,
+          provider: this.id,
+          model: completion.options.model,
+          usage: completion.usage,
+          chatId: completion.options.chatId,
+          source: completion.options.usageSource
+        });
+      }
+    } catch (recordError) {
+      console.error(`Failed to update ${this.name} API key record:`, recordError.message);
+    }
+  }
+
+  // Take a key out of rotation after the provider turned it away. A rejection
+  // may only concern one model, so rejected keys rest for
+  // `authFailureCooldownMs` and are re-verified (only the verification marks
+  // a key unverified); rate limited ones rest for the provider's Retry-After
+  // time (or `rateLimitCooldownMs`)
+  async recordKeyFailure(apiKeyRecord, error) {
+    try {
+      if (this.isAuthError(error)) {
+        await apiKeyRecord.startCooldown(this.authFailureCooldownMs);
+        // Required here: the verification service depends on the providers
+        await require('../apiKeyVerification.service')
+          .enqueueVerification(apiKeyRecord._id, apiKeyRecord.userId);
+      } else if (this.isRateLimitError(error)) {
+        const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+        await apiKeyRecord.startCooldown(
+          Number.isFinite(retryAfter) ? retryAfter * 1000 : this.rateLimitCooldownMs
+        );
+      }
+    } catch (recordError) {
+      console.error(`Failed to update ${this.name} API key record:`, recordError.message);
+    }
+  }
+
+  // Resolve the system prompt for a request: the chat's own system prompt
+  // is appended to the default Sawyer prompt
+  resolveSystemPrompt(options = {}) {
+    return [DEFAULT_SYSTEM_PROMPT, options.systemPrompt].filter(Boolean).join('\n\n');
+  }
+
+  // HTTP status of a failed request (axios errors, or SDK errors with `status`)
+  getErrorStatus(error) {
+    return error.response?.status ?? error.status;
+  }
+
+  // Whether a failed request means the key itself is bad
+  isAuthError(error) {
+    const status = this.getErrorStatus(error);
+    return status === 401 || status === 403;
+  }
+
+  isRateLimitError(error) {
+    return this.getErrorStatus(error) === 429;
+  }
+
+  // Whether a request that failed with `error` is retried with the next key
+  shouldFailover(error) {
+    return this.isAuthError(error) || this.isRateLimitError(error);
+  }
+
+  // Map a failed verification request onto a user-facing error.
+  // `keyRejected` tells a bad key apart from an unavailable provider.
+  toVerificationError(error) {
+    if (this.isAuthError(error) || error.response?.status === 400) {
+      return Object.assign(new Error(`Invalid ${this.name} API key`), { keyRejected: true });
+    }
+    if (error.response?.status === 429) {
+      return new Error('Rate limit exceeded. Please try again later.');
+    }
+    return new Error(`Failed to verify ${this.name} API key`);
+  }
+
+  // Map a failed completion request onto an error, recording rejected and
+  // rate limited keys
+  async handleRequestError(apiKeyRecord, error) {
+    // Streaming requests leave an unread stream in `response.data`
+    const data = typeof error.response?.data?.pipe === 'function' ? null : error.response?.data;
+    const message = data?.error?.message || data?.message || error.message;
+    console.error(`${this.name} API call error:`, data || error.message);
+
+    await this.recordKeyFailure(apiKeyRecord, error);
+
+    return new Error(`${this.name} API error: ${message}`);
+  }
+
+  // Zero usage, for providers that do not report token counts
+  emptyUsage() {
+    return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  }
+}
+
+module.exports = BaseProvider;
+module.exports.DEFAULT_SYSTEM_PROMPT = DEFAULT_SYSTEM_PROMPT;
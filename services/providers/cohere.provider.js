@@ -0,0 +1,56 @@
+const axios = require('axios');
+const BaseProvider = require('./base.provider');
+
+// Cohere keys can be verified and stored, but Cohere models are not yet
+// available as chat backends.
+class CohereProvider extends BaseProvider {
+  constructor() {
+    super({
+      id: 'cohere',
+      name: 'Cohere',
+      capabilities: { chat: false, streaming: false },
+      permissions: ['chat', 'completion', 'embed'],
+      catalog: {
+        description: 'Access to Command and Embed models from Cohere',
+        icon: '/icons/cohere.svg',
+        website: 'https://cohere.com',
+        models: [],
+        authentication: {
+          type: 'api_key',
+          keyFormat: '...',
+          keyLength: 40,
+          required: true,
+          testEndpoint: '/v1/models'
+        },
+        features: [
+          'Text generation',
+          'Embeddings',
+          'Reranking'
+        ],
+        status: 'coming_soon',
+        documentation: 'https://docs.cohere.com/'
+      }
+    });
+
+    this.baseURL = process.env.COHERE_API_URL || 'https://api.cohere.ai/v1';
+  }
+
+  async listModels(apiKey) {
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+
+    return (response.data.models || []).map((m) => ({
+      id: m.name,
+      name: m.name,
+      provider: this.id,
+      context: m.context_length
+    }));
+  }
+}
+
+module.exports = CohereProvider;
@@ -0,0 +1,239 @@
+const axios = require('axios');
+const BaseProvider = require('./base.provider');
+const { parseSSEStream } = require('../../utils/sse');
+
+class GoogleAIProvider extends BaseProvider {
+  constructor() {
+    super({
+      id: 'google-ai',
+      name: 'Google AI',
+      aliases: ['google'],
+      knownContexts: {
+        'models/gemini-pro': 30720,
+        'models/gemini-pro-vision': 30720,
+        'models/gemini-1.5-pro': 2097152,
+        'models/gemini-1.5-flash': 1048576
+      },
+      defaultContext: 30720,
+      settingsLimits: {
+        maxStopSequences: 5,
+        responseFormats: ['text', 'json_object'],
+        maxOutputTokens: 8192
+      },
+      catalog: {
+        description: 'Access to Gemini models and Google AI services',
+        icon: '/icons/google.svg',
+        website: 'https://ai.google.dev',
+        models: [
+          {
+            id: 'gemini-pro',
+            name: 'Gemini Pro',
+            description: 'Advanced multimodal capabilities',
+            type: 'multimodal',
+            inputCost: 0.0005,
+            outputCost: 0.0015,
+            contextWindow: 32000
+          }
+        ],
+        authentication: {
+          type: 'api_key',
+          keyFormat: 'AIza...',
+          keyLength: 39,
+          required: true,
+          testEndpoint: '/v1/models'
+        },
+        features: [
+          'Multimodal understanding',
+          'Vision and text',
+          'Code generation',
+          'Reasoning'
+        ],
+        status: 'active',
+        documentation: 'https://ai.google.dev/docs',
+        rateLimit: {
+          requests: 60,
+          tokens: 32000,
+          period: 'minute'
+        }
+      }
+    });
+
+    this.baseURL = process.env.GOOGLE_AI_API_URL || 'https://generativelanguage.googleapis.com/v1beta';
+  }
+
+  async listModels(apiKey) {
+    const response = await axios.get(`${this.baseURL}/models`, {
+      params: { key: apiKey },
+      timeout: 10000
+    });
+
+    const models = response.data.models || [];
+
+    // Only keep Gemini models that can be used for chat
+    return models
+      .filter(
+        (m) =>
+          m.name.includes('gemini') &&
+          (!m.supportedGenerationMethods ||
+            m.supportedGenerationMethods.includes('generateContent'))
+      )
+      .map((m) => ({
+        id: m.name,
+        name: m.displayName || m.name,
+        provider: this.id,
+        context: m.inputTokenLimit || this.getContextWindow(m.name),
+        maxTokens: m.outputTokenLimit
+      }));
+  }
+
+  getContextWindow(modelId) {
+    return this.knownContexts[this.getModelPath(modelId)] || this.defaultContext;
+  }
+
+  // Gemini model ids come back from the API as `models/<id>`
+  getModelPath(modelId) {
+    return modelId.startsWith('models/') ? modelId : `models/${modelId}`;
+  }
+
+  // Convert chat messages into Gemini `contents`, lifting system messages
+  // into `systemInstruction` and merging consecutive turns from one role
+  buildRequestBody(messages, options = {}) {
+    const systemPrompt = this.resolveSystemPrompt(options);
+    const systemParts = systemPrompt ? [systemPrompt] : [];
+    const contents = [];
+
+    for (const msg of messages) {
+      if (!msg.content) continue;
+
+      if (msg.role === 'system') {
+        systemParts.push(msg.content);
+        continue;
+      }
+
+      const role = msg.role === 'assistant' ? 'model' : 'user';
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts.push({ text: msg.content });
+      } else {
+        contents.push({ role, parts: [{ text: msg.content }] });
+      }
+    }
+
+    if (!contents.some(content => content.role === 'user')) {
+      throw new Error('No user message found');
+    }
+
+    const data = { contents };
+
+    if (systemParts.length > 0) {
+      data.systemInstruction = { parts: [{ text: systemParts.join('\n\n') }] };
+    }
+
+    const generationConfig = {};
+    if (options.temperature !== undefined) generationConfig.temperature = options.temperature;
+    if (options.maxTokens) generationConfig.maxOutputTokens = options.maxTokens;
+    if (options.topP !== undefined) generationConfig.topP = options.topP;
+    if (options.stopSequences?.length) generationConfig.stopSequences = options.stopSequences;
+    if (options.responseFormat === 'json_object') generationConfig.responseMimeType = 'application/json';
+    if (Object.keys(generationConfig).length > 0) {
+      data.generationConfig = generationConfig;
+    }
+
+    return data;
+  }
+
+  // Extract the text of the first candidate in a Gemini response
+  extractText(response) {
+    const parts = response?.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  // Normalise Gemini usage metadata into the OpenAI-style usage shape
+  normalizeUsage(usageMetadata = {}) {
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const completionTokens = usageMetadata.candidatesTokenCount || 0;
+
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: usageMetadata.totalTokenCount || promptTokens + completionTokens
+    };
+  }
+
+  async complete(userId, messages, options = {}) {
+    const data = this.buildRequestBody(messages, options);
+
+    const { response, apiKeyRecord } = await this.requestWithFailover(userId, options, apiKey =>
+      axios.post(
+        `${this.baseURL}/${this.getModelPath(options.model)}:generateContent`,
+        data,
+        {
+          params: { key: apiKey },
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 60000,
+          signal: options.signal
+        }
+      )
+    );
+
+    const usage = this.normalizeUsage(response.data.usageMetadata);
+    await this.recordKeyUse(apiKeyRecord, { options, usage });
+
+    return {
+      content: this.extractText(response.data),
+      usage,
+      stopReason: response.data.candidates?.[0]?.finishReason
+    };
+  }
+
+  async *stream(userId, messages, options = {}) {
+    const data = this.buildRequestBody(messages, options);
+
+    const { response, apiKeyRecord } = await this.requestWithFailover(userId, options, apiKey =>
+      axios.post(
+        `${this.baseURL}/${this.getModelPath(options.model)}:streamGenerateContent`,
+        data,
+        {
+          params: { key: apiKey, alt: 'sse' },
+          headers: { 'Content-Type': 'application/json' },
+          responseType: 'stream',
+          timeout: 60000,
+          signal: options.signal
+        }
+      )
+    );
+
+    let fullResponse = '';
+    let usageMetadata = {};
+    let stopReason = null;
+
+    for await (const { data: chunk } of parseSSEStream(response.data)) {
+      if (typeof chunk !== 'object') continue;
+
+      if (chunk.error) {
+        throw new Error(`Google AI API error: ${chunk.error.message || 'stream error'}`);
+      }
+
+      const text = this.extractText(chunk);
+      if (text) {
+        fullResponse += text;
+        yield { type: 'text_delta', content: text };
+      }
+
+      if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+      stopReason = chunk.candidates?.[0]?.finishReason || stopReason;
+    }
+
+    const usage = this.normalizeUsage(usageMetadata);
+    await this.recordKeyUse(apiKeyRecord, { options, usage });
+
+    yield {
+      type: 'completion',
+      content: fullResponse,
+      usage,
+      stopReason
+    };
+  }
+}
+
+module.exports = GoogleAIProvider;
@@ -0,0 +1,16 @@
+const ProviderRegistry = require('./registry');
+const OpenAIProvider = require('./openai.provider');
+const AnthropicProvider = require('./anthropic.provider');
+const GoogleAIProvider = require('./google.provider');
+const MistralProvider = require('./mistral.provider');
+const CohereProvider = require('./cohere.provider');
+
+const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register(new OpenAIProvider());
+providerRegistry.register(new AnthropicProvider());
+providerRegistry.register(new GoogleAIProvider());
+providerRegistry.register(new MistralProvider());
+providerRegistry.register(new CohereProvider());
+
+module.exports = providerRegistry;
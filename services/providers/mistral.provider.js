@@ -0,0 +1,107 @@
+const BaseProvider = require('./base.provider');
+const OpenAIProvider = require('./openai.provider');
+
+// Mistral exposes an OpenAI-compatible chat completions API, so only model
+// listing and a few request details differ from the OpenAI adapter.
+class MistralProvider extends OpenAIProvider {
+  constructor() {
+    super({
+      id: 'mistral',
+      name: 'Mistral',
+      baseURL: process.env.MISTRAL_API_URL || 'https://api.mistral.ai/v1',
+      capabilities: { agent: false },
+      knownContexts: {
+        'mistral-tiny': 32000,
+        'mistral-small': 32000,
+        'mistral-medium': 32000,
+        'mistral-large': 32000,
+        'mistral-large-latest': 128000,
+        'mistral-small-latest': 32000,
+        'open-mistral-nemo': 128000
+      },
+      defaultContext: 32000,
+      settingsLimits: {
+        temperature: { min: 0, max: 1.5 },
+        responseFormats: ['text', 'json_object'],
+        maxOutputTokens: 32000
+      },
+      catalog: {
+        name: 'Mistral AI',
+        description: 'Access to Mistral open and commercial models',
+        icon: '/icons/mistral.svg',
+        website: 'https://mistral.ai',
+        models: [
+          {
+            id: 'mistral-large-latest',
+            name: 'Mistral Large',
+            description: 'Top-tier reasoning for complex tasks',
+            type: 'text',
+            inputCost: 0.002,
+            outputCost: 0.006,
+            contextWindow: 128000
+          },
+          {
+            id: 'mistral-small-latest',
+            name: 'Mistral Small',
+            description: 'Cost-efficient model for everyday tasks',
+            type: 'text',
+            inputCost: 0.0002,
+            outputCost: 0.0006,
+            contextWindow: 32000
+          }
+        ],
+        authentication: {
+          type: 'api_key',
+          keyFormat: '...',
+          keyLength: 32,
+          required: true,
+          testEndpoint: '/v1/models'
+        },
+        features: [
+          'Text generation',
+          'Code generation',
+          'Function calling',
+          'JSON mode'
+        ],
+        status: 'active',
+        documentation: 'https://docs.mistral.ai/',
+        rateLimit: {
+          requests: 300,
+          tokens: 500000,
+          period: 'minute'
+        }
+      }
+    });
+  }
+
+  async listModels(apiKey) {
+    const response = await this.fetchModels(apiKey);
+    const models = response.data.data || [];
+
+    // Only keep models that support chat completions
+    return models
+      .filter((m) => m.capabilities?.completion_chat !== false)
+      .map((m) => ({
+        id: m.id,
+        name: m.name || m.id,
+        provider: this.id,
+        context: m.max_context_length || this.getContextWindow(m.id)
+      }));
+  }
+
+  // Use the generic verification; OpenAI's adds organization/permission detection
+  async verify(apiKey) {
+    return BaseProvider.prototype.verify.call(this, apiKey);
+  }
+
+  getContextWindow(modelId) {
+    return this.knownContexts[modelId] || this.defaultContext;
+  }
+
+  // Mistral reports usage on the final chunk without extra options
+  getStreamOptions() {
+    return { stream: true };
+  }
+}
+
+module.exports = MistralProvider;
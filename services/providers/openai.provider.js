@@ -0,0 +1,274 @@
+const axios = require('axios');
+const BaseProvider = require('./base.provider');
+const openaiService = require('../openai.service');
+const { parseSSEStream } = require('../../utils/sse');
+
+class OpenAIProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      id: 'openai',
+      name: 'OpenAI',
+      // OpenAI models run through the agent service (tools + MCP servers)
+      capabilities: { agent: true },
+      knownContexts: {
+        'gpt-4': 8192,
+        'gpt-4-32k': 32768,
+        'gpt-4-1106-preview': 128000,
+        'gpt-4-turbo-preview': 128000,
+        'gpt-4-turbo': 128000,
+        'gpt-4o': 128000,
+        'gpt-4o-mini': 128000,
+        'gpt-3.5-turbo': 4096,
+        'gpt-3.5-turbo-16k': 16384,
+        'gpt-3.5-turbo-1106': 16384
+      },
+      knownOutputLimits: {
+        'gpt-4': 8192,
+        'gpt-4o': 16384,
+        'gpt-4o-mini': 16384
+      },
+      settingsLimits: {
+        responseFormats: ['text', 'json_object']
+      },
+      catalog: {
+        description: 'Access to GPT models, DALL-E, and other OpenAI services',
+        icon: '/assets/openai.png',
+        website: 'https://openai.com',
+        models: [
+          {
+            id: 'gpt-4',
+            name: 'GPT-4',
+            description: 'Most capable model for complex tasks',
+            type: 'text',
+            inputCost: 0.03,
+            outputCost: 0.06,
+            contextWindow: 8192
+          },
+          {
+            id: 'gpt-4-turbo',
+            name: 'GPT-4 Turbo',
+            description: 'Faster and more cost-effective GPT-4',
+            type: 'text',
+            inputCost: 0.01,
+            outputCost: 0.03,
+            contextWindow: 128000
+          },
+          {
+            id: 'gpt-3.5-turbo',
+            name: 'GPT-3.5 Turbo',
+            description: 'Fast and cost-effective for most tasks',
+            type: 'text',
+            inputCost: 0.001,
+            outputCost: 0.002,
+            contextWindow: 16384
+          },
+          {
+            id: 'dall-e-3',
+            name: 'DALL-E 3',
+            description: 'Latest image generation model',
+            type: 'image',
+            inputCost: 0.04,
+            outputCost: 0,
+            contextWindow: 0
+          }
+        ],
+        authentication: {
+          type: 'api_key',
+          keyFormat: 'sk-...',
+          keyLength: 51,
+          required: true,
+          testEndpoint: '/v1/models'
+        },
+        features: [
+          'Text generation',
+          'Code generation',
+          'Image generation',
+          'Function calling',
+          'JSON mode',
+          'Vision capabilities'
+        ],
+        status: 'active',
+        documentation: 'https://platform.openai.com/docs',
+        rateLimit: {
+          requests: 3500,
+          tokens: 180000,
+          period: 'minute'
+        }
+      },
+      ...config
+    });
+
+    this.baseURL = config.baseURL || process.env.OPENAI_API_URL || 'https://api.openai.com/v1';
+  }
+
+  // Build request headers for the API
+  getHeaders(apiKey) {
+    return {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  // Fetch the raw model list for a key
+  async fetchModels(apiKey) {
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: this.getHeaders(apiKey),
+      timeout: 10000
+    });
+
+    return response;
+  }
+
+  async listModels(apiKey) {
+    const response = await this.fetchModels(apiKey);
+    return openaiService.processModels(response.data.data || []);
+  }
+
+  async verify(apiKey) {
+    try {
+      const response = await this.fetchModels(apiKey);
+      const rawModels = response.data.data || [];
+
+      return {
+        valid: true,
+        organizationId: response.headers['openai-organization'] || null,
+        models: openaiService.processModels(rawModels),
+        permissions: this.extractPermissions(rawModels),
+        limits: {
+          rateLimit: Number(response.headers['x-ratelimit-limit-requests']) || null
+        }
+      };
+    } catch (error) {
+      throw this.toVerificationError(error);
+    }
+  }
+
+  // Extract permissions from available models
+  extractPermissions(models) {
+    const permissions = [];
+
+    if (models.some((model) => model.id.includes('gpt'))) {
+      permissions.push('chat', 'completion');
+    }
+    if (models.some((model) => model.id.includes('dall-e'))) {
+      permissions.push('image-generation');
+    }
+    if (models.some((model) => model.id.includes('whisper'))) {
+      permissions.push('audio-transcription');
+    }
+    if (models.some((model) => model.id.includes('tts'))) {
+      permissions.push('text-to-speech');
+    }
+    if (models.some((model) => model.id.includes('embedding'))) {
+      permissions.push('embeddings');
+    }
+
+    return permissions;
+  }
+
+  getContextWindow(modelId) {
+    return this.knownContexts[modelId] || openaiService.getModelContext(modelId);
+  }
+
+  // Build the chat completions request body
+  buildRequestBody(messages, options = {}) {
+    const systemPrompt = this.resolveSystemPrompt(options);
+    const chatMessages = messages
+      .filter(msg => msg.content)
+      .map(msg => ({ role: msg.role, content: msg.content }));
+
+    if (!chatMessages.some(msg => msg.role === 'user')) {
+      throw new Error('No user message found');
+    }
+
+    if (systemPrompt) {
+      chatMessages.unshift({ role: 'system', content: systemPrompt });
+    }
+
+    const data = {
+      model: options.model,
+      messages: chatMessages
+    };
+
+    if (options.temperature !== undefined) data.temperature = options.temperature;
+    if (options.maxTokens) data.max_tokens = options.maxTokens;
+    if (options.topP !== undefined) data.top_p = options.topP;
+    if (options.stopSequences?.length) data.stop = options.stopSequences;
+    if (options.responseFormat && options.responseFormat !== 'text') {
+      data.response_format = { type: options.responseFormat };
+    }
+
+    return data;
+  }
+
+  // Extra body fields for streaming requests
+  getStreamOptions() {
+    return { stream: true, stream_options: { include_usage: true } };
+  }
+
+  async complete(userId, messages, options = {}) {
+    const data = this.buildRequestBody(messages, options);
+
+    const { response, apiKeyRecord } = await this.requestWithFailover(userId, options, apiKey =>
+      axios.post(`${this.baseURL}/chat/completions`, data, {
+        headers: this.getHeaders(apiKey),
+        timeout: 60000,
+        signal: options.signal
+      })
+    );
+
+    const usage = response.data.usage || this.emptyUsage();
+    await this.recordKeyUse(apiKeyRecord, { options, usage });
+
+    const choice = response.data.choices?.[0];
+    return {
+      content: choice?.message?.content || '',
+      usage,
+      stopReason: choice?.finish_reason
+    };
+  }
+
+  async *stream(userId, messages, options = {}) {
+    const data = { ...this.buildRequestBody(messages, options), ...this.getStreamOptions() };
+
+    const { response, apiKeyRecord } = await this.requestWithFailover(userId, options, apiKey =>
+      axios.post(`${this.baseURL}/chat/completions`, data, {
+        headers: this.getHeaders(apiKey),
+        responseType: 'stream',
+        timeout: 60000,
+        signal: options.signal
+      })
+    );
+
+    let fullResponse = '';
+    let usage = null;
+    let stopReason = null;
+
+    for await (const { data: chunk } of parseSSEStream(response.data)) {
+      if (chunk === '[DONE]') break;
+      if (typeof chunk !== 'object') continue;
+
+      const choice = chunk.choices?.[0];
+      const text = choice?.delta?.content;
+      if (text) {
+        fullResponse += text;
+        yield { type: 'text_delta', content: text };
+      }
+
+      if (chunk.usage) usage = chunk.usage;
+      stopReason = choice?.finish_reason || stopReason;
+    }
+
+    usage = usage || this.emptyUsage();
+    await this.recordKeyUse(apiKeyRecord, { options, usage });
+
+    yield {
+      type: 'completion',
+      content: fullResponse,
+      usage,
+      stopReason
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,69 @@
+/**
+ * Registry of LLM provider adapters.
+ *
+ * Chat routes, API key management and model listing all discover providers
+ * from here, so adding a provider only means writing an adapter and
+ * registering it in `services/providers/index.js`.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.aliases = new Map();
+  }
+
+  /**
+   * Register a provider adapter
+   * @param {BaseProvider} provider - Adapter instance
+   */
+  register(provider) {
+    if (!provider?.id) {
+      throw new Error('Provider adapters must have an id');
+    }
+    if (this.providers.has(provider.id) || this.aliases.has(provider.id)) {
+      throw new Error(`Provider already registered: ${provider.id}`);
+    }
+
+    this.providers.set(provider.id, provider);
+    for (const alias of provider.aliases || []) {
+      this.aliases.set(alias, provider.id);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Get a provider by id or alias (e.g. `google` for `google-ai`)
+   * @param {string} id - Provider id or alias
+   */
+  get(id) {
+    if (!id) return null;
+    return this.providers.get(id) || this.providers.get(this.aliases.get(id)) || null;
+  }
+
+  /**
+   * Whether `id` is a registered provider id (aliases excluded)
+   * @param {string} id - Provider id
+   */
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  /**
+   * Registered provider ids
+   */
+  ids() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * List registered providers, optionally filtered by capability
+   * @param {Object} filter - e.g. `{ chat: true }`
+   */
+  list(filter = {}) {
+    return Array.from(this.providers.values()).filter(provider =>
+      Object.entries(filter).every(([capability, value]) => provider.capabilities[capability] === value)
+    );
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,177 @@
+const { MemoryStore } = require('express-rate-limit');
+const User = require('../../models/User');
+const MongoRateLimitStore = require('./mongo.store');
+
+const MINUTE = 60 * 1000;
+
+// Rate limit policies, applied by middleware/rateLimit.js. `key` is what a
+// budget is counted per: the client's IP address, or the signed-in user
+// (requests without a valid access token aren't counted against user
+// policies). Admins can override the limit of user policies per user.
+const POLICIES = {
+  api_ip: {
+    key: 'ip',
+    windowMs: 15 * MINUTE,
+    limit: 1000,
+    description: 'All API requests per IP address',
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  api_user: {
+    key: 'user',
+    windowMs: 15 * MINUTE,
+    limit: 1000,
+    description: 'All API requests per user',
+    message: 'Too many requests, please try again later.'
+  },
+  auth: {
+    key: 'ip',
+    windowMs: 15 * MINUTE,
+    limit: 100,
+    description: 'Token refresh, email verification and password reset per IP address',
+    message: 'Too many requests, please try again later.'
+  },
+  auth_register: {
+    key: 'ip',
+    windowMs: 15 * MINUTE,
+    limit: 10,
+    description: 'Registrations per IP address',
+    message: 'Too many accounts created from this IP, please try again later.'
+  },
+  auth_login: {
+    key: 'ip',
+    windowMs: 15 * MINUTE,
+    limit: 10,
+    // Only failed attempts count
+    skipSuccessfulRequests: true,
+    description: 'Failed sign-ins (users and admins) per IP address',
+    message: 'Too many login attempts, please try again later.'
+  },
+  auth_forgot_password: {
+    key: 'ip',
+    windowMs: 60 * MINUTE,
+    limit: 5,
+    description: 'Password reset requests per IP address',
+    message: 'Too many password reset requests, please try again later.'
+  },
+  chat_stream: {
+    key: 'user',
+    windowMs: MINUTE,
+    limit: 20,
+    description: 'Streamed and regenerated chat replies per user',
+    message: 'Too many messages, please wait a moment before sending another.'
+  },
+  uploads: {
+    key: 'user',
+    windowMs: 60 * MINUTE,
+    limit: 100,
+    description: 'File uploads per user',
+    message: 'Too many uploads, please try again later.'
+  }
+};
+
+const stores = {
+  memory: () => new MemoryStore(),
+  mongodb: (policyName) => new MongoRateLimitStore(policyName)
+};
+
+// Counters live in a store chosen with RATE_LIMIT_STORE (default "mongodb",
+// shared by all instances). Per-user overrides are kept on the user
+// (`rateLimits`) and cached for `overrideCacheMs`, so other instances pick up
+// a change within that time.
+class RateLimitService {
+  constructor(storeName) {
+    if (!stores[storeName]) {
+      throw new Error(`Unknown rate limit store: ${storeName}. Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    this.storeName = storeName;
+    this.policies = POLICIES;
+    this.overrideCacheMs = MINUTE;
+    // userId -> { limits, expiresAt }
+    this.overrideCache = new Map();
+  }
+
+  getPolicy(name) {
+    const policy = this.policies[name];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+    return policy;
+  }
+
+  // Policies whose limit can be overridden per user
+  isOverridable(name) {
+    return this.policies[name]?.key === 'user';
+  }
+
+  // A new store for a policy's limiter (stores can't be shared)
+  createStore(policyName) {
+    return stores[this.storeName](policyName);
+  }
+
+  async getOverrides(userId) {
+    const cached = this.overrideCache.get(String(userId));
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.limits;
+    }
+
+    const user = await User.findById(userId).select('rateLimits').lean();
+    const limits = { ...(user?.rateLimits || {}) };
+    this.overrideCache.set(String(userId), { limits, expiresAt: Date.now() + this.overrideCacheMs });
+    return limits;
+  }
+
+  // Requests allowed per window: the user's override if there is one
+  async getLimit(policyName, userId = null) {
+    const policy = this.getPolicy(policyName);
+    if (!userId || !this.isOverridable(policyName)) {
+      return policy.limit;
+    }
+
+    const overrides = await this.getOverrides(userId);
+    return overrides[policyName] ?? policy.limit;
+  }
+
+  // Set (a number) or remove (null) overrides; returns the user's overrides,
+  // or null if there is no such user
+  async setOverrides(userId, limits) {
+    const $set = {};
+    const $unset = {};
+    Object.entries(limits).forEach(([name, limit]) => {
+      if (!this.isOverridable(name)) {
+        throw Object.assign(new Error(`Rate limit policy ${name} can't be overridden per user`), { statusCode: 400 });
+      }
+      if (limit === null) {
+        $unset[`rateLimits.${name}`] = 1;
+      } else {
+        $set[`rateLimits.${name}`] = limit;
+      }
+    });
+
+    const update = {
+      ...(Object.keys($set).length > 0 && { $set }),
+      ...(Object.keys($unset).length > 0 && { $unset })
+    };
+    const user = await User.findByIdAndUpdate(userId, update, { new: true }).select('rateLimits').lean();
+    this.overrideCache.delete(String(userId));
+    return user ? { ...(user.rateLimits || {}) } : null;
+  }
+
+  // Every policy as it applies to a user, for admins
+  async describe(userId) {
+    const overrides = await this.getOverrides(userId);
+    return Object.entries(this.policies).map(([name, policy]) => ({
+      name,
+      key: policy.key,
+      description: policy.description,
+      windowMs: policy.windowMs,
+      defaultLimit: policy.limit,
+      limit: this.isOverridable(name) ? overrides[name] ?? policy.limit : policy.limit,
+      overridden: this.isOverridable(name) && overrides[name] !== undefined,
+      overridable: this.isOverridable(name)
+    }));
+  }
+}
+
+module.exports = new RateLimitService(process.env.RATE_LIMIT_STORE || 'mongodb');
+module.exports.RateLimitService = RateLimitService;
+module.exports.POLICIES = POLICIES;
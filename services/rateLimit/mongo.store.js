@@ -0,0 +1,63 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+// express-rate-limit store backed by the RateLimitCounter collection, so every
+// instance counts against the same budget. Each limiter gets its own store
+// with a unique `prefix` (its policy name).
+class MongoRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    // Keys are shared between instances
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key: this.prefix + key, resetAt: { $gt: new Date() } }).lean();
+    return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+  }
+
+  // Count a hit, starting a new window if the current one has ended. One
+  // atomic update, so concurrent requests on any instance are all counted.
+  async increment(key) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+    const update = () => RateLimitCounter.findOneAndUpdate(
+      { key: this.prefix + key },
+      [{
+        $set: {
+          hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+          resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+        }
+      }],
+      { upsert: true, new: true, lean: true }
+    );
+
+    let counter;
+    try {
+      counter = await update();
+    } catch (error) {
+      // Another instance created the counter at the same time
+      if (error.code !== 11000) throw error;
+      counter = await update();
+    }
+
+    return { totalHits: counter.hits, resetTime: counter.resetAt };
+  }
+
+  async decrement(key) {
+    await RateLimitCounter.updateOne(
+      { key: this.prefix + key, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimitCounter.deleteOne({ key: this.prefix + key });
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,77 @@
+const ApiKey = require('../models/ApiKey');
+const UserIntegration = require('../models/UserIntegration');
+const NotionIntegration = require('../models/NotionIntegration');
+const encryptionService = require('./encryption.service');
+
+// Secrets stored encrypted, per model
+const SECRET_FIELDS = [
+  { model: ApiKey, paths: ['encryptedApiKey'] },
+  { model: UserIntegration, paths: ['connectionData.accessToken', 'connectionData.refreshToken'] },
+  { model: NotionIntegration, paths: ['accessToken'] }
+];
+
+// Moves stored secrets to the current encryption key after a key rotation
+// (see services/encryption.service.js). Run by the recurring
+// `secret_reencryption` job (see jobs/index.js) and by
+// `npm run reencrypt:secrets`. Only documents holding a secret written with
+// another key are read, so runs with nothing to move are cheap.
+class SecretRotationService {
+  constructor() {
+    this.secretFields = SECRET_FIELDS;
+  }
+
+  // Documents with at least one secret not written with the current key
+  getStaleFilter(paths) {
+    const keyId = encryptionService.currentKeyId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const currentKey = new RegExp(`"kid":"${keyId}"`);
+    return {
+      $or: paths.map(path => ({ [path]: { $type: 'string', $ne: '', $not: currentKey } }))
+    };
+  }
+
+  // Re-encrypt the stale secrets of one model. Each value is replaced only if
+  // it is unchanged since it was read, so tokens renewed meanwhile are kept.
+  async reEncryptModel({ model, paths }) {
+    const result = { documents: 0, reEncrypted: 0, failed: 0 };
+    const cursor = model.find(this.getStaleFilter(paths))
+      .select(paths.map(path => `+${path}`).join(' '))
+      .lean()
+      .cursor();
+
+    for await (const doc of cursor) {
+      result.documents += 1;
+
+      for (const path of paths) {
+        const value = path.split('.').reduce((parent, field) => parent?.[field], doc);
+        if (!encryptionService.needsReEncryption(value)) continue;
+
+        try {
+          await model.updateOne(
+            { _id: doc._id, [path]: value },
+            { $set: { [path]: encryptionService.reEncrypt(value) } }
+          );
+          result.reEncrypted += 1;
+        } catch (error) {
+          // Most likely written with a key that is no longer in the keyring
+          console.error(`Failed to re-encrypt ${model.modelName} ${doc._id} ${path}:`, error.message);
+          result.failed += 1;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Re-encrypt every stale secret; returns counts per model
+  async reEncryptAll() {
+    const results = { keyId: encryptionService.currentKeyId };
+
+    for (const secretFields of this.secretFields) {
+      results[secretFields.model.modelName] = await this.reEncryptModel(secretFields);
+    }
+
+    return results;
+  }
+}
+
+module.exports = new SecretRotationService();
@@ -0,0 +1,85 @@
+const UserIntegration = require('../models/UserIntegration');
+const oauthService = require('./oauth.service');
+const jobQueue = require('./jobQueue.service');
+
+// Renews OAuth tokens before they expire, so integrations don't wait for a
+// request to find their token expired. The recurring `oauth_token_scheduler`
+// job (see jobs/index.js) queues an `oauth_token_refresh` job for every
+// connected integration whose token expires within the refresh window, and
+// disconnects those whose token expired with no refresh token to renew it.
+// Failures are handled by oauthService: a rejected refresh token disconnects
+// the integration (lastError.code REFRESH_TOKEN_EXPIRED) and notifies the user.
+
+class TokenRefreshService {
+  constructor() {
+    // Tokens expiring within this window are renewed
+    this.refreshWindowMs = 15 * 60 * 1000;
+  }
+
+  enqueueRefresh(userId, integrationId) {
+    return jobQueue.enqueue('oauth_token_refresh', { userId: String(userId), integrationId }, {
+      userId,
+      dedupeKey: `oauth_token_refresh:${userId}:${integrationId}`
+    });
+  }
+
+  // Renew one integration's token if it is still due
+  async refreshIntegration(userId, integrationId, now = new Date()) {
+    const integration = await UserIntegration.findByIntegration(userId, integrationId)
+      .select('+connectionData.accessToken +connectionData.refreshToken');
+
+    const expiresAt = integration?.connectionData?.tokenExpiresAt;
+    if (!integration || integration.status !== 'connected' || !integration.connectionData.refreshToken || !expiresAt) {
+      return { refreshed: false, reason: 'not_refreshable' };
+    }
+    // Already renewed, e.g. by a request that found it expired
+    if (expiresAt.getTime() > now.getTime() + this.refreshWindowMs) {
+      return { refreshed: false, reason: 'not_due' };
+    }
+
+    try {
+      await oauthService.refreshIntegrationToken(integration);
+    } catch (error) {
+      // A rejected refresh token already disconnected the integration; other
+      // failures leave it connected and the job is retried
+      if (error.code !== 'REFRESH_TOKEN_EXPIRED') {
+        integration.markError(error, { disconnect: false });
+        await integration.save();
+      }
+      throw error;
+    }
+
+    return { refreshed: true, tokenExpiresAt: integration.connectionData.tokenExpiresAt };
+  }
+
+  // Queue refreshes for tokens expiring soon and disconnect integrations whose
+  // token expired without a way to renew it
+  async scheduleDueRefreshes(now = new Date()) {
+    const due = await UserIntegration.find({
+      status: 'connected',
+      'connectionData.refreshToken': { $nin: [null, ''] },
+      'connectionData.tokenExpiresAt': { $lte: new Date(now.getTime() + this.refreshWindowMs) }
+    }).select('userId integrationId');
+
+    await Promise.all(due.map(integration =>
+      this.enqueueRefresh(integration.userId, integration.integrationId)
+    ));
+
+    const expired = await UserIntegration.find({
+      status: 'connected',
+      'connectionData.refreshToken': { $in: [null, ''] },
+      'connectionData.tokenExpiresAt': { $lte: now }
+    });
+
+    for (const integration of expired) {
+      await oauthService.markTokenFailure(
+        integration,
+        Object.assign(new Error('Access token expired and no refresh token available'), { code: 'TOKEN_EXPIRED' })
+      );
+    }
+
+    return { queued: due.length, disconnected: expired.length };
+  }
+}
+
+module.exports = new TokenRefreshService();
@@ -0,0 +1,42 @@
+const { tool } = require('@openai/agents');
+const vectorStore = require('../vectorStore');
+
+// Retrieval over a project's vector store namespace: its PDF attachments
+// (indexed by DocumentIndexService) and snapshots of the Notion pages read
+// in its chats. Only available in project chats.
+
+const searchProjectDocuments = tool({
+  name: 'search_project_documents',
+  description: 'Search the PDF documents attached to this project, and Notion pages read earlier in its chats, and return the most relevant passages with their document name and page. Cite answers as (document name, p. N).',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for, phrased as a question or keywords' },
+      limit: { type: ['integer', 'null'], description: 'Number of passages to return (1-10, default 5)' }
+    },
+    required: ['query', 'limit'],
+    additionalProperties: false
+  },
+  execute: async ({ query, limit }, runContext) => {
+    const { userId, projectScope } = runContext.context;
+    if (!projectScope) {
+      throw new Error('Project documents can only be searched in a project chat');
+    }
+
+    const passages = await vectorStore.search(userId, vectorStore.projectNamespace(projectScope.projectId), query, {
+      topK: Math.min(Math.max(limit || 5, 1), 10)
+    });
+
+    return passages.map(({ metadata, score, text }) => ({
+      document: metadata.name,
+      ...(metadata.page && { page: metadata.page }),
+      ...(metadata.url && { url: metadata.url }),
+      score: Number(score.toFixed(3)),
+      text
+    }));
+  }
+});
+
+module.exports = {
+  documentTools: [searchProjectDocuments]
+};
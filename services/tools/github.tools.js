@@ -0,0 +1,257 @@
+const { tool } = require('@openai/agents');
+const githubService = require('../github.service');
+const oauthService = require('../oauth.service');
+
+// Function tools that let the chat agent work with the user's GitHub account.
+// The OAuth token is looked up on every call, so reconnecting GitHub takes
+// effect without rebuilding the agent. In project chats they only reach the
+// repositories selected for the project (`context.projectScope.github`).
+
+// Keep tool output small enough for the model's context
+const MAX_RESULTS = 20;
+
+const getAccessToken = (runContext) =>
+  oauthService.getValidAccessToken(runContext.context.userId, 'github');
+
+// Split "owner/repo" into its parts
+const parseRepository = (repository) => {
+  const [owner, repo, ...rest] = String(repository).trim().split('/');
+
+  if (!owner || !repo || rest.length > 0) {
+    throw new Error(`Expected a repository as "owner/repo", got "${repository}"`);
+  }
+
+  return { owner, repo };
+};
+
+// Repositories the run may reach, or null when it isn't limited to a project
+const getAllowedRepositories = (runContext) => {
+  const projectScope = runContext.context.projectScope;
+  if (!projectScope) return null;
+  if (!projectScope.github) {
+    throw new Error('GitHub is not enabled for this project');
+  }
+  return projectScope.github.repositories;
+};
+
+// Parse a repository argument and check that the run may reach it
+const resolveRepository = (runContext, repository) => {
+  const { owner, repo } = parseRepository(repository);
+  const allowed = getAllowedRepositories(runContext);
+
+  const fullName = `${owner}/${repo}`.toLowerCase();
+  if (allowed && !allowed.some(name => name.toLowerCase() === fullName)) {
+    throw new Error(`${owner}/${repo} is not one of this project's repositories: ${allowed.join(', ') || 'none'}`);
+  }
+
+  return { owner, repo };
+};
+
+// Strict tool schemas must list every property as required; optional ones
+// accept null instead
+const repositoryParam = {
+  type: 'string',
+  description: 'Repository in "owner/repo" form, e.g. "octocat/hello-world"'
+};
+const nullable = (type, description) => ({ type: [type, 'null'], description });
+
+const listRepositories = tool({
+  name: 'github_list_repositories',
+  description: 'List GitHub repositories the user owns or collaborates on, most recently updated first',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: nullable('string', 'Only return repositories matching this search text')
+    },
+    required: ['query'],
+    additionalProperties: false
+  },
+  execute: async ({ query }, runContext) => {
+    const allowed = getAllowedRepositories(runContext);
+    if (allowed) {
+      return allowed
+        .filter(fullName => !query || fullName.toLowerCase().includes(query.toLowerCase()))
+        .map(fullName => ({ fullName }));
+    }
+
+    const accessToken = await getAccessToken(runContext);
+    return githubService.getRepositories(accessToken, { q: query || undefined, per_page: MAX_RESULTS });
+  }
+});
+
+const listIssues = tool({
+  name: 'github_list_issues',
+  description: 'List issues of a GitHub repository',
+  parameters: {
+    type: 'object',
+    properties: {
+      repository: repositoryParam,
+      state: { type: ['string', 'null'], enum: ['open', 'closed', 'all', null], description: 'Defaults to open' },
+      labels: nullable('string', 'Comma-separated label names to filter by'),
+      assignee: nullable('string', 'GitHub login of the assignee, "none" or "*"')
+    },
+    required: ['repository', 'state', 'labels', 'assignee'],
+    additionalProperties: false
+  },
+  execute: async ({ repository, state, labels, assignee }, runContext) => {
+    const { owner, repo } = resolveRepository(runContext, repository);
+    const accessToken = await getAccessToken(runContext);
+
+    return githubService.getIssues(accessToken, owner, repo, {
+      state: state || 'open',
+      labels: labels || undefined,
+      assignee: assignee || undefined,
+      per_page: MAX_RESULTS
+    });
+  }
+});
+
+const createIssue = tool({
+  name: 'github_create_issue',
+  description: 'Create an issue in a GitHub repository. Confirm the title and body with the user first.',
+  parameters: {
+    type: 'object',
+    properties: {
+      repository: repositoryParam,
+      title: { type: 'string', description: 'Issue title' },
+      body: nullable('string', 'Issue description in Markdown'),
+      labels: { type: ['array', 'null'], items: { type: 'string' }, description: 'Label names to apply' }
+    },
+    required: ['repository', 'title', 'body', 'labels'],
+    additionalProperties: false
+  },
+  execute: async ({ repository, title, body, labels }, runContext) => {
+    const { owner, repo } = resolveRepository(runContext, repository);
+    const accessToken = await getAccessToken(runContext);
+
+    return githubService.createIssue(accessToken, owner, repo, {
+      title,
+      body: body || undefined,
+      labels: labels || undefined
+    });
+  }
+});
+
+const getCommits = tool({
+  name: 'github_get_commits',
+  description: 'List recent commits of a GitHub repository, newest first',
+  parameters: {
+    type: 'object',
+    properties: {
+      repository: repositoryParam,
+      branch: nullable('string', 'Branch or commit SHA to list from; defaults to the default branch'),
+      path: nullable('string', 'Only commits touching this file path'),
+      author: nullable('string', 'GitHub login or email of the author'),
+      since: nullable('string', 'Only commits after this ISO 8601 date')
+    },
+    required: ['repository', 'branch', 'path', 'author', 'since'],
+    additionalProperties: false
+  },
+  execute: async ({ repository, branch, path, author, since }, runContext) => {
+    const { owner, repo } = resolveRepository(runContext, repository);
+    const accessToken = await getAccessToken(runContext);
+
+    return githubService.getCommits(accessToken, owner, repo, {
+      sha: branch || undefined,
+      path: path || undefined,
+      author: author || undefined,
+      since: since || undefined,
+      per_page: MAX_RESULTS
+    });
+  }
+});
+
+const listBranches = tool({
+  name: 'github_list_branches',
+  description: 'List branches of a GitHub repository',
+  parameters: {
+    type: 'object',
+    properties: {
+      repository: repositoryParam
+    },
+    required: ['repository'],
+    additionalProperties: false
+  },
+  execute: async ({ repository }, runContext) => {
+    const { owner, repo } = resolveRepository(runContext, repository);
+    const accessToken = await getAccessToken(runContext);
+
+    return githubService.getBranches(accessToken, owner, repo, { per_page: MAX_RESULTS });
+  }
+});
+
+const getPullRequests = tool({
+  name: 'github_get_pull_requests',
+  description: 'List pull requests of a GitHub repository',
+  parameters: {
+    type: 'object',
+    properties: {
+      repository: repositoryParam,
+      state: { type: ['string', 'null'], enum: ['open', 'closed', 'all', null], description: 'Defaults to open' }
+    },
+    required: ['repository', 'state'],
+    additionalProperties: false
+  },
+  execute: async ({ repository, state }, runContext) => {
+    const { owner, repo } = resolveRepository(runContext, repository);
+    const accessToken = await getAccessToken(runContext);
+
+    return githubService.getPullRequests(accessToken, owner, repo, {
+      state: state || 'open',
+      per_page: MAX_RESULTS
+    });
+  }
+});
+
+// Code search qualifiers that reach beyond the repositories named in the
+// query (GitHub ORs repeated `repo:` qualifiers)
+const SEARCH_SCOPE_QUALIFIER = /\b(repo|org|user):/i;
+
+const searchCode = tool({
+  name: 'github_search_code',
+  description: 'Search code in GitHub repositories the user can access',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Text or GitHub code search qualifiers to look for' },
+      repository: nullable('string', 'Limit the search to this "owner/repo" repository')
+    },
+    required: ['query', 'repository'],
+    additionalProperties: false
+  },
+  execute: async ({ query, repository }, runContext) => {
+    if (getAllowedRepositories(runContext) && SEARCH_SCOPE_QUALIFIER.test(query)) {
+      throw new Error('The query can\'t use repo:, org: or user: qualifiers in a project. Use the repository parameter instead');
+    }
+
+    let q = query;
+    if (repository) {
+      const { owner, repo } = resolveRepository(runContext, repository);
+      q = `${query} repo:${owner}/${repo}`;
+    } else {
+      const allowed = getAllowedRepositories(runContext);
+      if (allowed?.length === 0) {
+        throw new Error('No GitHub repositories are selected for this project');
+      }
+      if (allowed) {
+        q = `${query} ${allowed.map(fullName => `repo:${fullName}`).join(' ')}`;
+      }
+    }
+
+    const accessToken = await getAccessToken(runContext);
+    return githubService.searchCode(accessToken, { q, per_page: MAX_RESULTS });
+  }
+});
+
+module.exports = {
+  parseRepository,
+  githubTools: [
+    listRepositories,
+    listIssues,
+    createIssue,
+    getCommits,
+    listBranches,
+    getPullRequests,
+    searchCode
+  ]
+};
@@ -0,0 +1,41 @@
+const { githubTools } = require('./github.tools');
+const { jiraTools } = require('./jira.tools');
+const { notionProjectTools } = require('./notion.tools');
+const { documentTools } = require('./documents.tools');
+
+// Function tools the chat agent gets for each connected integration
+const integrationTools = {
+  github: githubTools,
+  jira: jiraTools
+};
+
+// Tools for the integrations a user has connected
+const getIntegrationTools = (integrationIds = []) =>
+  integrationIds.flatMap(integrationId => integrationTools[integrationId] || []);
+
+// Tools for a run in a project chat (see ProjectContextService#buildScope):
+// drop the tools of integrations the project doesn't enable, add the
+// project-limited Notion tools that stand in for the Notion MCP server, and
+// document search when the project has attachments
+const getProjectTools = (tools, projectScope, hasNotion = false) => {
+  const projectTools = tools.filter(agentTool => {
+    const integrationId = Object.keys(integrationTools)
+      .find(id => integrationTools[id].includes(agentTool));
+    return !integrationId || Boolean(projectScope[integrationId]);
+  });
+
+  if (hasNotion && projectScope.notion) {
+    projectTools.push(...notionProjectTools);
+  }
+
+  if (projectScope.hasDocuments) {
+    projectTools.push(...documentTools);
+  }
+
+  return projectTools;
+};
+
+module.exports = {
+  getIntegrationTools,
+  getProjectTools
+};
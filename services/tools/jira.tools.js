@@ -0,0 +1,390 @@
+const { tool } = require('@openai/agents');
+const jiraService = require('../jira.service');
+const oauthService = require('../oauth.service');
+const UserIntegration = require('../../models/UserIntegration');
+
+// Function tools that let the chat agent search and change Jira issues.
+// Atlassian tokens expire after an hour; getValidAccessToken refreshes them
+// on the call that needs it, so a long conversation keeps working. In project
+// chats they only reach the Jira projects and boards selected for the
+// project (`context.projectScope.jira`).
+
+// Keep tool output small enough for the model's context
+const MAX_RESULTS = 20;
+
+// Token and Jira site (cloud id) for the user of the current run
+const getJiraAccess = async (runContext) => {
+  const { userId } = runContext.context;
+  const accessToken = await oauthService.getValidAccessToken(userId, 'jira');
+  const integration = await UserIntegration.findByIntegration(userId, 'jira');
+
+  const cloudId = integration?.connectionData?.resources?.[0]?.id;
+  if (!cloudId) {
+    throw new Error('No accessible Jira site found. Ask the user to reconnect Jira.');
+  }
+
+  return { accessToken, cloudId };
+};
+
+// Jira projects and boards the run may reach, or null when it isn't limited
+// to a project
+const getJiraScope = (runContext) => {
+  const projectScope = runContext.context.projectScope;
+  if (!projectScope) return null;
+  if (!projectScope.jira) {
+    throw new Error('Jira is not enabled for this project');
+  }
+  return projectScope.jira;
+};
+
+const assertProjectInScope = (scope, projectKey) => {
+  if (scope && !scope.projectKeys.includes(String(projectKey).toUpperCase())) {
+    throw new Error(`${projectKey} is not one of this project's Jira projects: ${scope.projectKeys.join(', ') || 'none'}`);
+  }
+};
+
+const ISSUE_KEY = /^[A-Z][A-Z0-9_]+-\d+$/;
+
+// Check an issue key's form and that its project is in scope; returns the key
+const resolveIssueKey = (scope, issueKey) => {
+  const key = String(issueKey).trim().toUpperCase();
+  if (!ISSUE_KEY.test(key)) {
+    throw new Error(`Expected an issue key like "PROJ-123", got "${issueKey}"`);
+  }
+  assertProjectInScope(scope, key.split('-')[0]);
+  return key;
+};
+
+const assertBoardInScope = (scope, boardId) => {
+  if (scope && !scope.boardIds.includes(String(boardId))) {
+    throw new Error(`Board ${boardId} is not one of this project's Jira boards: ${scope.boardIds.join(', ') || 'none'}`);
+  }
+};
+
+// Split JQL into its condition and its ORDER BY clause, outside quoted
+// strings. Quotes and parentheses must balance, so the condition can't close
+// the parentheses it is wrapped in, and nothing but the sort may follow ORDER BY.
+const splitJql = (jql) => {
+  let quote = null;
+  let depth = 0;
+  let orderByAt = -1;
+
+  for (let i = 0; i < jql.length; i += 1) {
+    const char = jql[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(' || char === ')') {
+      if (orderByAt !== -1) {
+        throw new Error('JQL can\'t have conditions after ORDER BY');
+      }
+      depth += char === '(' ? 1 : -1;
+      if (depth < 0) {
+        throw new Error('JQL has an unmatched ")"');
+      }
+    } else if (depth === 0 && (i === 0 || /\W/.test(jql[i - 1]))) {
+      const keyword = /^(order\s+by|and|or|not)\b/i.exec(jql.slice(i))?.[1].toLowerCase();
+      if (keyword && orderByAt !== -1) {
+        throw new Error('JQL can\'t have conditions after ORDER BY');
+      }
+      if (keyword?.startsWith('order')) {
+        orderByAt = i;
+      }
+    }
+  }
+
+  if (quote) {
+    throw new Error('JQL has an unterminated quoted string');
+  }
+  if (depth !== 0) {
+    throw new Error('JQL has an unmatched "("');
+  }
+
+  return orderByAt === -1
+    ? { where: jql, orderBy: '' }
+    : { where: jql.slice(0, orderByAt), orderBy: jql.slice(orderByAt) };
+};
+
+// Limit a JQL query to the scope's projects, keeping its ORDER BY last
+const scopeJql = (scope, jql) => {
+  if (!scope) return jql;
+  if (scope.projectKeys.length === 0) {
+    throw new Error('No Jira projects are selected for this project');
+  }
+
+  const { where, orderBy } = splitJql(jql.trim());
+  const projects = `project in (${scope.projectKeys.map(key => `"${key}"`).join(', ')})`;
+  const query = where.trim() ? `${projects} AND (${where.trim()})` : projects;
+
+  return orderBy ? `${query} ${orderBy}` : query;
+};
+
+// Most issues read for a sprint summary; larger sprints are summarized partially
+const MAX_SPRINT_ISSUES = 1000;
+
+// Read a sprint's issues page by page; `total` is the sprint's issue count
+const getSprintIssues = async (accessToken, cloudId, sprintId) => {
+  const issues = [];
+  let total;
+  do {
+    const page = await jiraService.getSprintIssues(accessToken, cloudId, sprintId, { startAt: issues.length });
+    issues.push(...page.issues);
+    total = page.total ?? issues.length;
+    if (page.issues.length === 0) break;
+  } while (issues.length < total && issues.length < MAX_SPRINT_ISSUES);
+
+  return { issues, total: Math.max(total, issues.length) };
+};
+
+// Counts by status and assignee, and the work left, for a sprint's issues.
+// With fewer `issues` than the sprint's `total`, the summary says it is partial.
+const summarizeSprint = (sprint, issues, total = issues.length) => {
+  const countBy = (getKey) => issues.reduce((counts, issue) => {
+    const key = getKey(issue);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+
+  const done = issues.filter(issue => issue.statusCategory === 'done').length;
+
+  return {
+    sprint,
+    totalIssues: issues.length,
+    doneIssues: done,
+    percentDone: issues.length > 0 ? Math.round((done / issues.length) * 100) : 0,
+    byStatus: countBy(issue => issue.status || 'Unknown'),
+    byAssignee: countBy(issue => issue.assignee?.displayName || 'Unassigned'),
+    remaining: issues
+      .filter(issue => issue.statusCategory !== 'done')
+      .slice(0, MAX_RESULTS)
+      .map(({ key, summary, status, assignee, priority }) => ({
+        key,
+        summary,
+        status,
+        assignee: assignee?.displayName || null,
+        priority
+      })),
+    ...(total > issues.length && {
+      partial: true,
+      note: `Only ${issues.length} of the sprint's ${total} issues are counted`
+    })
+  };
+};
+
+// Strict tool schemas must list every property as required; optional ones
+// accept null instead
+const nullable = (type, description) => ({ type: [type, 'null'], description });
+const issueKeyParam = { type: 'string', description: 'Issue key, e.g. "PROJ-123"' };
+const labelsParam = { type: ['array', 'null'], items: { type: 'string' }, description: 'Labels to set' };
+
+const searchIssues = tool({
+  name: 'jira_search_issues',
+  description: 'Search Jira issues with JQL, e.g. "project = PROJ AND status != Done ORDER BY updated DESC"',
+  parameters: {
+    type: 'object',
+    properties: {
+      jql: { type: 'string', description: 'JQL query' },
+      nextPageToken: nullable('string', 'Token from a previous search to get the next page')
+    },
+    required: ['jql', 'nextPageToken'],
+    additionalProperties: false
+  },
+  execute: async ({ jql, nextPageToken }, runContext) => {
+    const scopedJql = scopeJql(getJiraScope(runContext), jql);
+    const { accessToken, cloudId } = await getJiraAccess(runContext);
+
+    return jiraService.searchIssues(accessToken, cloudId, {
+      jql: scopedJql,
+      nextPageToken: nextPageToken || undefined,
+      maxResults: MAX_RESULTS
+    });
+  }
+});
+
+const createIssue = tool({
+  name: 'jira_create_issue',
+  description: 'Create a Jira issue. Confirm the project, summary and description with the user first.',
+  parameters: {
+    type: 'object',
+    properties: {
+      projectKey: { type: 'string', description: 'Project key, e.g. "PROJ"' },
+      summary: { type: 'string', description: 'Issue title' },
+      description: nullable('string', 'Plain-text description; blank lines separate paragraphs'),
+      issueType: nullable('string', 'Issue type name such as Task, Bug or Story; defaults to Task'),
+      priority: nullable('string', 'Priority name such as High or Low'),
+      assigneeAccountId: nullable('string', 'Atlassian account id of the assignee'),
+      labels: labelsParam
+    },
+    required: ['projectKey', 'summary', 'description', 'issueType', 'priority', 'assigneeAccountId', 'labels'],
+    additionalProperties: false
+  },
+  execute: async (input, runContext) => {
+    assertProjectInScope(getJiraScope(runContext), input.projectKey);
+    const { accessToken, cloudId } = await getJiraAccess(runContext);
+
+    return jiraService.createIssue(accessToken, cloudId, {
+      projectKey: input.projectKey,
+      summary: input.summary,
+      description: input.description || undefined,
+      issueType: input.issueType || undefined,
+      priority: input.priority || undefined,
+      assigneeAccountId: input.assigneeAccountId || undefined,
+      labels: input.labels || undefined
+    });
+  }
+});
+
+const updateIssue = tool({
+  name: 'jira_update_issue',
+  description: 'Update fields of a Jira issue. Fields left null are not changed. Use jira_transition_issue to change the status.',
+  parameters: {
+    type: 'object',
+    properties: {
+      issueKey: issueKeyParam,
+      summary: nullable('string', 'New title'),
+      description: nullable('string', 'New plain-text description; replaces the current one'),
+      priority: nullable('string', 'New priority name'),
+      assigneeAccountId: nullable('string', 'Atlassian account id of the new assignee, or "unassigned"'),
+      labels: labelsParam
+    },
+    required: ['issueKey', 'summary', 'description', 'priority', 'assigneeAccountId', 'labels'],
+    additionalProperties: false
+  },
+  execute: async ({ issueKey: rawIssueKey, assigneeAccountId, ...input }, runContext) => {
+    const issueKey = resolveIssueKey(getJiraScope(runContext), rawIssueKey);
+    const { accessToken, cloudId } = await getJiraAccess(runContext);
+
+    let assignee;
+    if (assigneeAccountId) {
+      assignee = assigneeAccountId === 'unassigned' ? null : assigneeAccountId;
+    }
+
+    return jiraService.updateIssue(accessToken, cloudId, issueKey, {
+      summary: input.summary || undefined,
+      description: input.description || undefined,
+      priority: input.priority || undefined,
+      assigneeAccountId: assignee,
+      labels: input.labels || undefined
+    });
+  }
+});
+
+const transitionIssue = tool({
+  name: 'jira_transition_issue',
+  description: 'Move a Jira issue to another status. Call with a null transition to list the available ones.',
+  parameters: {
+    type: 'object',
+    properties: {
+      issueKey: issueKeyParam,
+      transition: nullable('string', 'Name or id of the transition, or the name of the target status')
+    },
+    required: ['issueKey', 'transition'],
+    additionalProperties: false
+  },
+  execute: async ({ issueKey: rawIssueKey, transition }, runContext) => {
+    const issueKey = resolveIssueKey(getJiraScope(runContext), rawIssueKey);
+    const { accessToken, cloudId } = await getJiraAccess(runContext);
+    const transitions = await jiraService.getTransitions(accessToken, cloudId, issueKey);
+
+    if (!transition) {
+      return { issueKey, transitions };
+    }
+
+    const wanted = transition.toLowerCase();
+    const match = transitions.find(candidate => candidate.id === transition) ||
+      transitions.find(candidate => candidate.name.toLowerCase() === wanted) ||
+      transitions.find(candidate => candidate.to?.toLowerCase() === wanted);
+
+    if (!match) {
+      const available = transitions.map(candidate => `${candidate.name} (to ${candidate.to})`).join(', ');
+      throw new Error(`No transition "${transition}" for ${issueKey}. Available: ${available || 'none'}`);
+    }
+
+    await jiraService.transitionIssue(accessToken, cloudId, issueKey, match.id);
+    return { issueKey, transition: match.name, status: match.to };
+  }
+});
+
+const listBoards = tool({
+  name: 'jira_list_boards',
+  description: 'List Jira boards, to find the board id for a sprint summary',
+  parameters: {
+    type: 'object',
+    properties: {
+      projectKey: nullable('string', 'Only boards of this project')
+    },
+    required: ['projectKey'],
+    additionalProperties: false
+  },
+  execute: async ({ projectKey }, runContext) => {
+    const { accessToken, cloudId } = await getJiraAccess(runContext);
+    const { boards } = await jiraService.getBoards(accessToken, cloudId, {
+      projectKeyOrId: projectKey || undefined,
+      maxResults: MAX_RESULTS
+    });
+
+    const scope = getJiraScope(runContext);
+    return boards
+      .filter(board => !scope || scope.boardIds.includes(String(board.id)))
+      .map(({ id, name, type, location }) => ({
+        id,
+        name,
+        type,
+        projectKey: location?.projectKey || null
+      }));
+  }
+});
+
+const sprintSummary = tool({
+  name: 'jira_sprint_summary',
+  description: 'Summarize progress of a sprint: issue counts by status and assignee and the work left. Defaults to the active sprint of the board. In project chats only the project\'s boards are available.',
+  parameters: {
+    type: 'object',
+    properties: {
+      boardId: { type: 'number', description: 'Board id, see jira_list_boards' },
+      sprintId: nullable('number', 'Sprint id; null for the active sprint')
+    },
+    required: ['boardId', 'sprintId'],
+    additionalProperties: false
+  },
+  execute: async ({ boardId, sprintId }, runContext) => {
+    const scope = getJiraScope(runContext);
+    assertBoardInScope(scope, boardId);
+    const { accessToken, cloudId } = await getJiraAccess(runContext);
+
+    let sprint;
+    if (sprintId) {
+      sprint = await jiraService.getSprint(accessToken, cloudId, sprintId);
+      assertBoardInScope(scope, sprint.originBoardId);
+    } else {
+      const { sprints } = await jiraService.getBoardSprints(accessToken, cloudId, boardId, { state: 'active' });
+      sprint = sprints[0];
+    }
+
+    if (!sprint) {
+      throw new Error(`Board ${boardId} has no active sprint`);
+    }
+
+    const { issues, total } = await getSprintIssues(accessToken, cloudId, sprint.id);
+    return summarizeSprint(sprint, issues, total);
+  }
+});
+
+module.exports = {
+  scopeJql,
+  summarizeSprint,
+  jiraTools: [
+    searchIssues,
+    createIssue,
+    updateIssue,
+    transitionIssue,
+    listBoards,
+    sprintSummary
+  ]
+};
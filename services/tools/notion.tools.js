@@ -0,0 +1,107 @@
+const { tool } = require('@openai/agents');
+const notionService = require('../notion.service');
+const oauthService = require('../oauth.service');
+const projectContextService = require('../projectContext.service');
+const vectorStore = require('../vectorStore');
+
+// Function tools for Notion in project chats. The Notion MCP server can reach
+// the whole workspace, so project chats get these instead; they only open the
+// pages and databases selected for the project (and the pages directly
+// inside them). Pages they read are snapshotted into the project's vector
+// store namespace so search_project_documents can find them later.
+
+const getNotionScope = (runContext) => {
+  const scope = runContext.context.projectScope?.notion;
+  if (!scope) {
+    throw new Error('Notion is not enabled for this project');
+  }
+  return scope;
+};
+
+const isInScope = (scope, id) => {
+  const notionId = projectContextService.normalizeNotionId(id);
+  return scope.workspace || scope.pageIds.includes(notionId) || scope.databaseIds.includes(notionId);
+};
+
+// Store the page's text in the background; unchanged pages aren't re-embedded
+const snapshotPage = (runContext, page) => {
+  const { userId, projectScope } = runContext.context;
+  const source = `notion:${projectContextService.normalizeNotionId(page.id)}`;
+
+  vectorStore.indexSource(userId, vectorStore.projectNamespace(projectScope.projectId), source, page.content, {
+    version: page.lastEditedTime || null,
+    metadata: { type: 'notion_page', name: page.title || 'Untitled', url: page.url }
+  }).catch(error => console.warn(`Failed to snapshot Notion page ${page.id}:`, error.message));
+};
+
+const listProjectResources = tool({
+  name: 'notion_list_project_resources',
+  description: 'List the Notion pages and databases selected for this project',
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: [],
+    additionalProperties: false
+  },
+  execute: async (input, runContext) => getNotionScope(runContext).resources
+});
+
+const readPage = tool({
+  name: 'notion_read_page',
+  description: 'Read the text of a Notion page selected for this project, or of a page inside one of its pages or databases',
+  parameters: {
+    type: 'object',
+    properties: {
+      pageId: { type: 'string', description: 'Notion page id' }
+    },
+    required: ['pageId'],
+    additionalProperties: false
+  },
+  execute: async ({ pageId }, runContext) => {
+    const scope = getNotionScope(runContext);
+    const accessToken = await oauthService.getValidAccessToken(runContext.context.userId, 'notion');
+    const page = await notionService.getPageContent(accessToken, pageId);
+
+    const parentId = page.parent?.page_id || page.parent?.database_id;
+    if (!isInScope(scope, page.id) && !(parentId && isInScope(scope, parentId))) {
+      throw new Error(`Page ${pageId} is not part of this project's Notion resources`);
+    }
+
+    snapshotPage(runContext, page);
+    return page;
+  }
+});
+
+const queryDatabase = tool({
+  name: 'notion_query_database',
+  description: 'List the rows (pages) of a Notion database selected for this project',
+  parameters: {
+    type: 'object',
+    properties: {
+      databaseId: { type: 'string', description: 'Notion database id' },
+      cursor: { type: ['string', 'null'], description: 'nextCursor from a previous call to get the next page' }
+    },
+    required: ['databaseId', 'cursor'],
+    additionalProperties: false
+  },
+  execute: async ({ databaseId, cursor }, runContext) => {
+    const scope = getNotionScope(runContext);
+    if (!isInScope(scope, databaseId)) {
+      throw new Error(`Database ${databaseId} is not part of this project's Notion resources`);
+    }
+
+    const accessToken = await oauthService.getValidAccessToken(runContext.context.userId, 'notion');
+    return notionService.queryDatabase(accessToken, databaseId, {
+      page_size: 20,
+      start_cursor: cursor || undefined
+    });
+  }
+});
+
+module.exports = {
+  notionProjectTools: [
+    listProjectResources,
+    readPage,
+    queryDatabase
+  ]
+};
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/UsageRecord');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { getModelPrice, normalizeModelId } = require('../constants/modelPricing');
+
+// How usage can be grouped in reports: the `$group` key of each grouping
+const GROUPINGS = {
+  model: { provider: '$provider', model: '$model' },
+  provider: '$provider',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+  chat: '$chatId',
+  apiKey: '$apiKeyId',
+  source: '$source'
+};
+
+const roundCost = (cost) => Math.round(cost * 1e6) / 1e6;
+
+// Token usage and estimated spend of LLM requests, per user. Providers record
+// every completion (see BaseProvider.recordKeyUse); monthly budgets are
+// checked before chat replies are generated (middleware/usageBudget.js).
+// Months are calendar months in UTC.
+class UsageService {
+  constructor() {
+    this.groupings = GROUPINGS;
+  }
+
+  // Price of a model in USD per million tokens: the price table, else the
+  // provider catalog (which lists prices per thousand tokens), else null
+  getPrice(provider, model) {
+    const price = getModelPrice(provider, model);
+    if (price) return price;
+
+    // Required here: providers require this service
+    const providerRegistry = require('./providers');
+    const catalogModel = providerRegistry.get(provider)?.catalog.models
+      ?.find(catalogEntry => normalizeModelId(catalogEntry.id) === normalizeModelId(model));
+    if (catalogModel?.inputCost === undefined) return null;
+
+    return { input: catalogModel.inputCost * 1000, output: (catalogModel.outputCost || 0) * 1000 };
+  }
+
+  // Estimated cost in USD of `usage` (OpenAI usage shape). Unpriced models
+  // cost 0 and are flagged with `priced: false`.
+  estimateCost(provider, model, usage = {}) {
+    const price = this.getPrice(provider, model);
+    if (!price) {
+      return { cost: 0, priced: false };
+    }
+
+    const cost = ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+    return { cost: roundCost(cost), priced: true };
+  }
+
+  // Record the usage of one request. Never throws: losing a record must not
+  // fail the request it belongs to. Requests without token counts are skipped.
+  async record({ userId, apiKeyId, provider, model, usage, chatId = null, source = 'chat' }) {
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    const totalTokens = usage?.total_tokens || promptTokens + completionTokens;
+    if (!userId || !provider || !model || totalTokens === 0) {
+      return null;
+    }
+
+    try {
+      if (apiKeyId === undefined) {
+        const apiKey = await ApiKey.findOne({ userId, provider, isActive: true, isVerified: true })
+          .sort({ priority: 1, createdAt: 1 })
+          .select('_id');
+        apiKeyId = apiKey?._id || null;
+      }
+
+      const { cost, priced } = this.estimateCost(provider, model, usage);
+      return await UsageRecord.create({
+        userId,
+        apiKeyId,
+        provider,
+        model,
+        chatId: mongoose.isValidObjectId(chatId) ? chatId : null,
+        source,
+        promptTokens,
+        completionTokens,
+        totalTokens,
+        cost,
+        priced
+      });
+    } catch (error) {
+      console.error('Failed to record LLM usage:', error.message);
+      return null;
+    }
+  }
+
+  // Start of the month `date` falls in, and of the next one
+  getMonth(date = new Date()) {
+    return {
+      start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+      end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+    };
+  }
+
+  // Estimated spend in USD of a user in the month of `now`
+  async getMonthSpend(userId, now = new Date()) {
+    const { start } = this.getMonth(now);
+    const [result] = await UsageRecord.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: start } } },
+      { $group: { _id: null, cost: { $sum: '$cost' } } }
+    ]);
+    return roundCost(result?.cost || 0);
+  }
+
+  // The user's budget and this month's spend against it. `status` is "ok",
+  // "warning" (past `warnAt` of the limit) or "exceeded".
+  async getBudgetStatus(userId, now = new Date()) {
+    const user = await User.findById(userId).select('usageBudget').lean();
+    const { monthlyLimit = null, warnAt = 0.8, hardLimit = true } = user?.usageBudget || {};
+    const spent = await this.getMonthSpend(userId, now);
+    const { end } = this.getMonth(now);
+
+    let status = 'ok';
+    if (monthlyLimit !== null) {
+      if (spent >= monthlyLimit) {
+        status = 'exceeded';
+      } else if (spent >= monthlyLimit * warnAt) {
+        status = 'warning';
+      }
+    }
+
+    return {
+      monthlyLimit,
+      warnAt,
+      hardLimit,
+      spent,
+      remaining: monthlyLimit === null ? null : roundCost(Math.max(monthlyLimit - spent, 0)),
+      resetsAt: end,
+      status
+    };
+  }
+
+  // Update a user's budget; `monthlyLimit: null` removes the limit. Returns
+  // the budget status, or null if there is no such user.
+  async setBudget(userId, budget, now = new Date()) {
+    const $set = {};
+    ['monthlyLimit', 'warnAt', 'hardLimit'].forEach((field) => {
+      if (budget[field] !== undefined) {
+        $set[`usageBudget.${field}`] = budget[field];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(userId, { $set }, { new: true, runValidators: true }).select('_id').lean();
+    return user ? this.getBudgetStatus(userId, now) : null;
+  }
+
+  // Usage of a user between `from` (default: start of this month) and `to`
+  // (default: now), in total and per group
+  async getUsage(userId, { from, to, groupBy = 'model' } = {}) {
+    if (!this.groupings[groupBy]) {
+      throw Object.assign(
+        new Error(`Usage can't be grouped by ${groupBy}. Use one of: ${Object.keys(this.groupings).join(', ')}`),
+        { statusCode: 400 }
+      );
+    }
+
+    const range = {
+      from: from ? new Date(from) : this.getMonth().start,
+      to: to ? new Date(to) : new Date()
+    };
+
+    const groups = await UsageRecord.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(String(userId)),
+          createdAt: { $gte: range.from, $lt: range.to }
+        }
+      },
+      {
+        $group: {
+          _id: this.groupings[groupBy],
+          requests: { $sum: 1 },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          totalTokens: { $sum: '$totalTokens' },
+          cost: { $sum: '$cost' },
+          unpricedRequests: { $sum: { $cond: ['$priced', 0, 1] } }
+        }
+      },
+      { $sort: groupBy === 'day' ? { _id: 1 } : { cost: -1, totalTokens: -1 } }
+    ]);
+
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedRequests: 0 };
+    groups.forEach((group) => {
+      Object.keys(totals).forEach((field) => {
+        totals[field] += group[field];
+      });
+    });
+
+    return {
+      ...range,
+      groupBy,
+      totals: { ...totals, cost: roundCost(totals.cost) },
+      groups: groups.map(({ _id, ...group }) => ({
+        ...(groupBy === 'model' ? _id : { [groupBy]: _id }),
+        ...group,
+        cost: roundCost(group.cost)
+      }))
+    };
+  }
+}
+
+module.exports = new UsageService();
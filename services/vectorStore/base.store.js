@@ -0,0 +1,87 @@
+/**
+ * Base class for vector store backends.
+ *
+ * Entries are grouped in namespaces (one per project or chat, see
+ * VectorStoreService) and every entry comes from a source (an attachment, a
+ * Notion page, a chat message) so all entries of a source can be replaced
+ * together. A backend implements:
+ *  - upsert(namespace, entries)             -> number of entries written
+ *  - deleteBySource(namespace, source)      -> number of entries removed
+ *  - deleteNamespace(namespace)             -> number of entries removed
+ *  - hasSource(namespace, source, version)  -> whether entries of that source
+ *                                              (and version, when given) exist
+ *  - hasEntries(namespace)                  -> whether the namespace has entries
+ *  - query(namespace, embedding, options)   -> the `topK` entries most similar
+ *                                              to `embedding`, best first
+ *
+ * Entries are { id, userId, source, sourceVersion, text, metadata, embedding,
+ * embeddingModel }; `id` is unique within the namespace. Query options are
+ * { topK, filter, minScore } where `filter` matches metadata fields by
+ * equality. Query results are { id, source, text, metadata, score }.
+ */
+class BaseVectorStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async upsert(namespace, entries) {
+    throw new Error(`upsert not implemented for vector store: ${this.name}`);
+  }
+
+  async deleteBySource(namespace, source) {
+    throw new Error(`deleteBySource not implemented for vector store: ${this.name}`);
+  }
+
+  async deleteNamespace(namespace) {
+    throw new Error(`deleteNamespace not implemented for vector store: ${this.name}`);
+  }
+
+  async hasSource(namespace, source, version = null) {
+    throw new Error(`hasSource not implemented for vector store: ${this.name}`);
+  }
+
+  async hasEntries(namespace) {
+    throw new Error(`hasEntries not implemented for vector store: ${this.name}`);
+  }
+
+  async query(namespace, embedding, options = {}) {
+    throw new Error(`query not implemented for vector store: ${this.name}`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers for backends that score entries themselves
+  // ---------------------------------------------------------------------------
+
+  cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  matchesFilter(metadata = {}, filter = {}) {
+    return Object.entries(filter).every(([key, value]) => metadata[key] === value);
+  }
+
+  // Score entries against a query embedding and keep the best `topK`
+  rank(entries, embedding, { topK = 5, minScore = null } = {}) {
+    return entries
+      .map(entry => ({
+        id: entry.id,
+        source: entry.source,
+        text: entry.text,
+        metadata: entry.metadata || {},
+        score: this.cosineSimilarity(embedding, entry.embedding)
+      }))
+      .filter(result => minScore === null || result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+module.exports = BaseVectorStore;
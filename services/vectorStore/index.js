@@ -0,0 +1,134 @@
+const openaiService = require('../openai.service');
+const MemoryVectorStore = require('./memory.store');
+const MongoVectorStore = require('./mongo.store');
+
+const stores = {
+  memory: () => new MemoryVectorStore(),
+  mongodb: () => new MongoVectorStore()
+};
+
+// Retrieval for project attachments, Notion page snapshots and chat memory.
+// Texts are embedded with the user's OpenAI key and kept in a vector store
+// backend (see base.store.js), chosen with VECTOR_STORE (default "mongodb").
+class VectorStoreService {
+  constructor(store) {
+    this.store = store;
+    this.embeddingModel = 'text-embedding-3-small';
+    // Inputs per embeddings request
+    this.batchSize = 64;
+    this.chunkSize = 1000;
+    this.chunkOverlap = 200;
+  }
+
+  projectNamespace(projectId) {
+    return `project:${projectId}`;
+  }
+
+  chatNamespace(chatId) {
+    return `chat:${chatId}`;
+  }
+
+  // Split text into chunks of about `chunkSize` characters that overlap by
+  // `chunkOverlap`, breaking at paragraph or sentence ends where possible
+  chunkText(text) {
+    const clean = String(text || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+    const chunks = [];
+    let start = 0;
+
+    while (start < clean.length) {
+      let end = Math.min(start + this.chunkSize, clean.length);
+
+      if (end < clean.length) {
+        const window = clean.slice(start, end);
+        const minBreak = this.chunkSize / 2;
+        const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf(' ')]
+          .find(index => index > minBreak);
+        if (breakAt !== undefined) end = start + breakAt + 1;
+      }
+
+      const chunk = clean.slice(start, end).trim();
+      if (chunk) chunks.push(chunk);
+      if (end >= clean.length) break;
+      start = Math.max(end - this.chunkOverlap, start + 1);
+    }
+
+    return chunks;
+  }
+
+  // Embedding vectors for texts, in order, using the user's OpenAI API key
+  async embed(userId, texts) {
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const response = await openaiService.makeOpenAIApiCall(userId, '/embeddings', 'POST', {
+        model: this.embeddingModel,
+        input: texts.slice(i, i + this.batchSize)
+      });
+      response.data
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => embeddings.push(item.embedding));
+    }
+
+    return embeddings;
+  }
+
+  // Embed and store documents ({ id, source, text, metadata }) of a user.
+  // Documents with an existing id replace the stored entry.
+  async addDocuments(userId, namespace, documents, { sourceVersion = null } = {}) {
+    if (documents.length === 0) return 0;
+
+    const embeddings = await this.embed(userId, documents.map(document => document.text));
+    return this.store.upsert(namespace, documents.map((document, index) => ({
+      ...document,
+      userId,
+      sourceVersion,
+      embedding: embeddings[index],
+      embeddingModel: this.embeddingModel
+    })));
+  }
+
+  // Replace everything stored for a source with the chunks of `text`. Skipped
+  // when the same version of the source is already stored.
+  async indexSource(userId, namespace, source, text, { version = null, metadata = {} } = {}) {
+    if (version !== null && await this.store.hasSource(namespace, source, version)) {
+      return 0;
+    }
+
+    await this.store.deleteBySource(namespace, source);
+    return this.addDocuments(userId, namespace, this.chunkText(text).map((chunk, index) => ({
+      id: `${source}#${index}`,
+      source,
+      text: chunk,
+      metadata: { ...metadata, chunkIndex: index }
+    })), { sourceVersion: version });
+  }
+
+  deleteBySource(namespace, source) {
+    return this.store.deleteBySource(namespace, source);
+  }
+
+  deleteNamespace(namespace) {
+    return this.store.deleteNamespace(namespace);
+  }
+
+  hasEntries(namespace) {
+    return this.store.hasEntries(namespace);
+  }
+
+  // The stored entries most similar to `query`
+  async search(userId, namespace, query, { topK = 5, filter, minScore = null } = {}) {
+    const [embedding] = await this.embed(userId, [query]);
+    return this.store.query(namespace, embedding, { topK, filter, minScore });
+  }
+}
+
+const createStore = (name = 'mongodb') => {
+  if (!stores[name]) {
+    throw new Error(`Unknown vector store: ${name}. Use one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return stores[name]();
+};
+
+module.exports = new VectorStoreService(createStore(process.env.VECTOR_STORE || 'mongodb'));
+module.exports.VectorStoreService = VectorStoreService;
+module.exports.createStore = createStore;
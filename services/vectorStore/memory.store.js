@@ -0,0 +1,69 @@
+const BaseVectorStore = require('./base.store');
+
+// Keeps entries in process memory. Nothing survives a restart, so it is meant
+// for tests and local development (VECTOR_STORE=memory).
+class MemoryVectorStore extends BaseVectorStore {
+  constructor() {
+    super('memory');
+    // namespace -> Map(entry id -> entry)
+    this.namespaces = new Map();
+  }
+
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  async upsert(namespace, entries) {
+    const stored = this.getNamespace(namespace);
+    entries.forEach(entry => {
+      stored.set(entry.id, { ...entry, metadata: { ...entry.metadata } });
+    });
+    return entries.length;
+  }
+
+  async deleteBySource(namespace, source) {
+    const stored = this.namespaces.get(namespace);
+    if (!stored) return 0;
+
+    let removed = 0;
+    for (const [id, entry] of stored) {
+      if (entry.source === source) {
+        stored.delete(id);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  async deleteNamespace(namespace) {
+    const removed = this.namespaces.get(namespace)?.size || 0;
+    this.namespaces.delete(namespace);
+    return removed;
+  }
+
+  async hasSource(namespace, source, version = null) {
+    const stored = this.namespaces.get(namespace);
+    if (!stored) return false;
+
+    return [...stored.values()].some(entry =>
+      entry.source === source && (version === null || entry.sourceVersion === version)
+    );
+  }
+
+  async hasEntries(namespace) {
+    return (this.namespaces.get(namespace)?.size || 0) > 0;
+  }
+
+  async query(namespace, embedding, options = {}) {
+    const stored = this.namespaces.get(namespace);
+    if (!stored) return [];
+
+    const entries = [...stored.values()].filter(entry => this.matchesFilter(entry.metadata, options.filter));
+    return this.rank(entries, embedding, options);
+  }
+}
+
+module.exports = MemoryVectorStore;
@@ -0,0 +1,73 @@
+const VectorEntry = require('../../models/VectorEntry');
+const BaseVectorStore = require('./base.store');
+
+// Stores entries in the VectorEntry collection and scores them in Node. A
+// namespace holds one project's or chat's entries (hundreds to a few
+// thousand), which is small enough to rank without a vector index.
+class MongoVectorStore extends BaseVectorStore {
+  constructor() {
+    super('mongodb');
+  }
+
+  async upsert(namespace, entries) {
+    if (entries.length === 0) return 0;
+
+    await VectorEntry.bulkWrite(entries.map(entry => ({
+      updateOne: {
+        filter: { namespace, entryId: entry.id },
+        update: {
+          $set: {
+            userId: entry.userId,
+            source: entry.source,
+            sourceVersion: entry.sourceVersion || null,
+            text: entry.text,
+            metadata: entry.metadata || {},
+            embedding: entry.embedding,
+            embeddingModel: entry.embeddingModel
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return entries.length;
+  }
+
+  async deleteBySource(namespace, source) {
+    const result = await VectorEntry.deleteMany({ namespace, source });
+    return result.deletedCount;
+  }
+
+  async deleteNamespace(namespace) {
+    const result = await VectorEntry.deleteMany({ namespace });
+    return result.deletedCount;
+  }
+
+  async hasSource(namespace, source, version = null) {
+    const exists = await VectorEntry.exists({
+      namespace,
+      source,
+      ...(version !== null && { sourceVersion: version })
+    });
+    return Boolean(exists);
+  }
+
+  async hasEntries(namespace) {
+    return Boolean(await VectorEntry.exists({ namespace }));
+  }
+
+  async query(namespace, embedding, options = {}) {
+    const filter = { namespace };
+    Object.entries(options.filter || {}).forEach(([key, value]) => {
+      filter[`metadata.${key}`] = value;
+    });
+
+    const entries = await VectorEntry.find(filter)
+      .select('+embedding entryId source text metadata')
+      .lean();
+
+    return this.rank(entries.map(entry => ({ ...entry, id: entry.entryId })), embedding, options);
+  }
+}
+
+module.exports = MongoVectorStore;
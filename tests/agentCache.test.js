@@ -0,0 +1,89 @@
+const agentService = require('../services/agent.service');
+
+function fakeAgent() {
+  return { agent: {}, mcpServer: { close: jest.fn().mockResolvedValue() }, hasNotion: true };
+}
+
+describe('agentService cache', () => {
+  let integrationIds;
+
+  beforeEach(() => {
+    integrationIds = [];
+    jest.spyOn(agentService, 'getConnectedIntegrationIds').mockImplementation(async () => integrationIds);
+    jest.spyOn(agentService, 'createAgent').mockImplementation(async () => fakeAgent());
+  });
+
+  afterEach(async () => {
+    await agentService.cleanupAllAgents();
+    jest.restoreAllMocks();
+  });
+
+  it('should cache agents per user, model and connected integrations', async () => {
+    const mini = await agentService.getOrCreateAgent('user1', 'gpt-4o-mini');
+    expect(await agentService.getOrCreateAgent('user1', 'gpt-4o-mini')).toBe(mini);
+    expect(await agentService.getOrCreateAgent('user1', 'gpt-4o')).not.toBe(mini);
+
+    integrationIds = ['notion'];
+    expect(await agentService.getOrCreateAgent('user1', 'gpt-4o-mini')).not.toBe(mini);
+    expect(agentService.createAgent).toHaveBeenCalledTimes(3);
+  });
+
+  it('should build an agent once for concurrent requests', async () => {
+    const [first, second] = await Promise.all([
+      agentService.getOrCreateAgent('user1', 'gpt-4o-mini'),
+      agentService.getOrCreateAgent('user1', 'gpt-4o-mini')
+    ]);
+
+    expect(first).toBe(second);
+    expect(agentService.createAgent).toHaveBeenCalledTimes(1);
+  });
+
+  it('should evict the least recently used agent and close its MCP server', async () => {
+    jest.replaceProperty(agentService, 'maxAgents', 2);
+
+    const first = await agentService.getOrCreateAgent('user1', 'gpt-4o-mini');
+    const second = await agentService.getOrCreateAgent('user2', 'gpt-4o-mini');
+    await agentService.getOrCreateAgent('user1', 'gpt-4o-mini');
+    await agentService.getOrCreateAgent('user3', 'gpt-4o-mini');
+
+    expect(second.mcpServer.close).toHaveBeenCalled();
+    expect(first.mcpServer.close).not.toHaveBeenCalled();
+    expect(agentService.activeAgents.size).toBe(2);
+  });
+
+  it('should close invalidated agents only after their runs finish', async () => {
+    const agentData = await agentService.getOrCreateAgent('user1', 'gpt-4o-mini');
+    const release = agentService.retainAgent(agentData);
+
+    agentService.invalidateUser('user1');
+    expect(agentService.activeAgents.size).toBe(0);
+    expect(agentData.mcpServer.close).not.toHaveBeenCalled();
+
+    release();
+    release();
+    expect(agentData.mcpServer.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should clean up a user\'s agents once, leaving running ones until their run ends', async () => {
+    const idle = await agentService.getOrCreateAgent('user1', 'gpt-4o-mini');
+    const running = await agentService.getOrCreateAgent('user1', 'gpt-4o');
+    const release = agentService.retainAgent(running);
+
+    await agentService.cleanupAgent('user1');
+    expect(idle.mcpServer.close).toHaveBeenCalledTimes(1);
+    expect(running.mcpServer.close).not.toHaveBeenCalled();
+
+    release();
+    expect(running.mcpServer.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should evict agents idle for longer than the TTL', async () => {
+    const agentData = await agentService.getOrCreateAgent('user1', 'gpt-4o-mini');
+    agentData.lastUsedAt -= agentService.idleTtlMs + 1;
+
+    agentService.evictIdle();
+
+    expect(agentService.activeAgents.size).toBe(0);
+    expect(agentData.mcpServer.close).toHaveBeenCalled();
+  });
+});
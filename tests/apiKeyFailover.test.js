@@ -0,0 +1,154 @@
+jest.mock('../models/ApiKey');
+jest.mock('axios');
+jest.mock('../services/apiKeyVerification.service');
+jest.mock('@openai/agents', () => ({ ...jest.requireActual('@openai/agents'), run: jest.fn() }));
+
+const axios = require('axios');
+const { run } = require('@openai/agents');
+const ApiKey = require('../models/ApiKey');
+const providerRegistry = require('../services/providers');
+const apiKeyService = require('../services/apiKey.service');
+const encryptionService = require('../services/encryption.service');
+const apiKeyVerificationService = require('../services/apiKeyVerification.service');
+const agentService = require('../services/agent.service');
+
+const userId = '64b000000000000000000001';
+
+const fakeKey = (keyName, overrides = {}) => ({
+  _id: `${keyName}-id`,
+  userId,
+  keyName,
+  encryptedApiKey: encryptionService.encryptApiKey(`sk-${keyName}`),
+  cooldownUntil: null,
+  updateLastUsed: jest.fn().mockResolvedValue(),
+  recordValidationError: jest.fn().mockResolvedValue(),
+  startCooldown: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+// ApiKey.find(...).sort(...).select(...)
+const mockFind = (keys) => {
+  ApiKey.find.mockReturnValue({ sort: () => ({ select: jest.fn().mockResolvedValue(keys) }) });
+};
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers, data: { error: { message: `status ${status}` } } }
+  });
+
+// A streamed agent run yielding `events`, or failing before its first event
+const fakeStream = (events, error) => {
+  const completed = error ? Promise.reject(error) : Promise.resolve();
+  completed.catch(() => {});
+  return {
+    completed,
+    rawResponses: [],
+    async *[Symbol.asyncIterator]() {
+      if (error) throw error;
+      yield* events;
+    }
+  };
+};
+
+describe('API key failover', () => {
+  const openai = providerRegistry.get('openai');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  it('should move on to the next key when one is rate limited or rejected', async () => {
+    const keys = [fakeKey('org'), fakeKey('team'), fakeKey('personal')];
+    mockFind(keys);
+    axios.post
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '30' }))
+      .mockRejectedValueOnce(httpError(401))
+      .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'Hi' } }], usage: null } });
+
+    const result = await openai.complete(userId, [{ role: 'user', content: 'Hello' }], { model: 'gpt-4o' });
+
+    expect(result.content).toBe('Hi');
+    expect(axios.post.mock.calls.map(([, , config]) => config.headers.Authorization))
+      .toEqual(['Bearer sk-org', 'Bearer sk-team', 'Bearer sk-personal']);
+    expect(keys[0].startCooldown).toHaveBeenCalledWith(30000);
+    // Rejected keys rest and are re-verified; only the verification marks them unverified
+    expect(keys[1].startCooldown).toHaveBeenCalledWith(openai.authFailureCooldownMs);
+    expect(keys[1].recordValidationError).not.toHaveBeenCalled();
+    expect(apiKeyVerificationService.enqueueVerification).toHaveBeenCalledWith('team-id', userId);
+    expect(keys[2].updateLastUsed).toHaveBeenCalled();
+  });
+
+  it('should retry a streamed agent run with the next key when the first is rate limited', async () => {
+    const keys = [fakeKey('org'), fakeKey('personal')];
+    mockFind(keys);
+    jest.spyOn(agentService, 'getOrCreateAgent').mockImplementation(async (id, model, apiKeyRecord) => ({
+      agent: { apiKeyRecord }, activeRuns: 0
+    }));
+    jest.spyOn(agentService, 'configureAgent').mockImplementation(agent => agent);
+    jest.spyOn(agentService, 'recordKeyUse').mockResolvedValue();
+    const events = [{ type: 'raw_model_stream_event' }, { type: 'run_item_stream_event' }];
+    run
+      .mockResolvedValueOnce(fakeStream([], httpError(429, { 'retry-after': '30' })))
+      .mockResolvedValueOnce(fakeStream(events));
+
+    const stream = await agentService.sendMessageStreaming(userId, [{ role: 'user', content: 'Hello' }]);
+    const received = [];
+    for await (const event of stream) received.push(event);
+    await stream.completed;
+
+    expect(received).toEqual(events);
+    expect(run.mock.calls.map(([agent]) => agent.apiKeyRecord)).toEqual(keys);
+    expect(keys[0].startCooldown).toHaveBeenCalledWith(30000);
+    expect(agentService.recordKeyUse).toHaveBeenCalledWith(keys[1], 'gpt-4o-mini', [], {});
+
+    [agentService.getOrCreateAgent, agentService.configureAgent, agentService.recordKeyUse]
+      .forEach(spy => spy.mockRestore());
+  });
+
+  it('should not fail over on other errors', async () => {
+    const keys = [fakeKey('org'), fakeKey('personal')];
+    mockFind(keys);
+    axios.post.mockRejectedValueOnce(httpError(400));
+
+    await expect(openai.complete(userId, [{ role: 'user', content: 'Hello' }], { model: 'gpt-4o' }))
+      .rejects.toThrow('OpenAI API error: status 400');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(keys[0].startCooldown).not.toHaveBeenCalled();
+  });
+
+  it('should try resting keys last and only the chosen key when there is one', async () => {
+    const resting = fakeKey('org', { cooldownUntil: new Date(Date.now() + 60000) });
+    const personal = fakeKey('personal');
+    mockFind([resting, personal]);
+
+    await expect(openai.getApiKeyCandidates(userId)).resolves.toEqual([personal, resting]);
+    expect(ApiKey.find).toHaveBeenLastCalledWith({ userId, provider: 'openai', isActive: true, isVerified: true });
+
+    mockFind([]);
+    await expect(openai.getApiKeyCandidates(userId, { apiKeyId: 'org-id' }))
+      .rejects.toThrow('The OpenAI API key selected for this chat is not available');
+    expect(ApiKey.find).toHaveBeenLastCalledWith(expect.objectContaining({ _id: 'org-id' }));
+  });
+
+  it('should reorder all of a provider\'s keys at once', async () => {
+    ApiKey.find.mockResolvedValueOnce([{ _id: 'a' }, { _id: 'b' }]);
+    await expect(apiKeyService.reorderApiKeys(userId, 'openai', ['b']))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    ApiKey.find
+      .mockResolvedValueOnce([{ _id: 'a' }, { _id: 'b' }])
+      .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) });
+    await apiKeyService.reorderApiKeys(userId, 'openai', ['b', 'a']);
+    expect(ApiKey.bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: 'b', userId }, update: { $set: { priority: 0 } } } },
+      { updateOne: { filter: { _id: 'a', userId }, update: { $set: { priority: 1 } } } }
+    ]);
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../models/ApiKey');
+jest.mock('../services/jobQueue.service');
+jest.mock('../services/apiKey.service');
+
+const ApiKey = require('../models/ApiKey');
+const jobQueue = require('../services/jobQueue.service');
+const apiKeyService = require('../services/apiKey.service');
+const encryptionService = require('../services/encryption.service');
+const apiKeyVerificationService = require('../services/apiKeyVerification.service');
+
+const now = new Date('2026-01-01T12:00:00Z');
+
+const createApiKey = (overrides = {}) => {
+  const apiKey = {
+    _id: 'key1',
+    userId: 'user1',
+    provider: 'openai',
+    encryptedApiKey: encryptionService.encryptApiKey('sk-test'),
+    consecutiveFailures: 0,
+    verificationError: null,
+    markAsVerified: jest.fn().mockResolvedValue(),
+    deactivate: jest.fn().mockResolvedValue(),
+    ...overrides
+  };
+  apiKey.recordValidationError = jest.fn(async (error) => {
+    apiKey.verificationError = error;
+    apiKey.consecutiveFailures += 1;
+  });
+  return apiKey;
+};
+
+describe('apiKeyVerificationService', () => {
+  let apiKey;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    apiKey = createApiKey();
+    ApiKey.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(apiKey) });
+  });
+
+  it('should queue verifications for keys not verified recently', async () => {
+    const limit = jest.fn(() => ({ select: jest.fn().mockResolvedValue([{ _id: 'key1', userId: 'user1' }]) }));
+    ApiKey.find.mockReturnValue({ sort: () => ({ limit }) });
+
+    await expect(apiKeyVerificationService.scheduleDueVerifications(now)).resolves.toEqual({ queued: 1 });
+
+    expect(ApiKey.find.mock.calls[0][0].$or).toContainEqual({
+      'metadata.lastValidation': { $lte: new Date(now.getTime() - apiKeyVerificationService.verifyEveryMs) }
+    });
+    expect(limit).toHaveBeenCalledWith(apiKeyVerificationService.batchSize);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith(
+      'api_key_verification',
+      { apiKeyId: 'key1' },
+      { userId: 'user1', dedupeKey: 'api_key_verification:key1' }
+    );
+  });
+
+  it('should refresh the models and limits of keys that still work', async () => {
+    const models = [{ id: 'gpt-4o', name: 'GPT-4o', provider: 'openai' }];
+    apiKeyService.verifyApiKey.mockResolvedValue({
+      valid: true, models, permissions: ['chat'], organizationId: 'org', limits: { rateLimit: 500 }
+    });
+
+    await expect(apiKeyVerificationService.verifyKey('key1')).resolves.toEqual({ verified: true, models: 1 });
+
+    expect(apiKeyService.verifyApiKey).toHaveBeenCalledWith('openai', 'sk-test');
+    expect(apiKey.markAsVerified).toHaveBeenCalledWith({
+      organizationId: 'org', models, permissions: ['chat'], limits: { rateLimit: 500 }
+    });
+  });
+
+  it('should deactivate keys rejected too many times in a row', async () => {
+    apiKeyService.verifyApiKey.mockRejectedValue(
+      Object.assign(new Error('Invalid OpenAI API key'), { keyRejected: true })
+    );
+
+    await expect(apiKeyVerificationService.verifyKey('key1')).resolves.toMatchObject({
+      verified: false, consecutiveFailures: 1, deactivated: false
+    });
+    expect(apiKey.recordValidationError).toHaveBeenCalledWith('Invalid OpenAI API key');
+
+    apiKey.consecutiveFailures = apiKeyVerificationService.maxFailures - 1;
+    await expect(apiKeyVerificationService.verifyKey('key1')).resolves.toMatchObject({ deactivated: true });
+    expect(apiKey.deactivate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not count provider outages against the key', async () => {
+    apiKeyService.verifyApiKey.mockRejectedValue(new Error('Failed to verify OpenAI API key'));
+
+    await expect(apiKeyVerificationService.verifyKey('key1')).rejects.toThrow('Failed to verify');
+    expect(apiKey.recordValidationError).not.toHaveBeenCalled();
+  });
+});
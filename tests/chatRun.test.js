@@ -0,0 +1,102 @@
+const { EventEmitter } = require('events');
+const chatRunService = require('../services/chatRun.service');
+
+function createResponse() {
+  const res = new EventEmitter();
+  res.frames = [];
+  res.ended = false;
+  res.write = (frame) => res.frames.push(frame);
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+describe('chatRunService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should tag frames with ids and replay the ones a client missed', () => {
+    const run = chatRunService.createRun({ chatId: 'chat1', userId: 'user1' });
+    const first = createResponse();
+    chatRunService.attach(run, first);
+
+    run.send({ type: 'text_delta', content: 'Hel' });
+    run.send({ type: 'text_delta', content: 'lo' });
+    expect(first.frames[0]).toBe(`id: ${run.id}:1\ndata: {"type":"text_delta","content":"Hel"}\n\n`);
+
+    const lastEventId = chatRunService.parseEventId(`${run.id}:1`);
+    expect(chatRunService.findRun('user1', 'chat1', lastEventId.runId)).toBe(run);
+    expect(chatRunService.findRun('user2', 'chat1', lastEventId.runId)).toBeNull();
+
+    const second = createResponse();
+    chatRunService.attach(run, second, lastEventId.seq);
+    chatRunService.finish(run);
+
+    expect(second.frames).toEqual([
+      `id: ${run.id}:2\ndata: {"type":"text_delta","content":"lo"}\n\n`,
+      `id: ${run.id}:3\ndata: [DONE]\n\n`
+    ]);
+    expect(first.ended).toBe(true);
+    expect(second.ended).toBe(true);
+  });
+
+  it('should buffer consecutive text deltas as one frame for replay', () => {
+    const run = chatRunService.createRun({ chatId: 'chat4', userId: 'user1' });
+    'Hello world'.split('').forEach(content => run.send({ type: 'text_delta', content }));
+    run.send({ type: 'tool_call_start', tool: 'search' });
+    run.send({ type: 'text_delta', content: 'Done' });
+
+    expect(run.entries).toHaveLength(3);
+
+    const fresh = createResponse();
+    chatRunService.attach(run, fresh);
+    expect(fresh.frames).toEqual([
+      `id: ${run.id}:11\ndata: {"type":"text_delta","content":"Hello world"}\n\n`,
+      `id: ${run.id}:12\ndata: {"type":"tool_call_start","tool":"search"}\n\n`,
+      `id: ${run.id}:13\ndata: {"type":"text_delta","content":"Done"}\n\n`
+    ]);
+
+    // A client that saw "Hello" only gets the rest of the text
+    const resumed = createResponse();
+    chatRunService.attach(run, resumed, 5);
+    expect(resumed.frames[0]).toBe(`id: ${run.id}:11\ndata: {"type":"text_delta","content":" world"}\n\n`);
+    expect(resumed.frames).toHaveLength(3);
+    expect(run.replay(13)).toEqual([]);
+  });
+
+  it('should abort a run when no client reconnects in time', () => {
+    const run = chatRunService.createRun({ chatId: 'chat2', userId: 'user1' });
+    const res = createResponse();
+    chatRunService.attach(run, res);
+
+    res.emit('close');
+    jest.advanceTimersByTime(chatRunService.disconnectGraceMs - 1);
+    expect(run.signal.aborted).toBe(false);
+
+    // Reconnecting cancels the pending abort
+    chatRunService.attach(run, createResponse());
+    jest.advanceTimersByTime(chatRunService.disconnectGraceMs);
+    expect(run.signal.aborted).toBe(false);
+
+    for (const client of [...run.clients]) {
+      client.emit('close');
+    }
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.advanceTimersByTime(chatRunService.disconnectGraceMs);
+    expect(run.signal.aborted).toBe(true);
+  });
+
+  it('should mark cancelled runs and abort their signal', () => {
+    const run = chatRunService.createRun({ chatId: 'chat3', userId: 'user1' });
+
+    chatRunService.cancel(run);
+
+    expect(run.cancelled).toBe(true);
+    expect(run.signal.aborted).toBe(true);
+    expect(() => run.signal.throwIfAborted()).toThrow();
+  });
+});
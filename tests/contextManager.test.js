@@ -0,0 +1,160 @@
+jest.mock('../services/vectorStore');
+
+const mongoose = require('mongoose');
+const BaseProvider = require('../services/providers/base.provider');
+const providerRegistry = require('../services/providers');
+const contextManager = require('../services/contextManager.service');
+const vectorStore = require('../services/vectorStore');
+
+// Small context window so a few hundred-token messages overflow it
+function createProvider() {
+  const provider = new BaseProvider({ id: 'test', name: 'Test', defaultContext: 4000 });
+  provider.complete = jest.fn().mockResolvedValue({ content: 'Summary of the early turns.' });
+  return provider;
+}
+
+function createChat(count) {
+  const messages = Array.from({ length: count }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `Message ${i} `.padEnd(400, 'x')
+  }));
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    messages,
+    contextSummary: {},
+    save: jest.fn().mockResolvedValue()
+  };
+}
+
+describe('contextManager.prepareMessages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    vectorStore.chunkText.mockImplementation(text => [text]);
+    vectorStore.chatNamespace.mockImplementation(chatId => `chat:${chatId}`);
+    vectorStore.addDocuments.mockResolvedValue(0);
+    vectorStore.search.mockResolvedValue([]);
+    vectorStore.hasEntries.mockResolvedValue(true);
+    jest.spyOn(providerRegistry.get('openai'), 'hasApiKey').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send the whole history when it fits', async () => {
+    const provider = createProvider();
+    const chat = createChat(4);
+
+    const { messages, context } = await contextManager.prepareMessages('user', chat, chat.messages, provider, { model: 'm' });
+
+    expect(messages).toHaveLength(4);
+    expect(context).toMatchObject({ totalMessages: 4, includedMessages: 4, summarizedMessages: 0, droppedMessages: 0 });
+    expect(provider.complete).not.toHaveBeenCalled();
+    expect(chat.save).not.toHaveBeenCalled();
+  });
+
+  it('should fold older turns into a persisted summary', async () => {
+    const provider = createProvider();
+    const chat = createChat(31);
+    const { signal } = new AbortController();
+
+    const { messages, context } = await contextManager.prepareMessages('user', chat, chat.messages, provider, {
+      model: 'm',
+      apiKeyId: 'key1',
+      signal
+    });
+
+    // Long transcripts are summarised in batches, each building on the last
+    expect(provider.complete.mock.calls.length).toBeGreaterThan(1);
+    const [, lastPrompt, summaryOptions] = provider.complete.mock.calls[provider.complete.mock.calls.length - 1];
+    expect(lastPrompt[0].content).toContain('Existing summary:\nSummary of the early turns.');
+    // Summaries use the chat's key and stop with its reply
+    expect(summaryOptions).toMatchObject({ apiKeyId: 'key1', signal, usageSource: 'summary' });
+    expect(messages[0]).toEqual({
+      role: 'system',
+      content: 'Summary of the earlier conversation:\nSummary of the early turns.'
+    });
+    expect(messages[1].role).toBe('user');
+    expect(messages[messages.length - 1].content).toBe(chat.messages[30].content);
+    expect(context.summarizedMessages + context.includedMessages).toBe(31);
+    expect(context.historyTokens).toBeLessThanOrEqual(context.budgetTokens);
+
+    expect(chat.save).toHaveBeenCalled();
+    expect(chat.contextSummary.summarizedMessageCount).toBe(context.summarizedMessages);
+    expect(String(chat.contextSummary.lastMessageId))
+      .toBe(String(chat.messages[context.summarizedMessages - 1]._id));
+  });
+
+  it('should reuse the stored summary on the next turn', async () => {
+    const provider = createProvider();
+    const chat = createChat(31);
+    await contextManager.prepareMessages('user', chat, chat.messages, provider, { model: 'm' });
+    provider.complete.mockClear();
+
+    chat.messages.push({ _id: new mongoose.Types.ObjectId(), role: 'assistant', content: 'Short reply' });
+    const { context } = await contextManager.prepareMessages('user', chat, chat.messages, provider, { model: 'm' });
+
+    expect(provider.complete).not.toHaveBeenCalled();
+    expect(context.summarizedMessages + context.includedMessages).toBe(32);
+  });
+
+  it('should drop older turns when summarising fails', async () => {
+    const provider = createProvider();
+    provider.complete.mockRejectedValue(new Error('rate limited'));
+    const chat = createChat(31);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { messages, context } = await contextManager.prepareMessages('user', chat, chat.messages, provider, { model: 'm' });
+
+    expect(messages[0].role).toBe('user');
+    expect(context.summarizedMessages).toBe(0);
+    expect(context.droppedMessages + context.includedMessages).toBe(31);
+    expect(chat.save).not.toHaveBeenCalled();
+  });
+
+  it('should remember folded turns and recall related ones from the active branch', async () => {
+    const provider = createProvider();
+    const chat = createChat(31);
+
+    const first = await contextManager.prepareMessages('user', chat, chat.messages, provider, { model: 'm' });
+    const folded = chat.messages.slice(0, first.context.summarizedMessages);
+    expect(vectorStore.addDocuments).toHaveBeenCalledWith('user', `chat:${chat._id}`, expect.any(Array));
+    expect(vectorStore.addDocuments.mock.calls[0][2].map(doc => doc.metadata.messageId))
+      .toEqual(folded.map(msg => String(msg._id)));
+
+    vectorStore.search.mockResolvedValue([
+      { text: 'Message 2 details', score: 0.8, metadata: { messageId: String(chat.messages[2]._id), role: 'user' } },
+      { text: 'From another branch', score: 0.7, metadata: { messageId: 'other', role: 'user' } }
+    ]);
+    chat.messages.push({ _id: new mongoose.Types.ObjectId(), role: 'user', content: 'What did I say about message 2?' });
+    const { messages, context } = await contextManager.prepareMessages('user', chat, chat.messages, provider, { model: 'm' });
+
+    expect(vectorStore.search).toHaveBeenLastCalledWith('user', `chat:${chat._id}`, 'What did I say about message 2?', expect.any(Object));
+    expect(context.recalledMessages).toBe(1);
+    expect(messages[1]).toEqual({
+      role: 'system',
+      content: 'Earlier messages related to the latest one:\n[user] Message 2 details'
+    });
+  });
+
+  it('should not search chat memory without an OpenAI key or anything remembered', async () => {
+    const provider = createProvider();
+    const chat = createChat(31);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    vectorStore.hasEntries.mockResolvedValue(false);
+    await contextManager.prepareMessages('user', chat, chat.messages, provider, { model: 'm' });
+    expect(vectorStore.hasEntries).toHaveBeenCalledWith(`chat:${chat._id}`);
+
+    vectorStore.hasEntries.mockResolvedValue(true);
+    providerRegistry.get('openai').hasApiKey.mockResolvedValue(false);
+    chat.messages.push({ _id: new mongoose.Types.ObjectId(), role: 'user', content: 'And message 2?' });
+    const { context } = await contextManager.prepareMessages('user', chat, chat.messages, provider, { model: 'm' });
+
+    expect(providerRegistry.get('openai').hasApiKey).toHaveBeenCalledWith('user');
+    expect(vectorStore.search).not.toHaveBeenCalled();
+    expect(context.recalledMessages).toBe(0);
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../models/ApiKey', () => ({ modelName: 'ApiKey', find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/UserIntegration', () => ({ modelName: 'UserIntegration', find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/NotionIntegration', () => ({ modelName: 'NotionIntegration', find: jest.fn(), updateOne: jest.fn() }));
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const UserIntegration = require('../models/UserIntegration');
+const NotionIntegration = require('../models/NotionIntegration');
+const encryptionService = require('../services/encryption.service');
+const secretRotationService = require('../services/secretRotation.service');
+
+const oldKey = 'old_encryption_key_32_chars_long';
+const newKey = 'new_encryption_key_32_chars_long';
+
+// A value written before ciphertexts named their key
+const legacyEncrypt = (text) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(oldKey, 'utf8'), iv);
+  const encrypted = cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+  return JSON.stringify({ encrypted, iv: iv.toString('hex'), authTag: cipher.getAuthTag().toString('hex') });
+};
+
+// Model.find(...).select(...).lean().cursor()
+const mockStale = (model, docs) => {
+  model.find.mockReturnValue({ select: () => ({ lean: () => ({ cursor: () => docs }) }) });
+};
+
+describe('encryptionService keyring', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    encryptionService.loadKeyring({ ENCRYPTION_KEY: oldKey });
+  });
+
+  afterAll(() => {
+    encryptionService.loadKeyring();
+  });
+
+  it('should keep decrypting values written with an older key after a rotation', () => {
+    const legacy = legacyEncrypt('sk-legacy');
+    const beforeRotation = encryptionService.encrypt('sk-before');
+    expect(JSON.parse(beforeRotation).kid).toBe('1');
+
+    encryptionService.loadKeyring({ ENCRYPTION_KEYS: `2:${newKey}`, ENCRYPTION_KEY: oldKey });
+    const afterRotation = encryptionService.encrypt('sk-after');
+
+    expect(JSON.parse(afterRotation).kid).toBe('2');
+    expect(encryptionService.decrypt(legacy)).toBe('sk-legacy');
+    expect(encryptionService.decrypt(beforeRotation)).toBe('sk-before');
+    expect(encryptionService.decrypt(afterRotation)).toBe('sk-after');
+    expect([legacy, beforeRotation, afterRotation].map(value => encryptionService.needsReEncryption(value)))
+      .toEqual([true, true, false]);
+  });
+
+  it('should re-wrap only the data key when moving a value to the current key', () => {
+    const beforeRotation = encryptionService.encrypt('sk-before');
+    encryptionService.loadKeyring({ ENCRYPTION_KEYS: `2:${newKey},1:${oldKey}` });
+
+    const moved = encryptionService.reEncrypt(beforeRotation);
+    expect(JSON.parse(moved)).toMatchObject({ kid: '2', encrypted: JSON.parse(beforeRotation).encrypted });
+
+    // The old key is no longer needed
+    encryptionService.loadKeyring({ ENCRYPTION_KEYS: `2:${newKey}` });
+    expect(encryptionService.decrypt(moved)).toBe('sk-before');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => encryptionService.decrypt(beforeRotation)).toThrow('Failed to decrypt data');
+    console.error.mockRestore();
+  });
+
+  it('should reject malformed keyring entries', () => {
+    expect(() => encryptionService.loadKeyring({ ENCRYPTION_KEYS: newKey })).toThrow('<id>:<key>');
+  });
+});
+
+describe('secretRotationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    encryptionService.loadKeyring({ ENCRYPTION_KEY: oldKey });
+  });
+
+  afterAll(() => {
+    encryptionService.loadKeyring();
+  });
+
+  it('should move stale API keys and integration tokens to the current key', async () => {
+    const apiKey = { _id: 'key1', encryptedApiKey: legacyEncrypt('sk-legacy') };
+    const integration = {
+      _id: 'int1',
+      connectionData: { accessToken: encryptionService.encrypt('access'), refreshToken: null }
+    };
+    encryptionService.loadKeyring({ ENCRYPTION_KEYS: `2:${newKey},1:${oldKey}` });
+    mockStale(ApiKey, [apiKey]);
+    mockStale(UserIntegration, [integration]);
+    mockStale(NotionIntegration, []);
+
+    await expect(secretRotationService.reEncryptAll()).resolves.toEqual({
+      keyId: '2',
+      ApiKey: { documents: 1, reEncrypted: 1, failed: 0 },
+      UserIntegration: { documents: 1, reEncrypted: 1, failed: 0 },
+      NotionIntegration: { documents: 0, reEncrypted: 0, failed: 0 }
+    });
+
+    expect(ApiKey.find.mock.calls[0][0].$or[0].encryptedApiKey.$not).toEqual(/"kid":"2"/);
+    const [filter, update] = UserIntegration.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'int1', 'connectionData.accessToken': integration.connectionData.accessToken });
+    const stored = update.$set['connectionData.accessToken'];
+    expect(JSON.parse(stored).kid).toBe('2');
+    expect(encryptionService.decrypt(stored)).toBe('access');
+  });
+
+  it('should count secrets the keyring can no longer decrypt and carry on', async () => {
+    const lost = { _id: 'key1', encryptedApiKey: legacyEncrypt('sk-lost') };
+    encryptionService.loadKeyring({ ENCRYPTION_KEYS: `2:${newKey}` });
+    mockStale(ApiKey, [lost, { _id: 'key2', encryptedApiKey: 'sk-plaintext' }]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(secretRotationService.reEncryptModel(secretRotationService.secretFields[0]))
+      .resolves.toEqual({ documents: 2, reEncrypted: 1, failed: 1 });
+    expect(ApiKey.updateOne).toHaveBeenCalledTimes(1);
+
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+});
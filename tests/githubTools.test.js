@@ -0,0 +1,69 @@
+jest.mock('../services/github.service');
+jest.mock('../services/oauth.service');
+
+const githubService = require('../services/github.service');
+const oauthService = require('../services/oauth.service');
+const { githubTools } = require('../services/tools/github.tools');
+const { getIntegrationTools } = require('../services/tools');
+
+const findTool = (name) => githubTools.find(tool => tool.name === name);
+const runContext = { context: { userId: 'user1' } };
+
+describe('GitHub agent tools', () => {
+  beforeEach(() => {
+    oauthService.getValidAccessToken.mockResolvedValue('gh-token');
+  });
+
+  it('should only be given to agents of users who connected GitHub', () => {
+    expect(getIntegrationTools(['notion'])).toEqual([]);
+    expect(getIntegrationTools(['github', 'notion'])).toEqual(githubTools);
+  });
+
+  it('should list issues with the user\'s OAuth token', async () => {
+    githubService.getIssues.mockResolvedValue([{ number: 1, title: 'Bug' }]);
+
+    const output = await findTool('github_list_issues').invoke(
+      runContext,
+      JSON.stringify({ repository: 'acme/api', state: null, labels: 'bug', assignee: null })
+    );
+
+    expect(oauthService.getValidAccessToken).toHaveBeenCalledWith('user1', 'github');
+    expect(githubService.getIssues).toHaveBeenCalledWith('gh-token', 'acme', 'api', {
+      state: 'open',
+      labels: 'bug',
+      assignee: undefined,
+      per_page: 20
+    });
+    expect(output).toEqual([{ number: 1, title: 'Bug' }]);
+  });
+
+  it('should keep project code searches within the project\'s repositories', async () => {
+    const projectContext = {
+      context: { userId: 'user1', projectScope: { github: { repositories: ['acme/api'] } } }
+    };
+    githubService.searchCode.mockResolvedValue({ items: [] });
+
+    const output = await findTool('github_search_code').invoke(
+      projectContext,
+      JSON.stringify({ query: 'password repo:other/secrets', repository: null })
+    );
+    expect(output).toContain('can\'t use repo:, org: or user: qualifiers');
+    expect(githubService.searchCode).not.toHaveBeenCalled();
+
+    await findTool('github_search_code').invoke(
+      projectContext,
+      JSON.stringify({ query: 'password', repository: null })
+    );
+    expect(githubService.searchCode).toHaveBeenCalledWith('gh-token', { q: 'password repo:acme/api', per_page: 20 });
+  });
+
+  it('should report a malformed repository back to the model', async () => {
+    const output = await findTool('github_create_issue').invoke(
+      runContext,
+      JSON.stringify({ repository: 'acme', title: 'Bug', body: null, labels: null })
+    );
+
+    expect(githubService.createIssue).not.toHaveBeenCalled();
+    expect(output).toContain('Expected a repository as "owner/repo"');
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../services/github.service');
+jest.mock('../services/oauth.service');
+jest.mock('../models/UserIntegration');
+jest.mock('../models/IntegrationSnapshot');
+jest.mock('../services/jobQueue.service');
+
+const githubService = require('../services/github.service');
+const oauthService = require('../services/oauth.service');
+const UserIntegration = require('../models/UserIntegration');
+const IntegrationSnapshot = require('../models/IntegrationSnapshot');
+const integrationSyncService = require('../services/integrationSync.service');
+const jobQueue = require('../services/jobQueue.service');
+
+const createIntegration = () => ({
+  userId: 'user1',
+  integrationId: 'github',
+  status: 'connected',
+  metadata: { syncCount: 2, availableResources: [] },
+  markError: jest.fn(),
+  save: jest.fn().mockResolvedValue()
+});
+
+const repository = {
+  id: 42,
+  name: 'billing',
+  fullName: 'acme/billing',
+  htmlUrl: 'https://github.com/acme/billing',
+  owner: { login: 'acme' }
+};
+
+describe('integrationSyncService', () => {
+  let integration;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    integration = createIntegration();
+    UserIntegration.findByIntegration.mockResolvedValue(integration);
+    IntegrationSnapshot.bulkWrite.mockResolvedValue({});
+    IntegrationSnapshot.deleteMany.mockResolvedValue({ deletedCount: 0 });
+    oauthService.getValidAccessToken.mockResolvedValue('gh-token');
+    githubService.getRepositories.mockResolvedValue([repository]);
+    githubService.getIssues.mockResolvedValue([
+      { number: 7, title: 'Retry failed payments', htmlUrl: 'https://github.com/acme/billing/issues/7' },
+      { number: 8, title: 'Add refunds', htmlUrl: 'https://github.com/acme/billing/pull/8' }
+    ]);
+  });
+
+  it('should snapshot repositories and issues and list the repositories as available', async () => {
+    const result = await integrationSyncService.syncIntegration('user1', 'github');
+
+    expect(result).toMatchObject({ resourceCount: 2, counts: { repository: 1, issue: 1 } });
+    const writes = IntegrationSnapshot.bulkWrite.mock.calls[0][0];
+    expect(writes.map(write => write.updateOne.filter.resourceId)).toEqual(['42', 'acme/billing#7']);
+    expect(IntegrationSnapshot.deleteMany).toHaveBeenCalledWith({
+      userId: 'user1',
+      integrationId: 'github',
+      syncedAt: { $lt: result.syncedAt }
+    });
+
+    expect(integration.metadata.availableResources).toEqual([
+      { resourceType: 'repository', resourceId: '42', name: 'billing', url: 'https://github.com/acme/billing' }
+    ]);
+    expect(integration.metadata.syncCount).toBe(3);
+    expect(integration.save).toHaveBeenCalled();
+  });
+
+  it('should record failures, keeping the integration connected', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    githubService.getRepositories.mockRejectedValue(new Error('Failed to get repositories'));
+
+    await expect(integrationSyncService.syncIntegration('user1', 'github')).rejects.toThrow('Failed to get repositories');
+    expect(integration.markError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'SYNC_FAILED' }),
+      { disconnect: false }
+    );
+  });
+
+  it('should not retry syncs whose token expired, leaving the integration to oauthService', async () => {
+    oauthService.getValidAccessToken.mockRejectedValue(
+      Object.assign(new Error('Access token expired and no refresh token available'), { code: 'TOKEN_EXPIRED' })
+    );
+    await expect(integrationSyncService.syncIntegration('user1', 'github')).rejects.toMatchObject({ retryable: false });
+    expect(integration.markError).not.toHaveBeenCalled();
+
+    oauthService.getValidAccessToken.mockRejectedValue(
+      Object.assign(new Error('Failed to refresh access token'), { code: 'TOKEN_REFRESH_FAILED' })
+    );
+    const error = await integrationSyncService.syncIntegration('user1', 'github').catch(err => err);
+    expect(error.retryable).toBeUndefined();
+  });
+
+  it('should queue one sync job per integration at a time', async () => {
+    jobQueue.enqueue.mockResolvedValue({ _id: 'job1' });
+
+    await integrationSyncService.enqueueSync('user1', 'github');
+
+    expect(jobQueue.enqueue).toHaveBeenCalledWith(
+      'integration_sync',
+      { userId: 'user1', integrationId: 'github', trigger: 'manual' },
+      { userId: 'user1', dedupeKey: 'integration_sync:user1:github' }
+    );
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../services/jira.service');
+jest.mock('../services/oauth.service');
+jest.mock('../models/UserIntegration');
+
+const jiraService = require('../services/jira.service');
+const oauthService = require('../services/oauth.service');
+const UserIntegration = require('../models/UserIntegration');
+const { jiraTools, summarizeSprint, scopeJql } = require('../services/tools/jira.tools');
+
+const findTool = (name) => jiraTools.find(tool => tool.name === name);
+const runContext = { context: { userId: 'user1' } };
+
+describe('Jira agent tools', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    oauthService.getValidAccessToken.mockResolvedValue('jira-token');
+    UserIntegration.findByIntegration.mockResolvedValue({
+      connectionData: { resources: [{ id: 'cloud-1' }] }
+    });
+  });
+
+  it('should search with a token that getValidAccessToken refreshed if needed', async () => {
+    jiraService.searchIssues.mockResolvedValue({ issues: [], nextPageToken: null, isLast: true });
+
+    await findTool('jira_search_issues').invoke(
+      runContext,
+      JSON.stringify({ jql: 'project = PROJ', nextPageToken: null })
+    );
+
+    expect(oauthService.getValidAccessToken).toHaveBeenCalledWith('user1', 'jira');
+    expect(jiraService.searchIssues).toHaveBeenCalledWith('jira-token', 'cloud-1', {
+      jql: 'project = PROJ',
+      nextPageToken: undefined,
+      maxResults: 20
+    });
+  });
+
+  it('should transition by target status name and list options when it does not match', async () => {
+    jiraService.getTransitions.mockResolvedValue([
+      { id: '11', name: 'Start progress', to: 'In Progress' },
+      { id: '31', name: 'Resolve', to: 'Done' }
+    ]);
+    const transition = findTool('jira_transition_issue');
+
+    const moved = await transition.invoke(runContext, JSON.stringify({ issueKey: 'PROJ-1', transition: 'done' }));
+    expect(jiraService.transitionIssue).toHaveBeenCalledWith('jira-token', 'cloud-1', 'PROJ-1', '31');
+    expect(moved).toEqual({ issueKey: 'PROJ-1', transition: 'Resolve', status: 'Done' });
+
+    const failed = await transition.invoke(runContext, JSON.stringify({ issueKey: 'PROJ-1', transition: 'Blocked' }));
+    expect(failed).toContain('Available: Start progress (to In Progress), Resolve (to Done)');
+  });
+
+  it('should keep project searches inside the project\'s Jira projects', () => {
+    const scope = { projectKeys: ['ABC'], boardIds: [] };
+
+    expect(scopeJql(scope, 'status = Done OR assignee = currentUser() ORDER BY created DESC'))
+      .toBe('project in ("ABC") AND (status = Done OR assignee = currentUser()) ORDER BY created DESC');
+    // ORDER BY inside a quoted string is part of the condition
+    expect(scopeJql(scope, 'summary ~ "order by date"'))
+      .toBe('project in ("ABC") AND (summary ~ "order by date")');
+
+    expect(() => scopeJql(scope, 'status = Done) OR (project = SECRET')).toThrow('unmatched ")"');
+    expect(() => scopeJql(scope, 'status = Done ORDER BY created OR project = SECRET'))
+      .toThrow('can\'t have conditions after ORDER BY');
+    expect(() => scopeJql(scope, 'summary ~ "open')).toThrow('unterminated quoted string');
+  });
+
+  it('should refuse issue keys that are not plain keys of the project\'s Jira projects', async () => {
+    const projectContext = { context: { userId: 'user1', projectScope: { jira: { projectKeys: ['PROJ'], boardIds: [] } } } };
+    const transition = findTool('jira_transition_issue');
+
+    const traversal = await transition.invoke(
+      projectContext,
+      JSON.stringify({ issueKey: 'PROJ-1/../../issue/OTHER-5', transition: null })
+    );
+    expect(traversal).toContain('Expected an issue key like "PROJ-123"');
+
+    const other = await transition.invoke(projectContext, JSON.stringify({ issueKey: 'OTHER-5', transition: null }));
+    expect(other).toContain('OTHER is not one of this project\'s Jira projects');
+    expect(jiraService.getTransitions).not.toHaveBeenCalled();
+  });
+
+  it('should read every page of a sprint\'s issues', async () => {
+    jiraService.getBoardSprints.mockResolvedValue({ sprints: [{ id: 7, name: 'Sprint 7' }] });
+    const page = (startAt, count) => ({
+      issues: Array.from({ length: count }, (_, i) => ({ key: `P-${startAt + i}`, status: 'Done', statusCategory: 'done' })),
+      total: 150
+    });
+    jiraService.getSprintIssues
+      .mockResolvedValueOnce(page(0, 100))
+      .mockResolvedValueOnce(page(100, 50));
+
+    const summary = await findTool('jira_sprint_summary').invoke(runContext, JSON.stringify({ boardId: 1, sprintId: null }));
+
+    expect(jiraService.getSprintIssues.mock.calls.map(([, , , options]) => options.startAt)).toEqual([0, 100]);
+    expect(summary).toMatchObject({ totalIssues: 150, doneIssues: 150, percentDone: 100 });
+    expect(summary.partial).toBeUndefined();
+    expect(summarizeSprint({ id: 7 }, page(0, 100).issues, 150)).toMatchObject({ partial: true });
+  });
+
+  it('should summarize sprint progress', () => {
+    const summary = summarizeSprint({ id: 7, name: 'Sprint 7' }, [
+      { key: 'P-1', summary: 'A', status: 'Done', statusCategory: 'done', assignee: { displayName: 'Ana' } },
+      { key: 'P-2', summary: 'B', status: 'In Progress', statusCategory: 'indeterminate', assignee: { displayName: 'Ana' } },
+      { key: 'P-3', summary: 'C', status: 'To Do', statusCategory: 'new', assignee: null, priority: 'High' }
+    ]);
+
+    expect(summary).toMatchObject({
+      totalIssues: 3,
+      doneIssues: 1,
+      percentDone: 33,
+      byStatus: { Done: 1, 'In Progress': 1, 'To Do': 1 },
+      byAssignee: { Ana: 2, Unassigned: 1 }
+    });
+    expect(summary.remaining.map(issue => issue.key)).toEqual(['P-2', 'P-3']);
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../models/Job');
+
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue.service');
+
+const createJob = (overrides = {}) => ({
+  _id: 'job1',
+  type: 'test_job',
+  payload: { to: 'someone@example.com' },
+  attempts: 1,
+  maxAttempts: 3,
+  backoffMs: 1000,
+  visibilityTimeoutMs: 60000,
+  repeatEveryMs: null,
+  ...overrides
+});
+
+// The update stored for the job by the last run
+const lastUpdate = () => Job.updateOne.mock.calls[Job.updateOne.mock.calls.length - 1];
+
+describe('jobQueue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Job.updateOne.mockResolvedValue({});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should complete a job, drop redacted payloads and release its key', async () => {
+    jobQueue.register('test_job', jest.fn().mockResolvedValue({ sent: true }), { redactPayload: true });
+
+    await jobQueue.runJob(createJob());
+
+    const [filter, update] = lastUpdate();
+    expect(filter).toEqual({ _id: 'job1', lockedBy: jobQueue.workerId });
+    expect(update.$set).toMatchObject({ status: 'completed', result: { sent: true }, payload: {} });
+    expect(update.$unset).toEqual({ lockedBy: 1, lockedUntil: 1, activeKey: 1 });
+  });
+
+  it('should retry failures with exponential backoff until attempts run out', async () => {
+    jobQueue.register('test_job', jest.fn().mockRejectedValue(new Error('SMTP unavailable')));
+
+    const before = Date.now();
+    await jobQueue.runJob(createJob({ attempts: 2 }));
+    let [, update] = lastUpdate();
+    expect(update.$set.status).toBe('queued');
+    expect(update.$set.lastError).toBe('SMTP unavailable');
+    expect(update.$set.runAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+
+    await jobQueue.runJob(createJob({ attempts: 3 }));
+    [, update] = lastUpdate();
+    expect(update.$set.status).toBe('failed');
+    expect(update.$unset.activeKey).toBe(1);
+  });
+
+  it('should not retry errors marked as not retryable', async () => {
+    jobQueue.register('test_job', jest.fn().mockRejectedValue(
+      Object.assign(new Error('Integration not found'), { retryable: false })
+    ));
+
+    await jobQueue.runJob(createJob());
+
+    expect(lastUpdate()[1].$set.status).toBe('failed');
+  });
+
+  it('should queue recurring jobs again, even after a failure', async () => {
+    jobQueue.register('test_job', jest.fn().mockRejectedValue(new Error('boom')));
+
+    await jobQueue.runJob(createJob({ repeatEveryMs: 60000, maxAttempts: 1 }));
+
+    const [, update] = lastUpdate();
+    expect(update.$set).toMatchObject({ status: 'queued', attempts: 0, lastError: 'boom' });
+    expect(update.$unset.activeKey).toBeUndefined();
+  });
+
+  it('should fail a job that a crashed worker left after its last attempt', async () => {
+    const handler = jest.fn();
+    jobQueue.register('test_job', handler);
+
+    await jobQueue.runJob(createJob({ attempts: 4 }));
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(lastUpdate()[1].$set).toMatchObject({ status: 'failed', lastError: 'Worker stopped while running the job' });
+  });
+
+  it('should claim due jobs and jobs whose lock expired', async () => {
+    Job.findOneAndUpdate.mockResolvedValue(null);
+    jobQueue.register('test_job', jest.fn());
+
+    await jobQueue.claim();
+
+    const [filter, update, options] = Job.findOneAndUpdate.mock.calls[0];
+    expect(filter.type.$in).toContain('test_job');
+    expect(filter.$or).toEqual([
+      { status: 'queued', runAt: { $lte: expect.any(Date) } },
+      { status: 'running', lockedUntil: { $lte: expect.any(Date) } }
+    ]);
+    expect(update[0].$set).toMatchObject({ status: 'running', lockedBy: jobQueue.workerId });
+    expect(options.sort).toEqual({ priority: -1, runAt: 1 });
+  });
+
+  it('should return the queued job for a dedupe key instead of adding another', async () => {
+    Job.findOneAndUpdate.mockResolvedValue({ _id: 'existing' });
+
+    const job = await jobQueue.enqueue('test_job', {}, { dedupeKey: 'sync:user1' });
+
+    expect(job).toEqual({ _id: 'existing' });
+    expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+      { activeKey: 'sync:user1' },
+      { $setOnInsert: expect.objectContaining({ type: 'test_job', activeKey: 'sync:user1' }) },
+      expect.objectContaining({ upsert: true })
+    );
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+});
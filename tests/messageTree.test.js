@@ -0,0 +1,44 @@
+const {
+  buildMessageTree,
+  getBranchPath,
+  findLatestLeaf,
+  getLeafIds,
+  getSiblingIds
+} = require('../utils/messageTree');
+
+// u1 -> a1 -> u2 -> a2
+//            \-> u2b -> a2b   (u2 edited)
+//                    \-> a2c  (a2b regenerated)
+const nodes = [
+  { _id: 'u1', parentId: null },
+  { _id: 'a1', parentId: 'u1' },
+  { _id: 'u2', parentId: 'a1' },
+  { _id: 'a2', parentId: 'u2' },
+  { _id: 'u2b', parentId: 'a1' },
+  { _id: 'a2b', parentId: 'u2b' },
+  { _id: 'a2c', parentId: 'u2b' }
+];
+
+describe('messageTree', () => {
+  const tree = buildMessageTree(nodes);
+
+  it('should walk a branch from the root to its tip', () => {
+    expect(getBranchPath(tree, 'a2')).toEqual(['u1', 'a1', 'u2', 'a2']);
+    expect(getBranchPath(tree, 'a2c')).toEqual(['u1', 'a1', 'u2b', 'a2c']);
+    expect(getBranchPath(tree, null)).toEqual([]);
+    expect(getBranchPath(tree, 'missing')).toEqual([]);
+  });
+
+  it('should follow the newest replies to the tip of a branch', () => {
+    expect(findLatestLeaf(tree, 'u2b')).toBe('a2c');
+    expect(findLatestLeaf(tree, 'u1')).toBe('a2c');
+    expect(findLatestLeaf(tree, 'a2')).toBe('a2');
+  });
+
+  it('should list branch tips and siblings', () => {
+    expect(getLeafIds(tree)).toEqual(['a2', 'a2b', 'a2c']);
+    expect(getSiblingIds(tree, 'u2')).toEqual(['u2', 'u2b']);
+    expect(getSiblingIds(tree, 'a2b')).toEqual(['a2b', 'a2c']);
+    expect(getSiblingIds(tree, 'u1')).toEqual(['u1']);
+  });
+});
@@ -0,0 +1,64 @@
+jest.mock('../models/OAuthState');
+
+const crypto = require('crypto');
+const OAuthState = require('../models/OAuthState');
+const { OAuthStateService, createStore } = require('../services/oauthState');
+
+describe('OAuthStateService', () => {
+  let oauthStateService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    oauthStateService = new OAuthStateService(createStore('memory'));
+  });
+
+  it('should return a state once, so a replayed callback is rejected', async () => {
+    const { state, expiresAt } = await oauthStateService.create({
+      userId: 'user1',
+      integrationId: 'notion',
+      redirectUri: 'http://localhost:3005/callback'
+    });
+
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+    await expect(oauthStateService.consume(state)).resolves.toEqual({
+      userId: 'user1',
+      integrationId: 'notion',
+      redirectUri: 'http://localhost:3005/callback',
+      codeVerifier: null
+    });
+    await expect(oauthStateService.consume(state)).resolves.toBeNull();
+  });
+
+  it('should reject expired and malformed states', async () => {
+    oauthStateService.ttlMs = -1;
+    const { state } = await oauthStateService.create({ userId: 'user1', integrationId: 'notion' });
+
+    await expect(oauthStateService.consume(state)).resolves.toBeNull();
+    await expect(oauthStateService.consume({ $ne: null })).resolves.toBeNull();
+  });
+
+  it('should keep the PKCE verifier of the challenge it returned', async () => {
+    const { state, codeChallenge } = await oauthStateService.create({ userId: 'user1', integrationId: 'github', pkce: true });
+
+    const { codeVerifier } = await oauthStateService.consume(state);
+    expect(codeVerifier).toMatch(/^[\w-]{43}$/);
+    expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  });
+
+  it('should consume states from MongoDB atomically, ignoring expired ones', async () => {
+    const store = createStore('mongodb');
+    OAuthState.findOneAndDelete.mockResolvedValue({
+      userId: { toString: () => 'user1' },
+      integrationId: 'jira',
+      redirectUri: 'http://localhost:3005/callback'
+    });
+
+    await expect(store.consume('abc')).resolves.toEqual({
+      userId: 'user1',
+      integrationId: 'jira',
+      redirectUri: 'http://localhost:3005/callback',
+      codeVerifier: null
+    });
+    expect(OAuthState.findOneAndDelete).toHaveBeenCalledWith({ state: 'abc', expiresAt: { $gt: expect.any(Date) } });
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../services/github.service');
+jest.mock('../services/oauth.service');
+
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const githubService = require('../services/github.service');
+const oauthService = require('../services/oauth.service');
+const projectContextService = require('../services/projectContext.service');
+const { getIntegrationTools, getProjectTools } = require('../services/tools');
+
+const project = new Project({
+  userId: new mongoose.Types.ObjectId(),
+  name: 'Billing revamp',
+  description: 'Move invoicing to the new payments API.',
+  attachments: [{ filename: 'a1.pdf', originalName: 'spec.pdf', mimetype: 'application/pdf' }],
+  mcpResources: {
+    notion: {
+      enabled: true,
+      resources: [{ resourceType: 'page', resourceId: 'ABCD-1234', name: 'Roadmap' }]
+    },
+    github: {
+      enabled: true,
+      resources: [{ resourceType: 'repository', resourceId: '1', name: 'billing', fullName: 'acme/billing' }]
+    },
+    jira: { enabled: false, resources: [] }
+  }
+});
+
+describe('projectContextService', () => {
+  it('should describe the project and its resources in the system prompt', () => {
+    const prompt = projectContextService.buildSystemPrompt(project);
+
+    expect(prompt).toContain('"Billing revamp"');
+    expect(prompt).toContain('Move invoicing to the new payments API.');
+    expect(prompt).toContain('- spec.pdf');
+    expect(prompt).toContain('- github repository: acme/billing');
+  });
+
+  it('should scope tools to the enabled integrations and selected resources', () => {
+    const scope = projectContextService.buildScope(project);
+
+    expect(scope.notion).toMatchObject({ workspace: false, pageIds: ['abcd1234'], databaseIds: [] });
+    expect(scope.github).toEqual({ repositories: ['acme/billing'] });
+    expect(scope.jira).toBeNull();
+
+    const tools = getProjectTools(getIntegrationTools(['github', 'jira']), scope, true);
+    const names = tools.map(tool => tool.name);
+    expect(names).toContain('github_list_issues');
+    expect(names).toContain('notion_read_page');
+    expect(names.some(name => name.startsWith('jira_'))).toBe(false);
+  });
+
+  it('should refuse repositories outside the project', async () => {
+    oauthService.getValidAccessToken.mockResolvedValue('gh-token');
+    githubService.getIssues.mockResolvedValue([]);
+
+    const listIssues = getIntegrationTools(['github']).find(tool => tool.name === 'github_list_issues');
+    const runContext = { context: { userId: 'user1', projectScope: projectContextService.buildScope(project) } };
+    const input = (repository) => JSON.stringify({ repository, state: null, labels: null, assignee: null });
+
+    await listIssues.invoke(runContext, input('Acme/Billing'));
+    expect(githubService.getIssues).toHaveBeenCalledWith('gh-token', 'Acme', 'Billing', expect.any(Object));
+
+    const output = await listIssues.invoke(runContext, input('acme/secret'));
+    expect(output).toContain('not one of this project\'s repositories');
+    expect(githubService.getIssues).toHaveBeenCalledTimes(1);
+  });
+
+  it('should bill chats to the project\'s key for their provider unless the chat picks one', async () => {
+    const keyed = new Project({ ...project.toObject(), apiKeys: { anthropic: new mongoose.Types.ObjectId() } });
+    jest.spyOn(projectContextService, 'getProject').mockResolvedValue(keyed);
+    const chat = (provider) => ({ projectId: keyed._id, selectedModel: { provider } });
+
+    const anthropicOptions = await projectContextService.applyToOptions(chat('anthropic'), {});
+    expect(anthropicOptions.apiKeyId).toEqual(keyed.apiKeys.get('anthropic'));
+    await expect(projectContextService.applyToOptions(chat('anthropic'), { apiKeyId: 'chat-key' }))
+      .resolves.toMatchObject({ apiKeyId: 'chat-key' });
+    await expect(projectContextService.applyToOptions(chat('openai'), {}))
+      .resolves.toMatchObject({ apiKeyId: undefined });
+
+    projectContextService.getProject.mockRestore();
+  });
+});
@@ -0,0 +1,160 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const providerRegistry = require('../services/providers');
+const { DEFAULT_SYSTEM_PROMPT } = require('../services/providers/base.provider');
+const encryptionService = require('../services/encryption.service');
+const { parseSSEStream } = require('../utils/sse');
+
+jest.mock('axios');
+
+describe('Provider registry', () => {
+  it('should resolve providers by id and alias', () => {
+    expect(providerRegistry.get('google-ai').id).toBe('google-ai');
+    expect(providerRegistry.get('google').id).toBe('google-ai');
+    expect(providerRegistry.get('unknown')).toBeNull();
+    expect(providerRegistry.has('google')).toBe(false);
+  });
+
+  it('should filter providers by capability', () => {
+    const chatProviders = providerRegistry.list({ chat: true }).map(provider => provider.id);
+
+    expect(chatProviders).toEqual(expect.arrayContaining(['openai', 'anthropic', 'google-ai', 'mistral']));
+    expect(chatProviders).not.toContain('cohere');
+    expect(providerRegistry.list({ agent: true }).map(provider => provider.id)).toEqual(['openai']);
+  });
+
+  it('should reject duplicate registrations', () => {
+    expect(() => providerRegistry.register(providerRegistry.get('openai'))).toThrow('already registered');
+  });
+});
+
+describe('validateSettings', () => {
+  it('should accept settings within the model limits', () => {
+    const openai = providerRegistry.get('openai');
+
+    expect(openai.validateSettings('gpt-4o-mini', {
+      temperature: 1.5,
+      maxTokens: 4000,
+      stopSequences: ['END'],
+      responseFormat: 'json_object'
+    })).toEqual([]);
+  });
+
+  it('should reject settings outside provider and model limits', () => {
+    const anthropic = providerRegistry.get('anthropic');
+    const errors = anthropic.validateSettings('claude-3-haiku-20240307', {
+      temperature: 1.5,
+      maxTokens: 100000,
+      responseFormat: 'json_object'
+    });
+
+    expect(errors.map(error => error.field)).toEqual([
+      'settings.temperature',
+      'settings.maxTokens',
+      'settings.responseFormat'
+    ]);
+  });
+
+  it('should prefer output limits reported for the model', () => {
+    const google = providerRegistry.get('google-ai');
+    const modelInfo = { id: 'models/gemini-1.5-flash', context: 1048576, maxTokens: 2048 };
+
+    expect(google.validateSettings('models/gemini-1.5-flash', { maxTokens: 4096 }, modelInfo)).toHaveLength(1);
+    expect(google.validateSettings('models/gemini-1.5-flash', { maxTokens: 2048 }, modelInfo)).toEqual([]);
+  });
+});
+
+describe('AnthropicProvider', () => {
+  const anthropicProvider = providerRegistry.get('anthropic');
+
+  beforeEach(() => {
+    jest.spyOn(anthropicProvider, 'getApiKeyCandidates').mockResolvedValue([
+      { _id: 'key1', keyName: 'Personal', encryptedApiKey: encryptionService.encryptApiKey('sk-ant-test') }
+    ]);
+    jest.spyOn(anthropicProvider, 'recordKeyUse').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildRequestBody', () => {
+    it('should lift system messages and merge consecutive turns', () => {
+      const body = anthropicProvider.buildRequestBody([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'assistant', content: 'Hello!' },
+        { role: 'user', content: 'First' },
+        { role: 'user', content: 'Second' },
+        { role: 'assistant', content: 'Reply' }
+      ], { model: 'claude-3-haiku-20240307', systemPrompt: 'Answer in French.' });
+
+      expect(body.system).toBe(`${DEFAULT_SYSTEM_PROMPT}\n\nAnswer in French.\n\nBe brief.`);
+      expect(body.messages).toEqual([
+        { role: 'user', content: 'First\n\nSecond' },
+        { role: 'assistant', content: 'Reply' }
+      ]);
+      expect(body.max_tokens).toBe(1024);
+    });
+  });
+
+  describe('complete', () => {
+    it('should return text content with normalised usage', async () => {
+      axios.post.mockResolvedValue({
+        data: {
+          content: [{ type: 'text', text: 'Hi there' }],
+          usage: { input_tokens: 12, output_tokens: 3 },
+          stop_reason: 'end_turn'
+        }
+      });
+
+      const result = await anthropicProvider.complete('user-id', [
+        { role: 'user', content: 'Hello' }
+      ], { model: 'claude-3-haiku-20240307' });
+
+      expect(result.content).toBe('Hi there');
+      expect(result.usage).toEqual({ prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 });
+    });
+  });
+
+  describe('stream', () => {
+    it('should yield text deltas followed by a completion event', async () => {
+      const frames = [
+        'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":10,"output_tokens":1}}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hel"}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"lo"}}\n\n',
+        'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":4}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+      ];
+      axios.post.mockResolvedValue({ data: Readable.from(frames) });
+
+      const events = [];
+      for await (const event of anthropicProvider.stream('user-id', [
+        { role: 'user', content: 'Hello' }
+      ], { model: 'claude-3-haiku-20240307' })) {
+        events.push(event);
+      }
+
+      expect(events.filter(e => e.type === 'text_delta').map(e => e.content)).toEqual(['Hel', 'lo']);
+      expect(events[events.length - 1]).toEqual({
+        type: 'completion',
+        content: 'Hello',
+        usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 },
+        stopReason: 'end_turn'
+      });
+    });
+  });
+});
+
+describe('parseSSEStream', () => {
+  it('should keep multibyte characters split across chunks', async () => {
+    const frame = Buffer.from('data: {"text":"héllo 👋"}\n\n', 'utf8');
+    const splitAt = frame.indexOf(Buffer.from('👋')) + 2;
+
+    const events = [];
+    for await (const event of parseSSEStream(Readable.from([frame.subarray(0, splitAt), frame.subarray(splitAt)]))) {
+      events.push(event);
+    }
+
+    expect(events).toEqual([{ event: 'message', data: { text: 'héllo 👋' } }]);
+  });
+});
@@ -0,0 +1,90 @@
+process.env.RATE_LIMIT_STORE = 'memory';
+
+jest.mock('../models/User');
+jest.mock('../models/RateLimitCounter');
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const rateLimitService = require('../services/rateLimit');
+const MongoRateLimitStore = require('../services/rateLimit/mongo.store');
+const { createLimiter } = require('../middleware/rateLimit');
+
+const mockLean = (value) => ({ select: () => ({ lean: jest.fn().mockResolvedValue(value) }) });
+
+// An app whose requests are signed in as `x-user` (standing in for `auth`)
+const createApp = (policyName) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = req.get('x-user') ? { _id: req.get('x-user') } : null;
+    next();
+  });
+  app.get('/', createLimiter(policyName), (req, res) => res.json({ status: 'success' }));
+  return app;
+};
+
+describe('rate limiting', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rateLimitService.overrideCache.clear();
+    User.findById.mockReturnValue(mockLean({ rateLimits: {} }));
+  });
+
+  it('should send RateLimit headers and turn away requests over the limit', async () => {
+    const app = createApp('auth_forgot_password');
+
+    for (let i = 0; i < 5; i++) {
+      await request(app).get('/').expect(200);
+    }
+    const response = await request(app).get('/').expect(429);
+
+    expect(response.body).toEqual({ status: 'error', message: 'Too many password reset requests, please try again later.' });
+    expect(response.headers['ratelimit-policy']).toMatch(/^"auth_forgot_password"; q=5; w=3600;/);
+    expect(response.headers.ratelimit).toMatch(/^"auth_forgot_password"; r=0; t=\d+/);
+    expect(response.headers['retry-after']).toBeDefined();
+  });
+
+  it('should count user policies per user and apply admin overrides', async () => {
+    const app = createApp('chat_stream');
+    User.findById.mockImplementation((userId) => mockLean({ rateLimits: userId === 'vip' ? { chat_stream: 100 } : {} }));
+
+    const regular = await request(app).get('/').set('x-user', 'regular').expect(200);
+    const vip = await request(app).get('/').set('x-user', 'vip').expect(200);
+    // Anonymous requests aren't counted against user policies
+    const anonymous = await request(app).get('/').expect(200);
+
+    expect(regular.headers.ratelimit).toMatch(/r=19;/);
+    expect(vip.headers.ratelimit).toMatch(/r=99;/);
+    expect(anonymous.headers.ratelimit).toBeUndefined();
+  });
+
+  it('should only let admins override user policies', async () => {
+    User.findByIdAndUpdate.mockReturnValue(mockLean({ rateLimits: { uploads: 500 } }));
+
+    await expect(rateLimitService.setOverrides('user1', { uploads: 500, chat_stream: null }))
+      .resolves.toEqual({ uploads: 500 });
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      'user1',
+      { $set: { 'rateLimits.uploads': 500 }, $unset: { 'rateLimits.chat_stream': 1 } },
+      { new: true }
+    );
+
+    await expect(rateLimitService.setOverrides('user1', { auth_login: 1000 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should count hits in MongoDB with one atomic update per request', async () => {
+    const store = new MongoRateLimitStore('uploads');
+    store.init({ windowMs: 60 * 1000 });
+    const resetAt = new Date(Date.now() + 60 * 1000);
+    RateLimitCounter.findOneAndUpdate.mockResolvedValue({ hits: 3, resetAt });
+
+    await expect(store.increment('user:user1')).resolves.toEqual({ totalHits: 3, resetTime: resetAt });
+
+    const [filter, pipeline, options] = RateLimitCounter.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ key: 'uploads:user:user1' });
+    expect(Object.keys(pipeline[0].$set)).toEqual(['hits', 'resetAt']);
+    expect(options).toMatchObject({ upsert: true, new: true });
+  });
+});
@@ -0,0 +1,146 @@
+jest.mock('axios');
+jest.mock('../models/UserIntegration');
+jest.mock('../services/jobQueue.service');
+jest.mock('../services/notification.service');
+jest.mock('../services/oauth.service');
+
+const axios = require('axios');
+const UserIntegration = require('../models/UserIntegration');
+const jobQueue = require('../services/jobQueue.service');
+const notificationService = require('../services/notification.service');
+const encryptionService = require('../services/encryption.service');
+const oauthService = require('../services/oauth.service');
+const tokenRefreshService = require('../services/tokenRefresh.service');
+
+// tokenRefreshService runs against the mock; the oauthService tests use the real one
+const realOauthService = jest.requireActual('../services/oauth.service');
+
+const now = new Date('2026-01-01T12:00:00Z');
+
+const createIntegration = (overrides = {}) => ({
+  userId: 'user1',
+  integrationId: 'jira',
+  integrationName: 'Jira',
+  status: 'connected',
+  connectionData: {
+    accessToken: encryptionService.encrypt('old-access'),
+    refreshToken: encryptionService.encrypt('old-refresh'),
+    tokenExpiresAt: new Date(now.getTime() + 5 * 60 * 1000)
+  },
+  metadata: { errorCount: 0 },
+  markError: jest.fn(),
+  updateToken: jest.fn(),
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('tokenRefreshService', () => {
+  let integration;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    integration = createIntegration();
+    UserIntegration.findByIntegration.mockReturnValue({ select: jest.fn().mockResolvedValue(integration) });
+  });
+
+  it('should queue refreshes for expiring tokens and disconnect expired ones that cannot be renewed', async () => {
+    const expired = createIntegration({ integrationId: 'github', connectionData: { refreshToken: null } });
+    UserIntegration.find
+      .mockReturnValueOnce({ select: jest.fn().mockResolvedValue([integration]) })
+      .mockResolvedValueOnce([expired]);
+
+    const result = await tokenRefreshService.scheduleDueRefreshes(now);
+
+    expect(result).toEqual({ queued: 1, disconnected: 1 });
+    expect(UserIntegration.find.mock.calls[0][0]).toMatchObject({
+      status: 'connected',
+      'connectionData.tokenExpiresAt': { $lte: new Date(now.getTime() + tokenRefreshService.refreshWindowMs) }
+    });
+    expect(jobQueue.enqueue).toHaveBeenCalledWith(
+      'oauth_token_refresh',
+      { userId: 'user1', integrationId: 'jira' },
+      { userId: 'user1', dedupeKey: 'oauth_token_refresh:user1:jira' }
+    );
+    expect(oauthService.markTokenFailure).toHaveBeenCalledWith(expired, expect.objectContaining({ code: 'TOKEN_EXPIRED' }));
+  });
+
+  it('should skip tokens renewed since the refresh was queued', async () => {
+    integration.connectionData.tokenExpiresAt = new Date(now.getTime() + 60 * 60 * 1000);
+
+    await expect(tokenRefreshService.refreshIntegration('user1', 'jira', now))
+      .resolves.toEqual({ refreshed: false, reason: 'not_due' });
+    expect(oauthService.refreshIntegrationToken).not.toHaveBeenCalled();
+  });
+
+  it('should keep the integration connected when the provider is unavailable', async () => {
+    oauthService.refreshIntegrationToken.mockRejectedValue(
+      Object.assign(new Error('Failed to refresh access token'), { code: 'TOKEN_REFRESH_FAILED' })
+    );
+
+    await expect(tokenRefreshService.refreshIntegration('user1', 'jira', now)).rejects.toThrow('Failed to refresh');
+    expect(integration.markError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 'TOKEN_REFRESH_FAILED' }),
+      { disconnect: false }
+    );
+  });
+});
+
+describe('oauthService.refreshIntegrationToken', () => {
+  let integration;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    integration = createIntegration();
+  });
+
+  it('should store the renewed tokens encrypted', async () => {
+    axios.post.mockResolvedValue({ data: { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 } });
+
+    await expect(realOauthService.refreshIntegrationToken(integration)).resolves.toBe('new-access');
+
+    const stored = integration.updateToken.mock.calls[0][0];
+    expect(encryptionService.decrypt(stored.access_token)).toBe('new-access');
+    expect(encryptionService.decrypt(stored.refresh_token)).toBe('new-refresh');
+    expect(axios.post.mock.calls[0][1]).toContain('refresh_token=old-refresh');
+    expect(integration.save).toHaveBeenCalled();
+  });
+
+  it('should disconnect the integration and notify the user when the refresh token is rejected', async () => {
+    axios.post.mockRejectedValue({ response: { status: 400, data: { error: 'invalid_grant' } } });
+    UserIntegration.updateOne.mockResolvedValue({ matchedCount: 1 });
+    const storedRefreshToken = integration.connectionData.refreshToken;
+
+    await expect(realOauthService.refreshIntegrationToken(integration)).rejects.toMatchObject({
+      code: 'REFRESH_TOKEN_EXPIRED',
+      retryable: false
+    });
+
+    expect(integration.markError).toHaveBeenCalledWith(expect.objectContaining({ code: 'REFRESH_TOKEN_EXPIRED' }));
+    expect(integration.status).toBe('disconnected');
+    expect(integration.connectionData.refreshToken).toBeNull();
+    expect(notificationService.notifyIntegration).toHaveBeenCalledWith(integration, 'token_expired');
+    // Only while the refresh token that failed is still the stored one
+    expect(UserIntegration.updateOne.mock.calls[0][0]).toEqual(expect.objectContaining({
+      'connectionData.refreshToken': storedRefreshToken
+    }));
+  });
+
+  it('should keep the tokens a concurrent refresh stored when its own refresh token was rotated away', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    axios.post.mockRejectedValue({ response: { status: 400, data: { error: 'invalid_grant' } } });
+    // The other refresh already replaced the refresh token this one used
+    UserIntegration.updateOne.mockResolvedValue({ matchedCount: 0 });
+    UserIntegration.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        status: 'connected',
+        connectionData: { accessToken: encryptionService.encrypt('winner-access') }
+      })
+    });
+
+    await expect(realOauthService.refreshIntegrationToken(integration)).resolves.toBe('winner-access');
+    expect(notificationService.notifyIntegration).not.toHaveBeenCalled();
+    expect(integration.save).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+const ToolCallTracer = require('../utils/toolCallTracer');
+
+describe('ToolCallTracer', () => {
+  it('should record arguments, timing, outcome and MCP server of each call', () => {
+    jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+
+    const agent = new EventEmitter();
+    const tracer = new ToolCallTracer();
+    tracer.attach(agent, new Map([['notion_search', 'notion']]));
+
+    const search = { callId: 'call_1', name: 'notion_search', arguments: '{"query":"roadmap"}' };
+    const broken = { callId: 'call_2', name: 'calculator', arguments: 'not json' };
+
+    agent.emit('agent_tool_start', {}, { name: 'notion_search' }, { toolCall: search });
+    agent.emit('agent_tool_start', {}, { name: 'calculator' }, { toolCall: broken });
+    jest.advanceTimersByTime(250);
+    agent.emit('agent_tool_end', {}, { name: 'notion_search' }, '{"results":[]}', { toolCall: search });
+    agent.emit(
+      'agent_tool_end',
+      {},
+      { name: 'calculator' },
+      'An error occurred while running the tool. Please try again. Error: boom',
+      { toolCall: broken }
+    );
+
+    expect(tracer.get('call_1')).toMatchObject({
+      name: 'notion_search',
+      arguments: { query: 'roadmap' },
+      server: 'notion',
+      status: 'success',
+      durationMs: 250,
+      output: '{"results":[]}'
+    });
+    expect(tracer.get('call_2')).toMatchObject({
+      arguments: 'not json',
+      server: null,
+      status: 'error',
+      error: expect.stringContaining('boom'),
+      output: null
+    });
+
+    jest.useRealTimers();
+  });
+
+  it('should close calls left running when a run stops', () => {
+    const tracer = new ToolCallTracer();
+    tracer.start({ callId: 'call_1', name: 'search', arguments: '{}' });
+
+    tracer.finishPending('cancelled');
+
+    expect(tracer.toJSON()).toEqual([
+      expect.objectContaining({ callId: 'call_1', status: 'cancelled', endedAt: expect.any(Date) })
+    ]);
+  });
+});
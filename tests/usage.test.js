@@ -0,0 +1,116 @@
+// Automocking chokes on the schema's `model` path
+jest.mock('../models/UsageRecord', () => ({ create: jest.fn(), aggregate: jest.fn() }));
+jest.mock('../models/User');
+jest.mock('../models/ApiKey');
+
+const express = require('express');
+const request = require('supertest');
+const UsageRecord = require('../models/UsageRecord');
+const User = require('../models/User');
+const usageService = require('../services/usage.service');
+const providerRegistry = require('../services/providers');
+const { checkUsageBudget } = require('../middleware/usageBudget');
+
+const userId = '64b000000000000000000001';
+const mockLean = (value) => ({ select: () => ({ lean: jest.fn().mockResolvedValue(value) }) });
+const setBudget = (usageBudget, spent) => {
+  User.findById.mockReturnValue(mockLean({ usageBudget }));
+  UsageRecord.aggregate.mockResolvedValue(spent === null ? [] : [{ _id: null, cost: spent }]);
+};
+
+describe('usage metering', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should price dated models by family and fall back to the provider catalog', () => {
+    const usage = { prompt_tokens: 1000000, completion_tokens: 500000 };
+
+    expect(usageService.estimateCost('openai', 'gpt-4o-mini-2024-07-18', usage)).toEqual({ cost: 0.45, priced: true });
+    // Google AI lists its models as `models/<id>`
+    expect(usageService.estimateCost('google-ai', 'models/gemini-1.5-pro', usage)).toEqual({ cost: 3.75, priced: true });
+    // Catalog prices are per thousand tokens
+    expect(usageService.estimateCost('google-ai', 'gemini-pro', usage)).toEqual({ cost: 1.25, priced: true });
+    expect(usageService.estimateCost('cohere', 'command-x', usage)).toEqual({ cost: 0, priced: false });
+  });
+
+  it('should record completions per key, model and chat when providers report usage', async () => {
+    const apiKeyRecord = { _id: 'key1', userId, updateLastUsed: jest.fn().mockResolvedValue() };
+    UsageRecord.create.mockImplementation(async (record) => record);
+    const chatId = '64b0000000000000000000c1';
+
+    await providerRegistry.get('openai').recordKeyUse(apiKeyRecord, {
+      options: { model: 'gpt-4o', chatId },
+      usage: { prompt_tokens: 2000, completion_tokens: 1000, total_tokens: 3000 }
+    });
+
+    expect(apiKeyRecord.updateLastUsed).toHaveBeenCalled();
+    expect(UsageRecord.create).toHaveBeenCalledWith({
+      userId,
+      apiKeyId: 'key1',
+      provider: 'openai',
+      model: 'gpt-4o',
+      chatId,
+      source: 'chat',
+      promptTokens: 2000,
+      completionTokens: 1000,
+      totalTokens: 3000,
+      cost: 0.015,
+      priced: true
+    });
+  });
+
+  it('should skip requests without token counts and never fail the request', async () => {
+    await expect(usageService.record({ userId, apiKeyId: null, provider: 'openai', model: 'gpt-4o', usage: {} }))
+      .resolves.toBeNull();
+    expect(UsageRecord.create).not.toHaveBeenCalled();
+
+    UsageRecord.create.mockRejectedValue(new Error('connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(usageService.record({
+      userId, apiKeyId: null, provider: 'openai', model: 'gpt-4o', usage: { total_tokens: 10 }
+    })).resolves.toBeNull();
+    console.error.mockRestore();
+  });
+
+  it('should report the monthly budget status', async () => {
+    setBudget({ monthlyLimit: 10, warnAt: 0.8, hardLimit: true }, 8.5);
+    await expect(usageService.getBudgetStatus(userId, new Date('2026-03-14T12:00:00Z'))).resolves.toEqual({
+      monthlyLimit: 10,
+      warnAt: 0.8,
+      hardLimit: true,
+      spent: 8.5,
+      remaining: 1.5,
+      resetsAt: new Date('2026-04-01T00:00:00Z'),
+      status: 'warning'
+    });
+
+    const [[{ $match }]] = UsageRecord.aggregate.mock.calls[0];
+    expect($match.createdAt).toEqual({ $gte: new Date('2026-03-01T00:00:00Z') });
+
+    setBudget({}, null);
+    await expect(usageService.getBudgetStatus(userId)).resolves.toMatchObject({ monthlyLimit: null, status: 'ok' });
+  });
+
+  it('should refuse replies past a hard budget and warn past a soft one', async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { _id: userId };
+      next();
+    });
+    app.post('/reply', checkUsageBudget, (req, res) => res.json({ budget: req.usageBudget.status }));
+
+    setBudget({ monthlyLimit: 5, warnAt: 0.8, hardLimit: true }, 5.2);
+    const refused = await request(app).post('/reply').expect(402);
+    expect(refused.body).toMatchObject({ code: 'BUDGET_EXCEEDED', budget: { status: 'exceeded' } });
+
+    setBudget({ monthlyLimit: 5, warnAt: 0.8, hardLimit: false }, 5.2);
+    const warned = await request(app).post('/reply').expect(200);
+    expect(warned.body).toEqual({ budget: 'exceeded' });
+    expect(warned.headers['x-usage-budget']).toBe('exceeded; spent=5.2; limit=5');
+  });
+
+  it('should reject unknown usage groupings', async () => {
+    await expect(usageService.getUsage(userId, { groupBy: 'color' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
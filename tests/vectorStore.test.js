@@ -0,0 +1,79 @@
+jest.mock('../services/openai.service');
+
+const openaiService = require('../services/openai.service');
+const vectorStore = require('../services/vectorStore');
+const { VectorStoreService } = require('../services/vectorStore');
+const MemoryVectorStore = require('../services/vectorStore/memory.store');
+const { documentTools } = require('../services/tools/documents.tools');
+
+// Embeds "refund..." texts along one axis and everything else along the other
+const fakeEmbeddings = () => openaiService.makeOpenAIApiCall.mockImplementation(async (userId, endpoint, method, { input }) => ({
+  data: input.map((text, index) => ({ index, embedding: /refund/i.test(text) ? [1, 0.1] : [0.1, 1] }))
+}));
+
+describe('vector store', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fakeEmbeddings();
+  });
+
+  it('should split long text into overlapping chunks at sentence ends', () => {
+    const sentence = 'The invoice service retries failed payments twice. ';
+    const chunks = vectorStore.chunkText(sentence.repeat(60));
+
+    expect(chunks.length).toBeGreaterThan(2);
+    chunks.forEach(chunk => {
+      expect(chunk.length).toBeLessThanOrEqual(vectorStore.chunkSize);
+      expect(chunk.endsWith('.')).toBe(true);
+    });
+    // The start of each chunk repeats the end of the previous one
+    expect(chunks[0]).toContain(chunks[1].slice(0, 50));
+    expect(vectorStore.chunkText('  \n ')).toEqual([]);
+  });
+
+  it('should replace a source, skip unchanged versions and rank by similarity', async () => {
+    const store = new VectorStoreService(new MemoryVectorStore());
+
+    await store.indexSource('user1', 'project:1', 'notion:abc', 'Overview of the roadmap', { version: 'v1', metadata: { name: 'Roadmap' } });
+    await store.indexSource('user1', 'project:1', 'notion:abc', 'Refunds are issued within 5 days', { version: 'v2', metadata: { name: 'Roadmap' } });
+    expect(await store.indexSource('user1', 'project:1', 'notion:abc', 'ignored', { version: 'v2' })).toBe(0);
+    await store.addDocuments('user1', 'project:1', [
+      { id: 'attachment:a.pdf#1.0', source: 'attachment:a.pdf', text: 'Contact support', metadata: { name: 'faq.pdf', page: 1 } }
+    ]);
+
+    const results = await store.search('user1', 'project:1', 'How do refunds work?', { topK: 5 });
+    expect(results.map(result => result.text)).toEqual(['Refunds are issued within 5 days', 'Contact support']);
+    expect(results[0].metadata).toEqual({ name: 'Roadmap', chunkIndex: 0 });
+
+    expect(await store.search('user1', 'project:1', 'refund', { filter: { page: 1 } })).toHaveLength(1);
+    expect(await store.deleteBySource('project:1', 'attachment:a.pdf')).toBe(1);
+    expect(await store.search('user1', 'project:2', 'refund')).toEqual([]);
+    expect([await store.hasEntries('project:1'), await store.hasEntries('project:2')]).toEqual([true, false]);
+  });
+
+  it('should cite document and page from the project search tool', async () => {
+    const searchTool = documentTools.find(tool => tool.name === 'search_project_documents');
+    jest.spyOn(vectorStore.store, 'query').mockResolvedValue([
+      { id: 'x', source: 'attachment:s.pdf', text: 'Refunds', metadata: { type: 'attachment', name: 'spec.pdf', page: 4 }, score: 0.91234 }
+    ]);
+
+    const output = await searchTool.invoke(
+      { context: { userId: 'user1', projectScope: { projectId: 'project1', hasDocuments: true } } },
+      JSON.stringify({ query: 'How do refunds work?', limit: 2 })
+    );
+
+    expect(vectorStore.store.query).toHaveBeenCalledWith('project:project1', [1, 0.1], expect.objectContaining({ topK: 2 }));
+    expect(output).toEqual([{ document: 'spec.pdf', page: 4, score: 0.912, text: 'Refunds' }]);
+  });
+
+  it('should refuse to search outside a project chat', async () => {
+    const searchTool = documentTools.find(tool => tool.name === 'search_project_documents');
+    const output = await searchTool.invoke(
+      { context: { userId: 'user1' } },
+      JSON.stringify({ query: 'refunds', limit: null })
+    );
+
+    expect(output).toContain('only be searched in a project chat');
+    expect(openaiService.makeOpenAIApiCall).not.toHaveBeenCalled();
+  });
+});
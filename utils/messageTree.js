@@ -0,0 +1,66 @@
+// Helpers for walking a chat's message tree. Messages point at the message
+// they reply to through `parentId`; editing or regenerating a message adds a
+// sibling, so every leaf of the tree is the tip of one conversation branch.
+
+// Build lookup tables from `{ _id, parentId }` nodes (oldest first)
+const buildMessageTree = (nodes) => {
+  const parents = new Map();
+  const children = new Map();
+
+  for (const node of nodes) {
+    const id = String(node._id);
+    const parentId = node.parentId ? String(node.parentId) : null;
+
+    parents.set(id, parentId);
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(id);
+  }
+
+  return { parents, children };
+};
+
+// Ids from the root down to `leafId`
+const getBranchPath = (tree, leafId) => {
+  const path = [];
+  let id = leafId ? String(leafId) : null;
+
+  while (id && tree.parents.has(id)) {
+    path.push(id);
+    id = tree.parents.get(id);
+  }
+
+  return path.reverse();
+};
+
+// Follow the newest replies down from `messageId` to the tip of its branch
+const findLatestLeaf = (tree, messageId) => {
+  let id = String(messageId);
+
+  while (tree.children.get(id)?.length) {
+    const replies = tree.children.get(id);
+    id = replies[replies.length - 1];
+  }
+
+  return id;
+};
+
+// Ids of every branch tip, oldest first
+const getLeafIds = (tree) => {
+  return [...tree.parents.keys()].filter(id => !tree.children.get(id)?.length);
+};
+
+// Ids of the messages sharing `messageId`'s parent, including itself
+const getSiblingIds = (tree, messageId) => {
+  const id = String(messageId);
+  if (!tree.parents.has(id)) return [];
+
+  return tree.children.get(tree.parents.get(id)) || [];
+};
+
+module.exports = {
+  buildMessageTree,
+  getBranchPath,
+  findLatestLeaf,
+  getLeafIds,
+  getSiblingIds
+};
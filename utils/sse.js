@@ -0,0 +1,70 @@
+// Helpers for consuming Server-Sent Events streams returned by LLM providers
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Parse a readable stream of SSE frames into `{ event, data }` objects.
+ * `data` is JSON-parsed when possible and left as a string otherwise.
+ * @param {Stream} stream - Readable stream (e.g. axios `responseType: 'stream'`)
+ */
+async function* parseSSEStream(stream) {
+  let buffer = '';
+  // Keeps multibyte characters split across chunks intact
+  const decoder = new StringDecoder('utf8');
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const parsed = parseSSEFrame(rawEvent);
+      if (parsed) {
+        yield parsed;
+      }
+
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+  }
+
+  const parsed = parseSSEFrame(buffer + decoder.end());
+  if (parsed) {
+    yield parsed;
+  }
+}
+
+/**
+ * Parse a single SSE frame (the lines between two blank lines)
+ * @param {string} rawEvent - Raw frame text
+ */
+function parseSSEFrame(rawEvent) {
+  let event = 'message';
+  const dataLines = [];
+
+  for (const line of rawEvent.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  const rawData = dataLines.join('\n');
+  try {
+    return { event, data: JSON.parse(rawData) };
+  } catch (error) {
+    return { event, data: rawData };
+  }
+}
+
+module.exports = {
+  parseSSEStream,
+  parseSSEFrame
+};
@@ -0,0 +1,99 @@
+// Records the tool calls of one agent run: arguments, timing, outcome and the
+// MCP server that served each call. Stored on the assistant message as
+// `metadata.toolCalls`.
+
+// Tool errors are handed back to the model as text by the Agents SDK
+const TOOL_ERROR_PREFIX = 'An error occurred while running the tool';
+
+// Longest tool output kept in a trace, to keep message documents small
+const MAX_OUTPUT_LENGTH = 10000;
+
+const parseArguments = (args) => {
+  if (typeof args !== 'string') return args ?? null;
+
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return args;
+  }
+};
+
+const truncateOutput = (output) => {
+  const text = typeof output === 'string' ? output : JSON.stringify(output);
+  if (!text || text.length <= MAX_OUTPUT_LENGTH) return output;
+
+  return `${text.slice(0, MAX_OUTPUT_LENGTH)}… [truncated ${text.length - MAX_OUTPUT_LENGTH} characters]`;
+};
+
+class ToolCallTracer {
+  constructor() {
+    this.calls = new Map();
+  }
+
+  // Listen to an agent's tool lifecycle events. Attach to a per-run clone
+  // (see AgentService#configureAgent) so runs don't see each other's calls.
+  // `toolServers` maps MCP tool names to the name of their server.
+  attach(agent, toolServers = new Map()) {
+    agent.on('agent_tool_start', (context, tool, { toolCall }) => {
+      this.start(toolCall, toolServers.get(tool.name));
+    });
+    agent.on('agent_tool_end', (context, tool, result, { toolCall }) => {
+      this.end(toolCall, result);
+    });
+
+    return agent;
+  }
+
+  start(toolCall, server = null) {
+    this.calls.set(toolCall.callId, {
+      callId: toolCall.callId,
+      name: toolCall.name,
+      arguments: parseArguments(toolCall.arguments),
+      server: server || null,
+      status: 'running',
+      error: null,
+      startedAt: new Date(),
+      endedAt: null,
+      durationMs: null,
+      output: null
+    });
+  }
+
+  end(toolCall, output) {
+    const call = this.calls.get(toolCall.callId);
+    if (!call) return;
+
+    call.endedAt = new Date();
+    call.durationMs = call.endedAt - call.startedAt;
+
+    if (typeof output === 'string' && output.startsWith(TOOL_ERROR_PREFIX)) {
+      call.status = 'error';
+      call.error = output;
+    } else {
+      call.status = 'success';
+      call.output = truncateOutput(output);
+    }
+  }
+
+  get(callId) {
+    return this.calls.get(callId) || null;
+  }
+
+  // Close calls that never finished, e.g. because the run failed or was aborted
+  finishPending(status, error = null) {
+    for (const call of this.calls.values()) {
+      if (call.status !== 'running') continue;
+
+      call.status = status;
+      call.error = error;
+      call.endedAt = new Date();
+      call.durationMs = call.endedAt - call.startedAt;
+    }
+  }
+
+  toJSON() {
+    return [...this.calls.values()];
+  }
+}
+
+module.exports = ToolCallTracer;
@@ -1,4 +1,4 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 
 const updateProfileValidation = [
   body('name')
@@ -25,6 +25,42 @@ const updateProfileValidation = [
     .withMessage('Theme must be one of: light, dark, auto')
 ];
 
+const usageQueryValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+
+  query('groupBy')
+    .optional()
+    .isIn(['model', 'provider', 'day', 'chat', 'apiKey', 'source'])
+    .withMessage('groupBy must be one of: model, provider, day, chat, apiKey, source')
+];
+
+const usageBudgetValidation = [
+  body('monthlyLimit')
+    .optional({ values: 'undefined' })
+    .custom(value => value === null || (typeof value === 'number' && value >= 0))
+    .withMessage('Monthly limit must be a non-negative number (USD) or null'),
+
+  body('warnAt')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('warnAt must be between 0 and 1'),
+
+  body('hardLimit')
+    .optional()
+    .isBoolean()
+    .withMessage('hardLimit must be a boolean')
+];
+
 module.exports = {
-  updateProfileValidation
+  updateProfileValidation,
+  usageQueryValidation,
+  usageBudgetValidation
 };
@@ -0,0 +1,29 @@
+// Background job worker. Runs queued jobs (see jobs/index.js) until it gets
+// SIGTERM or SIGINT, then finishes the job in progress and exits.
+//
+// Usage: npm run worker
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('./config/database');
+const { jobQueue, scheduleRecurringJobs } = require('./jobs');
+
+const start = async () => {
+  await connectDB();
+  await scheduleRecurringJobs();
+  jobQueue.start();
+  console.log(`Job worker ${jobQueue.workerId} started`);
+};
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, stopping job worker`);
+  await jobQueue.stop();
+  await disconnectDB();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start().catch(error => {
+  console.error('Job worker failed to start:', error);
+  process.exit(1);
+});